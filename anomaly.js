@@ -0,0 +1,233 @@
+// ══════════════════════════════════════════
+// ANOMALY DETECTION — cancellations & discounts → ranked "investigate" list (index.html → ตรวจสอบความผิดปกติ)
+// Flag: {kind, score 0–100, subject, date, time, doc, amount, why}
+//   staff-cancel  staff member cancels far more bills / baht than colleagues (robust z: median / MAD)
+//   slot-cancel   hour of day whose cancel rate (cancels ÷ bills) is far above the overall rate
+//   cancel-after  cancel within N minutes after a high-value bill (≥ P90) — same amount = likely re-ring
+//   staff-shift   bill with a Staff Discount rate (5/10/15%) rung outside every staff shift
+//   staff-freq    day with far more Staff Discount uses than a normal day
+//   over-rule     promo day or bill whose discount % is above the promotion's maxPct ceiling
+// ══════════════════════════════════════════
+(function(root,factory){
+  if(typeof module==='object'&&module.exports) module.exports=factory();
+  else root.NigiAnomaly=factory();
+})(typeof self!=='undefined'?self:this,function(){
+'use strict';
+
+const KINDS={
+  'staff-cancel':'พนักงานยกเลิกบิลผิดปกติ', 'slot-cancel':'ช่วงเวลายกเลิกบิลสูง', 'cancel-after':'ยกเลิกหลังบิลมูลค่าสูง',
+  'staff-shift':'ส่วนลดพนักงานนอกกะ', 'staff-freq':'ใช้ส่วนลดพนักงานถี่ผิดปกติ', 'over-rule':'ส่วนลดเกินเงื่อนไขโปร'
+};
+const DEFAULT_OPTS={
+  shifts:[{from:'06:00',to:'14:00'},{from:'14:00',to:'22:00'}],
+  nearMin:30,      // cancel-after: minutes after the sale
+  highPct:0.9,     // cancel-after: bill total percentile that counts as high value
+  zMin:3,          // robust z needed to flag a staff member / day
+  slotZ:2.5,       // Poisson z needed to flag an hour
+  minCount:3,      // fewer events than this are never flagged
+  tolPct:1         // discount % points allowed above a rule (rounding)
+};
+
+// ══════════ HELPERS ══════════
+const median=a=>{ if(!a.length) return 0; const s=[...a].sort((x,y)=>x-y), m=s.length>>1; return s.length%2?s[m]:(s[m-1]+s[m])/2; };
+const quantile=(a,q)=>{ if(!a.length) return 0; const s=[...a].sort((x,y)=>x-y); return s[Math.min(s.length-1,Math.floor(q*s.length))]; };
+// v → (v − median) ÷ (1.4826·MAD), floored so a flat team does not turn one extra bill into z = ∞
+function robustZ(values, floor){
+  const med=median(values);
+  const scale=Math.max(1.4826*median(values.map(v=>Math.abs(v-med))),floor||1e-9);
+  return {med, z:v=>(v-med)/scale};
+}
+// 'HH:MM[:SS]' or an Excel day fraction → minutes after midnight; null when unreadable
+function toMin(t){
+  if(t==null||t==='') return null;
+  if(typeof t==='number'||/^0?\.\d+$/.test(String(t))) return Math.round((+t%1)*1440);
+  const m=String(t).match(/(\d{1,2}):(\d{2})/);
+  return m?(+m[1])*60+(+m[2]):null;
+}
+const hhmm=m=>String(Math.floor(m/60)).padStart(2,'0')+':'+String(m%60).padStart(2,'0');
+const baht=n=>'฿'+Math.round(n).toLocaleString('en-US');
+const pct=n=>(Math.round(n*10)/10)+'%';
+const clamp=n=>Math.max(0,Math.min(100,Math.round(n)));
+
+// 'HH:MM-HH:MM, HH:MM-HH:MM' → [{from,to}]; throws on anything else
+function parseShifts(s){
+  const list=String(s||'').split(/[,;\n]/).map(x=>x.trim()).filter(Boolean).map(x=>{
+    const m=x.match(/^(\d{1,2}:\d{2})\s*[-–]\s*(\d{1,2}:\d{2})$/);
+    if(!m||toMin(m[1])>1440||toMin(m[2])>1440) throw new Error('Shift "'+x+'" must be HH:MM-HH:MM');
+    return {from:m[1].padStart(5,'0'), to:m[2].padStart(5,'0')};
+  });
+  if(!list.length) throw new Error('Enter at least one shift');
+  return list;
+}
+// Overnight shifts (22:00-06:00) wrap past midnight
+const inShift=(min,shifts)=>shifts.some(s=>{
+  const a=toMin(s.from), b=toMin(s.to);
+  return a<=b?min>=a&&min<b:min>=a||min<b;
+});
+
+// Sales lines → one entry per bill {date, doc, min, gross, disc, net}; time = the bill's first line
+function billsOf(salesRows){
+  const by=new Map();
+  (salesRows||[]).forEach(r=>{
+    if(!r.doc) return;
+    const k=r.date+'|'+r.doc;
+    let b=by.get(k);
+    if(!b) by.set(k,b={date:r.date,doc:r.doc,min:null,gross:0,disc:0,net:0});
+    const m=toMin(r.time);
+    if(m!=null&&(b.min==null||m<b.min)) b.min=m;
+    b.gross+=r.gross||0; b.disc+=r.disc||0; b.net+=r.net||0;
+  });
+  return [...by.values()];
+}
+
+// ══════════ SIGNALS ══════════
+function staffCancels(cancels, o){
+  const by={};
+  cancels.forEach(c=>{ const p=c.person||'—'; (by[p]=by[p]||{person:p,count:0,amount:0}).count++; by[p].amount+=c.amount; });
+  const staff=Object.values(by).sort((a,b)=>b.count-a.count);
+  if(staff.length<3) return {staff, flags:[]};   // no peer group to compare against
+  const zc=robustZ(staff.map(s=>s.count),1), za=robustZ(staff.map(s=>s.amount),median(staff.map(s=>s.amount))*0.25);
+  staff.forEach(s=>{ s.z=Math.max(zc.z(s.count),za.z(s.amount)); });
+  const flags=staff.filter(s=>s.person!=='—'&&s.count>=o.minCount&&s.z>=o.zMin).map(s=>({
+    kind:'staff-cancel', score:clamp(s.z*20), subject:s.person, date:'', time:'', doc:'', amount:s.amount,
+    why:'ยกเลิก '+s.count+' บิล ('+baht(s.amount)+') — ค่ากลางของพนักงาน '+Math.round(zc.med*10)/10+' บิล ('+baht(za.med)+') · z = '+s.z.toFixed(1)
+  }));
+  return {staff, flags};
+}
+
+function slotCancels(cancels, bills, o){
+  const cnt={}, bl={};
+  cancels.forEach(c=>{ const m=toMin(c.time); if(m!=null){ const h=Math.floor(m/60)%24; cnt[h]=(cnt[h]||0)+1; } });
+  bills.forEach(b=>{ if(b.min!=null){ const h=Math.floor(b.min/60)%24; bl[h]=(bl[h]||0)+1; } });
+  const hours=[...new Set([...Object.keys(cnt),...Object.keys(bl)].map(Number))].sort((a,b)=>a-b);
+  const totC=hours.reduce((s,h)=>s+(bl[h]?cnt[h]||0:0),0), totB=hours.reduce((s,h)=>s+(bl[h]||0),0);
+  const rate=totB?totC/totB:0;
+  const slots=hours.map(h=>{
+    const c=cnt[h]||0, b=bl[h]||0, exp=b*rate;
+    return {h, cancels:c, bills:b, rate:b?c/b:null, z:exp>0?(c-exp)/Math.sqrt(exp):0};
+  });
+  const flags=slots.filter(s=>s.cancels>=o.minCount&&s.bills&&s.z>=o.slotZ).map(s=>({
+    kind:'slot-cancel', score:clamp(s.z*20), subject:hhmm(s.h*60)+'–'+hhmm((s.h+1)*60), date:'', time:'', doc:'', amount:null,
+    why:s.cancels+' ยกเลิก / '+s.bills+' บิล = '+pct(s.rate*100)+' — ทั้งวัน '+pct(rate*100)+' · คาด '+(s.bills*rate).toFixed(1)+' บิล'
+  }));
+  return {slots, rate, flags};
+}
+
+function cancelAfterSale(cancels, bills, o){
+  const timed=bills.filter(b=>b.min!=null);
+  const high=quantile(timed.map(b=>b.net),o.highPct);
+  if(!timed.length||high<=0) return [];
+  const byDate={};
+  timed.forEach(b=>{ if(b.net>=high) (byDate[b.date]=byDate[b.date]||[]).push(b); });
+  const flags=[];
+  cancels.forEach(c=>{
+    const m=toMin(c.time);
+    if(m==null) return;
+    // closest high-value bill rung within nearMin before the cancel (an equal amount wins)
+    const near=(byDate[c.date]||[]).filter(b=>b.doc!==c.doc&&m>=b.min&&m-b.min<=o.nearMin)
+      .map(b=>({b,gap:m-b.min,same:Math.abs(b.net-c.amount)<1}))
+      .sort((x,y)=>(y.same-x.same)||(x.gap-y.gap))[0];
+    if(!near) return;
+    flags.push({
+      kind:'cancel-after', score:clamp(50+(near.same?30:0)+20*(1-near.gap/o.nearMin)), subject:c.person||'—',
+      date:c.date, time:hhmm(m), doc:c.doc, amount:c.amount,
+      why:'ยกเลิก '+near.gap+' นาทีหลังบิล '+near.b.doc+' ('+baht(near.b.net)+', สูงกว่า P'+Math.round(o.highPct*100)+' '+baht(high)+')'
+        +(near.same?' · ยอดเท่ากัน — อาจคีย์บิลซ้ำแล้วยกเลิก':'')
+    });
+  });
+  return flags;
+}
+
+// Staff Discount rates come from the catalogue's staff entries (maxPct, or the % in the name)
+function staffRates(catalogue){
+  return catalogue.filter(e=>e.type==='staff').map(e=>{
+    const m=e.name.match(/(\d+(?:\.\d+)?)\s*%/);
+    return e.maxPct!=null?e.maxPct:m?+m[1]:null;
+  }).filter(r=>r!=null);
+}
+
+function staffOffShift(bills, promoRows, catalogue, match, o){
+  const rates=staffRates(catalogue);
+  if(!rates.length) return [];
+  // with a promo file, only days on which a Staff Discount was actually used
+  const staffDays=promoRows.length?new Set(promoRows.filter(p=>p.count>0&&match(p)?.type==='staff').map(p=>p.date)):null;
+  const flags=[];
+  bills.forEach(b=>{
+    if(b.min==null||b.gross<=0||b.disc<=0||(staffDays&&!staffDays.has(b.date))) return;
+    const p=b.disc/b.gross*100;
+    const rate=rates.find(r=>Math.abs(p-r)<=o.tolPct);
+    if(rate==null||inShift(b.min,o.shifts)) return;
+    const gap=Math.min(...o.shifts.flatMap(s=>[toMin(s.from),toMin(s.to)]).map(x=>Math.min(Math.abs(b.min-x),1440-Math.abs(b.min-x))));
+    flags.push({
+      kind:'staff-shift', score:clamp(60+gap/4), subject:'Staff Discount '+rate+'%', date:b.date, time:hhmm(b.min), doc:b.doc, amount:b.disc,
+      why:'ส่วนลด '+pct(p)+' ของ '+baht(b.gross)+' ตรงกับ Staff Discount '+rate+'% แต่เวลา '+hhmm(b.min)+' อยู่นอกกะ ('
+        +o.shifts.map(s=>s.from+'–'+s.to).join(', ')+')'
+    });
+  });
+  return flags;
+}
+
+function staffFrequency(promoRows, match, o){
+  const by={};
+  promoRows.forEach(p=>{ if(match(p)?.type==='staff') by[p.date]=(by[p.date]||0)+(p.count||0); });
+  const days=Object.entries(by);
+  if(days.length<5) return [];   // too few days to know what normal looks like
+  const rz=robustZ(days.map(d=>d[1]),1);
+  return days.filter(([,n])=>n>=o.minCount&&rz.z(n)>=o.zMin).map(([date,n])=>({
+    kind:'staff-freq', score:clamp(rz.z(n)*20), subject:'Staff Discount', date, time:'', doc:'', amount:null,
+    why:'ใช้ '+n+' ครั้งในวันเดียว — ค่ากลาง '+rz.med+' ครั้ง/วัน · z = '+rz.z(n).toFixed(1)
+  }));
+}
+
+// → {flags, unruled: [{name, bills, amount}]} — unruled = promotions with no maxPct that were running on discounted bills
+function overRule(promoRows, bills, catalogue, match, o){
+  const flags=[], unruled={};
+  promoRows.forEach(p=>{
+    const e=match(p);
+    if(!e||e.maxPct==null||!(p.sales>0)) return;
+    const d=p.discount/p.sales*100;
+    if(d<=e.maxPct+o.tolPct) return;
+    flags.push({
+      kind:'over-rule', score:clamp(50+2*(d-e.maxPct)), subject:p.name, date:p.date, time:'', doc:'', amount:p.discount,
+      why:'ส่วนลดรวม '+pct(d)+' ของยอด '+baht(p.sales)+' — เงื่อนไขสูงสุด '+e.maxPct+'%'
+    });
+  });
+  // bill level: the highest ceiling among promotions running that day and hour; promos without a ceiling can't be judged → unruled
+  const dayPromos={};
+  promoRows.forEach(p=>{ const e=match(p); if(e&&p.count>0) (dayPromos[p.date]=dayPromos[p.date]||new Set()).add(e); });
+  bills.forEach(b=>{
+    if(b.gross<=0||b.disc<=0) return;
+    const active=[...(promoRows.length?dayPromos[b.date]||[]:catalogue)].filter(e=>!e.from||b.min==null||inShift(b.min,[e]));
+    const ruled=active.filter(e=>e.maxPct!=null), open=active.filter(e=>e.maxPct==null);
+    open.forEach(e=>{ const u=unruled[e.name]||(unruled[e.name]={name:e.name,bills:0,amount:0}); u.bills++; u.amount+=b.disc; });
+    if(!ruled.length) return;
+    const cap=Math.max(...ruled.map(e=>e.maxPct)), d=b.disc/b.gross*100;
+    if(d<=cap+o.tolPct) return;
+    flags.push({
+      kind:'over-rule', score:clamp(50+2*(d-cap)), subject:'บิล', date:b.date, time:b.min!=null?hhmm(b.min):'', doc:b.doc, amount:b.disc,
+      why:'ส่วนลด '+pct(d)+' ของ '+baht(b.gross)+' — โปรที่ใช้ได้ช่วงนี้ลดได้สูงสุด '+cap+'% ('+ruled.map(e=>e.name).join(', ')+')'
+        +(open.length?' · ไม่มีเพดาน: '+open.map(e=>e.name).join(', '):'')
+    });
+  });
+  return {flags, unruled:Object.values(unruled).sort((a,b)=>b.bills-a.bills)};
+}
+
+// ══════════ ENTRY ══════════
+// {cancelRows, salesRows, promoRows, catalogue, match(promoRow) → catalogue entry}
+//   → {flags (highest score first), staff, slots, rate, bills, unruled (promos the over-rule check could not judge)}
+function detectAnomalies(data, opts){
+  const o={...DEFAULT_OPTS,...opts};
+  const cancels=data.cancelRows||[], promoRows=data.promoRows||[], catalogue=data.catalogue||[];
+  const match=data.match||(()=>null);
+  const bills=billsOf(data.salesRows);
+  const sc=staffCancels(cancels,o), sl=slotCancels(cancels,bills,o), ov=overRule(promoRows,bills,catalogue,match,o);
+  const flags=[
+    ...sc.flags, ...sl.flags, ...cancelAfterSale(cancels,bills,o),
+    ...staffOffShift(bills,promoRows,catalogue,match,o), ...staffFrequency(promoRows,match,o),
+    ...ov.flags
+  ].sort((a,b)=>b.score-a.score||(b.amount||0)-(a.amount||0));
+  return {flags, staff:sc.staff, slots:sl.slots, rate:sl.rate, bills:bills.length, unruled:ov.unruled};
+}
+
+return {KINDS,DEFAULT_OPTS,detectAnomalies,parseShifts,inShift,robustZ,toMin,billsOf};
+});
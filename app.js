@@ -3,6 +3,9 @@
  */
 
 const SHEET_CSV_URL = 'https://docs.google.com/spreadsheets/d/11Mu-cO632cHm1oqp4CJpbIP4BUrIoEr7Rr5H3gbK3C0/gviz/tq?tqx=out:csv&gid=1771017753';
+const PROXY_URL = 'https://corsproxy.io/?url=';
+const SOURCE_KEY = 'nigiben-inventory-source'; // {url, proxy} chosen on the page
+const CACHE_KEY = 'nigiben-inventory-cache';   // last successfully parsed sheet rows
 
 // Global Chart Instances
 let trendChart = null;
@@ -12,17 +15,92 @@ let topWasteChart = null;
 // Extracted Data
 let globalStoreData = []; // [{date, dayNum, products: [...]}, ...]
 let activeDayIndex = -1;
+let currentRows = null;   // raw sheet rows behind globalStoreData
+let dataSource = null;    // {type: 'url' | 'file' | 'cache', label, at}
 
 // Sorting state
 let sortCol = '';
 let sortAsc = true;
 
+// Sheet layout — matched against header row 1, so inserted/moved columns don't shift the data
+const SHEET_SCHEMA = {
+    // Product columns before the first day block; `fallback` = legacy position when no header matches
+    product: {
+        category: { match: ['หมวดหมู่', 'หมวด', 'category'], fallback: 1 },
+        code: { match: ['รหัสสินค้า', 'รหัส', 'code'], fallback: 2 },
+        name: { match: ['ชื่อสินค้า', 'name', 'ชื่อ', 'สินค้า'], fallback: 3 },
+        // Optional unit price/cost used to value stock variances (POS average price otherwise)
+        price: { match: ['ราคา', 'ต้นทุน', 'price', 'cost'], optional: true }
+    },
+    // A header like "1 ก.พ." opens a day block; the block runs until the next one
+    dayHeader: /^\d+\s+[^ ]+/,
+    // Fields inside a day block (first match wins, in this order)
+    fields: {
+        broughtForward: { match: ['ยกมา'], combine: 'last' },
+        received: { match: ['รับเข้า', 'total'], combine: 'max' },
+        sold: { match: ['ขาย', 'ตัดสต็อก'], combine: 'sum' },
+        waste: { match: ['was', 'ทิ้ง'], combine: 'sum' },
+        counted: { match: ['นับจริง', 'นับ', 'count'], combine: 'last' } // physical count at close (optional)
+    },
+    // Legacy layout, used only when the header has no recognisable day blocks
+    legacy: { firstDayCol: 8, dayWidth: 8 }
+};
+
+// Data-quality findings of the last parse (shown in the Data Quality panel)
+let dataQuality = { skipped: [], unmatched: [], carryMismatch: [], notes: [] };
+
+// Production planning
+const WASTE_TARGET = 0.05;     // waste ÷ (sold + waste) we accept per SKU
+const SAFETY_BUFFER = 0.10;    // extra prep on top of forecast demand
+const CHRONIC_WINDOW = 7;      // days looked back for waste rate / chronic waste
+const CHRONIC_MIN_DAYS = 3;    // days above target within the window to flag an SKU
+let posDemand = null;          // {byCode: {MINI001: {'01/03/2026': qty}}, dates: [...]} from the dashboard snapshot
+
+// Stock alerts
+const PAR_KEY = 'nigiben-par-levels';       // {code: minimum stock} edited in the inventory table
+const NOTIFY_KEY = 'nigiben-par-notify';    // '1' when browser notifications are switched on
+const STORE_OPEN_HOUR = 6;                  // trading hours for the run-out projection
+const STORE_CLOSE_HOUR = 22;
+let knownBreaches = null;                   // alert keys seen at the previous refresh
+
 // Initialization
 document.addEventListener('DOMContentLoaded', () => {
-    fetchData();
+    initSourcePanel();
+
+    // Render the last good dataset straight away, then try for fresh data
+    const cached = loadCachedRows();
+    if (cached && cached.rows) {
+        try {
+            loadRows(cached.rows, { ...cached.source, type: 'cache' });
+        } catch (e) {
+            console.warn('Inventory cache unusable:', e);
+        }
+    }
+    fetchData().then(notifyNewBreaches); // first pass only sets the baseline
+
+    // POS sales saved by the sales dashboard (index.html) — used for prep demand
+    loadPosSnapshot().then(snap => {
+        posDemand = buildPosDemand(posRowsFromSnapshot(snap));
+        if (globalStoreData.length > 0) {
+            renderProductionPlan();
+            renderReconciliation();
+        }
+    });
 
-    // Auto refresh every 5 minutes (300000 ms)
-    setInterval(fetchData, 300000);
+    // Auto refresh every 5 minutes (300000 ms) — an imported file stays until the next manual refresh
+    setInterval(() => {
+        if (!dataSource || dataSource.type !== 'file') fetchData().then(notifyNewBreaches);
+    }, 300000);
+
+    // Par levels (inventory table) and notifications
+    document.getElementById('inventory-table-body').addEventListener('change', (e) => {
+        const input = e.target.closest('input[data-par]');
+        if (!input) return;
+        setParLevel(input.dataset.par, cleanNumber(input.value));
+        renderTable();
+        renderStockAlerts();
+    });
+    document.getElementById('notify-btn').addEventListener('click', toggleNotifications);
 
     // Manual refresh button
     document.getElementById('refresh-btn').addEventListener('click', () => {
@@ -39,6 +117,14 @@ document.addEventListener('DOMContentLoaded', () => {
         updateDashboardView();
     });
 
+    // Reconciliation mode toggle
+    document.getElementById('recon-btn').addEventListener('click', () => {
+        const panel = document.getElementById('recon-panel');
+        panel.classList.toggle('hidden');
+        document.getElementById('recon-btn').classList.toggle('bg-indigo-600', !panel.classList.contains('hidden'));
+        renderReconciliation();
+    });
+
     // Search listener
     document.getElementById('search-input').addEventListener('input', () => {
         renderTable();
@@ -67,39 +153,50 @@ document.addEventListener('DOMContentLoaded', () => {
     });
 });
 
+// ── Data source: configurable URL, file import, offline cache ──
+function getSourceConfig() {
+    try {
+        const cfg = JSON.parse(localStorage.getItem(SOURCE_KEY));
+        if (cfg && cfg.url) return cfg;
+    } catch (e) { /* fall through to default */ }
+    return { url: SHEET_CSV_URL, proxy: true };
+}
+
+function sourceRequestUrl(cfg) {
+    return cfg.proxy ? PROXY_URL + encodeURIComponent(cfg.url) : cfg.url;
+}
+
 async function fetchData() {
+    const cfg = getSourceConfig();
     try {
         console.log('Fetching fresh inventory data...');
-        // Use a CORS proxy to bypass browser restrictions
-        const url = `https://corsproxy.io/?url=${encodeURIComponent(SHEET_CSV_URL)}`;
-
-        const response = await fetch(url);
+        // Google Sheets needs a CORS proxy; our own proxy / local file server can be fetched directly
+        const response = await fetch(sourceRequestUrl(cfg));
         if (!response.ok) {
             throw new Error(`HTTP error! Status: ${response.status}`);
         }
 
         const csvText = await response.text();
-        parseCSV(csvText);
-
-        // Show content, hide loader
-        document.getElementById('loader').classList.add('hidden');
-        document.getElementById('dashboard-content').classList.remove('hidden');
-
-        // Update timestamp
-        const now = new Date();
-        document.getElementById('last-updated').textContent = now.toLocaleTimeString('th-TH') + ' (' + now.toLocaleDateString('th-TH') + ')';
+        parseCSV(csvText, { type: 'url', label: cfg.url === SHEET_CSV_URL ? 'Google Sheets' : cfg.url, at: Date.now() });
 
     } catch (error) {
         console.error('Error fetching data:', error);
-        document.getElementById('last-updated').textContent = 'Update Failed';
-        document.getElementById('last-updated').classList.add('text-red-400');
+        const lastUpdated = document.getElementById('last-updated');
+        lastUpdated.textContent = dataSource ? 'Update Failed · ใช้ข้อมูลเดิม' : 'Update Failed';
+        lastUpdated.classList.add('text-red-400');
+        setSourceStatus(`ดึงข้อมูลไม่สำเร็จ (${error.message}) — ลากไฟล์ CSV / XLSX มาวางเพื่อนำเข้าแทน`, true);
+        // Nothing to show at all — open the import panel instead of spinning forever
+        if (!dataSource) {
+            document.getElementById('loader').classList.add('hidden');
+            document.getElementById('source-panel').classList.remove('hidden');
+        }
     }
 }
 
-function parseCSV(csvText) {
+function parseCSV(csvText, source) {
     Papa.parse(csvText, {
         complete: function (results) {
-            processData(results.data);
+            loadRows(results.data, source);
         },
         error: function (err) {
             console.error('Papa Parse Error:', err);
@@ -107,6 +204,124 @@ function parseCSV(csvText) {
     });
 }
 
+// Rows (header + products, as strings) → dashboard; cached so the page still renders offline
+function loadRows(rows, source) {
+    const sheet = parseStockSheet(rows);
+    // Not a stock sheet — reject before touching the state, so whatever was on screen stays
+    if (!sheet || !sheet.days.some(d => d.products.length > 0)) throw new Error('ไม่พบรายการสินค้าในข้อมูล');
+    processData(sheet);
+    currentRows = rows;
+    dataSource = source;
+    if (source.type !== 'cache') saveCachedRows(rows, source);
+
+    // Show content, hide loader
+    document.getElementById('loader').classList.add('hidden');
+    document.getElementById('dashboard-content').classList.remove('hidden');
+
+    // Update timestamp
+    const at = new Date(source.at);
+    const lastUpdated = document.getElementById('last-updated');
+    lastUpdated.textContent = at.toLocaleTimeString('th-TH') + ' (' + at.toLocaleDateString('th-TH') + ')';
+    lastUpdated.classList.toggle('text-red-400', source.type === 'cache');
+
+    const kind = { url: 'ออนไลน์', file: 'ไฟล์นำเข้า', cache: 'ข้อมูลแคช (ออฟไลน์)' }[source.type];
+    setSourceStatus(`แหล่งข้อมูล: ${kind} · ${source.label}`, false);
+}
+
+function saveCachedRows(rows, source) {
+    try {
+        localStorage.setItem(CACHE_KEY, JSON.stringify({ rows, source }));
+    } catch (e) {
+        console.warn('Inventory cache not saved:', e);
+    }
+}
+
+function loadCachedRows() {
+    try {
+        return JSON.parse(localStorage.getItem(CACHE_KEY));
+    } catch (e) {
+        return null;
+    }
+}
+
+// Exported CSV or XLSX of the same sheet
+async function importFile(file) {
+    const ext = file.name.split('.').pop().toLowerCase();
+    const source = { type: 'file', label: file.name, at: Date.now() };
+    try {
+        if (ext === 'xlsx' || ext === 'xls') {
+            if (typeof XLSX === 'undefined') throw new Error('โหลดตัวอ่าน XLSX ไม่สำเร็จ');
+            const wb = XLSX.read(await file.arrayBuffer(), { type: 'array' });
+            const toRows = name => XLSX.utils.sheet_to_json(wb.Sheets[name], { header: 1, raw: false, defval: '' });
+            // First tab whose header row carries day columns; otherwise the first tab
+            const name = wb.SheetNames.find(n => (toRows(n)[0] || []).some(h => SHEET_SCHEMA.dayHeader.test((h || '').toString().trim())))
+                || wb.SheetNames[0];
+            loadRows(toRows(name), { ...source, label: `${file.name} · ${name}` });
+        } else {
+            parseCSV(await file.text(), source);
+        }
+        document.getElementById('source-panel').classList.add('hidden');
+    } catch (error) {
+        console.error('Import failed:', error);
+        setSourceStatus(`นำเข้า ${file.name} ไม่สำเร็จ: ${error.message}`, true);
+    }
+}
+
+function setSourceStatus(text, isError) {
+    const el = document.getElementById('source-status');
+    el.textContent = text;
+    el.className = `text-xs mt-4 ${isError ? 'text-red-400' : 'text-gray-400'}`;
+}
+
+function initSourcePanel() {
+    const panel = document.getElementById('source-panel');
+    const urlInput = document.getElementById('source-url');
+    const proxyInput = document.getElementById('source-proxy');
+    const dropZone = document.getElementById('drop-zone');
+    const fileInput = document.getElementById('file-input');
+
+    const cfg = getSourceConfig();
+    urlInput.value = cfg.url;
+    proxyInput.checked = cfg.proxy;
+
+    document.getElementById('source-btn').addEventListener('click', () => panel.classList.toggle('hidden'));
+
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files[0]) importFile(fileInput.files[0]);
+        fileInput.value = '';
+    });
+    dropZone.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        dropZone.classList.add('border-indigo-400', 'bg-indigo-500/10');
+    });
+    dropZone.addEventListener('dragleave', () => dropZone.classList.remove('border-indigo-400', 'bg-indigo-500/10'));
+    dropZone.addEventListener('drop', (e) => {
+        e.preventDefault();
+        dropZone.classList.remove('border-indigo-400', 'bg-indigo-500/10');
+        if (e.dataTransfer.files[0]) importFile(e.dataTransfer.files[0]);
+    });
+
+    document.getElementById('source-save').addEventListener('click', () => {
+        const url = urlInput.value.trim();
+        if (!url) return;
+        try {
+            new URL(url, location.href); // relative paths are fine for a local file server
+        } catch (e) {
+            return setSourceStatus('URL ไม่ถูกต้อง', true);
+        }
+        localStorage.setItem(SOURCE_KEY, JSON.stringify({ url, proxy: proxyInput.checked }));
+        setSourceStatus('บันทึกแหล่งข้อมูลแล้ว — กำลังดึงข้อมูล...', false);
+        fetchData();
+    });
+    document.getElementById('source-reset').addEventListener('click', () => {
+        localStorage.removeItem(SOURCE_KEY);
+        urlInput.value = SHEET_CSV_URL;
+        proxyInput.checked = true;
+        setSourceStatus('กลับไปใช้ Google Sheets ผ่าน proxy — กำลังดึงข้อมูล...', false);
+        fetchData();
+    });
+}
+
 function cleanNumber(val) {
     if (!val) return 0;
     if (typeof val === 'number') return val;
@@ -117,71 +332,173 @@ function cleanNumber(val) {
     return isNaN(num) ? 0 : num;
 }
 
-function processData(data) {
-    if (!data || data.length < 2) return;
+function colName(i) {
+    let s = '';
+    for (let n = i + 1; n > 0; n = Math.floor((n - 1) / 26)) s = String.fromCharCode(65 + (n - 1) % 26) + s;
+    return s;
+}
 
-    // Detect Max Days available.
-    // Daily columns start at index 8 and each day is 8 columns wide.
-    const row1 = data[0];
-    const totalCols = row1.length;
-    let maxDays = Math.floor((totalCols - 8) / 8);
+// English aliases only match at the start of a word ("count" is not in "Discount"); Thai has no word breaks
+function headerHas(h, m) {
+    return /^[a-z]/.test(m) ? new RegExp('\\b' + m).test(h) : h.includes(m);
+}
 
-    // Safety cap
-    if (maxDays > 31) maxDays = 31;
-    if (maxDays < 1) maxDays = 1;
+// Price/cost headers are product columns, even when they name a field ("ราคาขาย" is not a sold column)
+function isPriceHeader(h) {
+    return SHEET_SCHEMA.product.price.match.some(m => headerHas(h, m));
+}
 
-    globalStoreData = [];
-    let previousDayRemain = {};
+function matchField(header) {
+    const h = (header || '').toString().toLowerCase();
+    if (!h || isPriceHeader(h)) return null;
+    return Object.keys(SHEET_SCHEMA.fields).find(f => SHEET_SCHEMA.fields[f].match.some(m => headerHas(h, m))) || null;
+}
 
-    // Parse Data Day by Day
-    for (let day = 1; day <= maxDays; day++) {
-        let dayStartCol = 8 + (day - 1) * 8;
-
-        // Find Date string from header if possible
-        let dateLabel = `วันที่ ${day}`;
-        if (row1[dayStartCol] && typeof row1[dayStartCol] === 'string') {
-            const match = row1[dayStartCol].match(/^\d+\s+[^ ]+/);
-            if (match) dateLabel = match[0];
+// Product headers → {key: col}. Exact header text first, then substrings in `match` order, and a column
+// claimed by one field is skipped for the rest ("สินค้า" must not land on "รหัสสินค้า")
+function resolveProductColumns(headers) {
+    const text = headers.map(h => h.toLowerCase());
+    const defs = Object.entries(SHEET_SCHEMA.product);
+    const found = {};
+    const claim = test => defs.forEach(([key, def]) => {
+        if (found[key] !== undefined) return;
+        for (const m of def.match) {
+            const idx = text.findIndex((h, col) => h && test(h, m) && !Object.values(found).includes(col));
+            if (idx !== -1) { found[key] = idx; return; }
+        }
+    });
+    claim((h, m) => h === m);
+    claim(headerHas);
+    return found;
+}
+
+// Header row → { product: {category, code, name}, days: [{label, fields: {received: [cols], ...}}], unmatched, notes }
+function detectSheetLayout(header) {
+    const layout = { product: {}, days: [], unmatched: [], notes: [] };
+    const text = header.map(v => (v || '').toString().trim());
+    const hasDayHeaders = text.some(h => SHEET_SCHEMA.dayHeader.test(h));
+    let current = null;
+
+    text.forEach((h, col) => {
+        const field = matchField(h);
+        const dayMatch = h.match(SHEET_SCHEMA.dayHeader);
+        // New block on a date header, on a repeated "ยกมา", or (no date headers at all) on the first field
+        const opens = dayMatch
+            || (field === 'broughtForward' && current && current.fields.broughtForward)
+            || (!hasDayHeaders && field && !current);
+        if (opens) {
+            current = { label: dayMatch ? dayMatch[0] : `วันที่ ${layout.days.length + 1}`, fields: {} };
+            layout.days.push(current);
+        }
+        if (!current) return; // still in the product columns
+        if (field) (current.fields[field] = current.fields[field] || []).push(col);
+        else if (h && !dayMatch) {
+            // Group by header text — the same stray column usually repeats in every day block
+            let u = layout.unmatched.find(x => x.header === h);
+            if (!u) layout.unmatched.push(u = { header: h, cols: [] });
+            u.cols.push(colName(col));
+        }
+    });
+
+    if (layout.days.length === 0) {
+        // Nothing recognisable — fall back to fixed offsets so the sheet still loads
+        const { firstDayCol, dayWidth } = SHEET_SCHEMA.legacy;
+        const n = Math.max(1, Math.floor((text.length - firstDayCol) / dayWidth));
+        for (let d = 0; d < n; d++) {
+            const fields = {};
+            for (let c = 0; c < dayWidth; c++) {
+                const f = matchField(text[firstDayCol + d * dayWidth + c]);
+                if (f) (fields[f] = fields[f] || []).push(firstDayCol + d * dayWidth + c);
+            }
+            layout.days.push({ label: `วันที่ ${d + 1}`, fields });
+        }
+        layout.notes.push(`ไม่พบหัวคอลัมน์วันที่ — ใช้ตำแหน่งเดิม (เริ่มคอลัมน์ ${colName(firstDayCol)}, วันละ ${dayWidth} คอลัมน์)`);
+    }
+
+    // Product columns: header match before the first day block, else legacy position
+    const firstDayCol = text.findIndex(h => SHEET_SCHEMA.dayHeader.test(h) || matchField(h));
+    const productArea = text.slice(0, firstDayCol === -1 ? text.length : firstDayCol);
+    const found = resolveProductColumns(productArea);
+    Object.entries(SHEET_SCHEMA.product).forEach(([key, def]) => {
+        const idx = found[key] !== undefined ? found[key] : -1;
+        if (def.optional) {
+            layout.product[key] = idx !== -1 ? idx : null;
+            return;
         }
+        layout.product[key] = idx !== -1 ? idx : def.fallback;
+        if (idx === -1) layout.notes.push(`ไม่พบหัวคอลัมน์ "${def.match[0]}" — ใช้คอลัมน์ ${colName(def.fallback)}`);
+    });
 
+    layout.days.forEach(d => {
+        const missing = ['received', 'sold', 'waste'].filter(f => !d.fields[f]);
+        if (missing.length > 0) layout.notes.push(`${d.label}: ไม่พบคอลัมน์ ${missing.join(', ')}`);
+    });
+    return layout;
+}
+
+// Combine the cells of one field according to SHEET_SCHEMA (legacy rules: received = max, sold/waste = sum)
+function readField(row, cols, combine) {
+    if (!cols) return 0;
+    const vals = cols.map(c => cleanNumber(row[c]));
+    if (combine === 'last') return vals[vals.length - 1];
+    if (combine === 'max') return Math.max(0, ...vals.map(Math.abs));
+    return vals.reduce((s, v) => s + Math.abs(v), 0);
+}
+
+// Same as readField, but null when every cell is blank (so "not counted" differs from "counted 0")
+function readOptionalField(row, cols, combine) {
+    if (!cols || cols.every(c => (row[c] || '').toString().trim() === '')) return null;
+    return readField(row, cols, combine);
+}
+
+// Sheet rows → {days: [{dayNum, dateLabel, hasData, products}], quality}; null when there is no data row.
+// Touches no page state, so a rejected import leaves the dashboard as it was
+function parseStockSheet(data) {
+    if (!data || data.length < 2) return null;
+
+    const row1 = data[0];
+    const layout = detectSheetLayout(row1);
+    const pc = layout.product;
+    const quality = { skipped: [], unmatched: layout.unmatched, carryMismatch: [], notes: layout.notes };
+
+    let days = [];
+    let previousDayRemain = {};
+
+    // Parse Data Day by Day
+    layout.days.forEach((block, dayIdx) => {
+        const day = dayIdx + 1;
+        const F = SHEET_SCHEMA.fields;
         let products = [];
         let dayHasAnyData = false;
 
         // Start reading products from row 2 (index 1) to end (excluding summary rows at bottom if any)
         for (let i = 1; i < data.length; i++) {
             const row = data[i];
-
-            // Validate it's a product row (has name and category)
-            if (!row || !row[1] || row[1].trim() === '' || !row[3] || row[3].trim() === '') {
-                // Skip non-product rows
+            if (!row || row.every(v => (v || '').toString().trim() === '')) continue;
+
+            const category = (row[pc.category] || '').toString().trim();
+            const code = (row[pc.code] || '').toString().trim();
+            const name = (row[pc.name] || '').toString().trim();
+            const price = pc.price !== null && (row[pc.price] || '').toString().trim() !== '' ? cleanNumber(row[pc.price]) : null;
+
+            // Validate it's a product row (has name and category) — report once, on the first day
+            if (!category || !name) {
+                if (day === 1) {
+                    quality.skipped.push({
+                        row: i + 1,
+                        reason: !name ? 'ไม่มีชื่อสินค้า' : 'ไม่มีหมวดหมู่',
+                        preview: row.slice(0, 6).filter(v => (v || '').toString().trim() !== '').join(' · ')
+                    });
+                }
                 continue;
             }
 
-            const category = row[1];
-            const code = row[2];
-            const name = row[3];
-
-            // Extract numbers for this day (robust header extraction)
-            let received = 0;
-            let sold = 0;
-            let waste = 0;
-            let broughtForwardSheet = 0;
-
-            for (let c = 0; c < 8; c++) {
-                const header = (row1[dayStartCol + c] || '').toLowerCase();
-                const val = cleanNumber(row[dayStartCol + c]);
-                const absVal = Math.abs(val);
-
-                if (header.includes('ยกมา')) {
-                    broughtForwardSheet = val;
-                } else if (header.includes('รับเข้า') || header.includes('total')) {
-                    received = Math.max(received, absVal);
-                } else if (header.includes('ขาย') || header.includes('ตัดสต็อก')) {
-                    sold += absVal;
-                } else if (header.includes('was') || header.includes('ทิ้ง')) {
-                    waste += absVal;
-                }
-            }
+            const broughtForwardSheet = readField(row, block.fields.broughtForward, F.broughtForward.combine);
+            const received = readField(row, block.fields.received, F.received.combine);
+            const sold = readField(row, block.fields.sold, F.sold.combine);
+            const waste = readField(row, block.fields.waste, F.waste.combine);
+            const sheetBroughtForward = readOptionalField(row, block.fields.broughtForward, F.broughtForward.combine);
+            const counted = readOptionalField(row, block.fields.counted, F.counted.combine);
 
             // Set initial previous day remain if day 1 and it has 'ยกมา' in the sheet
             if (day === 1 && !previousDayRemain[code] && broughtForwardSheet > 0) {
@@ -189,6 +506,12 @@ function processData(data) {
             }
 
             let broughtForward = previousDayRemain[code] || 0;
+
+            // Sheet's own "ยกมา" should equal yesterday's computed remain
+            if (day > 1 && sheetBroughtForward !== null && Math.abs(sheetBroughtForward - broughtForward) > 1e-9) {
+                quality.carryMismatch.push({ day: block.label, code, name, sheet: broughtForwardSheet, expected: broughtForward });
+            }
+
             let remain = broughtForward + received - sold - waste;
 
             // Save for the next day's iteration
@@ -206,23 +529,33 @@ function processData(data) {
                 received,
                 sold,
                 waste,
-                remain
+                remain,
+                sheetBroughtForward,
+                counted,
+                price
             });
         }
 
-        globalStoreData.push({
+        days.push({
             dayNum: day,
-            dateLabel: dateLabel,
+            dateLabel: block.label,
             hasData: dayHasAnyData,
             products: products
         });
-    }
+    });
 
     // Filter out future days that don't have data at all yet
-    const validDays = globalStoreData.filter(d => d.hasData);
+    const validDays = days.filter(d => d.hasData);
     if (validDays.length > 0) {
-        globalStoreData = validDays;
+        days = validDays;
     }
+    return { days, quality };
+}
+
+// Parsed sheet → page state, day selector and the dashboard
+function processData(sheet) {
+    globalStoreData = sheet.days;
+    dataQuality = sheet.quality;
 
     // Populate Selector
     const selector = document.getElementById('day-selector');
@@ -251,6 +584,7 @@ function processData(data) {
 
     selector.value = activeDayIndex;
 
+    renderDataQuality();
     updateDashboardView();
 }
 
@@ -286,6 +620,10 @@ function updateDashboardView() {
     renderTrendChart();
     renderTopProductsChart();
     renderTopWasteChart();
+
+    renderStockAlerts();
+    renderProductionPlan();
+    renderReconciliation();
 }
 
 function animateValue(id, start, end, duration) {
@@ -337,17 +675,21 @@ function renderTable() {
     }
 
     if (filtered.length === 0) {
-        tbody.innerHTML = '<tr><td colspan="8" class="px-6 py-8 text-center text-gray-400">ไม่พบข้อมูลสินค้า</td></tr>';
+        tbody.innerHTML = '<tr><td colspan="9" class="px-6 py-8 text-center text-gray-400">ไม่พบข้อมูลสินค้า</td></tr>';
         return;
     }
 
+    const par = loadParLevels();
+
     filtered.forEach(p => {
+        const key = p.code || p.name;
         const tr = document.createElement('tr');
         tr.className = 'hover:bg-white/5 border-b border-white/5 transition-colors';
 
         let remClass = 'text-amber-300';
         if (p.remain === 0 && (p.received > 0 || p.broughtForward > 0)) remClass = 'text-gray-500'; // All sold out!
         if (p.remain < 0) remClass = 'text-rose-400';
+        const belowPar = par[key] > 0 && p.remain < par[key];
 
         tr.innerHTML = `
             <td class="px-6 py-3 font-mono text-xs text-gray-400">${p.code || '-'}</td>
@@ -359,7 +701,11 @@ function renderTable() {
             <td class="px-6 py-3 text-center text-blue-300 font-semibold">${p.received > 0 ? p.received : '-'}</td>
             <td class="px-6 py-3 text-center text-emerald-400 font-bold">${p.sold > 0 ? p.sold : '-'}</td>
             <td class="px-6 py-3 text-center text-rose-300">${p.waste > 0 ? p.waste : '-'}</td>
-            <td class="px-6 py-3 text-center ${remClass} font-bold">${p.remain}</td>
+            <td class="px-6 py-3 text-center ${remClass} font-bold">${p.remain}${belowPar ? ' <i class="fas fa-exclamation-circle text-amber-400" title="ต่ำกว่า Par"></i>' : ''}</td>
+            <td class="px-6 py-3 text-center">
+                <input type="number" min="0" data-par="${key}" value="${par[key] || ''}" placeholder="-"
+                    class="w-16 bg-black/30 border border-white/10 rounded px-2 py-1 text-center text-sm focus:outline-none focus:border-indigo-500">
+            </td>
         `;
         tbody.appendChild(tr);
     });
@@ -551,12 +897,15 @@ function renderTopWasteChart() {
         return;
     }
 
-    const labels = sorted.map(p => p.name.length > 20 ? p.name.substring(0, 20) + '...' : p.name);
+    // Chronic waste (above target on several recent days) is marked and drawn in amber
+    const chronic = new Set(computeWasteStats().filter(s => s.chronic).map(s => s.code));
+    const labels = sorted.map(p => (chronic.has(p.code) ? '⚠ ' : '') + (p.name.length > 20 ? p.name.substring(0, 20) + '...' : p.name));
     const data = sorted.map(p => p.waste);
 
     const gradientBar = ctx.createLinearGradient(0, 0, 400, 0);
     gradientBar.addColorStop(0, '#f43f5e'); // rose-500
     gradientBar.addColorStop(1, '#ef4444'); // red-500
+    const barColors = sorted.map(p => chronic.has(p.code) ? '#f59e0b' : gradientBar);
 
     topWasteChart = new Chart(ctx, {
         type: 'bar',
@@ -565,7 +914,7 @@ function renderTopWasteChart() {
             datasets: [{
                 label: 'ยอดสูญเสีย (ชิ้น/กล่อง)',
                 data: data,
-                backgroundColor: gradientBar,
+                backgroundColor: barColors,
                 borderRadius: 4,
             }]
         },
@@ -577,7 +926,11 @@ function renderTopWasteChart() {
                 legend: { display: false },
                 tooltip: {
                     backgroundColor: 'rgba(15, 23, 42, 0.9)',
-                    padding: 10
+                    padding: 10,
+                    callbacks: {
+                        afterLabel: (item) => chronic.has(sorted[item.dataIndex].code)
+                            ? `ของเสียเกินเป้า ${Math.round(WASTE_TARGET * 100)}% ต่อเนื่อง (${CHRONIC_WINDOW} วันล่าสุด)` : ''
+                    }
                 }
             },
             scales: {
@@ -592,3 +945,435 @@ function renderTopWasteChart() {
         }
     });
 }
+
+// ── Production planning: inventory (this sheet) × POS sales (sales dashboard snapshot) ──
+
+// Latest snapshot saved by index.html in IndexedDB ('nigiben-db' / 'snapshots'), or null
+function loadPosSnapshot() {
+    return new Promise((resolve) => {
+        if (!window.indexedDB) return resolve(null);
+        const req = indexedDB.open('nigiben-db');
+        // Never create the DB here — the sales dashboard owns its schema
+        req.onupgradeneeded = () => req.transaction.abort();
+        req.onerror = () => resolve(null);
+        req.onsuccess = () => {
+            const db = req.result;
+            if (!db.objectStoreNames.contains('snapshots')) {
+                db.close();
+                return resolve(null);
+            }
+            const name = localStorage.getItem('nigiben-last-snapshot');
+            const store = db.transaction('snapshots').objectStore('snapshots');
+            const get = name ? store.get(name) : store.getAll();
+            get.onsuccess = () => {
+                db.close();
+                const r = get.result;
+                resolve(Array.isArray(r) ? r[r.length - 1] || null : r || null);
+            };
+            get.onerror = () => {
+                db.close();
+                resolve(null);
+            };
+        };
+    });
+}
+
+// Item-level POS rows of the branch on screen in the dashboard (all branches when "ALL")
+function posRowsFromSnapshot(snap) {
+    if (!snap) return [];
+    let datasets = [snap];
+    if (snap.branches) {
+        datasets = snap.branches[snap.active] ? [snap.branches[snap.active]] : Object.values(snap.branches);
+    }
+    return datasets.flatMap(ds => (ds.productRows && ds.productRows.length > 0) ? ds.productRows : (ds.salesRows || []));
+}
+
+// POS qty (and average price) per product code per date — code is the part before " / " (e.g. "MINI001 / Salmon Sushi")
+function buildPosDemand(rows) {
+    const byCode = {};
+    const dates = new Set();
+    const gross = {};
+    rows.forEach(r => {
+        if (!r.prod || !r.date) return;
+        const code = r.prod.split('/')[0].trim().toUpperCase();
+        if (!byCode[code]) byCode[code] = {};
+        byCode[code][r.date] = (byCode[code][r.date] || 0) + (r.qty || 0);
+        dates.add(r.date);
+        if (!gross[code]) gross[code] = { value: 0, qty: 0 };
+        gross[code].value += r.gross ?? r.net ?? 0;
+        gross[code].qty += r.qty || 0;
+    });
+    // Average selling price (before discount) per code — values stock variances
+    const prices = {};
+    Object.entries(gross).forEach(([code, g]) => {
+        if (g.qty > 0 && g.value > 0) prices[code] = g.value / g.qty;
+    });
+    const toTs = d => { const [dd, mm, yy] = d.split('/'); return new Date(+yy, +mm - 1, +dd).getTime(); };
+    const sorted = [...dates].sort((a, b) => toTs(a) - toTs(b));
+    return sorted.length > 0 ? { byCode, dates: sorted, toTs, prices } : null;
+}
+
+// "1 ก.พ." → Date (current year); null when the header has no usable date
+function parseDateLabel(label) {
+    const months = ['ม.ค.', 'ก.พ.', 'มี.ค.', 'เม.ย.', 'พ.ค.', 'มิ.ย.', 'ก.ค.', 'ส.ค.', 'ก.ย.', 'ต.ค.', 'พ.ย.', 'ธ.ค.'];
+    const m = (label || '').match(/^(\d+)\s+(\S+)/);
+    if (!m) return null;
+    const mi = months.indexOf(m[2]);
+    return mi === -1 ? null : new Date(new Date().getFullYear(), mi, parseInt(m[1], 10));
+}
+
+// Recent average × day-of-week index. points = [{dow, qty}] oldest → newest
+function forecastDemand(points, dow) {
+    const hist = points.slice(-28);
+    const recent = points.slice(-14);
+    if (recent.length === 0) return 0;
+    const avg = arr => arr.reduce((s, p) => s + p.qty, 0) / arr.length;
+    const base = avg(recent);
+    const mean = avg(hist);
+    const same = hist.filter(p => p.dow === dow);
+    const idx = (dow != null && same.length > 0 && mean > 0) ? avg(same) / mean : 1;
+    return base * idx;
+}
+
+// Waste rate and chronic flag per SKU over the CHRONIC_WINDOW days ending at the selected day
+function computeWasteStats() {
+    const days = globalStoreData.slice(Math.max(0, activeDayIndex - CHRONIC_WINDOW + 1), activeDayIndex + 1);
+    const stats = {};
+    days.forEach(day => day.products.forEach(p => {
+        const s = stats[p.code] || (stats[p.code] = { code: p.code, sold: 0, waste: 0, daysOver: 0 });
+        s.sold += p.sold;
+        s.waste += p.waste;
+        if (p.sold + p.waste > 0 && p.waste / (p.sold + p.waste) > WASTE_TARGET) s.daysOver++;
+    }));
+    return Object.values(stats).map(s => ({
+        ...s,
+        rate: (s.sold + s.waste) > 0 ? s.waste / (s.sold + s.waste) : 0,
+        chronic: s.daysOver >= CHRONIC_MIN_DAYS
+    }));
+}
+
+// Prep for the day after the selected day: demand × (1 + buffer) − carry-over.
+// High-waste SKUs get no safety buffer.
+function computeProductionPlan() {
+    const day = globalStoreData[activeDayIndex];
+    if (!day) return [];
+    const dayDate = parseDateLabel(day.dateLabel);
+    const tomorrow = dayDate ? new Date(dayDate.getTime() + 86400000) : null;
+    const dow = tomorrow ? tomorrow.getDay() : null;
+    const waste = {};
+    computeWasteStats().forEach(s => { waste[s.code] = s; });
+
+    return day.products.filter(p => p.code).map(p => {
+        const code = p.code.trim().toUpperCase();
+        let points;
+        let source;
+        if (posDemand && posDemand.byCode[code]) {
+            points = posDemand.dates.map(d => ({ dow: new Date(posDemand.toTs(d)).getDay(), qty: posDemand.byCode[code][d] || 0 }));
+            source = 'POS';
+        } else {
+            points = globalStoreData.slice(0, activeDayIndex + 1).map(d => {
+                const dt = parseDateLabel(d.dateLabel);
+                const row = d.products.find(x => x.code === p.code);
+                return { dow: dt ? dt.getDay() : null, qty: row ? row.sold : 0 };
+            });
+            source = 'Stock';
+        }
+        const demand = forecastDemand(points, dow);
+        const w = waste[p.code] || { rate: 0, chronic: false };
+        const buffer = w.rate > WASTE_TARGET ? 0 : SAFETY_BUFFER;
+        const carry = Math.max(0, p.remain);
+        const prep = Math.max(0, Math.ceil(demand * (1 + buffer) - carry));
+        return { code: p.code, name: p.name, category: p.category, demand, source, wasteRate: w.rate, chronic: w.chronic, carry, prep };
+    }).filter(r => r.demand > 0 || r.carry > 0);
+}
+
+function renderProductionPlan() {
+    const tbody = document.getElementById('plan-table-body');
+    if (!tbody || activeDayIndex < 0 || activeDayIndex >= globalStoreData.length) return;
+    const plan = computeProductionPlan().sort((a, b) => (b.chronic - a.chronic) || (b.prep - a.prep));
+    const day = globalStoreData[activeDayIndex];
+
+    document.getElementById('plan-source').textContent = posDemand
+        ? `ความต้องการจากยอดขาย POS ${posDemand.dates[0]} – ${posDemand.dates[posDemand.dates.length - 1]} (Sales Dashboard) · คงเหลือยกไปจาก ${day.dateLabel}`
+        : `ยังไม่มีข้อมูล POS จาก Sales Dashboard — ใช้ยอดขายจากชีตสต็อก · คงเหลือยกไปจาก ${day.dateLabel}`;
+    const chronicCount = plan.filter(r => r.chronic).length;
+    document.getElementById('plan-chronic').textContent = chronicCount > 0
+        ? `⚠ ${chronicCount} รายการของเสียเกินเป้า ${Math.round(WASTE_TARGET * 100)}% อย่างน้อย ${CHRONIC_MIN_DAYS} ใน ${CHRONIC_WINDOW} วัน`
+        : '';
+
+    if (plan.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="7" class="px-6 py-8 text-center text-gray-400">ไม่มีข้อมูลสำหรับวางแผนการผลิต</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = plan.map(r => {
+        const rateClass = r.wasteRate > WASTE_TARGET ? 'text-rose-400' : 'text-gray-400';
+        const note = r.chronic
+            ? '<span class="px-2 py-1 rounded-full bg-amber-500/20 text-amber-300">⚠ ของเสียสูงต่อเนื่อง · ไม่เผื่อ</span>'
+            : (r.wasteRate > WASTE_TARGET ? '<span class="text-rose-300">ของเสียสูง · ไม่เผื่อ</span>' : `<span class="text-gray-500">เผื่อ ${Math.round(SAFETY_BUFFER * 100)}%</span>`);
+        return `<tr class="hover:bg-white/5 border-b border-white/5 transition-colors">
+            <td class="px-6 py-3 font-mono text-xs text-gray-400">${r.code}</td>
+            <td class="px-6 py-3 font-medium text-white">${r.name}</td>
+            <td class="px-6 py-3 text-center text-emerald-400">${r.demand.toFixed(1)} <span class="text-[10px] text-gray-500">${r.source}</span></td>
+            <td class="px-6 py-3 text-center text-amber-300">${r.carry > 0 ? r.carry : '-'}</td>
+            <td class="px-6 py-3 text-center ${rateClass}">${(r.wasteRate * 100).toFixed(1)}%</td>
+            <td class="px-6 py-3 text-center text-indigo-300 font-bold text-base">${r.prep}</td>
+            <td class="px-6 py-3 text-xs">${note}</td>
+        </tr>`;
+    }).join('');
+}
+
+// ── Par levels & stock alerts ──
+function loadParLevels() {
+    try {
+        return JSON.parse(localStorage.getItem(PAR_KEY)) || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+function setParLevel(key, value) {
+    const levels = loadParLevels();
+    if (value > 0) levels[key] = value;
+    else delete levels[key];
+    localStorage.setItem(PAR_KEY, JSON.stringify(levels));
+}
+
+// Hours still open today and hours already traded; null when the day isn't today
+function tradingClock(dateLabel) {
+    const date = parseDateLabel(dateLabel);
+    const now = new Date();
+    if (!date || date.toDateString() !== now.toDateString()) return null;
+    const hour = now.getHours() + now.getMinutes() / 60;
+    const elapsed = Math.min(Math.max(hour - STORE_OPEN_HOUR, 0), STORE_CLOSE_HOUR - STORE_OPEN_HOUR);
+    return { now, hour, elapsed, left: Math.max(STORE_CLOSE_HOUR - hour, 0) };
+}
+
+// [{key, level: 'out' | 'projected' | 'par', product, par, runOutAt}] for one day of the sheet
+function computeStockAlerts(dayIdx) {
+    const day = globalStoreData[dayIdx];
+    if (!day) return [];
+    const par = loadParLevels();
+    const clock = tradingClock(day.dateLabel);
+    const alerts = [];
+
+    day.products.forEach(p => {
+        const key = p.code || p.name;
+        const level = par[key] || 0;
+        const stocked = p.broughtForward > 0 || p.received > 0 || p.sold > 0;
+        if (p.remain <= 0 && (stocked || level > 0)) {
+            alerts.push({ key, level: 'out', product: p, par: level });
+            return;
+        }
+        // Today's velocity (sold ÷ hours traded) carried to closing time
+        if (clock && clock.elapsed > 0 && p.sold > 0 && p.remain > 0) {
+            const perHour = p.sold / clock.elapsed;
+            if (p.remain < perHour * clock.left) {
+                const runOutAt = new Date(clock.now.getTime() + p.remain / perHour * 3600000);
+                alerts.push({ key, level: 'projected', product: p, par: level, runOutAt });
+                return;
+            }
+        }
+        if (level > 0 && p.remain < level) {
+            alerts.push({ key, level: 'par', product: p, par: level });
+        }
+    });
+
+    const rank = { out: 0, projected: 1, par: 2 };
+    return alerts.sort((a, b) => rank[a.level] - rank[b.level] || a.product.remain - b.product.remain);
+}
+
+function renderStockAlerts() {
+    const list = document.getElementById('alert-list');
+    if (!list || activeDayIndex < 0 || activeDayIndex >= globalStoreData.length) return;
+    const day = globalStoreData[activeDayIndex];
+    const alerts = computeStockAlerts(activeDayIndex);
+    const clock = tradingClock(day.dateLabel);
+
+    document.getElementById('alert-note').textContent = clock
+        ? `อัตราขายวันนี้ ${STORE_OPEN_HOUR}:00–${clock.now.toLocaleTimeString('th-TH', { hour: '2-digit', minute: '2-digit' })} ใช้คาดการณ์ของหมดก่อนปิดร้าน ${STORE_CLOSE_HOUR}:00`
+        : `${day.dateLabel} ไม่ใช่วันนี้ — แสดงเฉพาะสินค้าหมดและต่ำกว่า Par`;
+    document.getElementById('alert-count').textContent = alerts.length > 0 ? `${alerts.length} รายการ` : '';
+
+    const badge = {
+        out: '<span class="px-2 py-1 rounded-full bg-rose-500/20 text-rose-300 text-xs">หมด</span>',
+        projected: '<span class="px-2 py-1 rounded-full bg-amber-500/20 text-amber-300 text-xs">จะหมดก่อนปิด</span>',
+        par: '<span class="px-2 py-1 rounded-full bg-yellow-500/20 text-yellow-200 text-xs">ต่ำกว่า Par</span>'
+    };
+    list.innerHTML = alerts.length === 0
+        ? '<p class="text-sm text-emerald-400"><i class="fas fa-check-circle mr-1"></i>สต็อกอยู่ในระดับปกติ</p>'
+        : alerts.map(a => `
+            <div class="flex items-center justify-between bg-black/20 rounded-lg px-4 py-3">
+                <div>
+                    <p class="text-sm font-medium text-white">${a.product.name} <span class="font-mono text-xs text-gray-500">${a.product.code || ''}</span></p>
+                    <p class="text-xs text-gray-400 mt-1">คงเหลือ ${a.product.remain}${a.par > 0 ? ` / Par ${a.par}` : ''}${a.runOutAt ? ` · หมดราว ${a.runOutAt.toLocaleTimeString('th-TH', { hour: '2-digit', minute: '2-digit' })}` : ''}</p>
+                </div>
+                ${badge[a.level]}
+            </div>`).join('');
+    renderNotifyButton();
+}
+
+// Browser notification for breaches that appeared since the previous refresh (latest day only)
+function notifyNewBreaches() {
+    if (globalStoreData.length === 0) return;
+    const alerts = computeStockAlerts(globalStoreData.length - 1);
+    const keys = new Set(alerts.map(a => `${a.key}|${a.level}`));
+    const fresh = knownBreaches ? alerts.filter(a => !knownBreaches.has(`${a.key}|${a.level}`)) : [];
+    knownBreaches = keys;
+
+    if (fresh.length === 0 || localStorage.getItem(NOTIFY_KEY) !== '1') return;
+    if (!('Notification' in window) || Notification.permission !== 'granted') return;
+    const label = { out: 'หมด', projected: 'จะหมดก่อนปิด', par: 'ต่ำกว่า Par' };
+    new Notification(`Nigi Ben: แจ้งเตือนสต็อก ${fresh.length} รายการ`, {
+        body: fresh.slice(0, 5).map(a => `${a.product.name} — ${label[a.level]} (คงเหลือ ${a.product.remain})`).join('\n'),
+        tag: 'nigiben-stock-alert'
+    });
+}
+
+function renderNotifyButton() {
+    const btn = document.getElementById('notify-btn');
+    if (!btn) return;
+    const supported = 'Notification' in window;
+    const on = supported && Notification.permission === 'granted' && localStorage.getItem(NOTIFY_KEY) === '1';
+    btn.disabled = !supported || Notification.permission === 'denied';
+    btn.innerHTML = `<i class="fas ${on ? 'fa-bell' : 'fa-bell-slash'} mr-1"></i>${!supported ? 'เบราว์เซอร์ไม่รองรับ' : Notification.permission === 'denied' ? 'ถูกบล็อกการแจ้งเตือน' : on ? 'แจ้งเตือนเปิดอยู่' : 'เปิดการแจ้งเตือน'}`;
+}
+
+async function toggleNotifications() {
+    if (!('Notification' in window)) return;
+    if (localStorage.getItem(NOTIFY_KEY) === '1') {
+        localStorage.removeItem(NOTIFY_KEY);
+    } else if (await Notification.requestPermission() === 'granted') {
+        localStorage.setItem(NOTIFY_KEY, '1');
+    }
+    renderNotifyButton();
+}
+
+// ── Stock reconciliation ──
+// Replays the computed chain but re-anchors it on every physical figure in the sheet
+// (a later-day "ยกมา" or a count column); each re-anchor is a variance, negative = stock missing
+function computeReconciliation(uptoIdx) {
+    const variances = [];
+    const expectedStock = {};
+    const prices = (posDemand && posDemand.prices) || {};
+    let observations = 0;
+
+    globalStoreData.slice(0, uptoIdx + 1).forEach((day, idx) => {
+        day.products.forEach(p => {
+            const key = p.code || p.name;
+            const price = p.price !== null ? p.price : (prices[(p.code || '').toUpperCase()] ?? null);
+            const check = (source, expected, actual) => {
+                observations++;
+                const variance = actual - expected;
+                if (Math.abs(variance) < 1e-9) return;
+                variances.push({
+                    day: day.dateLabel, dayIdx: idx, code: p.code, name: p.name, category: p.category,
+                    source, expected, actual, variance, value: price !== null ? variance * price : null
+                });
+            };
+
+            let stock = idx === 0 || !(key in expectedStock) ? p.broughtForward : expectedStock[key];
+            if (idx > 0 && p.sheetBroughtForward !== null) {
+                check('ยกมา', stock, p.sheetBroughtForward);
+                stock = p.sheetBroughtForward;
+            }
+            stock += p.received - p.sold - p.waste;
+            if (p.counted !== null) {
+                check('นับจริง', stock, p.counted);
+                stock = p.counted;
+            }
+            expectedStock[key] = stock;
+        });
+    });
+
+    const byCategory = {};
+    variances.forEach(v => {
+        const c = byCategory[v.category] || (byCategory[v.category] = { category: v.category, count: 0, shrink: 0, surplus: 0, value: 0, unpriced: 0 });
+        c.count++;
+        if (v.variance < 0) c.shrink -= v.variance;
+        else c.surplus += v.variance;
+        if (v.value !== null) c.value += v.value;
+        else c.unpriced++;
+    });
+
+    return {
+        variances: variances.sort((a, b) => Math.abs(b.value ?? b.variance) - Math.abs(a.value ?? a.variance)),
+        categories: Object.values(byCategory).sort((a, b) => a.value - b.value || b.shrink - a.shrink),
+        observations
+    };
+}
+
+function renderReconciliation() {
+    const panel = document.getElementById('recon-panel');
+    if (!panel || panel.classList.contains('hidden') || globalStoreData.length === 0) return;
+
+    const { variances, categories, observations } = computeReconciliation(activeDayIndex);
+    const fmtQty = v => (v > 0 ? '+' : '') + v.toLocaleString('en-US', { maximumFractionDigits: 2 });
+    const fmtBaht = v => v === null ? '-' : (v < 0 ? '-฿' : '฿') + Math.abs(v).toLocaleString('en-US', { maximumFractionDigits: 0 });
+    const varClass = v => v < 0 ? 'text-rose-400' : 'text-emerald-400';
+    const upto = globalStoreData[activeDayIndex].dateLabel;
+
+    document.getElementById('recon-source').textContent = observations === 0
+        ? 'ชีตไม่มีคอลัมน์นับจริง หรือ "ยกมา" หลังวันแรก — ไม่มีข้อมูลให้เทียบ'
+        : `เทียบยอดคำนวณกับตัวเลขในชีต ${observations.toLocaleString('en-US')} จุด ถึงวันที่ ${upto} · มูลค่าใช้ราคาในชีต หรือราคาเฉลี่ยจาก POS`;
+
+    const shrinkUnits = categories.reduce((s, c) => s + c.shrink, 0);
+    const shrinkValue = variances.filter(v => v.variance < 0 && v.value !== null).reduce((s, v) => s + v.value, 0);
+    document.getElementById('recon-summary').innerHTML = variances.length === 0
+        ? '<span class="text-emerald-400"><i class="fas fa-check-circle mr-1"></i>ยอดตรงกันทั้งหมด</span>'
+        : `<span class="text-rose-400">ขาดสะสม ${shrinkUnits.toLocaleString('en-US')} หน่วย · ${fmtBaht(shrinkValue)}</span>`;
+
+    document.getElementById('recon-cat-body').innerHTML = categories.length === 0
+        ? '<tr><td colspan="6" class="px-6 py-6 text-center text-gray-400">ไม่มีผลต่าง</td></tr>'
+        : categories.map(c => `
+            <tr class="hover:bg-white/5 border-b border-white/5 transition-colors">
+                <td class="px-6 py-3"><span class="px-2 py-1 rounded-full bg-indigo-500/20 text-indigo-300 text-xs">${c.category}</span></td>
+                <td class="px-6 py-3 text-center text-gray-400">${c.count}</td>
+                <td class="px-6 py-3 text-center text-rose-400 font-semibold">${c.shrink > 0 ? '-' + c.shrink.toLocaleString('en-US') : '-'}</td>
+                <td class="px-6 py-3 text-center text-emerald-400">${c.surplus > 0 ? '+' + c.surplus.toLocaleString('en-US') : '-'}</td>
+                <td class="px-6 py-3 text-center font-bold ${varClass(c.surplus - c.shrink)}">${fmtQty(c.surplus - c.shrink)}</td>
+                <td class="px-6 py-3 text-right font-bold ${varClass(c.value)}">${fmtBaht(c.unpriced === c.count ? null : c.value)}${c.unpriced > 0 ? ` <span class="text-xs text-gray-500 font-normal">(ไม่มีราคา ${c.unpriced})</span>` : ''}</td>
+            </tr>`).join('');
+
+    document.getElementById('recon-table-body').innerHTML = variances.length === 0
+        ? '<tr><td colspan="8" class="px-6 py-6 text-center text-gray-400">ไม่มีผลต่าง</td></tr>'
+        : variances.map(v => `
+            <tr class="hover:bg-white/5 border-b border-white/5 transition-colors">
+                <td class="px-6 py-3 text-gray-400">${v.day}</td>
+                <td class="px-6 py-3 font-mono text-xs text-gray-400">${v.code || '-'}</td>
+                <td class="px-6 py-3 font-medium text-white">${v.name}</td>
+                <td class="px-6 py-3 text-xs text-gray-400">${v.source}</td>
+                <td class="px-6 py-3 text-center text-gray-300">${v.expected.toLocaleString('en-US')}</td>
+                <td class="px-6 py-3 text-center text-gray-300">${v.actual.toLocaleString('en-US')}</td>
+                <td class="px-6 py-3 text-center font-bold ${varClass(v.variance)}">${fmtQty(v.variance)}</td>
+                <td class="px-6 py-3 text-right ${varClass(v.variance)}">${fmtBaht(v.value)}</td>
+            </tr>`).join('');
+}
+
+// ── Data Quality panel ──
+function renderDataQuality() {
+    const panel = document.getElementById('dq-panel');
+    if (!panel) return;
+    const { skipped, unmatched, carryMismatch, notes } = dataQuality;
+    const total = skipped.length + unmatched.length + carryMismatch.length + notes.length;
+    const LIMIT = 50;
+    const more = n => n > LIMIT ? `<li class="text-gray-500">… และอีก ${n - LIMIT} รายการ</li>` : '';
+
+    document.getElementById('dq-status').innerHTML = total === 0
+        ? '<span class="text-emerald-400"><i class="fas fa-check-circle mr-1"></i>ไม่พบปัญหา</span>'
+        : `<span class="text-amber-300"><i class="fas fa-exclamation-triangle mr-1"></i>พบ ${total} รายการที่ควรตรวจสอบ</span>`;
+
+    const section = (id, title, items, renderItem) => {
+        const el = document.getElementById(id);
+        el.classList.toggle('hidden', items.length === 0);
+        el.querySelector('summary span').textContent = `${title} (${items.length})`;
+        el.querySelector('ul').innerHTML = items.slice(0, LIMIT).map(renderItem).join('') + more(items.length);
+    };
+    section('dq-notes', 'โครงสร้างชีต', notes, n => `<li>${n}</li>`);
+    section('dq-skipped', 'แถวที่ถูกข้าม', skipped,
+        r => `<li><span class="font-mono text-gray-400">แถว ${r.row}</span> — ${r.reason}${r.preview ? ` <span class="text-gray-500">(${r.preview})</span>` : ''}</li>`);
+    section('dq-unmatched', 'หัวคอลัมน์ที่ไม่รู้จัก', unmatched,
+        u => `<li>"${u.header}" <span class="text-gray-500">· ${u.cols.length} คอลัมน์ (${u.cols.slice(0, 5).join(', ')}${u.cols.length > 5 ? ', …' : ''})</span></li>`);
+    section('dq-carry', 'ยกมาไม่ตรงกับคงเหลือวันก่อน', carryMismatch,
+        m => `<li><span class="text-gray-400">${m.day}</span> <span class="font-mono">${m.code || '-'}</span> ${m.name} — ชีต ${m.sheet} · ควรเป็น ${m.expected}</li>`);
+}
@@ -0,0 +1,135 @@
+// ══════════════════════════════════════════
+// BASKET SEGMENTS — exact per-bill totals grouped by configurable ฿ boundaries (index.html → buildBasket)
+// Bills:    [{key, date, doc, time, h, dow, net, gross, disc, qty (line items; 0 without them), seg, lines:[{prod, cat, qty, net}]}]
+// Segments: [{i, name, label, lo, hi, bills, net, qty, abv, billShare, netShare, dow:{Mon:{bills,net}}, hours:{h:{bills,net}}, cats:{cat:{net,qty}}}]
+// Pairs:    [{a, b, cnt, rev, support, confAB, confBA, lift, avgBill}] — categories / products bought in the same bill
+// ══════════════════════════════════════════
+(function(root,factory){
+  if(typeof module==='object'&&module.exports) module.exports=factory(require('./parsers.js'));
+  else root.NigiBasket=factory(root.NigiParse);
+})(typeof self!=='undefined'?self:this,function(P){
+'use strict';
+
+const DEFAULT_BOUNDS=[100,300,600];
+const SEGMENT_NAMES=['Small','Medium','Large','XL','XXL'];
+const DOW_ORDER=['Mon','Tue','Wed','Thu','Fri','Sat','Sun'];
+
+const baht=n=>'฿'+n.toLocaleString('en-US');
+
+// "100, 300, 600" → [100,300,600] — each number is where the next segment starts
+function parseBounds(text){
+  const list=String(text??'').split(/[,\s]+/).filter(Boolean).map(Number);
+  if(!list.length) throw new Error('need at least one boundary');
+  if(list.some(n=>!isFinite(n)||n<=0)) throw new Error('boundaries must be positive amounts');
+  if(list.some((n,i)=>i&&n<=list[i-1])) throw new Error('boundaries must be in ascending order');
+  return list;
+}
+
+// [100,300] → Small (<฿100), Medium (฿100–299), Large (฿300+)
+function segmentDefs(bounds){
+  const edges=[0,...bounds,Infinity];
+  return edges.slice(0,-1).map((lo,i)=>{
+    const hi=edges[i+1];
+    const range=i===0?'<'+baht(hi):hi===Infinity?baht(lo)+'+':baht(lo)+'–'+(hi-1).toLocaleString('en-US');
+    const name=bounds.length<SEGMENT_NAMES.length?SEGMENT_NAMES[i]:'S'+(i+1);
+    return {i, name, label:name+' ('+range+')', lo, hi};
+  });
+}
+
+// Index of the segment a bill total falls in; refunds and zero bills land in the first one
+const segmentOf=(bounds,net)=>bounds.filter(b=>net>=b).length;
+
+// Bills keyed by date + document number. Totals come from the sales rows; line items from
+// lineRows (1p) when given, otherwise from the sales rows themselves (by-product export only).
+function billsOf(salesRows, lineRows){
+  const by=new Map();
+  const hourOf=t=>{ const h=parseInt(String(t||'').split(':')[0]); return t&&!isNaN(h)?h:null; };
+  salesRows.forEach(r=>{
+    if(!r.doc||!r.date) return;
+    const k=r.date+'|'+r.doc;
+    let b=by.get(k);
+    if(!b) by.set(k,b={key:k, date:r.date, doc:r.doc, time:'', h:null, dow:P.getDOW(r.date), net:0, gross:0, disc:0, qty:0, lines:[]});
+    b.net+=r.net||0; b.gross+=r.gross||0; b.disc+=r.disc||0;
+    if(r.time&&(!b.time||r.time<b.time)) b.time=r.time;
+  });
+  (lineRows&&lineRows.length?lineRows:salesRows).forEach(r=>{
+    const b=by.get(r.date+'|'+r.doc);
+    if(!b) return;
+    if(r.prod){ b.lines.push({prod:r.prod, cat:r.cat||'Other', qty:r.qty||0, net:r.net||0}); b.qty+=r.qty||0; }
+    if(!b.time&&r.time) b.time=r.time;
+  });
+  by.forEach(b=>{ b.h=hourOf(b.time); });
+  return [...by.values()];
+}
+
+// salesRows: active dataset; opts: {bounds, lineRows}
+function basketSegments(salesRows, {bounds=DEFAULT_BOUNDS, lineRows=[]}={}){
+  const bills=billsOf(salesRows||[],lineRows);
+  const segments=segmentDefs(bounds).map(d=>({...d, bills:0, net:0, qty:0, dow:{}, hours:{}, cats:{}}));
+  const total={bills:bills.length, net:0, dow:{}, hours:{}};
+  const add=(m,k,b)=>{ const v=m[k]||(m[k]={bills:0,net:0}); v.bills++; v.net+=b.net; };
+  bills.forEach(b=>{
+    const s=segments[b.seg=segmentOf(bounds,b.net)];
+    s.bills++; s.net+=b.net; s.qty+=b.qty; total.net+=b.net;
+    add(s.dow,b.dow,b); add(total.dow,b.dow,b);
+    if(b.h!=null){ add(s.hours,b.h,b); add(total.hours,b.h,b); }
+    b.lines.forEach(l=>{ const c=s.cats[l.cat]||(s.cats[l.cat]={net:0,qty:0}); c.net+=l.net; c.qty+=l.qty; });
+  });
+  segments.forEach(s=>{
+    s.abv=s.bills?s.net/s.bills:0;
+    s.billShare=total.bills?s.bills/total.bills:0;
+    s.netShare=total.net?s.net/total.net:0;
+  });
+  return {bounds, bills, segments, total,
+    hasTime:bills.some(b=>b.h!=null), hasLines:bills.some(b=>b.lines.length>0)};
+}
+
+// Support / Confidence / Lift from real bills: rows = item lines (1p, or a by-product File 1)
+// opts: {minSup (% of bills), from, to (DD/MM/YYYY)} → {bills, singleItem, cat:[pairs], prod:[pairs], prodCat:{prod: cat}}
+function basketPairs(rows, {minSup=0, from='', to=''}={}){
+  const lo=from?P.dateToTs(from):-Infinity, hi=to?P.dateToTs(to):Infinity;
+  const bills=new Map(), prodCat={};
+  (rows||[]).forEach(r=>{
+    if(!r.doc||!r.date) return;
+    const t=P.dateToTs(r.date);
+    if(t<lo||t>hi) return;
+    const k=r.date+'|'+r.doc;
+    if(!bills.has(k)) bills.set(k,{net:0,qty:0,cat:new Set(),prod:new Set()});
+    const b=bills.get(k);
+    b.net+=r.net||0; b.qty+=r.qty||0;
+    if(r.cat) b.cat.add(r.cat);
+    if(r.prod){ b.prod.add(r.prod); if(r.cat) prodCat[r.prod]=r.cat; }
+  });
+  const billList=[...bills.values()];
+  const N=billList.length, min=minSup/100;
+
+  const pairStats=key=>{
+    const single={}, pair={};
+    billList.forEach(b=>{
+      const items=[...b[key]].sort();
+      items.forEach(i=>{single[i]=(single[i]||0)+1;});
+      for(let i=0;i<items.length;i++){
+        for(let j=i+1;j<items.length;j++){
+          const k=items[i]+'\u0001'+items[j];
+          if(!pair[k]) pair[k]={a:items[i],b:items[j],cnt:0,rev:0};
+          pair[k].cnt++; pair[k].rev+=b.net;
+        }
+      }
+    });
+    return Object.values(pair).map(p=>{
+      const support=N>0?p.cnt/N:0;
+      const supA=N>0?single[p.a]/N:0, supB=N>0?single[p.b]/N:0;
+      return {...p,support,
+        confAB:single[p.a]>0?p.cnt/single[p.a]:0,
+        confBA:single[p.b]>0?p.cnt/single[p.b]:0,
+        lift:supA>0&&supB>0?support/(supA*supB):0,
+        avgBill:p.cnt>0?p.rev/p.cnt:0};
+    }).filter(p=>p.support>=min).sort((x,y)=>y.cnt-x.cnt||y.lift-x.lift);
+  };
+
+  const singleItem=billList.filter(b=>b.qty===1).length;
+  return {bills:N, singleItem, cat:pairStats('cat'), prod:pairStats('prod'), prodCat};
+}
+
+return {DEFAULT_BOUNDS,DOW_ORDER,parseBounds,segmentDefs,segmentOf,billsOf,basketSegments,basketPairs};
+});
@@ -0,0 +1,42 @@
+#!/usr/bin/env node
+// ══════════════════════════════════════════
+// NIGIBEN promotion.html generator
+//   node bin/nigiben-promotions.js [catalogue.json] [-o <file>]
+// catalogue.json = the file exported from index.html → แคตตาล็อกโปรโมชั่น → Export JSON.
+// Without one, the built-in catalogue in promos.js is used. Default output: promotion.html next to index.html.
+// ══════════════════════════════════════════
+'use strict';
+const fs=require('fs');
+const path=require('path');
+const PR=require('../promos.js');
+
+const USAGE='Usage: nigiben-promotions [catalogue.json] [-o <file>]';
+
+function parseArgs(argv){
+  const opts={input:'',out:path.join(__dirname,'..','promotion.html')};
+  for(let i=0;i<argv.length;i++){
+    const a=argv[i];
+    if(a==='-o'||a==='--out') opts.out=argv[++i]||'';
+    else if(a==='-h'||a==='--help') opts.help=true;
+    else if(a.startsWith('-')) throw new Error('Unknown option '+a);
+    else if(!opts.input) opts.input=a;
+    else throw new Error('Unexpected argument '+a);
+  }
+  return opts;
+}
+
+function main(argv){
+  const opts=parseArgs(argv);
+  if(opts.help){ console.log(USAGE); return 0; }
+  if(!opts.out) throw new Error('-o needs a file name');
+  const catalogue=opts.input?JSON.parse(fs.readFileSync(opts.input,'utf8')):PR.DEFAULT_CATALOGUE;
+  const html=PR.promotionPage(catalogue);
+  fs.writeFileSync(opts.out,html);
+  console.log(`→ ${opts.out} (${PR.normalizeCatalogue(catalogue).length} promotions${opts.input?' from '+opts.input:', built-in catalogue'})`);
+  return 0;
+}
+
+if(require.main===module){
+  try{ process.exitCode=main(process.argv.slice(2)); }
+  catch(e){ console.error('❌ '+e.message); process.exitCode=1; }
+}
@@ -0,0 +1,258 @@
+#!/usr/bin/env node
+// ══════════════════════════════════════════
+// NIGIBEN month-end pack — headless version of "upload exports → print reports" in index.html
+//   node bin/nigiben-report.js <exports-dir> [-o <out-dir>] [--branch <name>]
+// Reads every .xlsx/.xls/.csv in <exports-dir>, works out which POS export each one is,
+// aggregates exactly like rebuildDashboard() and writes the printable reports plus JSON/CSV summaries.
+// ══════════════════════════════════════════
+'use strict';
+const fs=require('fs');
+const path=require('path');
+const XLSX=require('xlsx');
+const P=require('../parsers.js');
+const R=require('../reports.js');
+const {budgetPacing}=require('../budget.js');
+const {basketSegments}=require('../basket.js');
+const {labourProductivity}=require('../labour.js');
+const {duplicateBills}=require('../validate.js');
+
+const DEFAULT_BRANCH='Don Mueang';
+const USAGE='Usage: nigiben-report <exports-dir> [-o <out-dir>] [--branch <name>]';
+
+function parseArgs(argv){
+  const opts={input:'',out:'',branch:''};
+  for(let i=0;i<argv.length;i++){
+    const a=argv[i];
+    if(a==='-o'||a==='--out') opts.out=argv[++i]||'';
+    else if(a==='-b'||a==='--branch') opts.branch=argv[++i]||'';
+    else if(a==='-h'||a==='--help') opts.help=true;
+    else if(a.startsWith('-')) throw new Error('Unknown option '+a);
+    else if(!opts.input) opts.input=a;
+    else throw new Error('Unexpected argument '+a);
+  }
+  if(!opts.out&&opts.input) opts.out=path.join(opts.input,'reports');
+  return opts;
+}
+
+// Same sheet → rows conversion as readXlsx() in index.html (first sheet, header:1; CSV as raw UTF-8 text)
+function readSheet(file){
+  const wb=/\.csv$/i.test(file)?XLSX.read(fs.readFileSync(file,'utf8'),{type:'string',raw:true}):XLSX.readFile(file);
+  return XLSX.utils.sheet_to_json(wb.Sheets[wb.SheetNames[0]],{header:1,defval:''});
+}
+
+// ── Folder → dataset in the shape index.html keeps per branch (BRANCH_DATA[name]) ──
+function loadExports(dir, branchOverride=''){
+  const files=fs.readdirSync(dir).filter(f=>/\.(xlsx?|csv)$/i.test(f)&&!f.startsWith('~$')).sort();
+  if(!files.length) throw new Error('No .xlsx or .csv files in '+dir);
+
+  const salesFiles=[], promoRows=[], monthlyRows=[], prodSummaryRows=[];
+  let cancelRows=[], dayparts=[], budgetRows=[], rosterRows=[];
+  const fileBranches=[], manifest=[];
+  for(const f of files){
+    const rows=readSheet(path.join(dir,f));
+    const type=P.classifyExport(rows);
+    let n=0;
+    if(type==='sales'){
+      const parsed=P.parseSalesRows(rows);
+      salesFiles.push({file:f,isByDate:parsed.isByDate,rows:parsed.rows});
+      fileBranches.push(parsed.branch);
+      n=parsed.rows.length;
+      manifest.push({file:f,type:parsed.isByDate?'sales-by-date':'sales-by-product',rows:n});
+      continue;
+    }
+    if(type==='promo'){ const r=P.parsePromoRows(rows); promoRows.push(...r); n=r.length; }
+    else if(type==='monthly'){ const r=P.parseMonthlyRows(rows); monthlyRows.push(...r); n=r.length; }
+    else if(type==='cancel'){ const r=P.parseCancelRows(rows); cancelRows.push(...r); n=r.length; }
+    else if(type==='productSummary'){ const r=P.parseProductSummaryRows(rows); prodSummaryRows.push(...r); n=r.length; }
+    else if(type==='budget'){ const r=P.parseBudgetRows(rows); budgetRows.push(...r); n=r.length; }
+    else if(type==='roster'){ const r=P.parseRosterRows(rows); rosterRows.push(...r); n=r.length; }
+    else if(type==='daypart'){ dayparts=P.parseDaypartRows(rows); fileBranches.push(P.detectBranch(rows)); n=dayparts.length; }
+    manifest.push({file:f,type:type||'unknown',rows:n});
+  }
+
+  // Both sales layouts present → by-date is the main file, by-product is the 1p supplement
+  const hasByDate=salesFiles.some(s=>s.isByDate&&s.rows.length);
+  const mainFiles=salesFiles.filter(s=>s.isByDate===hasByDate), supplement=hasByDate?salesFiles.filter(s=>!s.isByDate):[];
+  const salesRows=mainFiles.flatMap(s=>s.rows);
+  const productRows=supplement.flatMap(s=>s.rows);
+  if(!salesRows.length) throw new Error('No sales rows found — the folder needs at least one ยอดขาย export');
+  // Main files are halves of one period (1/1b/1c); the same bill in two of them means a by-product
+  // File 1 sits next to its 1p export (or a half is repeated) and every shared bill would count twice
+  const dups=duplicateBills(mainFiles.map(s=>({slot:s.file,kind:'sales',rows:s.rows})));
+  if(dups.length){
+    const names=[...new Set(dups.flatMap(d=>d.slots))];
+    throw new Error(dups.length+' bill(s) appear in more than one sales export ('+names.join(', ')+') — '
+      +'keep one by-product export, or add the by-date ยอดขาย export so the by-product file is read as 1p');
+  }
+
+  // Branch: --branch > สาขา found in files > single cancel branch > default (as processFiles)
+  // Files naming different branches would be summed into one — make the caller choose
+  const named=[...new Set(fileBranches.filter(Boolean))];
+  if(named.length>1&&!branchOverride) throw new Error('Exports name different branches ('+named.join(', ')+') — '
+    +'put each branch in its own folder, or pick one with --branch');
+  const cancelBranches=[...new Set(cancelRows.map(r=>r.branch).filter(Boolean))];
+  const branch=branchOverride||fileBranches.find(Boolean)||(cancelBranches.length===1?cancelBranches[0]:'')||DEFAULT_BRANCH;
+  if(cancelBranches.length>1&&cancelBranches.includes(branch)) cancelRows=cancelRows.filter(r=>r.branch===branch);
+  const budgetBranches=[...new Set(budgetRows.map(r=>r.branch).filter(Boolean))];
+  if(budgetBranches.length>1) budgetRows=budgetRows.filter(r=>!r.branch||r.branch===branch);
+  const rosterBranches=[...new Set(rosterRows.map(r=>r.branch).filter(Boolean))];
+  if(rosterBranches.length>1) rosterRows=rosterRows.filter(r=>!r.branch||r.branch===branch);
+
+  return {branch,manifest,ds:{salesRows,promoRows,monthlyRows,cancelRows,isByDate:hasByDate,prodSummaryRows,productRows,dayparts,budgetRows,rosterRows}};
+}
+
+// ── Dataset → the globals rebuildDashboard()/applyDataset() leave behind, as a NigiReports input ──
+function buildReportData(ds){
+  const agg=P.aggregateDataset(ds);
+  const DOW_MAP={};
+  agg.daily.forEach(d=>{DOW_MAP[d.date]=P.getDOW(d.date);});
+  const sum=k=>agg.daily.reduce((s,d)=>s+(d[k]||0),0);
+  const hasProd=ds.productRows.length>0;
+  // computeQualifiedABV(): 1p rows when present, else the main sales rows
+  const computeQualifiedABV=(rows,isByDate)=>P.qualifiedABV(
+    rows||(hasProd?ds.productRows:ds.salesRows),
+    rows?!!isByDate:(hasProd?false:ds.isByDate),DOW_MAP);
+  return {
+    DAILY:agg.daily, CATS:agg.cats, HOURS:agg.hours, PRODUCTS:agg.products,
+    PROMO_DATA:ds.promoRows, CANCEL_DATA:ds.cancelRows, DAYPARTS:ds.dayparts, MONTHLY_OVERRIDE:ds.monthlyRows, DOW_MAP,
+    TOTAL_NET:sum('net'), TOTAL_BILLS:agg.billCount, TOTAL_PREVAT:sum('preVat'), TOTAL_VAT:sum('vat'), TOTAL_CANCEL:sum('cancel'),
+    salesRows:ds.salesRows, computeQualifiedABV, basketDist:agg.basketDist,
+    // same rows as getBudget() without a filter: category actuals from 1p when the main file is by-date
+    BUDGET:(ds.budgetRows||[]).length?budgetPacing({daily:agg.daily,budgetRows:ds.budgetRows,dowMap:DOW_MAP,
+      catRows:ds.isByDate?ds.productRows:ds.salesRows}):null,
+    // buildLabour() over the whole period: roster shifts vs the bills getBasket() builds (rates from the roster only)
+    LABOUR:(ds.rosterRows||[]).length?labourProductivity({roster:ds.rosterRows,
+      bills:basketSegments(ds.salesRows,{lineRows:ds.productRows}).bills,dayparts:ds.dayparts}):null
+  };
+}
+
+// ── Output ──
+// Standalone page: same Prompt font and A4 print rules as index.html, and the same fit-to-page zoom as printReport()
+function htmlPage(title, body){
+  return `<!DOCTYPE html>
+<html lang="th">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${title}</title>
+<link href="https://fonts.googleapis.com/css2?family=Prompt:wght@300;400;500;600;700&display=swap" rel="stylesheet">
+<style>
+body { margin:0; padding:28px 0; background:#2a2f36; }
+@media print {
+  html,body { margin:0!important; padding:0!important; background:#fff!important; }
+  .rpt-page { width:210mm!important; height:297mm!important; overflow:hidden!important; page-break-after:always; page-break-inside:avoid; break-after:page; margin:0!important; padding:0!important; box-shadow:none!important; border-radius:0!important; display:block!important; position:relative!important; }
+  .rpt-page:last-child { page-break-after:auto; break-after:auto; }
+  .rpt-scale { display:block!important; transform-origin:top left; }
+  .rpt-footer { position:absolute!important; bottom:0!important; left:0!important; right:0!important; height:28px!important; display:flex!important; align-items:center!important; justify-content:space-between!important; padding:0 26px!important; z-index:10!important; }
+  * { -webkit-print-color-adjust:exact!important; print-color-adjust:exact!important; color-adjust:exact!important; }
+  @page { size:A4 portrait; margin:0; }
+}
+</style>
+</head>
+<body>
+${body}
+<script>
+window.addEventListener('beforeprint',function(){
+  var AVAIL=Math.round(297*96/25.4)-55;
+  document.querySelectorAll('.rpt-scale').forEach(function(sc){
+    sc.style.zoom='';
+    var h=sc.scrollHeight;if(h>0&&h>AVAIL){sc.style.zoom=String((AVAIL/h).toFixed(4));}
+  });
+});
+</script>
+</body>
+</html>
+`;
+}
+
+// Money rounded to satang; UTF-8 BOM so Excel opens Thai product names correctly
+function toCSV(rows){
+  if(!rows.length) return '';
+  const cols=[...new Set(rows.flatMap(r=>Object.keys(r)))];
+  const cell=v=>{
+    if(v===null||v===undefined) return '';
+    if(typeof v==='number') return String(Math.round(v*100)/100);
+    const s=typeof v==='object'?JSON.stringify(v):String(v);
+    return /[",\n\r]/.test(s)?'"'+s.replace(/"/g,'""')+'"':s;
+  };
+  return '\uFEFF'+[cols.join(','),...rows.map(r=>cols.map(c=>cell(r[c])).join(','))].join('\r\n')+'\r\n';
+}
+
+function writeOutputs(outDir, branch, manifest, d){
+  fs.mkdirSync(outDir,{recursive:true});
+  const written=[];
+  const write=(name,content)=>{ fs.writeFileSync(path.join(outDir,name),content); written.push(name); };
+
+  const title=t=>`NIGIBEN ${t} — ${branch}`;
+  write('performance-report.html', htmlPage(title('Performance Report'), R.investorReport(d,'full')));
+  write('investor-report.html',    htmlPage(title('Investor Report'),    R.investorReport(d,'clean')));
+  const hourly=R.hourlyReport(d);
+  if(hourly) write('hourly-report.html', htmlPage(title('Hourly Report'), hourly));
+  write('behavior-report.html', htmlPage(title('Customer Behavior Report'), R.behaviorReport(d)));
+  if(d.CANCEL_DATA.length) write('cancel-report.html', htmlPage(title('Cancellation Report'), R.cancelReport(d)));
+
+  const csv={
+    'daily.csv':      d.DAILY.map(r=>({...r,dow:d.DOW_MAP[r.date]})),
+    'products.csv':   d.PRODUCTS,
+    'categories.csv': d.CATS,
+    'hours.csv':      d.HOURS,
+    'promotions.csv': d.PROMO_DATA,
+    'cancels.csv':    d.CANCEL_DATA,
+    'dayparts.csv':   d.DAYPARTS,
+    'monthly.csv':    d.MONTHLY_OVERRIDE
+  };
+  if(d.LABOUR) csv['labour.csv']=d.LABOUR.cells.map(c=>({date:c.date,hour:c.h,dow:c.dow,daypart:c.daypart,staff:c.staff.join(' · '),
+    staffHours:c.staffHours,net:c.net,bills:c.bills,splh:c.splh,bph:c.bph,cost:c.cost,costPct:c.costPct,status:c.status}));
+  Object.entries(csv).forEach(([name,rows])=>{ if(rows.length) write(name,toCSV(rows)); });
+
+  const abv=d.computeQualifiedABV();
+  const r2=v=>Math.round(v*100)/100;
+  const summary={
+    branch,
+    period:{from:d.DAILY[0].date,to:d.DAILY[d.DAILY.length-1].date,days:d.DAILY.length},
+    totals:{
+      net:r2(d.TOTAL_NET), preVat:r2(d.TOTAL_PREVAT), vat:r2(d.TOTAL_VAT), cancel:r2(d.TOTAL_CANCEL),
+      gross:r2(d.DAILY.reduce((s,r)=>s+(r.gross||r.net),0)),
+      discount:r2(d.DAILY.reduce((s,r)=>s+(r.discount||0),0)),
+      bills:d.TOTAL_BILLS, abv:abv.abv, abvBills:abv.totalBills,
+      items:d.PRODUCTS.reduce((s,p)=>s+p.qty,0), skus:d.PRODUCTS.length
+    },
+    basketDist:d.basketDist,
+    ...(d.BUDGET?{budget:{
+      month:d.BUDGET.month, asOf:d.BUDGET.asOf, target:r2(d.BUDGET.target), mtdBudget:r2(d.BUDGET.mtdBudget), mtd:r2(d.BUDGET.mtd),
+      status:d.BUDGET.status, projection:r2(d.BUDGET.projection), projStatus:d.BUDGET.projStatus, required:r2(d.BUDGET.required)
+    }}:{}),
+    ...(d.LABOUR?{labour:{
+      staff:d.LABOUR.staffCount, staffHours:r2(d.LABOUR.totals.staffHours), cost:d.LABOUR.totals.cost!=null?r2(d.LABOUR.totals.cost):null,
+      splh:d.LABOUR.totals.splh!=null?r2(d.LABOUR.totals.splh):null, costPct:d.LABOUR.totals.costPct!=null?r2(d.LABOUR.totals.costPct):null,
+      byDaypart:d.LABOUR.byDaypart.map(g=>({daypart:g.key, staffHours:r2(g.staffHours), net:r2(g.net),
+        splh:g.splh!=null?r2(g.splh):null, status:g.status})),
+      noRosterDates:d.LABOUR.noRosterDates
+    }}:{}),
+    files:manifest,
+    generated:new Date().toISOString(),
+    outputs:[...written,'summary.json']
+  };
+  write('summary.json',JSON.stringify(summary,null,2)+'\n');
+  return summary;
+}
+
+function main(argv){
+  const opts=parseArgs(argv);
+  if(opts.help||!opts.input){ console.log(USAGE); return opts.help?0:1; }
+  const {branch,manifest,ds}=loadExports(opts.input,opts.branch);
+  manifest.forEach(m=>console.log(`  ${m.type.padEnd(16)} ${String(m.rows).padStart(6)}  ${m.file}`));
+  const d=buildReportData(ds);
+  if(!d.DAILY.length) throw new Error('Sales files contain no dated rows');
+  const summary=writeOutputs(opts.out,branch,manifest,d);
+  console.log(`🏬 ${branch} · ${summary.period.from} – ${summary.period.to} · ฿${Math.round(summary.totals.net).toLocaleString()} · ${summary.totals.bills.toLocaleString()} บิล`);
+  console.log(`→ ${opts.out}: ${summary.outputs.join(', ')}`);
+  return 0;
+}
+
+if(require.main===module){
+  try{ process.exitCode=main(process.argv.slice(2)); }
+  catch(e){ console.error('❌ '+e.message); process.exitCode=1; }
+}
+
+module.exports={loadExports,buildReportData,writeOutputs,toCSV};
@@ -0,0 +1,122 @@
+// ══════════════════════════════════════════
+// BUDGET PACING — month-to-date sales vs the budget file (parsers.js parseBudgetRows · index.html → getBudget)
+// Pacing: {month:{mm,yy}, asOf, dayCount, elapsed, remaining, weights:{Mon:…},
+//          target, mtdBudget, mtd, pct, status, projection, projPct, projStatus, gap, required,
+//          calendar:[{date, dow, budget, actual (null ahead of asOf), projected + required (remaining days only)}],
+//          byDow:[{dow, days, actual, budget, pct, status}], cats:[{cat, …same totals}], hasCatActual}
+//   status = 'green' | 'amber' | 'red' (RAG below) — null when there is no budget to compare with
+// ══════════════════════════════════════════
+(function(root,factory){
+  if(typeof module==='object'&&module.exports) module.exports=factory(require('./parsers.js'));
+  else root.NigiBudget=factory(root.NigiParse);
+})(typeof self!=='undefined'?self:this,function(P){
+'use strict';
+
+const RAG={green:1, amber:0.95};   // actual ÷ budget: ≥100% green, ≥95% amber, below = red
+const DOW_ORDER=['Mon','Tue','Wed','Thu','Fri','Sat','Sun'];
+
+const sum=list=>list.reduce((s,v)=>s+v,0);
+const ragStatus=(actual,budget)=>!budget?null:actual>=budget*RAG.green?'green':actual>=budget*RAG.amber?'amber':'red';
+
+// Average net per weekday ÷ average net per day (1 = an ordinary day); weekdays never seen count as 1
+function dowWeights(daily, dowMap={}){
+  const tot={}, cnt={};
+  daily.forEach(d=>{
+    const w=dowMap[d.date]||P.getDOW(d.date);
+    if(w==='?') return;
+    tot[w]=(tot[w]||0)+d.net; cnt[w]=(cnt[w]||0)+1;
+  });
+  const n=sum(Object.values(cnt)), mean=n?sum(Object.values(tot))/n:0;
+  return Object.fromEntries(DOW_ORDER.map(w=>[w,mean>0&&cnt[w]?tot[w]/cnt[w]/mean:1]));
+}
+
+function monthDates(mm, yy){
+  const n=new Date(yy,mm,0).getDate(), pad=v=>String(v).padStart(2,'0');
+  return Array.from({length:n},(_,i)=>pad(i+1)+'/'+pad(mm)+'/'+yy);
+}
+
+// One branch + category: date rows are taken as they are, a month row is spread over the days by weekday weight
+function spread(rows, dates, weights){
+  const out=Object.fromEntries(dates.map(d=>[d,0]));
+  const daily=rows.filter(r=>r.date);
+  if(daily.length){ daily.forEach(r=>{ if(r.date in out) out[r.date]+=r.net; }); return out; }
+  const total=sum(rows.map(r=>r.net));
+  const W=sum(dates.map(d=>weights[P.getDOW(d)]))||1;
+  dates.forEach(d=>{ out[d]=total*weights[P.getDOW(d)]/W; });
+  return out;
+}
+
+// {date: budget} for one category, or for the total (cat null) — a branch's total row wins over its categories
+function dayTargets(rows, dates, weights, cat=null){
+  const out=Object.fromEntries(dates.map(d=>[d,0]));
+  const byBranch=new Map();
+  rows.forEach(r=>{
+    if(!byBranch.has(r.branch)) byBranch.set(r.branch,new Map());
+    const cats=byBranch.get(r.branch);
+    if(!cats.has(r.cat)) cats.set(r.cat,[]);
+    cats.get(r.cat).push(r);
+  });
+  byBranch.forEach(cats=>{
+    const lists=cat!=null?[cats.get(cat)||[]]:cats.has('')?[cats.get('')]:[...cats.values()];
+    lists.forEach(list=>{ const t=spread(list,dates,weights); dates.forEach(d=>{ out[d]+=t[d]; }); });
+  });
+  return out;
+}
+
+// daily: [{date, net}] of the view; catRows: line rows {date, cat, net} for category actuals (optional)
+// opts.asOf: last day counted (default the latest sales date) · opts.cat: pace one category instead of the total
+function budgetPacing({daily=[], budgetRows=[], catRows=[], dowMap={}}, {asOf='', cat=null}={}){
+  const dated=daily.filter(d=>d.date);
+  asOf=asOf||dated.map(d=>d.date).sort((a,b)=>P.dateToTs(a)-P.dateToTs(b)).pop();
+  if(!asOf) return null;
+  const mm=+asOf.slice(3,5), yy=+asOf.slice(6);
+  const rows=budgetRows.filter(r=>r.mm===mm&&r.yy===yy);
+  if(!rows.length||(cat!=null&&!rows.some(r=>r.cat===cat))) return null;
+
+  const weights=dowWeights(dated,dowMap);
+  const dates=monthDates(mm,yy), cut=P.dateToTs(asOf);
+  const w=d=>weights[P.getDOW(d)];
+  const done=dates.filter(d=>P.dateToTs(d)<=cut), rest=dates.filter(d=>P.dateToTs(d)>cut);
+  const wDone=sum(done.map(w)), wRest=sum(rest.map(w))||1;
+  const pace=(targets, actual)=>{
+    const target=sum(dates.map(d=>targets[d])), mtdBudget=sum(done.map(d=>targets[d])), mtd=sum(done.map(d=>actual[d]||0));
+    const projection=mtd+(wDone?mtd/wDone*sum(rest.map(w)):0);   // run rate per weighted day × weighted days left
+    const gap=Math.max(0,target-mtd);
+    return {target, mtdBudget, mtd, pct:mtdBudget?mtd/mtdBudget:null, status:ragStatus(mtd,mtdBudget),
+      projection, projPct:target?projection/target:null, projStatus:ragStatus(projection,target),
+      gap, required:rest.length?gap/rest.length:0};
+  };
+
+  const actual={};
+  dated.forEach(d=>{ actual[d.date]=(actual[d.date]||0)+d.net; });
+  const targets=dayTargets(rows,dates,weights,cat);
+  const total=pace(targets,actual);
+  const calendar=dates.map(d=>{
+    const ahead=P.dateToTs(d)>cut;
+    return {date:d, dow:P.getDOW(d), budget:targets[d], actual:ahead?null:actual[d]||0,
+      projected:ahead?(total.projection-total.mtd)*w(d)/wRest:null, required:ahead?total.gap*w(d)/wRest:null};
+  });
+  const byDow=DOW_ORDER.map(dow=>{
+    const list=calendar.filter(c=>c.dow===dow&&c.actual!=null);
+    const a=sum(list.map(c=>c.actual)), b=sum(list.map(c=>c.budget));
+    return {dow, days:list.length, actual:a, budget:b, pct:b?a/b:null, status:ragStatus(a,b)};
+  });
+
+  const catActual={};
+  catRows.forEach(r=>{
+    if(!r.date) return;
+    const m=catActual[r.cat||'Other']||(catActual[r.cat||'Other']={});
+    m[r.date]=(m[r.date]||0)+(r.net||0);
+  });
+  const hasCatActual=catRows.length>0;
+  const cats=[...new Set(rows.map(r=>r.cat).filter(Boolean))].map(c=>{
+    const p=pace(dayTargets(rows,dates,weights,c),catActual[c]||{});
+    return hasCatActual?{cat:c,...p}:{cat:c,...p,mtd:null,pct:null,status:null,projection:null,projPct:null,projStatus:null};
+  });
+
+  return {month:{mm,yy}, asOf, dayCount:dates.length, elapsed:done.length, remaining:rest.length, weights,
+    ...total, calendar, byDow, cats, hasCatActual};
+}
+
+return {RAG,ragStatus,dowWeights,monthDates,dayTargets,budgetPacing};
+});
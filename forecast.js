@@ -0,0 +1,63 @@
+// ══════════════════════════════════════════
+// SALES FORECAST — DOW seasonality × linear trend (index.html → buildForecast)
+// Series:   [{date: 'DD/MM/YYYY', y}] sorted by date; closed days may be missing
+// Forecast: {fitted, sigma, trend, future:[{date, dow, y, lo80, hi80, lo95, hi95}]}
+//   bands come from the in-sample residual spread and widen with the horizon
+// Backtest: {pred:[{date, actual, pred}], mae, mape} — last `hold` days held out and predicted from the rest
+// ══════════════════════════════════════════
+(function(root,factory){
+  if(typeof module==='object'&&module.exports) module.exports=factory(require('./parsers.js'));
+  else root.NigiForecast=factory(root.NigiParse);
+})(typeof self!=='undefined'?self:this,function(P){
+'use strict';
+
+const DAY=86400000;
+const pad=n=>String(n).padStart(2,'0');
+const tsDate=ts=>{ const d=new Date(ts); return pad(d.getDate())+'/'+pad(d.getMonth()+1)+'/'+d.getFullYear(); };
+
+function forecastSeries(series, horizon){
+  const n=series.length;
+  const t0=P.dateToTs(series[0].date);
+  const tIdx=d=>Math.round((P.dateToTs(d)-t0)/DAY);  // day index — closed days leave gaps
+  const mean=series.reduce((s,p)=>s+p.y,0)/n||1;
+  const dowSum={},dowCnt={};
+  series.forEach(p=>{const dw=P.getDOW(p.date);dowSum[dw]=(dowSum[dw]||0)+p.y;dowCnt[dw]=(dowCnt[dw]||0)+1;});
+  const idx=dw=>dowCnt[dw]?(dowSum[dw]/dowCnt[dw])/mean||1:1;
+
+  // Trend: least squares on the de-seasonalised series
+  const xs=series.map(p=>tIdx(p.date)), zs=series.map(p=>p.y/idx(P.getDOW(p.date)));
+  const mx=xs.reduce((s,v)=>s+v,0)/n, mz=zs.reduce((s,v)=>s+v,0)/n;
+  const sxx=xs.reduce((s,x)=>s+(x-mx)**2,0);
+  const b=sxx?xs.reduce((s,x,i)=>s+(x-mx)*(zs[i]-mz),0)/sxx:0;
+  const a=mz-b*mx;
+  const at=(x,dw)=>Math.max(0,(a+b*x)*idx(dw));
+
+  const fitted=series.map((p,i)=>at(xs[i],P.getDOW(p.date)));
+  const sigma=Math.sqrt(series.reduce((s,p,i)=>s+(p.y-fitted[i])**2,0)/Math.max(1,n-2));
+  const last=xs[n-1], lastTs=P.dateToTs(series[n-1].date);
+  const future=[];
+  for(let h=1;h<=horizon;h++){
+    const date=tsDate(lastTs+h*DAY), dw=P.getDOW(date);
+    const y=at(last+h,dw), sh=sigma*Math.sqrt(1+h/n);
+    future.push({date,dow:dw,y,lo80:Math.max(0,y-1.28*sh),hi80:y+1.28*sh,lo95:Math.max(0,y-1.96*sh),hi95:y+1.96*sh});
+  }
+  return {fitted,sigma,trend:b,future};
+}
+
+// Hold out the last `hold` days, refit on the rest and score the prediction; null when too short
+function backtestSeries(series, hold){
+  if(series.length<hold+7) return null;
+  const train=series.slice(0,-hold), test=series.slice(-hold);
+  const lastTs=P.dateToTs(train[train.length-1].date);
+  const span=Math.round((P.dateToTs(test[test.length-1].date)-lastTs)/DAY);
+  const byDate={};
+  forecastSeries(train,span).future.forEach(p=>byDate[p.date]=p.y);
+  const pred=test.map(p=>({date:p.date,actual:p.y,pred:byDate[p.date]||0}));
+  const mae=pred.reduce((s,p)=>s+Math.abs(p.actual-p.pred),0)/pred.length;
+  const nz=pred.filter(p=>p.actual>0);
+  const mape=nz.length?nz.reduce((s,p)=>s+Math.abs(p.actual-p.pred)/p.actual,0)/nz.length*100:0;
+  return {pred,mae,mape};
+}
+
+return {forecastSeries,backtestSeries};
+});
@@ -0,0 +1,146 @@
+// ══════════════════════════════════════════
+// LABOUR PRODUCTIVITY — roster shifts vs hourly demand (parsers.js parseRosterRows · index.html → buildLabour)
+// Cells:  [{date, h, dow, daypart, staffHours, staff:[names], cost, net, bills, splh, bph, costPct, need, status}]
+// Groups: byHour / byDow / byDaypart [{key, days, staffHours, avgStaff, net, bills, cost, splh, bph, costPct, need, needStaff, status}]
+//   splh = sales per labour hour, bph = bills per staff hour, need = labour hours the sales would need at the target SPLH
+//   status = 'under' (SPLH ≥ target × (1+band) or sales with nobody rostered) | 'over' (SPLH ≤ target × (1−band)) | 'ok'
+//   target = SPLH of the whole view, so the flags show where staffing departs from the store's own average
+// ══════════════════════════════════════════
+(function(root,factory){
+  if(typeof module==='object'&&module.exports) module.exports=factory(require('./parsers.js'));
+  else root.NigiLabour=factory(root.NigiParse);
+})(typeof self!=='undefined'?self:this,function(P){
+'use strict';
+
+const BAND=0.25;   // ±25% around the target SPLH counts as matched
+const DOW_ORDER=['Mon','Tue','Wed','Thu','Fri','Sat','Sun'];
+
+const pad=n=>String(n).padStart(2,'0');
+function nextDate(date){
+  const [d,m,y]=date.split('/').map(Number), t=new Date(y,m-1,d+1);
+  return pad(t.getDate())+'/'+pad(t.getMonth()+1)+'/'+t.getFullYear();
+}
+// [from, to] in seconds from the shift date's midnight; to > 24h for shifts past midnight
+function shiftWindow(s){
+  const a=P.toSec(s.start), b=P.toSec(s.end);
+  return [a, b>a?b:b+86400];
+}
+
+// One shift → paid fraction of each clock hour it covers; a break is spread evenly over the shift
+function shiftSlots(s){
+  const [a,b]=shiftWindow(s);
+  const paid=Math.max(0,1-(s.breakMin||0)*60/(b-a));
+  const out=[];
+  for(let t=Math.floor(a/3600)*3600;t<b;t+=3600){
+    const sec=Math.min(b,t+3600)-Math.max(a,t);
+    if(sec>0) out.push({date:t>=86400?nextDate(s.date):s.date, h:(t/3600)%24, frac:sec/3600*paid});
+  }
+  return out;
+}
+
+// Hour of day → daypart name (File 6 labels when uploaded, else DAYPART_HOURS), by the middle of the hour
+function daypartOfHour(dayparts=[]){
+  const names=dayparts.length?dayparts.map(d=>d.name):Object.keys(P.DAYPART_HOURS);
+  const ranges=names.map(n=>[n,P.daypartRange(n,dayparts)]).filter(([,r])=>r);
+  return h=>{ const mid=h*3600+1800, hit=ranges.find(([,r])=>mid>=r[0]&&mid<=r[1]); return hit?hit[0]:'อื่นๆ'; };
+}
+
+// roster: parseRosterRows() rows · bills: [{date, h, net}] (basket.js billsOf) · dayparts: File 6 rows
+// opts.rate: ฿/hour for shifts without their own rate · opts.hourRange: [fromSec, toSec] to keep (daypart filter)
+function labourProductivity({roster=[], bills=[], dayparts=[]}, {rate=null, band=BAND, hourRange=null}={}){
+  const timed=bills.filter(b=>b.date&&b.h!=null);
+  const dates=new Set(timed.map(b=>b.date));
+  const daypartOf=daypartOfHour(dayparts);
+  const cells=new Map();
+  const cell=(date,h)=>{
+    const k=date+'|'+h;
+    if(!cells.has(k)) cells.set(k,{date, h, dow:P.getDOW(date), daypart:daypartOf(h), staffHours:0, staff:new Set(), cost:0, net:0, bills:0});
+    return cells.get(k);
+  };
+  let costKnown=true;
+  roster.forEach(s=>shiftSlots(s).forEach(sl=>{
+    if(!dates.has(sl.date)) return;
+    const c=cell(sl.date,sl.h), r=s.rate!=null?s.rate:rate;
+    c.staffHours+=sl.frac; c.staff.add(s.staff);
+    if(r==null) costKnown=false; else c.cost+=sl.frac*r;
+  }));
+  timed.forEach(b=>{ const c=cell(b.date,b.h); c.net+=b.net; c.bills++; });
+
+  const keep=c=>!hourRange||(c.h*3600+1800>=hourRange[0]&&c.h*3600+1800<=hourRange[1]);
+  const list=[...cells.values()].filter(keep).sort((a,b)=>P.dateToTs(a.date)-P.dateToTs(b.date)||a.h-b.h);
+  const sum=(rows,k)=>rows.reduce((s,r)=>s+r[k],0);
+  const staffHours=sum(list,'staffHours'), net=sum(list,'net');
+  const target=staffHours?net/staffHours:0;
+  const status=(sh,n)=>!sh?(n>0?'under':null):!target?null:n/sh>=target*(1+band)?'under':n/sh<=target*(1-band)?'over':'ok';
+  const metrics=(sh,n,bl,cost)=>({splh:sh?n/sh:null, bph:sh?bl/sh:null, costPct:costKnown&&n>0?cost/n*100:null,
+    need:target?n/target:0, status:status(sh,n)});
+  list.forEach(c=>{ c.staff=[...c.staff].sort(); Object.assign(c,metrics(c.staffHours,c.net,c.bills,c.cost)); });
+
+  const group=(keyOf,order)=>{
+    const by=new Map();
+    list.forEach(c=>{
+      const k=keyOf(c);
+      if(!by.has(k)) by.set(k,{key:k, dates:new Set(), staffHours:0, net:0, bills:0, cost:0});
+      const g=by.get(k); g.dates.add(c.date); g.staffHours+=c.staffHours; g.net+=c.net; g.bills+=c.bills; g.cost+=c.cost;
+    });
+    const keys=order?order.filter(k=>by.has(k)):[...by.keys()].sort((a,b)=>a-b);
+    return keys.map(k=>{
+      const g=by.get(k), days=g.dates.size, m=metrics(g.staffHours,g.net,g.bills,g.cost);
+      return {key:k, days, staffHours:g.staffHours, avgStaff:days?g.staffHours/days:0, net:g.net, bills:g.bills,
+        cost:costKnown?g.cost:null, ...m, needStaff:days?m.need/days:0};
+    });
+  };
+  const dpOrder=[...new Set([...(dayparts.length?dayparts.map(d=>d.name):Object.keys(P.DAYPART_HOURS)),'อื่นๆ'])];
+  const billCount=sum(list,'bills'), cost=sum(list,'cost');
+  const rosterDates=new Set(roster.map(s=>s.date));
+  return {target, band, hasCost:costKnown&&roster.length>0,
+    totals:{staffHours, net, bills:billCount, cost:costKnown?cost:null, ...metrics(staffHours,net,billCount,cost)},
+    cells:list, byHour:group(c=>c.h), byDow:group(c=>c.dow,DOW_ORDER), byDaypart:group(c=>c.daypart,dpOrder),
+    staffCount:new Set(roster.filter(s=>dates.has(s.date)).map(s=>s.staff)).size,
+    noRosterDates:[...dates].filter(d=>!rosterDates.has(d)).sort((a,b)=>P.dateToTs(a)-P.dateToTs(b)),
+    hasTime:timed.length>0};
+}
+
+// POS canceller names are often a nickname or first name only — match exact, else on the first word when only
+// one of the rostered names has it (two "Somchai …" on the same day stay unmatched) → normalised roster name or null
+const normName=s=>String(s||'').toLowerCase().replace(/\s+/g,' ').trim();
+function rosterName(person, names){
+  const p=normName(person);
+  if(!p) return null;
+  const all=[...new Set(names.map(normName))];
+  if(all.includes(p)) return p;
+  const first=all.filter(n=>n.split(' ')[0]===p.split(' ')[0]);
+  return first.length===1?first[0]:null;
+}
+
+// Each cancel → the shift its canceller was working: same person, same date (or the night before), time inside the shift
+// → {rows:[{...cancel, shift|null, rostered}], byShift:[{staff, date, start, end, role, count, amount, cancels}]}
+//   rostered = the person is working that day (a shift that day, or the overnight shift the cancel fell in);
+//   shift null + rostered = cancelled outside their hours · ambiguous = first name shared by several rostered people
+function cancelsByShift(cancels=[], roster=[]){
+  const shifts=new Map();
+  const rows=cancels.map(c=>{
+    const t=P.toSec(c.time);
+    // shifts that can cover this date: that day's, and the night before's when it runs past midnight
+    const near=roster.filter(s=>s.date===c.date||(nextDate(s.date)===c.date&&shiftWindow(s)[1]>86400));
+    const who=rosterName(c.person,near.map(s=>s.staff));
+    const mine=who?near.filter(s=>normName(s.staff)===who):[];
+    const shift=mine.find(s=>{
+      if(t==null) return s.date===c.date;
+      const [a,b]=shiftWindow(s), at=s.date===c.date?t:t+86400;
+      return at>=a&&at<=b;
+    })||null;
+    if(shift){
+      const k=shift.staff+'|'+shift.date+'|'+shift.start;
+      if(!shifts.has(k)) shifts.set(k,{staff:shift.staff, date:shift.date, start:shift.start, end:shift.end, role:shift.role, count:0, amount:0, cancels:[]});
+      const g=shifts.get(k); g.count++; g.amount+=c.amount||0; g.cancels.push(c);
+    }
+    const first=normName(c.person).split(' ')[0];
+    const ambiguous=!who&&!!first&&near.some(s=>normName(s.staff).split(' ')[0]===first);
+    return {...c, shift, rostered:!!shift||mine.some(s=>s.date===c.date), ambiguous};
+  });
+  return {rows, byShift:[...shifts.values()].sort((a,b)=>b.amount-a.amount)};
+}
+
+return {BAND,DOW_ORDER,shiftSlots,daypartOfHour,labourProductivity,rosterName,cancelsByShift};
+});
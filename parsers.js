@@ -0,0 +1,788 @@
+// ══════════════════════════════════════════
+// POS PARSERS & AGGREGATION — shared by index.html and Node (tests / CLI)
+// Input is always a sheet as rows of cells (XLSX.utils.sheet_to_json(ws,{header:1,defval:''}))
+// ══════════════════════════════════════════
+(function(root,factory){
+  if(typeof module==='object'&&module.exports) module.exports=factory();
+  else root.NigiParse=factory();
+})(typeof self!=='undefined'?self:this,function(){
+'use strict';
+
+// ── Dates ──
+// Any POS date → DD/MM/YYYY (CE). Handles D/M/YYYY, ISO, Excel serials and Buddhist years (2569 → 2026)
+function normDate(raw){
+  const s=String(raw??'').trim();
+  if(!s)return '';
+  const be=y=>{const n=parseInt(y,10);return String(n>2400?n-543:n);};
+  let m;
+  if((m=s.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/)))return m[1].padStart(2,'0')+'/'+m[2].padStart(2,'0')+'/'+be(m[3]);
+  if((m=s.match(/^(\d{4})-(\d{2})-(\d{2})/)))return m[3]+'/'+m[2]+'/'+be(m[1]);
+  if(/^\d{5}(\.\d+)?$/.test(s)){
+    // Excel serial (days since 1899-12-30); the fraction is the time of day
+    const d=new Date(Math.round((Math.floor(parseFloat(s))-25569)*86400*1000));
+    return String(d.getUTCDate()).padStart(2,'0')+'/'+String(d.getUTCMonth()+1).padStart(2,'0')+'/'+d.getUTCFullYear();
+  }
+  return s;
+}
+
+function getDOW(dateStr){
+  if(!dateStr)return '?';
+  const [dd,mm,yyyy]=dateStr.split('/');
+  if(!dd||!mm||!yyyy)return '?';
+  const d=new Date(parseInt(yyyy),parseInt(mm)-1,parseInt(dd));
+  return ['Sun','Mon','Tue','Wed','Thu','Fri','Sat'][d.getDay()]||'?';
+}
+
+// Sort key for DD/MM/YYYY (string sort gives wrong order for this format)
+const dateToTs=s=>{const[d,m,y]=(s||'').split('/');return new Date(+y,+m-1,+d).getTime();};
+
+// ── Header discovery ──
+// First row (within `limit`) whose trimmed cells satisfy test(cells); -1 when none
+function findHeaderRow(rows, test, limit=25){
+  for(let i=0;i<Math.min(limit,rows.length);i++){
+    if(test((rows[i]||[]).map(v=>String(v??'').trim()))) return i;
+  }
+  return -1;
+}
+
+// ci('a','b') → index of the first exact header name found, -1 otherwise
+function columnIndex(headerRow){
+  const cols=(headerRow||[]).map(v=>String(v??'').trim());
+  return (...names)=>{for(const n of names){const i=cols.indexOf(n);if(i!==-1)return i;}return -1;};
+}
+
+// Branch name from a POS export: "สาขา : X" / ["สาขา","X"] banner row, else first value of a สาขา column
+function detectBranch(rows, hdr=-1){
+  for(let i=0;i<Math.min(10,rows.length);i++){
+    if(i===hdr) continue;
+    const cells=rows[i].map(v=>String(v??'').trim());
+    for(let j=0;j<cells.length;j++){
+      const m=cells[j].match(/^สาขา\s*[:：]\s*(.+)$/);
+      if(m) return m[1].trim();
+      if(cells[j]==='สาขา'&&!cells.includes('วันที่')){const v=cells.slice(j+1).find(Boolean);if(v)return v;}
+    }
+  }
+  if(hdr>=0){
+    const iB=rows[hdr].map(v=>String(v).trim()).indexOf('สาขา');
+    if(iB!==-1) for(let i=hdr+1;i<rows.length;i++){const v=String(rows[i][iB]||'').trim();if(v)return v;}
+  }
+  return '';
+}
+
+// ── Parse log — optional last argument of every parser ──
+// log → {read, accepted, rejected, reasons:{reason:count}}; read counts non-blank rows below the header.
+// Summary lines (รวม / สรุป / Total) are listed under SUMMARY_ROW but are not rejections.
+const SUMMARY_ROW='แถวสรุปยอด (รวม)';
+const SUMMARY_RE=/^(รวม|ยอดรวม|สรุป|grand total|total)/i;
+function rowLog(log){
+  if(!log) return {row:r=>!!r&&r.some(v=>String(v??'').trim()!==''), skip(){}, done:n=>n};
+  Object.assign(log,{read:0,accepted:0,rejected:0,reasons:{}});
+  return {
+    row(r){ const ok=!!r&&r.some(v=>String(v??'').trim()!==''); if(ok) log.read++; return ok; },
+    skip(r,reason){
+      if(r.some(v=>SUMMARY_RE.test(String(v??'').trim()))) reason=SUMMARY_ROW;
+      else log.rejected++;
+      log.reasons[reason]=(log.reasons[reason]||0)+1;
+    },
+    done(n){ log.accepted=n; return n; }
+  };
+}
+const DATE_RE=/^\d{2}\/\d{2}\/\d{4}$/;
+
+// ── File 1 / 1p: sales transactions → {rows, isByDate, branch} ──
+// By-Product (old): has ชื่อสินค้า, เวลาขาย, จำนวน → item-level rows
+// By-Date (new):    has รวมสุทธิ, ส่วนลดรายการ     → bill-level rows
+const DOC_PATTERN=/^[A-Za-z]+-\d+-\d+\/\d+/;
+function parseSalesRows(rows, log){
+  const L=rowLog(log);
+  const hdr=Math.max(0,findHeaderRow(rows,r=>r.includes('เลขที่เอกสาร')));
+  const branch=detectBranch(rows,hdr);
+  const ci=columnIndex(rows[hdr]);
+  const isByDate = ci('รวมสุทธิ') !== -1 && ci('ชื่อสินค้า') === -1;
+
+  const iDoc  = ci('เลขที่เอกสาร');
+  const iDate = ci('วันที่');
+  const result=[];
+
+  if(isByDate){
+    // Columns: เลขที่เอกสาร, วันที่, ชื่อลูกค้า, ราคา, ส่วนลดรายการ, รวม, ส่วนลด, ราคารวมก่อนภาษี, ภาษี, รวมสุทธิ
+    const iGross  = ci('ราคา');             // gross price before any discount
+    const iDisc   = ci('ส่วนลด');           // bill-level discount (promo applied)
+    const iPreVat = ci('ราคารวมก่อนภาษี');  // pre-VAT AFTER discount ✓
+    const iVat    = ci('ภาษี');
+    const iNet    = ci('รวมสุทธิ');          // net revenue = preVat + VAT
+
+    for(let i=hdr+1;i<rows.length;i++){
+      const r=rows[i];
+      if(!L.row(r)) continue;
+      const doc=String(r[iDoc]||'').trim(), date=normDate(r[iDate]);
+      if(!DOC_PATTERN.test(doc)){ L.skip(r,'เลขที่เอกสารไม่ตรงรูปแบบ'); continue; }
+      if(!DATE_RE.test(date)){ L.skip(r,'วันที่อ่านไม่ได้'); continue; }
+      result.push({
+        doc,
+        date,
+        time:   '',          // not available in by-date file
+        cat:    '',          // not available in by-date file
+        prod:   '',          // not available in by-date file
+        qty:    1,           // bill count (1 per row)
+        gross:  parseFloat(r[iGross]) ||0,
+        disc:   parseFloat(r[iDisc])  ||0,       // bill-level discount already in file
+        net:    parseFloat(r[iNet])   ||0,
+        preVat: parseFloat(r[iPreVat])||0,
+        vat:    parseFloat(r[iVat])   ||0
+      });
+    }
+  } else {
+    const iTime = ci('เวลาขาย','เวลา');
+    const iCat  = ci('ชื่อกลุ่มสินค้า');
+    const iProd = ci('ชื่อสินค้า');
+    const iQty  = ci('จำนวน');
+    const iNet  = ci('ราคาสุทธิ');
+    const iDisc = ci('ส่วนลด');
+    const iPreVat = ci('ราคารวมก่อนภาษี');
+    const iVat    = ci('ภาษี');
+
+    for(let i=hdr+1;i<rows.length;i++){
+      const r=rows[i];
+      if(!L.row(r)) continue;
+      const doc=String(r[iDoc]||'').trim(), date=normDate(r[iDate]);
+      if(!DOC_PATTERN.test(doc)){ L.skip(r,'เลขที่เอกสารไม่ตรงรูปแบบ'); continue; }
+      if(!DATE_RE.test(date)){ L.skip(r,'วันที่อ่านไม่ได้'); continue; }
+      const _net    = parseFloat(r[iNet])    ||0;
+      const _disc   = parseFloat(r[iDisc])   ||0;
+      result.push({
+        doc,
+        date,
+        time:   String(r[iTime]||'').trim(),
+        cat:    String(r[iCat] ||'').trim(),
+        prod:   String(r[iProd]||'').trim(),
+        qty:    parseFloat(r[iQty]) ||0,
+        gross:  _net + _disc,
+        disc:   _disc,
+        net:    _net,
+        preVat: parseFloat(r[iPreVat]) ||0,
+        vat:    parseFloat(r[iVat])    ||0
+      });
+    }
+  }
+  L.done(result.length);
+  return {rows:result, isByDate, branch};
+}
+
+// ── File 2: promotions ──
+function parsePromoRows(rows, log){
+  const L=rowLog(log);
+  const hdr=Math.max(0,findHeaderRow(rows,r=>r.includes('รหัสโปรโมชั่น')||r.includes('ชื่อโปรโมชั่น')||r.includes('โปรโมชั่น')));
+  const ci=columnIndex(rows[hdr]);
+  const iCode  = ci('รหัสโปรโมชั่น','รหัส');
+  const iPN    = ci('โปรโมชั่น','ชื่อโปรโมชั่น');
+  const iPD    = ci('วันที่ใช้บริการ','วันที่');
+  const iPC    = ci('จำนวนครั้งที่ใช้โปรโมชั่น','จำนวนครั้ง');
+  const iPS    = ci('ยอดขายโปรโมชั่น','ยอดขาย');
+  const iPDisc = ci('ส่วนลดโปรโมชั่น','ส่วนลด');
+  const iPNet  = ci('ยอดขายสุทธิ','ราคาสุทธิ');
+  const result=[];
+  for(let i=hdr+1;i<rows.length;i++){
+    const r=rows[i];
+    if(!L.row(r)) continue;
+    const code=String(r[iCode]||'').trim();
+    if(!code.startsWith('PM')){ L.skip(r,'รหัสโปรโมชั่นไม่ขึ้นต้นด้วย PM'); continue; }
+    result.push({
+      code,
+      name:     String(r[iPN]   ||'').trim(),
+      date:     normDate(r[iPD]),
+      count:    parseFloat(r[iPC]   )||0,
+      sales:    parseFloat(r[iPS]   )||0,
+      discount: parseFloat(r[iPDisc])||0,
+      net:      parseFloat(r[iPNet])||0 || Math.max(0,(parseFloat(r[iPS])||0)-(parseFloat(r[iPDisc])||0))
+    });
+  }
+  L.done(result.length);
+  return result;
+}
+
+// ── File 3: monthly summary — throws when the file is clearly the wrong one ──
+const TH_MONTHS=['','มกราคม','กุมภาพันธ์','มีนาคม','เมษายน','พฤษภาคม','มิถุนายน','กรกฎาคม','สิงหาคม','กันยายน','ตุลาคม','พฤศจิกายน','ธันวาคม'];
+const EN_MONTHS=['','january','february','march','april','may','june','july','august','september','october','november','december'];
+const TH_MONTHS_SHORT=['','ม.ค.','ก.พ.','มี.ค.','เม.ย.','พ.ค.','มิ.ย.','ก.ค.','ส.ค.','ก.ย.','ต.ค.','พ.ย.','ธ.ค.'];
+
+// "03/2026", "1/3/2569", "2026-03", "มีนาคม 2569", "March 2026" → {mm, yy} (CE) or null
+function parseMonth(monthRaw){
+  let mm=0, yy=0;
+  const slashFull=monthRaw.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  const slashMY  =monthRaw.match(/^(\d{1,2})\/(\d{4})$/);
+  const iso      =monthRaw.match(/^(\d{4})-(\d{2})/);
+  if(slashFull){ mm=parseInt(slashFull[2]); yy=parseInt(slashFull[3]); }
+  else if(slashMY){ mm=parseInt(slashMY[1]); yy=parseInt(slashMY[2]); }
+  else if(iso){ yy=parseInt(iso[1]); mm=parseInt(iso[2]); }
+  else {
+    const yearMatch=monthRaw.match(/(\d{4})/);
+    if(yearMatch){
+      yy=parseInt(yearMatch[1]);
+      const lower=monthRaw.toLowerCase();
+      for(let mi=1;mi<=12;mi++){
+        if(lower.includes(TH_MONTHS[mi])||lower.includes(EN_MONTHS[mi])||lower.includes(TH_MONTHS_SHORT[mi])){mm=mi;break;}
+      }
+    }
+  }
+  if(yy>2400) yy-=543;
+  // Must be a valid CE year (2020–2040) and valid month
+  if(!mm||!yy||mm<1||mm>12||yy<2020||yy>2040) return null;
+  return {mm, yy};
+}
+
+function parseMonthlyRows(rows, log){
+  const L=rowLog(log);
+  // Safety: if this looks like a transaction file (has เลขที่เอกสาร), skip it
+  if(findHeaderRow(rows,r=>r.includes('เลขที่เอกสาร'))!==-1) throw new Error('ไฟล์รายเดือนดูเหมือนไฟล์ transaction — กรุณาอัพโหลดไฟล์สรุปรายเดือนแทน');
+
+  // Header row: must contain a month/date column AND a revenue column
+  const monthKeywords=['เดือน','Month','ช่วงเวลา'];
+  const revenueKeywords=['ยอดขายสุทธิ','Net Revenue','ยอดสุทธิ','ราคาสุทธิ','ยอดขายรวม','Gross Revenue'];
+  const has=(v,keys)=>keys.some(k=>v===k||v.includes(k));
+  const hdr=findHeaderRow(rows,r=>r.some(v=>has(v,monthKeywords))&&r.some(v=>has(v,revenueKeywords)));
+  if(hdr===-1) throw new Error('ไม่พบแถว Header ในไฟล์รายเดือน (ต้องมีคอลัมน์ เดือน/Month และ ยอดขายสุทธิ/Net Revenue)');
+
+  const cols=rows[hdr].map(v=>String(v).trim());
+  const find=keys=>cols.findIndex(c=>has(c,keys));
+  const iMonth = find(monthKeywords);
+  const iMNet  = find(['ยอดขายสุทธิ','Net Revenue','ยอดสุทธิ','ราคาสุทธิ']);
+  const iMGross= find(['ยอดขายก่อนหักส่วนลด','Gross Revenue','ยอดขายรวม']);
+  const iMDisc = find(['ส่วนลดรวม','Discount Total','ส่วนลด']);
+  const iMQty  = find(['จำนวนชิ้น','จำนวนสินค้า','Qty','Quantity']);
+  const iMBills= find(['จำนวนบิล','จำนวนรายการ','Bills','Orders']);
+  const iMDays = find(['จำนวนวัน','วัน','Days']);
+
+  const result=[];
+  for(let i=hdr+1;i<rows.length;i++){
+    const r=rows[i];
+    if(!L.row(r)) continue;
+    const monthRaw=String(r[iMonth]||'').trim();
+    if(!monthRaw){ L.skip(r,'ไม่มีเดือน'); continue; }
+    const netVal  = parseFloat(r[iMNet])  ||0;
+    const grossVal= parseFloat(r[iMGross])||0;
+    // Net revenue must be > 100 to be a meaningful monthly row (rules out stray rows, totals labels)
+    if(netVal < 100 && grossVal < 100){ L.skip(r,'ยอดขายต่ำกว่า 100'); continue; }
+    const month=parseMonth(monthRaw);
+    if(!month){ L.skip(r,'อ่านเดือนไม่ได้'); continue; }
+    result.push({
+      month: monthRaw,
+      mm: month.mm, yy: month.yy,
+      net:      netVal,
+      gross:    grossVal,
+      discount: parseFloat(r[iMDisc]) ||0,
+      qty:      parseFloat(r[iMQty])  ||0,
+      bills:    parseFloat(r[iMBills])||0,
+      days:     parseFloat(r[iMDays]) ||0
+    });
+  }
+  L.done(result.length);
+  return result;
+}
+
+// ── File 7: sales budget / target (not a POS export — kept by the owner in Excel) ──
+// Header: เดือน or วันที่ + เป้ายอดขาย, optional สาขา and หมวด columns.
+// A month row is that month's target, a date row that day's; no หมวด = the branch total.
+// → [{date ('' for a month row), mm, yy, branch, cat, net}]
+const BUDGET_KEYS=['เป้ายอดขาย','เป้าหมาย','งบประมาณ','Budget','Target','เป้า'];
+function parseBudgetRows(rows, log){
+  const L=rowLog(log);
+  const has=(v,keys)=>keys.some(k=>v===k||v.includes(k));
+  const hdr=findHeaderRow(rows,r=>r.some(v=>has(v,['เดือน','Month','วันที่','Date']))&&r.some(v=>has(v,BUDGET_KEYS)));
+  if(hdr===-1) throw new Error('ไม่พบแถว Header ในไฟล์เป้ายอดขาย (ต้องมีคอลัมน์ เดือน/วันที่ และ เป้ายอดขาย/Budget)');
+  const cols=rows[hdr].map(v=>String(v).trim());
+  const find=keys=>cols.findIndex(c=>has(c,keys)&&(keys===BUDGET_KEYS||!has(c,BUDGET_KEYS)));   // "เป้ารายเดือน" is the amount, not the month
+  const iMonth=find(['เดือน','Month']), iDate=find(['วันที่','Date']);
+  const iBranch=find(['สาขา','Branch']), iCat=find(['หมวด','กลุ่มสินค้า','Category']);
+  const iNet=find(BUDGET_KEYS);
+  const result=[];
+  for(let i=hdr+1;i<rows.length;i++){
+    const r=rows[i];
+    if(!L.row(r)) continue;
+    const net=parseFloat(r[iNet])||0;
+    if(net<=0){ L.skip(r,'ไม่มีเป้ายอดขาย'); continue; }
+    const date=iDate>=0?normDate(r[iDate]):'';
+    const monthRaw=iMonth>=0?String(r[iMonth]??'').trim():'';
+    let month=null;
+    if(DATE_RE.test(date)) month={mm:+date.slice(3,5), yy:+date.slice(6)};
+    else if(monthRaw){ const m=normDate(monthRaw); month=DATE_RE.test(m)?{mm:+m.slice(3,5), yy:+m.slice(6)}:parseMonth(monthRaw); }
+    if(!month){ L.skip(r,'อ่านเดือน/วันที่ไม่ได้'); continue; }
+    result.push({date:DATE_RE.test(date)?date:'', mm:month.mm, yy:month.yy,
+      branch:iBranch>=0?String(r[iBranch]||'').trim():'', cat:iCat>=0?String(r[iCat]||'').trim():'', net});
+  }
+  L.done(result.length);
+  return result;
+}
+
+// ── File 8: staff roster (xlsx or CSV kept by the store manager) ──
+// Header: พนักงาน, วันที่, เวลาเข้า, เวลาออก; optional ตำแหน่ง, ค่าแรง (฿/ชม.), พัก (นาที), สาขา.
+// Shifts ending at or before their start run past midnight. Excel time cells (day fractions) are accepted.
+// → [{staff, date, start 'HH:MM', end 'HH:MM', role, rate (null = not given), breakMin, branch, hours (paid)}]
+const ROSTER_COLS={staff:['พนักงาน','ชื่อ','Staff','Employee','Name'], date:['วันที่','Date'],
+  start:['เวลาเข้า','เข้างาน','เริ่ม','Start','Clock In','Time In'], end:['เวลาออก','ออกงาน','เลิก','End','Finish','Clock Out','Time Out'],
+  role:['ตำแหน่ง','หน้าที่','Role','Position'], rate:['ค่าแรง','อัตรา','Rate','Wage'], breakMin:['พัก','Break'], branch:['สาขา','Branch']};
+function parseRosterRows(rows, log){
+  const L=rowLog(log);
+  const has=(v,keys)=>keys.some(k=>v===k||v.includes(k));
+  const hdr=findHeaderRow(rows,r=>r.some(v=>has(v,ROSTER_COLS.staff))&&r.some(v=>has(v,ROSTER_COLS.start))&&r.some(v=>has(v,ROSTER_COLS.end)));
+  if(hdr===-1) throw new Error('ไม่พบแถว Header ในไฟล์ตารางกะ (ต้องมีคอลัมน์ พนักงาน, วันที่, เวลาเข้า และ เวลาออก)');
+  const cols=rows[hdr].map(v=>String(v).trim());
+  const at=Object.fromEntries(Object.entries(ROSTER_COLS).map(([k,keys])=>[k,cols.findIndex(c=>has(c,keys))]));
+  const hhmm=s=>String(Math.floor(s/3600)%24).padStart(2,'0')+':'+String(Math.floor(s%3600/60)).padStart(2,'0');
+  const result=[];
+  for(let i=hdr+1;i<rows.length;i++){
+    const r=rows[i];
+    if(!L.row(r)) continue;
+    const staff=String(r[at.staff]??'').trim();
+    const date=normDate(r[at.date]);
+    const s=toSec(r[at.start]), e=toSec(r[at.end]);
+    if(!staff){ L.skip(r,'ไม่มีชื่อพนักงาน'); continue; }
+    if(!DATE_RE.test(date)){ L.skip(r,'วันที่อ่านไม่ได้'); continue; }
+    if(s==null||e==null||s===e){ L.skip(r,'อ่านเวลาเข้า/ออกไม่ได้'); continue; }
+    const breakMin=at.breakMin>=0?parseFloat(r[at.breakMin])||0:0;
+    const rate=at.rate>=0&&r[at.rate]!==''?parseFloat(r[at.rate]):NaN;
+    const span=(e>s?e-s:e+86400-s)/3600;
+    result.push({staff, date, start:hhmm(s), end:hhmm(e),
+      role:at.role>=0?String(r[at.role]||'').trim():'', rate:isFinite(rate)?rate:null, breakMin,
+      branch:at.branch>=0?String(r[at.branch]||'').trim():'', hours:Math.max(0,span-breakMin/60)});
+  }
+  L.done(result.length);
+  return result;
+}
+
+// ── File 4: bill cancellations ──
+// Header: สาขา, วันที่, เลขที่เอกสาร, จำนวนเงินสุทธิ, คนยกเลิกบิล, เวลายกเลิก
+function parseCancelRows(rows, log){
+  const L=rowLog(log);
+  const hdr=Math.max(0,findHeaderRow(rows,r=>r.includes('วันที่')&&(r.includes('เลขที่เอกสาร')||r.includes('จำนวนเงินสุทธิ')),10));
+  const ci=columnIndex(rows[hdr]);
+  const iCDate   = ci('วันที่');
+  const iCDoc    = ci('เลขที่เอกสาร');
+  const iCAmt    = ci('จำนวนเงินสุทธิ','จำนวนเงิน','ยอดเงิน');
+  const iCPerson = ci('คนยกเลิกบิล','ผู้ยกเลิก','ยกเลิกโดย');
+  const iCTime   = ci('เวลายกเลิก','เวลา');
+  const iCRemark = ci('หมายเหตุ','เหตุผล','note','remark');
+  const iCBranch = ci('สาขา');
+  const result=[];
+  for(let i=hdr+1;i<rows.length;i++){
+    const r=rows[i];
+    if(!L.row(r)) continue;
+    const date=normDate(r[iCDate]);
+    const amt=parseFloat(r[iCAmt])||0;
+    if(!DATE_RE.test(date)){ L.skip(r,'วันที่อ่านไม่ได้'); continue; }
+    if(amt===0){ L.skip(r,'จำนวนเงินเป็น 0'); continue; }
+    result.push({
+      date,
+      doc:    String(r[iCDoc]||'').trim(),
+      amount: amt,
+      person: iCPerson>=0?String(r[iCPerson]||'').trim():'',
+      time:   iCTime  >=0?String(r[iCTime]  ||'').trim():'',
+      remark: iCRemark>=0?String(r[iCRemark]||'').trim():'',
+      branch: iCBranch>=0?String(r[iCBranch]||'').trim():''
+    });
+  }
+  L.done(result.length);
+  return result;
+}
+
+// ── File 5: product summary (สรุปสินค้าขายประจำวัน) ──
+// Category from product code prefix — default rules; the product master (products.js) can replace them
+const CAT_PREFIXES={'Sushi Bento':['MED','MIN','SUS'],'Donburi':['DON'],'Beverage':['BEV'],'Dessert':['DES'],'Appetizer':['APP','SOU']};
+function codeToCat(code, prefixes=CAT_PREFIXES){
+  const p=(code||'').toUpperCase();
+  for(const cat in prefixes) if(prefixes[cat].some(x=>x&&p.startsWith(x))) return cat;
+  return 'Other';
+}
+
+function parseProductSummaryRows(rows, log){
+  const L=rowLog(log);
+  const hdr=Math.max(0,findHeaderRow(rows,r=>r.includes('รหัสสินค้า')||r.includes('ชื่อสินค้า'),10));
+  const ci=columnIndex(rows[hdr]);
+  const iDate = ci('วันที่');
+  const iCode = ci('รหัสสินค้า');
+  const iName = ci('ชื่อสินค้า');
+  const iNet  = ci('รวม','ยอดสุทธิ','ราคาสุทธิ');
+  const iQty  = ci('จำนวน','จำนวนชิ้น');
+  const result=[];
+  for(let i=hdr+1;i<rows.length;i++){
+    const r=rows[i];
+    if(!L.row(r)) continue;
+    const date=normDate(r[iDate]);
+    if(!DATE_RE.test(date)){ L.skip(r,'วันที่อ่านไม่ได้'); continue; }
+    const code=String(r[iCode]||'').trim();
+    const name=String(r[iName]||'').trim();
+    if(!code&&!name){ L.skip(r,'ไม่มีรหัสหรือชื่อสินค้า'); continue; }
+    result.push({date, code, name, cat:codeToCat(code), net:parseFloat(r[iNet])||0, qty:parseFloat(r[iQty])||0});
+  }
+  L.done(result.length);
+  return result;
+}
+
+// ── File 6: daypart summary (สรุปยอดขายแยกตามช่วงเวลา) ──
+// Data rows have text[0] = "Dinner : 18:00:01 - 23:59:59"
+// nums: [Sold, ItemSales, ItemDisc, VoucherDisc, SaleAmount, Vat, GrossSales,
+//        Cash, CreditCard, CashCoupon, Promptpay, GBPrimePay, CreditSale, CashCard,
+//        Delivery, Collected, Bills, AvgBills]
+const DAYPART_NAMES={'breakfast':'Breakfast','lunch':'Lunch','tea time':'Tea Time','dinner':'Dinner'};
+function parseDaypartRows(rows, log){
+  const L=rowLog(log), dayparts=[];
+  rows.forEach(r=>{
+    const label=String(r[0]||'').trim();
+    const match=Object.keys(DAYPART_NAMES).find(k=>label.toLowerCase().startsWith(k));
+    if(!match) return;   // banner / header / total lines — only daypart rows count as read
+    L.row(r);
+    const nums=r.filter(v=>v!==''&&v!==null&&typeof v!=='string');
+    if(nums.length<17){ L.skip(r,'ตัวเลขไม่ครบ 17 คอลัมน์'); return; }
+    dayparts.push({
+      name:     DAYPART_NAMES[match],
+      timeRange:label.split(':').slice(1).join(':').trim(),
+      sold:     parseFloat(nums[0])||0,   // qty items
+      itemSales:parseFloat(nums[1])||0,   // gross before disc
+      itemDisc: parseFloat(nums[2])||0,
+      saleAmt:  parseFloat(nums[4])||0,   // pre-VAT net
+      vat:      parseFloat(nums[5])||0,
+      net:      parseFloat(nums[6])||0,   // GrossSales = SaleAmount + VAT
+      bills:    parseFloat(nums[16])||0,
+      avgBill:  parseFloat(nums[17])||0,
+    });
+  });
+  // Chronological: Breakfast→Lunch→Tea Time→Dinner
+  const order=Object.values(DAYPART_NAMES);
+  L.done(dayparts.length);
+  return dayparts.sort((a,b)=>order.indexOf(a.name)-order.indexOf(b.name));
+}
+
+// ── Which export is this sheet? (the browser knows from the upload slot; the CLI has to guess) ──
+// → 'sales' | 'cancel' | 'promo' | 'productSummary' | 'roster' | 'budget' | 'monthly' | 'daypart' | null
+function classifyExport(rows){
+  if(parseDaypartRows(rows).length) return 'daypart';
+  const hdr=findHeaderRow(rows,r=>r.includes('เลขที่เอกสาร'));
+  if(hdr!==-1){
+    const ci=columnIndex(rows[hdr]);
+    const isSales=ci('รวมสุทธิ','ราคาสุทธิ','ชื่อสินค้า')!==-1;
+    return !isSales&&ci('จำนวนเงินสุทธิ','คนยกเลิกบิล','เวลายกเลิก')!==-1?'cancel':'sales';
+  }
+  if(findHeaderRow(rows,r=>r.includes('รหัสโปรโมชั่น')||r.includes('ชื่อโปรโมชั่น'))!==-1) return 'promo';
+  if(findHeaderRow(rows,r=>r.includes('วันที่')&&(r.includes('รหัสสินค้า')||r.includes('ชื่อสินค้า')),10)!==-1) return 'productSummary';
+  try{ if(parseRosterRows(rows).length) return 'roster'; }catch(e){}
+  try{ if(parseBudgetRows(rows).length) return 'budget'; }catch(e){}
+  try{ if(parseMonthlyRows(rows).length) return 'monthly'; }catch(e){}
+  return null;
+}
+
+// ══════════ AGGREGATION ══════════
+// One row per date: net/gross/discount/VAT/cancel — shared by rebuildDashboard and branch comparison
+function buildDailyRows(salesRows, promoRows, cancelRows=[], isByDate=false){
+  // Build cancel amount per date for quick lookup
+  const cancelByDate={};
+  const cancelCountByDate={};
+  cancelRows.forEach(r=>{
+    if(r.date){
+      cancelByDate[r.date]      = (cancelByDate[r.date]||0)      + r.amount;
+      cancelCountByDate[r.date] = (cancelCountByDate[r.date]||0) + 1;
+    }
+  });
+
+  const dateMap={};
+  salesRows.forEach(r=>{
+    if(!r.date)return;
+    if(!dateMap[r.date])dateMap[r.date]={net:0,gross:0,qty:0,disc:0,preVat:0,vat:0,bills:new Set()};
+    dateMap[r.date].net   +=r.net;
+    dateMap[r.date].gross +=r.gross;
+    dateMap[r.date].qty   +=r.qty;
+    dateMap[r.date].disc  +=(r.disc||0);
+    dateMap[r.date].preVat+=(r.preVat||0);
+    dateMap[r.date].vat   +=(r.vat||0);
+    dateMap[r.date].bills.add(r.doc);
+  });
+  const sortedDates=Object.keys(dateMap).sort((a,b)=>dateToTs(a)-dateToTs(b));
+
+  // Promo discount per date
+  const promoByDate={};
+  promoRows.forEach(p=>{if(p.date)promoByDate[p.date]=(promoByDate[p.date]||0)+p.discount;});
+
+  return sortedDates.map(d=>{
+    const v=dateMap[d];
+    const disc  = v.disc > 0 ? v.disc : (promoByDate[d]||0);
+    const gross = v.gross > 0 ? v.gross : v.net + disc;
+
+    // For by-date files: รวมสุทธิ is stored directly in v.net per row → use it as-is.
+    // It's the most accurate POS value (gross - rounded per-bill discount).
+    // For by-product files: compute net = gross - disc (discount from promo file).
+    const net = isByDate ? (v.net||0) : Math.max(0, gross - disc);
+
+    // NOTE: Cancelled bills are ALREADY excluded from the POS sales export.
+    // The cancel file is INFORMATIONAL ONLY — display cancelled amount & count per day.
+    // Do NOT deduct again — it would double-count and give wrong net revenue.
+
+    // ฐานภาษี (Pre-VAT) and VAT 7%: SUM of ราคารวมก่อนภาษี and ภาษี straight from the
+    // transaction file — matches the POS รายงานสรุปยอดขายประจำวัน exactly. They are based on
+    // GROSS item prices (promo discounts apply at bill level), so never recompute Net × 100/107.
+    return {
+      date: d,
+      net:  net,
+      qty:  v.qty,
+      bills:v.bills.size,
+      gross: gross,
+      discount: disc,
+      cancel: cancelByDate[d]||0,
+      cancelCount: cancelCountByDate[d]||0,
+      preVat: v.preVat||0,
+      vat:    v.vat||0
+    };
+  });
+}
+
+const CAT_ORDER=['Sushi Bento','Donburi','Beverage','Dessert','Appetizer'];
+const CAT_COLORS={"Sushi Bento":"#e07070","Donburi":"#3d9be0","Beverage":"#22d47a","Dessert":"#a07ee0","Appetizer":"#f0a500"};
+const HOUR_RANGE=Array.from({length:18},(_,i)=>i+5);   // 05:00–22:00
+const BASKET_RANGES=[[0,50],[50,100],[100,150],[150,200],[200,300],[300,500],[500,700],[700,Infinity]];
+
+// Product key across formats: sales rows (r.prod) and product summary rows (r.code/r.name)
+const productKey=r=>(r.prod&&r.prod.trim())||(r.code?`${r.code} / ${r.name}`:(r.name&&r.name.trim()));
+
+// Everything rebuildDashboard derives from one dataset. Rows must already carry normalised dates.
+// Product-level views prefer 1p rows (productRows), then the File 5 summary, then the sales rows.
+// catOrder/catColors: category order and colours (product master); categories not listed follow in data order.
+function aggregateDataset({salesRows=[], promoRows=[], cancelRows=[], isByDate=false, prodSummaryRows=[], productRows=[], catOrder=CAT_ORDER, catColors=CAT_COLORS}){
+  const catMap={},hourMap={},prodMap={},catHourMap={},catHourQtyMap={};
+  const itemRows=productRows.length>0?productRows:salesRows;
+  itemRows.forEach(r=>{
+    if(!r.date)return;
+    const h=parseInt((r.time||'00:00').split(':')[0])||0;
+    const c=r.cat&&r.cat.trim(), p=r.prod&&r.prod.trim();
+    if(c){if(!catMap[c])catMap[c]={net:0,qty:0};catMap[c].net+=r.net;catMap[c].qty+=r.qty;}
+    if(!hourMap[h])hourMap[h]={net:0,qty:0};
+    hourMap[h].net+=r.net; hourMap[h].qty+=r.qty;
+    if(p){if(!prodMap[p])prodMap[p]={net:0,qty:0,bills:new Set(),cat:r.cat};prodMap[p].net+=r.net;prodMap[p].qty+=r.qty;prodMap[p].bills.add(r.doc);}
+    if(c){if(!catHourMap[c])catHourMap[c]={};catHourMap[c][h]=(catHourMap[c][h]||0)+r.net;}
+    // Item quantities per hour only exist in the 1p export
+    if(c&&productRows.length>0){if(!catHourQtyMap[c])catHourQtyMap[c]={};catHourQtyMap[c][h]=(catHourQtyMap[c][h]||0)+(r.qty||0);}
+  });
+
+  const daily=buildDailyRows(salesRows, promoRows, cancelRows, isByDate);
+  const sortedDates=daily.map(d=>d.date);
+
+  let cats, products;
+  if(productRows.length > 0 || prodSummaryRows.length > 0){
+    const src=productRows.length>0?productRows:prodSummaryRows;
+    const sumCatMap={}, sumProdMap={};
+    src.forEach(r=>{
+      const cat=r.cat||'Other';
+      if(!sumCatMap[cat]) sumCatMap[cat]={net:0,qty:0};
+      sumCatMap[cat].net+=r.net; sumCatMap[cat].qty+=r.qty;
+      const key=productKey(r);
+      if(!key) return;
+      if(!sumProdMap[key]) sumProdMap[key]={net:0,qty:0,cat,p:key,c:cat,bills:new Set()};
+      sumProdMap[key].net+=r.net; sumProdMap[key].qty+=r.qty;
+      if(r.doc) sumProdMap[key].bills.add(r.doc);
+    });
+    cats=[...new Set([...catOrder,...Object.keys(sumCatMap)])].filter(c=>sumCatMap[c])
+      .map(c=>({cat:c,net:sumCatMap[c].net,qty:sumCatMap[c].qty,color:catColors[c]||'#888'}));
+    products=Object.values(sumProdMap).filter(p=>p.net>0).map(p=>({...p,bills:p.bills.size}));
+  } else {
+    // Fallback: derive categories and products from sales rows (by-product file only)
+    cats=[...new Set([...catOrder,...Object.keys(catMap)])].filter(c=>catMap[c])
+      .map(c=>({cat:c,net:catMap[c].net,qty:catMap[c].qty,color:catColors[c]||'#888'}));
+    products=Object.entries(prodMap).filter(([p])=>p).map(([p,v])=>({p,c:v.cat,net:v.net,qty:v.qty,bills:v.bills.size}));
+  }
+
+  const hours=HOUR_RANGE.map(h=>({h,net:hourMap[h]?.net||0,qty:hourMap[h]?.qty||0}));
+  const catHour={}, catHourQty={};
+  cats.forEach(({cat})=>{
+    catHour[cat]=HOUR_RANGE.map(h=>catHourMap[cat]?.[h]||0);
+    catHourQty[cat]=HOUR_RANGE.map(h=>catHourQtyMap[cat]?.[h]||0);
+  });
+
+  // Hourly heatmap per day ("DD/MM" → net per hour) — by-date rows carry no time
+  const heatmap={};
+  const hmByDate={};
+  itemRows.forEach(r=>{
+    const d=normDate(r.date), h=parseInt((r.time||'00').split(':')[0])||0;
+    if(!hmByDate[d])hmByDate[d]={};
+    hmByDate[d][h]=(hmByDate[d][h]||0)+r.net;
+  });
+  sortedDates.forEach(d=>{heatmap[d.substring(0,5)]=HOUR_RANGE.map(h=>hmByDate[d]?.[h]||0);});
+
+  // date → product → {net,qty,disc,cat,bills}; a bill belongs to one date, so day counts add up
+  const prodByDate={};
+  const pbdSrc=productRows.length>0?productRows:prodSummaryRows.length>0?prodSummaryRows:salesRows;
+  pbdSrc.forEach(r=>{
+    const key=productKey(r);
+    if(!r.date||!key) return;
+    const day=prodByDate[r.date]||(prodByDate[r.date]={});
+    const v=day[key]||(day[key]={net:0,qty:0,disc:0,cat:r.cat||'Other',bills:new Set()});
+    v.net+=r.net; v.qty+=r.qty; v.disc+=(r.disc||0);
+    if(r.doc) v.bills.add(r.doc);
+  });
+  Object.values(prodByDate).forEach(day=>Object.values(day).forEach(v=>{v.bills=v.bills.size;}));
+
+  // Bill totals → basket distribution
+  const billMap={};
+  salesRows.forEach(r=>{ billMap[r.doc]=(billMap[r.doc]||0)+r.net; });
+  const billTotals=Object.values(billMap);
+  const basketDist=BASKET_RANGES.map(([lo,hi])=>billTotals.filter(v=>v>=lo&&v<hi).length);
+
+  return {daily, cats, products, hours, catHour, catHourQty, heatmap, prodByDate, billCount:billTotals.length, basketDist};
+}
+
+// ══════════ PERIODS ══════════
+// Comparison periods anchored on the latest date → {a:{from,to}, b:{from,to}} (DD/MM/YYYY, inclusive)
+//   'month': 1st → latest vs the same days of the previous month (whole previous month when the latest day closes its month)
+//   'week':  Monday → latest vs the same weekdays of the previous week
+function periodRanges(dates, mode){
+  const ts=dates.filter(Boolean).map(dateToTs).filter(t=>!isNaN(t));
+  if(!ts.length) return null;
+  const last=new Date(Math.max(...ts));
+  const y=last.getFullYear(), m=last.getMonth(), day=last.getDate();
+  const fmt=d=>String(d.getDate()).padStart(2,'0')+'/'+String(d.getMonth()+1).padStart(2,'0')+'/'+d.getFullYear();
+  if(mode==='month'){
+    const prevDays=new Date(y,m,0).getDate();
+    const monthDone=day===new Date(y,m+1,0).getDate();
+    return {a:{from:fmt(new Date(y,m,1)),to:fmt(last)},
+            b:{from:fmt(new Date(y,m-1,1)),to:fmt(new Date(y,m-1,monthDone?prevDays:Math.min(day,prevDays)))}};
+  }
+  if(mode==='week'){
+    const mon=new Date(y,m,day-(last.getDay()+6)%7);
+    const back=d=>new Date(d.getFullYear(),d.getMonth(),d.getDate()-7);
+    return {a:{from:fmt(mon),to:fmt(last)}, b:{from:fmt(back(mon)),to:fmt(back(last))}};
+  }
+  return null;
+}
+
+// {branch: dataset} → one dataset for the "ALL" view (index.html BRANCH_DATA); monthly and daypart rows are summed
+function mergeBranchDatasets(byBranch){
+  const list=Object.values(byBranch);
+  const cat=k=>list.flatMap(ds=>ds[k]||[]);
+  // POS bill numbers restart per store — prefix them so bills of different branches never merge
+  const billRows=k=>Object.entries(byBranch).flatMap(([name,ds])=>(ds[k]||[]).map(r=>r.doc?{...r,doc:name+' · '+r.doc}:r));
+  const monthly={};
+  cat('monthlyRows').forEach(m=>{
+    const t=monthly[m.yy+'-'+m.mm]||(monthly[m.yy+'-'+m.mm]={...m,net:0,gross:0,discount:0,qty:0,bills:0,days:0});
+    ['net','gross','discount','qty','bills'].forEach(k=>t[k]+=m[k]||0);
+    t.days=Math.max(t.days,m.days||0);
+  });
+  const dp={};
+  cat('dayparts').forEach(d=>{
+    const t=dp[d.name]||(dp[d.name]={...d,sold:0,itemSales:0,itemDisc:0,saleAmt:0,vat:0,net:0,bills:0});
+    ['sold','itemSales','itemDisc','saleAmt','vat','net','bills'].forEach(k=>t[k]+=d[k]||0);
+    t.avgBill=t.bills?t.net/t.bills:0;
+  });
+  return {
+    salesRows:billRows('salesRows'), promoRows:cat('promoRows'), cancelRows:billRows('cancelRows'),
+    monthlyRows:Object.values(monthly), prodSummaryRows:cat('prodSummaryRows'), productRows:billRows('productRows'),
+    budgetRows:cat('budgetRows'), rosterRows:cat('rosterRows'),
+    isByDate:list.every(ds=>ds.isByDate),  // mixed formats fall back to gross − discount
+    dayparts:Object.values(dp)
+  };
+}
+
+// Dated rows of a branch dataset that fall inside [from, to]; dayparts and monthly rows carry no date and are kept
+function sliceDataset(ds, from, to){
+  const lo=dateToTs(from), hi=dateToTs(to);
+  const pick=rows=>(rows||[]).filter(r=>{const t=dateToTs(normDate(r.date));return t>=lo&&t<=hi;});
+  return {...ds, salesRows:pick(ds.salesRows), promoRows:pick(ds.promoRows), cancelRows:pick(ds.cancelRows),
+    prodSummaryRows:pick(ds.prodSummaryRows), productRows:pick(ds.productRows)};
+}
+
+// ══════════ GLOBAL FILTER ══════════
+// f = {from, to (DD/MM/YYYY, inclusive; '' = open), dows:['Mon',…], daypart:'Lunch', cat:'Donburi'}
+// Daypart hours follow File 6 labels; these are used when it was not uploaded
+const DAYPART_HOURS={'Breakfast':'05:00:00 - 10:30:00','Lunch':'10:30:01 - 14:00:00','Tea Time':'14:00:01 - 18:00:00','Dinner':'18:00:01 - 23:59:59'};
+const toSec=t=>{
+  if(typeof t==='number') return Math.round((t%1)*86400);
+  const m=String(t||'').match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?/);
+  return m?m[1]*3600+m[2]*60+(+m[3]||0):null;
+};
+// 'Lunch' → [from, to] in seconds of the day; null for an unknown name
+function daypartRange(name, dayparts=[]){
+  const label=(dayparts.find(d=>d.name===name)||{}).timeRange||DAYPART_HOURS[name];
+  const [a,b]=String(label||'').split(/\s*-\s*/).map(toSec);
+  return a!=null&&b!=null?[a,b]:null;
+}
+const filterActive=f=>!!(f&&(f.from||f.to||(f.dows&&f.dows.length)||f.daypart||f.cat));
+
+// Rows of a branch dataset inside the filter. Date + weekday apply to every dated row; the daypart to
+// rows with a sale time (by-date bills borrow it from the 1p file, untimed rows drop out); the category
+// to line rows only — by-date bill totals and promo/cancel rows cannot be split and stay whole.
+// File 6 and monthly totals cannot be sliced: kept only for a daypart-only filter (its own row) / no filter.
+function filterDataset(ds, f){
+  if(!filterActive(f)) return ds;
+  const lo=f.from?dateToTs(f.from):-Infinity, hi=f.to?dateToTs(f.to):Infinity;
+  const dows=f.dows&&f.dows.length?new Set(f.dows):null;
+  const range=f.daypart?daypartRange(f.daypart,ds.dayparts):null;
+  const billTime={};
+  if(range) (ds.productRows||[]).forEach(r=>{ if(r.time) billTime[r.date+'|'+r.doc]=r.time; });
+  const dated=r=>{ const d=normDate(r.date), t=dateToTs(d); return t>=lo&&t<=hi&&(!dows||dows.has(getDOW(d))); };
+  const timed=r=>{
+    if(!range) return true;
+    const s=toSec(r.time||billTime[r.date+'|'+r.doc]);
+    return s!=null&&s>=range[0]&&s<=range[1];
+  };
+  const inCat=r=>!f.cat||(r.cat||'Other')===f.cat;
+  const pick=(rows,...tests)=>(rows||[]).filter(r=>dated(r)&&tests.every(t=>t(r)));
+  const onlyDaypart=!f.from&&!f.to&&!dows&&!f.cat;
+  return {...ds,
+    salesRows:pick(ds.salesRows,timed,ds.isByDate?()=>true:inCat),
+    productRows:pick(ds.productRows,timed,inCat),
+    prodSummaryRows:range?[]:pick(ds.prodSummaryRows,inCat),
+    promoRows:pick(ds.promoRows),
+    cancelRows:pick(ds.cancelRows,timed),
+    monthlyRows:[],
+    dayparts:onlyDaypart?(ds.dayparts||[]).filter(d=>d.name===f.daypart):[]};
+}
+
+// ── Qualified ABV ──
+// ABV = Gross Revenue (excl. Beverage) ÷ Total Bills
+// - Uses GROSS (ราคา / ราคาขาย×qty), not net after discount; counts ALL bills
+// - By-product rows: Beverage items are excluded (r.cat per row)
+// - By-date rows: cannot separate Beverage per bill → full gross as-is
+function qualifiedABV(rows, isByDate, dowMap={}){
+  const billGross={};
+  const byDate={};
+  const byDOW={};
+
+  rows.forEach(r=>{
+    if(!r.date) return;
+    if(!isByDate && r.cat==='Beverage') return;
+    const g = r.gross || r.net;
+    billGross[r.doc]=(billGross[r.doc]||0)+g;
+    if(!byDate[r.date]) byDate[r.date]={gross:0,bills:new Set()};
+    byDate[r.date].gross+=g;
+    byDate[r.date].bills.add(r.doc);
+    const dw=dowMap[r.date]||getDOW(r.date);
+    if(dw!=='?'){
+      if(!byDOW[dw]) byDOW[dw]={gross:0,bills:new Set()};
+      byDOW[dw].gross+=g;
+      byDOW[dw].bills.add(r.doc);
+    }
+  });
+
+  const vals=Object.values(billGross).filter(v=>v>0);
+  const totalNet=vals.reduce((s,v)=>s+v,0);
+  const totalBills=vals.length;
+  const abv=totalBills>0?Math.round(totalNet/totalBills):0;
+
+  const byDateFinal={};
+  Object.entries(byDate).forEach(([d,v])=>{
+    byDateFinal[d]={net:v.gross, bills:v.bills.size,
+      abv:v.bills.size>0?Math.round(v.gross/v.bills.size):0};
+  });
+  const byDOWFinal={};
+  Object.entries(byDOW).forEach(([d,v])=>{
+    byDOWFinal[d]={net:v.gross, bills:v.bills.size,
+      abv:v.bills.size>0?Math.round(v.gross/v.bills.size):0};
+  });
+
+  return {abv,totalNet,totalBills,byDate:byDateFinal,byDOW:byDOWFinal};
+}
+
+return {
+  normDate, getDOW, dateToTs, findHeaderRow, columnIndex, detectBranch,
+  SUMMARY_ROW, parseSalesRows, parsePromoRows, parseMonth, parseMonthlyRows, parseCancelRows,
+  codeToCat, parseProductSummaryRows, parseDaypartRows, parseBudgetRows, parseRosterRows, classifyExport,
+  buildDailyRows, aggregateDataset, productKey, qualifiedABV, periodRanges, sliceDataset, mergeBranchDatasets,
+  DAYPART_HOURS, toSec, daypartRange, filterActive, filterDataset,
+  CAT_ORDER, CAT_COLORS, CAT_PREFIXES, HOUR_RANGE
+};
+});
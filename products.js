@@ -0,0 +1,305 @@
+// ══════════════════════════════════════════
+// PRODUCT MASTER — categories and products shared by index.html (categorisation, colours, trial tracking)
+// Category: {name, prefixes:[code prefixes], color} — list order is the display order
+// Product:  {code, name, cat, launch, trialDays, cost}
+//   code = POS product code · launch = first day on sale, DD/MM/YYYY ('' = unknown)
+//   trialDays > 0 marks a trial item (sold under an existing code until approved) · cost = food cost per unit (฿)
+// Cost:     {code, from, cost} — unit cost history; applies from `from` (DD/MM/YYYY, '' = always) until the code's next entry
+// Trial items reuse POS codes, so one code may carry several products: the POS name, then launch dates decide.
+// ══════════════════════════════════════════
+(function(root,factory){
+  if(typeof module==='object'&&module.exports) module.exports=factory(require('./parsers.js'));
+  else root.NigiProducts=factory(root.NigiParse);
+})(typeof self!=='undefined'?self:this,function(P){
+'use strict';
+
+const UI_COLORS={"Sushi Bento":"#e07070","Donburi":"#3b82f6","Beverage":"#16c26a","Dessert":"#8b5cf6","Appetizer":"#f0a500"};
+const DEFAULT_CATEGORIES=P.CAT_ORDER.map(name=>({name,prefixes:P.CAT_PREFIXES[name]||[],color:UI_COLORS[name]}));
+// Colours handed out to categories that come without one (new POS groups, imported lists)
+const PALETTE=['#ff6b6b','#ffd93d','#6bcb77','#4d96ff','#c77dff','#ff9f1c','#00c9a7','#f472b6','#94a3b8'];
+
+// Trial items (previously TRIAL_MAP in index.html). MINI004/008/013 each host two items —
+// until launch dates are filled in, sales on those codes can only be split by the POS name.
+const DEFAULT_TRIAL_DAYS=30;
+const trial=(code,name)=>({code,name,cat:'Sushi Bento',launch:'',trialDays:DEFAULT_TRIAL_DAYS,cost:0});
+const DEFAULT_PRODUCTS=[
+  trial('MINI004','California Roll'),
+  trial('MINI008','Kani Sashimi'),
+  trial('MINI013','Sashimi'),
+  trial('MINI005','Ebi Roll'),
+  trial('MINI004','Futo Maki'),
+  trial('MINI013','Salmon Roll'),
+  trial('MINI008','Sushi 2 Tone (ไข่หวาน 3/ปูอัด 3)')
+];
+const DEFAULT_MASTER={categories:DEFAULT_CATEGORIES,products:DEFAULT_PRODUCTS};
+
+// ══════════ VALIDATION ══════════
+const COLOR_RE=/^#[0-9a-f]{6}$/i;
+const DATE_RE=/^\d{2}\/\d{2}\/\d{4}$/;
+const str=v=>String(v??'').trim();
+
+// Stored / imported master → clean {categories, products}; throws on anything that is not a master
+function normalizeMaster(m){
+  if(Array.isArray(m)) m={products:m};
+  if(!m||typeof m!=='object'||(!Array.isArray(m.products)&&!Array.isArray(m.categories)))
+    throw new Error('Product master needs a products or categories list');
+  const seen=new Set();
+  const categories=(m.categories||DEFAULT_CATEGORIES).map((c,i)=>{
+    const name=str(c&&c.name);
+    if(!name) throw new Error('Category #'+(i+1)+' needs a name');
+    if(seen.has(name)) throw new Error('Category '+name+' is listed twice');
+    seen.add(name);
+    const prefixes=(Array.isArray(c.prefixes)?c.prefixes:str(c.prefixes).split(',')).map(x=>str(x).toUpperCase()).filter(Boolean);
+    return {name,prefixes,color:COLOR_RE.test(str(c.color))?str(c.color).toLowerCase():PALETTE[i%PALETTE.length]};
+  });
+  const keys=new Set();
+  const products=(m.products||[]).map((e,i)=>{
+    if(!e||typeof e!=='object') throw new Error('Product #'+(i+1)+' is not an object');
+    const code=str(e.code).toUpperCase(), name=str(e.name)||code;
+    if(!code) throw new Error('Product #'+(i+1)+(name?' ('+name+')':'')+' needs a code');
+    const key=code+'|'+name.toLowerCase();
+    if(keys.has(key)) throw new Error(code+' / '+name+' is listed twice');
+    keys.add(key);
+    const launch=str(e.launch)?P.normDate(e.launch):'';
+    if(launch&&!DATE_RE.test(launch)) throw new Error(code+': launch date must be DD/MM/YYYY');
+    const num=(v,what)=>{
+      if(str(v)==='') return 0;
+      const n=Number(v);
+      if(!isFinite(n)||n<0) throw new Error(code+': '+what+' must be a number ≥ 0');
+      return n;
+    };
+    return {code,name,cat:str(e.cat),launch,trialDays:Math.round(num(e.trialDays,'trial days')),cost:num(e.cost,'cost')};
+  });
+  const from=new Set();
+  const costs=(m.costs||[]).map((e,i)=>{
+    const code=str(e&&e.code).toUpperCase();
+    if(!code) throw new Error('Cost #'+(i+1)+' needs a code');
+    const d=str(e.from)?P.normDate(e.from):'';
+    if(d&&!DATE_RE.test(d)) throw new Error(code+': effective date must be DD/MM/YYYY');
+    if(from.has(code+'|'+d)) throw new Error(code+' has two costs from '+(d||'the start'));
+    from.add(code+'|'+d);
+    const cost=Number(e.cost);
+    if(str(e.cost)===''||!isFinite(cost)||cost<0) throw new Error(code+': cost must be a number ≥ 0');
+    return {code,from:d,cost};
+  }).sort((a,b)=>a.code.localeCompare(b.code)||(a.from?P.dateToTs(a.from):0)-(b.from?P.dateToTs(b.from):0));
+  return {categories,products,costs};
+}
+
+// ══════════ LOOKUP ══════════
+// "MINI004 / Futo Maki" → {code:'MINI004', name:'Futo Maki'}; a bare name has no code
+function splitProd(prod){
+  const s=str(prod);
+  const i=s.indexOf(' / ');
+  if(i>0) return {code:s.slice(0,i).trim().toUpperCase(),name:s.slice(i+3).trim()};
+  const m=s.match(/^([A-Za-z]{2,}\d+)\s+(.+)$/);
+  return m?{code:m[1].toUpperCase(),name:m[2]}:{code:'',name:s};
+}
+
+const squash=s=>str(s).toUpperCase().replace(/[\s\-_]/g,'');
+const activeOn=(p,date)=>!p.launch||!date||P.dateToTs(p.launch)<=P.dateToTs(date);
+
+// The product a sale belongs to: same code, then a POS name containing the product name,
+// then the latest launch on or before the date. null = unknown code, not launched yet, or ambiguous.
+function resolveProduct(master, code, posName, date){
+  code=str(code).toUpperCase();
+  return code?pickProduct(master.products.filter(p=>p.code===code),posName,date):null;
+}
+function pickProduct(cands, posName, date){
+  if(cands.length<=1) return cands[0]&&activeOn(cands[0],date)?cands[0]:null;
+  const key=squash(posName);
+  const byName=cands.filter(p=>key&&key.includes(squash(p.name)));
+  if(byName.length===1) return byName[0];
+  const active=cands.filter(p=>activeOn(p,date));
+  const dated=active.filter(p=>p.launch).sort((a,b)=>P.dateToTs(b.launch)-P.dateToTs(a.launch));
+  if(dated.length) return dated[0];
+  return active.length===1?active[0]:null;
+}
+
+// Codes whose products can't be told apart by launch date (several undated, or the same date)
+function sharedCodes(master){
+  const by={};
+  master.products.forEach(p=>{ (by[p.code]=by[p.code]||[]).push(p); });
+  return Object.entries(by).filter(([,ps])=>{
+    const launches=ps.map(p=>p.launch||'');
+    return ps.length>1&&new Set(launches).size<launches.length;
+  }).map(([code,products])=>({code,products}));
+}
+
+// Sets r.cat on sales / product-summary rows: master product → POS group (kept in r.posCat) → code prefix.
+// Rows keep their original POS group, so this can run again whenever the master changes.
+function categorize(master, rows){
+  const prefixes={}, byCode={};
+  master.categories.forEach(c=>{ prefixes[c.name]=c.prefixes; });
+  master.products.forEach(p=>{ (byCode[p.code]=byCode[p.code]||[]).push(p); });
+  rows.forEach(r=>{
+    const summary=r.code!==undefined;   // File 5 rows: code/name, category was derived from the code
+    if(r.posCat===undefined) r.posCat=summary?'':(r.cat||'');
+    const {code,name}=summary?{code:str(r.code).toUpperCase(),name:r.name}:splitProd(r.prod);
+    if(!code&&!name) return;
+    const p=code&&byCode[code]?pickProduct(byCode[code],name,r.date):null;
+    r.cat=(p&&p.cat)||r.posCat||(code?P.codeToCat(code,prefixes):'');
+  });
+  return rows;
+}
+
+// Master order first, then categories that only appear in the data
+function categoryOrder(master, extra=[]){
+  return [...new Set([...master.categories.map(c=>c.name),...extra.filter(Boolean)])];
+}
+
+// {category: colour} for the master plus any extra categories (palette colours not already taken)
+function categoryColors(master, extra=[]){
+  const out={};
+  master.categories.forEach(c=>{ out[c.name]=c.color; });
+  const free=PALETTE.filter(c=>!Object.values(out).includes(c));
+  let k=0;
+  categoryOrder(master,extra).forEach(c=>{ if(!out[c]) out[c]=free.length?free[k++%free.length]:PALETTE[k++%PALETTE.length]; });
+  return out;
+}
+
+// Trial progress on `asOf` → {day, of, end, ended}; null without a launch date or trial period
+function trialStatus(p, asOf){
+  if(!p||!p.launch||!p.trialDays) return null;
+  const start=P.dateToTs(p.launch);
+  const day=Math.round((P.dateToTs(asOf)-start)/864e5)+1;
+  const e=new Date(start); e.setDate(e.getDate()+p.trialDays-1);
+  const end=String(e.getDate()).padStart(2,'0')+'/'+String(e.getMonth()+1).padStart(2,'0')+'/'+e.getFullYear();
+  return {day,of:p.trialDays,end,ended:day>p.trialDays};
+}
+
+// ══════════ COST & MARGIN ══════════
+const VAT_RATE=0.07;
+
+// (code, posName, date) → unit cost in ฿, or null when unknown.
+// The code's latest history entry on or before the date wins, then the resolved product's cost.
+function costLookup(master){
+  const hist={}, byCode={};
+  (master.costs||[]).forEach(c=>{ (hist[c.code]=hist[c.code]||[]).push(c); });   // sorted by normalizeMaster
+  master.products.forEach(p=>{ (byCode[p.code]=byCode[p.code]||[]).push(p); });
+  return (code,posName,date)=>{
+    code=str(code).toUpperCase();
+    const ts=date?P.dateToTs(date):Infinity;
+    let unit=null;
+    (hist[code]||[]).forEach(c=>{ if(!c.from||P.dateToTs(c.from)<=ts) unit=c.cost; });
+    if(unit===null&&byCode[code]){
+      const p=pickProduct(byCode[code],posName,date);
+      if(p&&p.cost>0) unit=p.cost;
+    }
+    return unit;
+  };
+}
+const unitCost=(master,code,posName,date)=>costLookup(master)(code,posName,date);
+
+// Sets r.cost (qty × unit cost) on sales / product-summary rows; null when the cost is unknown
+// or the row has no product (by-date bills). Safe to run again after the master changes.
+function costRows(master, rows){
+  const look=costLookup(master);
+  rows.forEach(r=>{
+    const summary=r.code!==undefined;
+    const {code,name}=summary?{code:r.code,name:r.name}:splitProd(r.prod);
+    const unit=code?look(code,name,r.date):null;
+    r.cost=unit===null?null:unit*(r.qty||0);
+  });
+  return rows;
+}
+
+// Revenue before VAT: ราคารวมก่อนภาษี when the row has it, otherwise net ÷ 1.07.
+// gross = before promo discount, on the same VAT basis.
+function exVat(r){
+  const k=r.preVat>0&&r.net>0?r.preVat/r.net:1/(1+VAT_RATE);
+  return {rev:(r.net||0)*k,gross:(r.gross??r.net??0)*k};
+}
+
+// Rows grouped by keyFn (null key = skip) → {key: margin}. Margins only use rows with a known cost;
+// coverage = share of revenue that has one.
+//   cm = revenue ex-VAT − cost (after promo discount) · cmBeforeDisc = same on gross · fc = cost ÷ revenue %
+function marginBy(rows, keyFn){
+  const acc={};
+  rows.forEach(r=>{
+    const k=keyFn(r);
+    if(k===null||k===undefined) return;
+    const a=acc[k]=acc[k]||{rev:0,costedRev:0,costedGross:0,cost:0,qty:0};
+    const {rev,gross}=exVat(r);
+    a.rev+=rev; a.qty+=r.qty||0;
+    if(r.cost===null||r.cost===undefined) return;
+    a.costedRev+=rev; a.costedGross+=gross; a.cost+=r.cost;
+  });
+  Object.values(acc).forEach(a=>Object.assign(a,marginStats(a)));
+  return acc;
+}
+function marginStats(a){
+  const costed=a.costedRev>0||a.cost>0;
+  return {
+    cm:costed?a.costedRev-a.cost:null,
+    cmBeforeDisc:costed?a.costedGross-a.cost:null,
+    disc:a.costedGross-a.costedRev,
+    fc:a.costedRev>0?a.cost/a.costedRev*100:null,
+    cmPct:a.costedRev>0?(a.costedRev-a.cost)/a.costedRev*100:null,
+    coverage:a.rev>0?a.costedRev/a.rev*100:0
+  };
+}
+
+// ══════════ SHEETS ══════════
+// Same headers for export and import, so an exported workbook round-trips; English names are accepted too
+const PRODUCT_HEADERS=['รหัสสินค้า','ชื่อสินค้า','หมวด','วันที่เริ่มขาย','ทดลองขาย (วัน)','ต้นทุน/ชิ้น'];
+const CATEGORY_HEADERS=['หมวด','รหัสขึ้นต้น','สี'];
+const COST_HEADERS=['รหัสสินค้า','วันที่มีผล','ต้นทุน/ชิ้น'];
+
+function sheetColumns(rows, first, limit=10){
+  const hdr=P.findHeaderRow(rows,r=>r.some(c=>first.includes(c.toLowerCase())),limit);
+  if(hdr===-1) return null;
+  return {hdr,ci:P.columnIndex(rows[hdr].map(v=>String(v??'').trim().toLowerCase()))};
+}
+
+// Product sheet rows → product entries (validated by normalizeMaster)
+function parseMasterRows(rows){
+  const s=sheetColumns(rows,['รหัสสินค้า','code']);
+  if(!s) throw new Error('Header row with รหัสสินค้า / code not found');
+  const {hdr,ci}=s;
+  const col={code:ci('รหัสสินค้า','code'),name:ci('ชื่อสินค้า','name'),cat:ci('หมวด','หมวดสินค้า','ชื่อกลุ่มสินค้า','category'),
+    launch:ci('วันที่เริ่มขาย','launch','launch date'),trialDays:ci('ทดลองขาย (วัน)','trial days','trialdays'),cost:ci('ต้นทุน/ชิ้น','ต้นทุน','cost')};
+  const out=[];
+  for(let i=hdr+1;i<rows.length;i++){
+    const r=rows[i]||[];
+    const e={};
+    Object.entries(col).forEach(([k,j])=>{ e[k]=j===-1?'':r[j]; });
+    if(str(e.code)) out.push(e);
+  }
+  return out;
+}
+
+// Category sheet rows → category entries; null when the sheet has no category header
+function parseCategoryRows(rows){
+  const s=sheetColumns(rows,['หมวด','category'],5);
+  if(!s) return null;
+  const {hdr,ci}=s;
+  const iName=ci('หมวด','category'), iPre=ci('รหัสขึ้นต้น','prefixes'), iCol=ci('สี','color');
+  return rows.slice(hdr+1).filter(r=>str(r&&r[iName])).map(r=>({name:r[iName],prefixes:iPre===-1?'':r[iPre],color:iCol===-1?'':r[iCol]}));
+}
+
+// Cost sheet rows → cost entries; null when the sheet has no effective-date column (e.g. a Products sheet)
+function parseCostRows(rows){
+  const s=sheetColumns(rows,['รหัสสินค้า','code']);
+  if(!s) return null;
+  const {hdr,ci}=s;
+  const iCode=ci('รหัสสินค้า','code'), iFrom=ci('วันที่มีผล','effective','from'), iCost=ci('ต้นทุน/ชิ้น','ต้นทุน','cost');
+  if(iFrom===-1||iCost===-1) return null;
+  return rows.slice(hdr+1).filter(r=>str(r&&r[iCode])&&str(r[iCost])!=='').map(r=>({code:r[iCode],from:r[iFrom],cost:r[iCost]}));
+}
+
+// Master → {Products, Categories, Costs} as rows of cells (XLSX.utils.aoa_to_sheet)
+function masterSheets(master){
+  return {
+    Products:[PRODUCT_HEADERS,...master.products.map(p=>[p.code,p.name,p.cat,p.launch,p.trialDays||'',p.cost||''])],
+    Categories:[CATEGORY_HEADERS,...master.categories.map(c=>[c.name,c.prefixes.join(', '),c.color])],
+    Costs:[COST_HEADERS,...(master.costs||[]).map(c=>[c.code,c.from,c.cost])]
+  };
+}
+
+return {
+  DEFAULT_CATEGORIES, DEFAULT_PRODUCTS, DEFAULT_MASTER, DEFAULT_TRIAL_DAYS, PALETTE,
+  normalizeMaster, splitProd, resolveProduct, sharedCodes, categorize, categoryOrder, categoryColors, trialStatus,
+  costLookup, unitCost, costRows, exVat, marginBy, marginStats,
+  parseMasterRows, parseCategoryRows, parseCostRows, masterSheets
+};
+});
@@ -0,0 +1,337 @@
+// ══════════════════════════════════════════
+// PROMOTION CATALOGUE — shared by index.html (colours, Flash Sale windows, editor) and
+// bin/nigiben-promotions.js (generates promotion.html), plus the promotion ROI model (index.html → ความคุ้มค่าโปรโมชั่น)
+// Entry: {code, name, type, from, to, cats:[], maxPct, color, ref, mechanic, period, audience, conditions}
+//   code = POS promotion code (PM…) · name = promotion name as it appears in the POS export
+//   from/to = 'HH:MM' time window ('' = all day) · cats = eligible categories ([] = all)
+//   maxPct = highest discount the rules allow, % of the bill's full price (null = no ceiling checked)
+// ══════════════════════════════════════════
+(function(root,factory){
+  if(typeof module==='object'&&module.exports) module.exports=factory(require('./parsers.js'));
+  else root.NigiPromos=factory(root.NigiParse);
+})(typeof self!=='undefined'?self:this,function(P){
+'use strict';
+
+const PROMO_TYPES={
+  flash:'Flash Sale', staff:'ส่วนลดพนักงาน', partner:'ส่วนลดพาร์ทเนอร์', member:'สมาชิก',
+  bundle:'ซื้อ 1 แถม 1', gift:'ของแถม / แลกซื้อ', discount:'ส่วนลดทั่วไป', other:'อื่นๆ'
+};
+const FLASH_CATS=['Sushi Bento','Donburi','Dessert','Appetizer'];   // ทุกหมวดยกเว้น Beverage
+
+// 2026 mechanics (previously hand-written in promotion.html) + the colours promo pages used
+const DEFAULT_CATALOGUE=[
+  {code:'',name:'Grand Opening Buy 1 Get 1 Free',type:'bundle',cats:['Sushi Bento','Donburi'],maxPct:50,color:'#3b82f6',ref:'2600851',
+   mechanic:'เมื่อลูกค้าซื้อ Sushi Bento Size S และ M (ราคาปกติ 160-380 บาท) รับฟรีทันที Donburi (ราคาปกติ 120-350 บาท) จำนวน 1 ชาม',
+   period:'23 - 28 กุมภาพันธ์ 2569 (6 วัน)',audience:'ลูกค้าทั่วไป',
+   conditions:'เลือกรับฟรี Donburi ได้ในราคาที่เท่ากันหรือน้อยกว่าราคาสินค้าที่ซื้อ'},
+  {code:'',name:'Snap & Share Get Free Daifuku',type:'gift',cats:['Sushi Bento','Donburi'],color:'#9333ea',ref:'2600852',
+   mechanic:'ซื้อ Bento Sushi หรือ Donburi (160-380 บาท) + ถ่ายรูปเช็คอินและโพสต์ลง Social Media (Facebook / Instagram / TikTok / Google Review) รับฟรี Rare Cheese Daifuku หรือ Yuzu Daifuku (35 บาท) 1 ชิ้น',
+   period:'23 ก.พ. - 31 ก.ค. 2569 (5 เดือน)',audience:'ลูกค้าทั่วไป',conditions:'จำกัดเพียง 1 ช่องทางต่อ 1 สิทธิ์เท่านั้น'},
+  {code:'',name:'Flash Sale 18:00-19:00',type:'flash',from:'18:00',to:'19:00',cats:FLASH_CATS,color:'#ffd60a'},
+  {code:'',name:'Flash Sale 19:00-20:00',type:'flash',from:'19:00',to:'20:00',cats:FLASH_CATS,color:'#f72585'},
+  {code:'',name:'Flash Sale 20:00-21:00',type:'flash',from:'20:00',to:'21:00',cats:FLASH_CATS,maxPct:50,color:'#ffb347',ref:'2600855',
+   mechanic:'ซื้อ 1 แถม 1 — ซื้อ Sushi Bento Mini MED (160-380 บาท) รับฟรี 1 รายการ (เลือกราคาเท่ากันหรือน้อยกว่าได้)',
+   period:'23 ก.พ. - 31 ธ.ค. 2569',audience:'ลูกค้าทั่วไป'},
+  {code:'',name:'Flash Sale 21:00-22:00',type:'flash',from:'21:00',to:'22:00',cats:FLASH_CATS,maxPct:70,color:'#ff1f1f',ref:'2600856',
+   mechanic:'ลด 70% — Bento Sushi / Donburi ราคาปกติ 120-380 บาท เหลือเพียง 36-114 บาท',
+   period:'23 ก.พ. - 31 ธ.ค. 2569',audience:'ลูกค้าทั่วไป'},
+  {code:'',name:'Special Price Miso Soup',type:'gift',cats:['Sushi Bento','Donburi'],color:'#16a34a',ref:'2600853',
+   mechanic:'เมื่อซื้อ Bento Size S-M หรือ Donburi (120-380 บาท) จำนวน 1 ชาม สามารถแลกซื้อซุปมิโซะได้ในราคาพิเศษ 19 บาท (ปกติ 40 บาท)',
+   period:'1 เมษายน - 31 พฤษภาคม 2569 (2 เดือน)',audience:'ลูกค้าทั่วไป'},
+  {code:'',name:'Get Free Edamame',type:'gift',cats:['Sushi Bento'],color:'#0d9488',ref:'2600854',
+   mechanic:'เมื่อซื้อ Bento Size M (120-380 บาท) จำนวน 2 กล่อง รับฟรีทันทีถั่วแระญี่ปุ่น (ราคาปกติ 30 บาท) จำนวน 1 ที่',
+   period:'1 มิถุนายน - 31 กรกฎาคม 2569 (2 เดือน)',audience:'ลูกค้าทั่วไป'},
+  {code:'',name:'Birthday Discount',type:'member',cats:['Sushi Bento','Donburi'],maxPct:50,color:'#ff6b81',ref:'2600857',
+   mechanic:'สมาชิกแสดงบัตรประชาชนภายในเดือนเกิด รับสิทธิ์ซื้อ 1 แถม 1 สำหรับ Bento Sushi Size S-M หรือ Donburi (120-380 บาท)',
+   period:'23 ก.พ. - 31 ธ.ค. 2569 (ตลอดปี)',audience:'สมาชิก NIGIBEN (เฉพาะเดือนเกิด)',
+   conditions:'จำกัด 1 สิทธิ์ต่อเดือนเกิด · พนักงานตรวจสอบสมาชิกผ่านระบบร้าน · ต้องแสดงบัตรประชาชนที่หน้าร้าน'},
+  {code:'',name:'Special Point @NIGIBEN',type:'member',cats:[],color:'#4f46e5',ref:'2600858 / 59 / 60',
+   mechanic:'แลกคะแนนสะสม — 5 คะแนน: Donburi ฟรี (120-140 บาท, 2600858) · 10 คะแนน: Bento Sushi Size S ฟรี (150-200 บาท, 2600859) · 20 คะแนน: ส่วนลด 500 บาท เมื่อซื้อครั้งถัดไป 700+ (2600860)',
+   period:'23 ก.พ. - 31 ธ.ค. 2569 (ตลอดปี)',audience:'สมาชิก LINE Application เท่านั้น',conditions:'สมาชิกต้องมียอดซื้อขั้นต่ำ 100 บาท'},
+  {code:'',name:'Staff Discount 5%',type:'staff',cats:[],maxPct:5,color:'#4cc9f0'},
+  {code:'',name:'Staff Discount 10%',type:'staff',cats:[],maxPct:10,color:'#06d6a0'},
+  {code:'',name:'Staff Discount 15%',type:'staff',cats:[],maxPct:15,color:'#c77dff'},
+  {code:'',name:'Partners Discount',type:'partner',cats:[],color:'#39ff14'},
+  {code:'',name:'Grab&Go Discount',type:'discount',cats:[],color:'#7bed9f'}
+];
+
+// ══════════ VALIDATION ══════════
+const TIME_RE=/^([01]?\d|2[0-4]):[0-5]\d$/;
+const COLOR_RE=/^#[0-9a-f]{6}$/i;
+
+// Imported / stored JSON → clean entry list; throws on anything that is not a catalogue
+function normalizeCatalogue(list){
+  if(list&&!Array.isArray(list)&&Array.isArray(list.promotions)) list=list.promotions;
+  if(!Array.isArray(list)) throw new Error('Catalogue must be a JSON array of promotions');
+  const str=v=>String(v??'').trim();
+  return list.map((e,i)=>{
+    if(!e||typeof e!=='object') throw new Error('Promotion #'+(i+1)+' is not an object');
+    const name=str(e.name), code=str(e.code).toUpperCase();
+    if(!name&&!code) throw new Error('Promotion #'+(i+1)+' needs a code or a name');
+    const from=str(e.from), to=str(e.to);
+    if((from||to)&&!(TIME_RE.test(from)&&TIME_RE.test(to))) throw new Error((name||code)+': time window must be HH:MM – HH:MM');
+    const maxPct=str(e.maxPct)===''?null:Number(e.maxPct);
+    if(maxPct!==null&&!(maxPct>=0&&maxPct<=100)) throw new Error((name||code)+': maxPct must be 0–100');
+    return {
+      code, name:name||code,
+      type:PROMO_TYPES[e.type]?e.type:'other',
+      from:from&&to?from:'', to:from&&to?to:'',
+      cats:(Array.isArray(e.cats)?e.cats:str(e.cats).split(',')).map(str).filter(Boolean), maxPct,
+      color:COLOR_RE.test(str(e.color))?str(e.color).toLowerCase():'#888888',
+      ref:str(e.ref), mechanic:str(e.mechanic), period:str(e.period), audience:str(e.audience), conditions:str(e.conditions)
+    };
+  });
+}
+
+// ══════════ LOOKUP ══════════
+// POS code first, then exact name, then a catalogue name inside the export name (exports add suffixes).
+// No looser match — "Staff Discount 20%" must not pick up another rate's ceiling; unmatched = 'other'
+function matchPromo(catalogue, name, code){
+  code=String(code||'').trim().toUpperCase();
+  name=String(name||'').trim();
+  if(code){ const e=catalogue.find(e=>e.code===code); if(e) return e; }
+  if(!name) return null;
+  const lc=name.toLowerCase();
+  return catalogue.find(e=>e.name.toLowerCase()===lc)
+    ||catalogue.find(e=>e.name&&name.includes(e.name))
+    ||null;
+}
+
+// 'HH:MM'–'HH:MM' → whole hours [from, to) as used by the hourly buckets; null = all day
+function promoHours(e){
+  if(!e||!e.from||!e.to) return null;
+  const h=s=>{const [hh,mm]=s.split(':').map(Number);return hh+(mm>0?1:0);};
+  const from=parseInt(e.from,10), to=h(e.to);
+  return to>from?{from,to}:null;
+}
+
+// ══════════ ROI ══════════
+// Baseline = same promo's non-promo days, DOW-matched, same hours. Flash Sales are judged on 18–22h so
+// shoppers who hold off from 18:00 for the flash price show up as cannibalised full-price bills.
+const ROI_FLASH_WINDOW={from:18,to:22};
+function roiWindow(e){
+  if(e&&e.type==='flash'){
+    const w=promoHours(e);
+    return {from:Math.min(ROI_FLASH_WINDOW.from,w?w.from:24),to:Math.max(ROI_FLASH_WINDOW.to,w?w.to:0),flash:true};
+  }
+  return promoHours(e)||{from:0,to:24};
+}
+
+// salesRows → {date: [24 × {net,gross,bills}]} (one bill counted in the hour it was opened)
+function salesByDateHour(rows){
+  const out={}, seen=new Set();
+  rows.forEach(r=>{
+    const d=P.normDate(r.date); if(!d) return;
+    const h=r.time?parseInt(r.time,10)||0:0;
+    const slots=out[d]||(out[d]=Array.from({length:24},()=>({net:0,gross:0,bills:0})));
+    const s=slots[h];
+    s.net+=r.net||0; s.gross+=r.gross||r.net||0;
+    const k=d+'|'+r.doc;
+    if(r.doc&&!seen.has(k)){ seen.add(k); s.bills++; }
+  });
+  return out;
+}
+
+// Flash Sale windows all widen to ROI_FLASH_WINDOW, so they are judged together as one row
+const FLASH_GROUP='Flash Sale';
+
+// dates: the days on screen · dowMap: {date: DOW} · foodCost: share of gross that is food cost (0–1)
+// history: {salesRows, promoRows} of the same view without its date range — pre-launch days come from here
+// → {rows, total}
+//   rows: one per promotion (every Flash Sale in one FLASH_GROUP row, members = their names), biggest discount first
+//   total: all promotions as one group over the span of their windows — the rows overlap, so their effects don't add up
+//   act/base {net,gross,bills} in the promo's window on its days vs the baseline · matched/pooled/prelaunch = days with a
+//   DOW-matched non-promo day in view / any non-promo day in view / only days before the first use (DOW-matched if possible)
+//   effect = incremental net − food cost of the extra gross · roi = effect ÷ discount
+//   Flash only: fullAct/fullBase full-price bills, cannib = missing full-price bills (≤ the promo's uses), cannibNet/Disc
+function promoROI({salesRows=[], promoRows=[], dates=[], dowMap={}, catalogue=[], history=null}, {foodCost=0}={}){
+  const hist=history||{salesRows, promoRows};
+  const hasTime=salesRows.some(r=>r.time);
+  const dh=salesByDateHour(hist.salesRows.length?hist.salesRows:salesRows);
+  const days=dates.filter(d=>dh[d]), inView=new Set(days);
+  const dow=d=>dowMap[d]||P.getDOW(d);
+  const win=(d,w)=>{
+    const t={net:0,gross:0,bills:0};
+    dh[d].slice(w.from,w.to).forEach(s=>{t.net+=s.net;t.gross+=s.gross;t.bills+=s.bills;});
+    return t;
+  };
+  const info={};
+  const groupOf=p=>{
+    if(!info[p.name]){
+      const e=matchPromo(catalogue,p.name,p.code);
+      info[p.name]={e, key:e&&e.type==='flash'?FLASH_GROUP:p.name};
+    }
+    return info[p.name].key;
+  };
+  const groups={}, first={};
+  promoRows.forEach(p=>{
+    const k=groupOf(p);
+    const g=groups[k]||(groups[k]={members:[], entries:[], on:{}});
+    if(!g.members.includes(p.name)){ g.members.push(p.name); g.entries.push(info[p.name].e); }
+    if(!p.count||!inView.has(p.date)) return;
+    const v=g.on[p.date]||(g.on[p.date]={uses:0,disc:0});
+    v.uses+=p.count; v.disc+=p.discount;
+  });
+  hist.promoRows.forEach(p=>{
+    const t=P.dateToTs(p.date);
+    if(!p.count||isNaN(t)) return;
+    const k=groupOf(p);
+    if(first[k]==null||t<first[k]) first[k]=t;
+  });
+  const allDays=Object.keys(dh);
+
+  const evaluate=(name,w,on,launch)=>{
+    const off=days.filter(d=>!on[d]);
+    const pre=launch==null?[]:allDays.filter(d=>P.dateToTs(d)<launch);
+    const r={name,w,days:Object.keys(on).length,uses:0,disc:0,matched:0,pooled:0,prelaunch:0,
+      act:{net:0,gross:0,bills:0},base:{net:0,gross:0,bills:0},fullAct:0,fullBase:0,cannib:0,cannibNet:0,cannibDisc:0};
+    Object.entries(on).forEach(([d,v])=>{
+      r.uses+=v.uses; r.disc+=v.disc;
+      const a=win(d,w);
+      r.act.net+=a.net; r.act.gross+=a.gross; r.act.bills+=a.bills;
+      const same=off.filter(o=>dow(o)===dow(d)), preSame=pre.filter(o=>dow(o)===dow(d));
+      const [pool,basis]=same.length?[same,'matched']:off.length?[off,'pooled']:[preSame.length?preSame:pre,'prelaunch'];
+      if(!pool.length) return;
+      r[basis]++;
+      const b=pool.map(o=>win(o,w)).reduce((t,x)=>({net:t.net+x.net/pool.length,gross:t.gross+x.gross/pool.length,bills:t.bills+x.bills/pool.length}),{net:0,gross:0,bills:0});
+      r.base.net+=b.net; r.base.gross+=b.gross; r.base.bills+=b.bills;
+      if(w.flash){
+        // Full-price bills that went missing vs baseline, capped at the promo's own uses
+        const full=Math.max(0,a.bills-v.uses);
+        const lost=Math.min(v.uses,Math.max(0,b.bills-full));
+        r.fullAct+=full; r.fullBase+=b.bills; r.cannib+=lost;
+        r.cannibNet+=b.bills>0?lost*b.net/b.bills:0;
+        r.cannibDisc+=v.uses>0?v.disc*lost/v.uses:0;
+      }
+    });
+    r.hasBase=r.matched+r.pooled+r.prelaunch>0;
+    r.incBills=r.act.bills-r.base.bills;
+    r.incNet=r.act.net-r.base.net;
+    r.effect=r.incNet-(r.act.gross-r.base.gross)*foodCost;
+    r.roi=r.disc>0?r.effect/r.disc:null;
+    return r;
+  };
+
+  const span=ws=>({from:Math.min(...ws.map(w=>w.from)), to:Math.max(...ws.map(w=>w.to))});
+  const rows=Object.entries(groups).filter(([,g])=>Object.keys(g.on).length).map(([k,g])=>{
+    const w={...(hasTime?span(g.entries.map(roiWindow)):{from:0,to:24}),...(k===FLASH_GROUP?{flash:true}:{})};
+    return {...evaluate(k,w,g.on,first[k]), members:g.members};
+  }).sort((a,b)=>b.disc-a.disc);
+
+  const allOn={};
+  rows.forEach(r=>Object.entries(groups[r.name].on).forEach(([d,v])=>{
+    const t=allOn[d]||(allOn[d]={uses:0,disc:0}); t.uses+=v.uses; t.disc+=v.disc;
+  }));
+  const launches=rows.map(r=>first[r.name]).filter(t=>t!=null);
+  const total=evaluate('',rows.length?span(rows.map(r=>r.w)):{from:0,to:24},allOn,
+    launches.length?Math.min(...launches):null);
+  return {rows, total};
+}
+
+// ══════════ promotion.html ══════════
+const esc=s=>String(s??'').replace(/[&<>"]/g,c=>({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;'}[c]));
+
+function promoSection(e, i){
+  const win=e.from&&e.to?e.from+' - '+e.to+' น.':'';
+  const row=(icon,label,val)=>val?`
+                    <div class="flex items-center gap-3 p-3 bg-slate-50 rounded-lg">
+                        <i class="fas ${icon} text-slate-400 w-5"></i>
+                        <div><span class="font-semibold text-slate-700">${label}:</span> <span class="text-slate-600">${esc(val)}</span></div>
+                    </div>`:'';
+  return `
+        <!-- PRO ${i+1}: ${esc(e.name)} -->
+        <section class="section-card bg-white rounded-2xl shadow-xl overflow-hidden border border-slate-200">
+            <div class="text-white p-6" style="background:linear-gradient(90deg,${e.color},${e.color}cc)">
+                <div class="flex justify-between items-start">
+                    <div>
+                        <div class="flex items-center gap-2 mb-2">
+                            <span class="bg-white/20 px-3 py-1 rounded-full text-xs font-bold backdrop-blur-sm">PRO ${i+1}</span>
+                            <span class="bg-white px-3 py-1 rounded-full text-xs font-bold" style="color:${e.color}">${esc(PROMO_TYPES[e.type])}</span>${win?`
+                            <span class="bg-black/20 px-3 py-1 rounded-full text-xs font-bold"><i class="fas fa-clock mr-1"></i>${win}</span>`:''}
+                        </div>
+                        <h2 class="text-2xl font-bold">${esc(e.name)}</h2>
+                    </div>
+                    <div class="text-right">${e.ref?`
+                        <div class="code-badge text-xl font-bold bg-white/20 px-4 py-2 rounded-lg backdrop-blur-sm">${esc(e.ref)}</div>
+                        <div class="text-xs mt-1 opacity-80">Promotion Code</div>`:''}${e.code?`
+                        <div class="code-badge text-xs mt-1 opacity-80">POS ${esc(e.code)}</div>`:''}
+                    </div>
+                </div>
+            </div>
+            <div class="p-6 grid md:grid-cols-2 gap-6">
+                <div class="space-y-4">
+                    <div class="mechanic-box p-4 rounded-xl" style="border-left-color:${e.color}">
+                        <h3 class="font-bold text-slate-800 mb-2 flex items-center gap-2"><i class="fas fa-cog" style="color:${e.color}"></i> Mechanic / กลไก</h3>
+                        <p class="text-slate-700 text-sm leading-relaxed">${esc(e.mechanic||'—')}</p>
+                    </div>${e.conditions?`
+                    <div class="condition-tag p-3 rounded-lg text-sm font-medium"><i class="fas fa-exclamation-triangle mr-2"></i>เงื่อนไข: ${esc(e.conditions)}</div>`:''}
+                </div>
+                <div class="space-y-3 text-sm">${row('fa-calendar-alt','ระยะเวลา',e.period)}${row('fa-users','กลุ่มเป้าหมาย',e.audience)}${row('fa-tags','หมวดที่ร่วมรายการ',e.cats.length?e.cats.join(', '):'ทุกหมวด')}
+                </div>
+            </div>
+        </section>`;
+}
+
+// Catalogue → the complete promotion.html page (same look as the original hand-written page)
+function promotionPage(catalogue, opts={}){
+  const list=normalizeCatalogue(catalogue).filter(e=>e.mechanic||e.ref);   // staff / partner discounts are internal
+  const codes=list.reduce((n,e)=>n+(e.ref?e.ref.split('/').length:0),0);
+  const year=opts.year||2026;
+  return `<!DOCTYPE html>
+<html lang="th">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>NIGIBEN Promotion Dashboard ${year}</title>
+    <script src="https://cdn.tailwindcss.com"></script>
+    <link href="https://fonts.googleapis.com/css2?family=Prompt:wght@300;400;500;600;700&display=swap" rel="stylesheet">
+    <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css">
+    <style>
+        body { font-family: 'Prompt', sans-serif; }
+        .section-card { transition: all 0.4s cubic-bezier(0.4, 0, 0.2, 1); }
+        .section-card:hover { transform: translateY(-8px); box-shadow: 0 25px 50px -12px rgba(0, 0, 0, 0.25); }
+        .mechanic-box { background: linear-gradient(135deg, #f8fafc 0%, #f1f5f9 100%); border-left: 4px solid #0ea5e9; }
+        .condition-tag { background: linear-gradient(135deg, #fef3c7 0%, #fde68a 100%); color: #92400e; }
+        .code-badge { font-family: 'Courier New', monospace; letter-spacing: 0.05em; }
+    </style>
+<base target="_blank">
+</head>
+<body class="bg-slate-50 min-h-screen">
+    <!-- Generated from the promotion catalogue (index.html → แคตตาล็อกโปรโมชั่น, or npm run promotions) — edit the catalogue, not this file -->
+    <header class="bg-white shadow-lg sticky top-0 z-50 border-b border-slate-200">
+        <div class="max-w-6xl mx-auto px-4 py-4 flex justify-between items-center">
+            <div class="flex items-center gap-3">
+                <div class="w-12 h-12 bg-gradient-to-br from-blue-600 to-purple-600 rounded-xl flex items-center justify-center text-white text-xl font-bold shadow-lg">N</div>
+                <div>
+                    <h1 class="text-2xl font-bold text-slate-800">NIGIBEN Promotion ${year}</h1>
+                    <p class="text-sm text-slate-500">Don Mueang Airport Terminal 1 | ชั้น 3 อาคารขาออกในประเทศ</p>
+                </div>
+            </div>
+            <div class="hidden md:flex gap-2">
+                <span class="px-3 py-1 bg-blue-100 text-blue-700 rounded-full text-xs font-semibold">${list.length} โปรโมชั่น</span>
+                <span class="px-3 py-1 bg-purple-100 text-purple-700 rounded-full text-xs font-semibold">${codes} Codes</span>
+            </div>
+        </div>
+    </header>
+
+    <main class="max-w-6xl mx-auto px-4 py-8 space-y-8">${list.map(promoSection).join('\n')}
+    </main>
+
+    <footer class="max-w-6xl mx-auto px-4 pb-8">
+        <div class="bg-slate-800 text-white rounded-2xl p-6 shadow-xl">
+            <h3 class="text-lg font-bold mb-4 text-center"><i class="fas fa-clipboard-check mr-2"></i>ข้อมูลทั่วไปสำหรับการบันทึกระบบ</h3>
+            <div class="grid md:grid-cols-2 gap-4 text-sm text-slate-300">
+                <div class="flex items-start gap-3"><i class="fas fa-map-marker-alt mt-1 text-blue-400"></i>
+                    <div><span class="font-semibold text-white">สถานที่:</span><br>ร้าน NIGIBEN ชั้น 3 อาคารผู้โดยสารภายในประเทศขาออก ท่าอากาศยานดอนเมือง</div></div>
+                <div class="flex items-start gap-3"><i class="fas fa-database mt-1 text-green-400"></i>
+                    <div><span class="font-semibold text-white">วิธีบันทึก:</span><br>บันทึกยอดขายในราคาหลังหักส่วนลด พร้อมระบุ Promotion Code ที่ถูกต้อง</div></div>
+            </div>
+        </div>
+    </footer>
+</body>
+</html>
+`;
+}
+
+return {PROMO_TYPES,FLASH_CATS,DEFAULT_CATALOGUE,normalizeCatalogue,matchPromo,promoHours,ROI_FLASH_WINDOW,FLASH_GROUP,roiWindow,salesByDateHour,promoROI,promotionPage};
+});
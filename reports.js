@@ -0,0 +1,1839 @@
+// ══════════════════════════════════════════
+// PRINTABLE REPORTS — shared by index.html (preview / print) and the CLI (bin/nigiben-report.js)
+// Each builder takes the aggregated dataset d and returns the report pages as an HTML string:
+//   {DAILY, CATS, HOURS, PRODUCTS, PROMO_DATA, CANCEL_DATA, DAYPARTS, DOW_MAP,
+//    TOTAL_NET, TOTAL_BILLS, TOTAL_PREVAT, TOTAL_VAT, salesRows, computeQualifiedABV}
+// plus optional MARGIN {total, cats, products, target} (products.js marginBy stats) for the margin page
+// and optional BUDGET (budget.js budgetPacing result) for the budget pacing page
+// ══════════════════════════════════════════
+(function(root,factory){
+  if(typeof module==='object'&&module.exports) module.exports=factory();
+  else root.NigiReports=factory();
+})(typeof self!=='undefined'?self:this,function(){
+'use strict';
+
+// ══════════ INVESTOR / PERFORMANCE REPORT ══════════
+// mode 'clean' = Investor (discounts hidden), anything else = full performance report
+function investorReport(d, mode){
+  const {DAILY,CATS,HOURS,PRODUCTS,PROMO_DATA,CANCEL_DATA,DAYPARTS,DOW_MAP,TOTAL_NET,TOTAL_BILLS,TOTAL_PREVAT,TOTAL_VAT,salesRows,computeQualifiedABV}=d;
+  const showDisc=(mode!=='clean'); // false = Investor mode (hide discount)
+  if(!DAILY.length) return '';
+  const mg=d.MARGIN&&d.MARGIN.total&&d.MARGIN.total.fc!=null?d.MARGIN:null;   // costs loaded → extra margin page
+  const bg=d.BUDGET||null;                                                      // budget for the month → pacing page
+
+  /* ── helpers ── */
+  const f2=n=>n.toLocaleString('th-TH');
+  const pct=(a,b)=>b>0?(a/b*100).toFixed(1)+'%':'—';
+  const dateToTs=s=>{const[d,m,y]=(s||'').split('/');return new Date(+y,+m-1,+d).getTime();};
+
+  /* ── computed ── */
+  const totalDisc   = DAILY.reduce((s,d)=>s+(d.discount||0),0);
+  const totalGross  = DAILY.reduce((s,d)=>s+(d.gross||d.net),0);
+  const totalPreVat = TOTAL_PREVAT;   // Net × 100/107 — ฐานภาษีรวม
+  const totalVat    = TOTAL_VAT;      // Net × 7/107   — VAT รวม
+  const totalBills  = TOTAL_BILLS;
+  const totalItems  = PRODUCTS.reduce((s,p)=>s+p.qty,0);
+  const _qInv=computeQualifiedABV(); const abv=_qInv.abv;
+  const discRate    = totalGross>0?(totalDisc/totalGross*100).toFixed(1):0;
+  const netRate     = totalGross>0?(TOTAL_NET/totalGross*100).toFixed(1):0;
+  const days        = DAILY.length;
+  const avgDailyNet = Math.round(TOTAL_NET/days);
+  const avgDailyB   = Math.round(totalBills/days);
+
+  /* ── months ── */
+  const monthMap={};
+  DAILY.forEach(d=>{
+    const[dd,mm,yy]=d.date.split('/').map(Number);
+    const k=mm+'/'+yy;
+    if(!monthMap[k]) monthMap[k]={mm,yy,days:0,bills:0,qty:0,gross:0,discount:0,net:0,preVat:0,vat:0};
+    const m=monthMap[k];m.days++;m.bills+=d.bills;m.qty+=d.qty;
+    m.gross+=d.gross;m.discount+=d.discount;m.net+=d.net;
+    m.preVat+=(d.preVat||0);m.vat+=(d.vat||0);
+  });
+  const months=Object.values(monthMap).sort((a,b)=>a.yy!==b.yy?a.yy-b.yy:a.mm-b.mm);
+  const pageCount=(months.length>1?months.length+2:3)+(mg?1:0)+(bg?1:0);
+
+  /* ── labels ── */
+  const mEN=['','Jan','Feb','Mar','Apr','May','Jun','Jul','Aug','Sep','Oct','Nov','Dec'];
+  const mTH=['','ม.ค.','ก.พ.','มี.ค.','เม.ย.','พ.ค.','มิ.ย.','ก.ค.','ส.ค.','ก.ย.','ต.ค.','พ.ย.','ธ.ค.'];
+  const mTHF=['','มกราคม','กุมภาพันธ์','มีนาคม','เมษายน','พฤษภาคม','มิถุนายน','กรกฎาคม','สิงหาคม','กันยายน','ตุลาคม','พฤศจิกายน','ธันวาคม'];
+  const dowTH={Sun:'วันอาทิตย์',Mon:'วันจันทร์',Tue:'วันอังคาร',Wed:'วันพุธ',Thu:'วันพฤหัสบดี',Fri:'วันศุกร์',Sat:'วันเสาร์'};
+  const pad=n=>String(n).padStart(2,'0');
+  const[fd,fm,fy]=DAILY[0].date.split('/').map(Number);
+  const[ld,lm,ly]=DAILY[DAILY.length-1].date.split('/').map(Number);
+  const periodEN=fm===lm&&fy===ly?`${pad(fd)}–${pad(ld)} ${mEN[fm]} ${fy}`:`${pad(fd)} ${mEN[fm]} – ${pad(ld)} ${mEN[lm]} ${ly}`;
+  const periodTH=fm===lm&&fy===ly?`${pad(fd)}–${pad(ld)} ${mTHF[fm]} ${fy+543}`:`${pad(fd)} ${mTH[fm]} – ${pad(ld)} ${mTH[lm]} ${ly+543}`;
+  const now=new Date();
+  const genDate=`${now.getDate()} ${mEN[now.getMonth()+1]} ${now.getFullYear()}`;
+
+  /* ── data ── */
+  const top5=[...PRODUCTS].filter(p=>p.net>0).sort((a,b)=>b.net-a.net).slice(0,5);
+  const bot5=[...PRODUCTS].filter(p=>p.net>0).sort((a,b)=>a.net-b.net).slice(0,5);
+  const peak=HOURS.length?HOURS.reduce((a,b)=>b.net>a.net?b:a,HOURS[0]):{h:0,net:0};
+  const bestDay=[...DAILY].sort((a,b)=>b.net-a.net)[0];
+  const worstDay=[...DAILY].sort((a,b)=>a.net-b.net)[0];
+  const dowAgg={};
+  DAILY.forEach(d=>{const dw=DOW_MAP[d.date]||'?';if(!dowAgg[dw])dowAgg[dw]={net:0,days:0};dowAgg[dw].net+=d.net;dowAgg[dw].days++;});
+  const bestDOW=Object.entries(dowAgg).sort((a,b)=>b[1].net/b[1].days-a[1].net/a[1].days)[0]||['—',{net:0,days:1}];
+  const catTotal=CATS.reduce((s,c)=>s+c.net,0)||1;
+  const byPN={};PROMO_DATA.forEach(p=>{if(!byPN[p.name])byPN[p.name]={cnt:0,disc:0,net:0,sales:0};byPN[p.name].cnt+=p.count;byPN[p.name].disc+=p.discount;byPN[p.name].net+=p.net;byPN[p.name].sales+=p.sales;});
+  const promoRows=Object.entries(byPN).sort((a,b)=>b[1].disc-a[1].disc);
+  const promoCnt=PROMO_DATA.reduce((s,p)=>s+p.count,0);
+  const byDate2={};PROMO_DATA.forEach(p=>{if(!byDate2[p.date])byDate2[p.date]={disc:0,cnt:0};byDate2[p.date].disc+=p.discount;byDate2[p.date].cnt+=p.count;});
+  const top3Days=Object.entries(byDate2).sort((a,b)=>b[1].disc-a[1].disc).slice(0,3);
+  const maxDailyNet=Math.max(...DAILY.map(d=>d.net),1);
+  const maxMonthNet=Math.max(...months.map(m=>m.net),1);
+
+  /* ── colour palette ── */
+  const C={
+    ink:'#0f1923', navy:'#162537', steel:'#1d3248',
+    white:'#ffffff', bg:'#f8fafc', bg2:'#f1f5f9',
+    green:'#22d47a', lime:'#bbf7d0',
+    amber:'#f0a500', amber2:'#fbbf24',
+    red:'#f04545',   pink:'#fecaca',
+    sky:'#3d9be0',   blue:'#1d4ed8',
+    purple:'#a07ee0',cyan:'#06b6d4',
+    t1:'#0f172a', t2:'#334155', t3:'#64748b', t4:'#94a3b8',
+    border:'#e2e8f0',
+    catColor:c=>({'Sushi Bento':'#e07070','Donburi':'#3d9be0','Beverage':'#22d47a','Dessert':'#a07ee0','Appetizer':'#f0a500'}[c]||'#888')
+  };
+
+  /* ── micro helpers ── */
+  const fNet=n=>n.toLocaleString('th-TH',{minimumFractionDigits:2,maximumFractionDigits:2});
+  const bar=(p,col,h=6)=>`<div style="background:#dde5f0;border-radius:3px;height:${h}px;overflow:hidden;flex:1;min-width:30px"><div style="height:100%;width:${Math.min(p,100).toFixed(1)}%;background:${col};border-radius:3px;box-shadow:0 1px 4px ${col}66"></div></div>`;
+  const badge=(txt,col)=>`<span style="background:${col}22;color:${col};border-radius:4px;padding:2px 8px;font-size:9px;font-weight:700;white-space:nowrap">${txt}</span>`;
+  const kpi=(lbl,val,sub,col,icon='')=>`<div style="background:linear-gradient(135deg,${col}18 0%,${col}08 100%);border:1.5px solid ${col}55;border-radius:10px;padding:11px 14px;position:relative;overflow:hidden">
+    <div style="position:absolute;top:0;left:0;right:0;height:3px;background:${col};border-radius:10px 10px 0 0"></div>
+    <div style="font-size:7.5px;color:#475569;letter-spacing:1.5px;text-transform:uppercase;font-weight:800;margin-bottom:6px">${icon} ${lbl}</div>
+    <div style="font-family:'Prompt',sans-serif;font-size:21px;font-weight:700;color:${col};line-height:1.1;margin-bottom:5px;text-shadow:0 1px 3px ${col}33">${val}</div>
+    <div style="font-size:8.5px;color:#334155;line-height:1.5;border-top:1px solid ${col}30;padding-top:5px;margin-top:2px">${sub}</div>
+  </div>`;
+  const sec=(icon,title,accent=C.navy)=>`<div style="display:flex;align-items:center;gap:8px;margin:14px 0 10px;padding:7px 12px;background:linear-gradient(90deg,rgba(15,25,35,0.06) 0%,transparent 100%);border-left:4px solid ${C.amber};border-radius:0 6px 6px 0">
+    <span style="font-size:15px">${icon}</span>
+    <span style="font-family:'Prompt',sans-serif;font-size:11px;font-weight:700;color:#0f1923;letter-spacing:2px;text-transform:uppercase">${title}</span>
+  </div>`;
+  const tHead=(...cols)=>`<thead><tr style="background:linear-gradient(90deg,#0f1923 0%,#1d3248 100%);-webkit-print-color-adjust:exact;print-color-adjust:exact">${cols.map(([txt,align,w])=>`<th style="padding:9px ${align==='r'?10:12}px;text-align:${align==='r'?'right':'left'};font-size:9.5px;color:#f0a500;font-weight:800;letter-spacing:1px${w?';width:'+w:''}">${txt}</th>`).join('')}</tr></thead>`;
+  const pageWrap=(content,pg,total)=>`<div class="rpt-page" style="width:210mm;background:#fff;font-family:'Prompt',sans-serif;color:#0f1923;box-sizing:border-box;margin:0 auto 28px;border-radius:4px;overflow:hidden;position:relative;box-shadow:0 4px 24px rgba(0,0,0,.35);-webkit-print-color-adjust:exact;print-color-adjust:exact;">
+    <!-- gradient top rule -->
+    <div style="height:6px;background:linear-gradient(90deg,#f0a500 0%,#22d47a 35%,#3d9be0 65%,#a07ee0 100%);-webkit-print-color-adjust:exact;print-color-adjust:exact"></div>
+    <!-- gradient spine -->
+    <div style="height:3px;background:linear-gradient(90deg,#f0a50055 0%,#22d47a55 40%,#3d9be055 70%,#a07ee055 100%)"></div>
+    <!-- header -->
+    <div style="background:#0f1923;padding:14px 26px;display:flex;align-items:center;justify-content:space-between;-webkit-print-color-adjust:exact;print-color-adjust:exact">
+      <div style="display:flex;align-items:center;gap:18px">
+        <div>
+          <div style="font-family:'Prompt',sans-serif;font-size:18px;font-weight:700;color:#22d47a;letter-spacing:4px;text-shadow:0 0 12px rgba(34,212,122,0.35)">NIGIBEN</div>
+          <div style="font-size:8px;color:#f0a500;letter-spacing:1.5px;margin-top:1px;font-weight:600">${showDisc?'PERFORMANCE REPORT':'INVESTOR REVENUE REPORT'} · DON MUEANG AIRPORT</div>
+        </div>
+        <div style="width:1px;height:30px;background:#334155"></div>
+        <div>
+          <div style="font-size:8px;color:#64748b;letter-spacing:1px">PERIOD</div>
+          <div style="font-family:'Prompt',sans-serif;font-size:12px;color:#f0a500;font-weight:700;margin-top:1px">${periodEN}</div>
+        </div>
+      </div>
+      <div style="text-align:right">
+        <div style="font-size:8px;color:#64748b">Generated ${genDate}</div>
+        <div style="font-size:8px;color:#64748b;margin-top:3px">Page ${pg} / ${total} · CONFIDENTIAL</div>
+      </div>
+    </div>
+    <div class="rpt-scale">
+      <div style="padding:20px 28px 52px">${content}</div>
+    </div>
+    <div class="rpt-footer" style="position:absolute;bottom:0;left:0;right:0;height:28px;background:linear-gradient(90deg,#0f1923 0%,#162537 100%);border-top:1px solid #22d47a33;-webkit-print-color-adjust:exact;print-color-adjust:exact;display:flex;align-items:center;justify-content:space-between;padding:0 26px;z-index:10">
+      <div style="font-size:7.5px;color:#64748b">NIGIBEN Sales Intelligence · For Investor Use Only · <span style="color:#f0a500">CONFIDENTIAL</span></div>
+      <div style="font-size:7.5px;color:#64748b">${periodTH} · ${days} วัน</div>
+    </div>
+  </div>`;
+
+  /* ── generate insights ── */
+  const insights=[];
+  const dr=parseFloat(discRate);
+  if(showDisc){
+    if(dr>30) insights.push({icon:'⚠️',level:'WARNING',col:C.red,title:`Discount Rate ${discRate}% — สูงกว่าเกณฑ์ F&B Airport`,body:`Recovery Rate อยู่ที่ ${netRate}% ต่ำกว่า benchmark 75–80% แนะนำทบทวน Flash Sale window และ Staff Discount Policy เพื่อป้องกัน Net Margin Erosion`});
+    else insights.push({icon:'✅',level:'ON TRACK',col:C.green,title:`Recovery Rate ${netRate}% — อยู่ในเกณฑ์ดี`,body:`Discount Management มีประสิทธิภาพ ยังสามารถเพิ่ม Promotional Volume ได้อีก 10–15% โดยไม่กระทบ Net Margin`});
+  }
+  const topShare=CATS[0]?(CATS[0].net/catTotal*100):0;
+  if(topShare>60) insights.push({icon:'📌',level:'NOTE',col:C.amber,title:`${CATS[0]?.cat} ครอง ${topShare.toFixed(0)}% — ความเสี่ยง Revenue Concentration`,body:`แนะนำพัฒนา Donburi และ Dessert Bundle เพื่อกระจาย Revenue Mix และเพิ่ม Resilience ต่อ Supply Disruption`});
+  if(abv>0&&abv<300) insights.push({icon:'💡',level:'OPPORTUNITY',col:C.sky,title:`ABV ฿${abv} — โอกาสเพิ่ม Basket Value`,body:`Cross-sell Beverage + Dessert ณ จุดชำระเงิน และ Combo Bundle สามารถเพิ่ม ABV ได้ 15–25% โดยไม่ต้องเพิ่ม Traffic`});
+  if(mg){
+    const fc=mg.total.fc, target=mg.target||35, below=mg.products.filter(p=>p.cm<0).length;
+    if(fc>target||below) insights.push({icon:'🍚',level:'WARNING',col:C.red,title:`Food Cost ${fc.toFixed(1)}%${below?` · ${below} สินค้าขายต่ำกว่าทุน`:''}`,body:`Contribution Margin ${mg.total.cmPct.toFixed(1)}% ของยอดก่อน VAT — ทบทวนราคาโปรและสินค้าที่ Food Cost เกิน ${target}% (Appendix D)`});
+    else insights.push({icon:'💰',level:'ON TRACK',col:C.green,title:`Food Cost ${fc.toFixed(1)}% — อยู่ในเป้า ${target}%`,body:`Contribution Margin ${mg.total.cmPct.toFixed(1)}% ของยอดก่อน VAT หลังส่วนลดโปรโมชั่น (Appendix D)`});
+  }
+  if(bg&&bg.status){
+    const bp=(bg.pct*100).toFixed(1), proj='฿'+Math.round(bg.projection).toLocaleString(), req='฿'+Math.round(bg.required).toLocaleString();
+    const tail=bg.remaining?` · ต้องการ ${req}/วัน อีก ${bg.remaining} วันเพื่อถึงเป้า`:'';
+    if(bg.status==='green') insights.push({icon:'🎯',level:'ON TRACK',col:C.green,title:`ยอดขาย ${bp}% ของเป้าถึง ${bg.asOf}`,body:`คาดการณ์สิ้นเดือน ${proj} (${(bg.projPct*100).toFixed(0)}% ของเป้า ฿${Math.round(bg.target).toLocaleString()}) (Appendix E)`});
+    else insights.push({icon:'🎯',level:bg.status==='red'?'WARNING':'NOTE',col:bg.status==='red'?C.red:C.amber,title:`ยอดขาย ${bp}% ของเป้าถึง ${bg.asOf} — ต่ำกว่าเป้า`,body:`คาดการณ์สิ้นเดือน ${proj} (${(bg.projPct*100).toFixed(0)}% ของเป้า)${tail} (Appendix E)`});
+  }
+  insights.push({icon:'🚀',level:'ACTION',col:C.purple,title:`Peak ${pad(peak.h)}:00 — Maximize Revenue Window`,body:`ชั่วโมง ${pad(peak.h)}:00 สร้างยอดสูงสุด แนะนำ Pre-pack สินค้าขายดี + เพิ่ม Staffing เพื่อ Reduce Queue Time และ Capture Impulse Purchase`});
+
+  /* ══════════════════════════════════════════════
+     PAGE 1 — EXECUTIVE SUMMARY
+  ══════════════════════════════════════════════ */
+  const p1=pageWrap(`
+
+    <!-- Hero Revenue Banner -->
+    <div style="background:linear-gradient(135deg,#0b1520 0%,#0f1f35 40%,#162e4a 75%,#1a2a3d 100%);-webkit-print-color-adjust:exact;print-color-adjust:exact;border-radius:12px;padding:18px 24px;margin-bottom:14px;display:grid;grid-template-columns:1fr auto auto;gap:24px;align-items:center;box-shadow:0 4px 20px rgba(0,0,0,0.4);border:1px solid #1e3a5f">
+      <div>
+        <div style="font-size:8.5px;color:#64748b;letter-spacing:2.5px;text-transform:uppercase;margin-bottom:6px;font-weight:700">NET REVENUE · ${periodTH}</div>
+        <div style="font-family:'Prompt',sans-serif;font-size:34px;font-weight:700;color:#f0a500;line-height:1;text-shadow:0 2px 12px rgba(240,165,0,0.4)">฿${fNet(TOTAL_NET)}</div>
+        <div style="font-size:9px;color:#64748b;margin-top:6px;letter-spacing:.5px">เฉลี่ย ฿${avgDailyNet.toLocaleString()} / วัน · ${days} วัน · ${totalBills.toLocaleString()} บิล</div>
+        ${totalPreVat>0?`<div style="display:flex;gap:20px;margin-top:10px;padding-top:10px;border-top:1px solid rgba(255,255,255,0.08)">
+          <div>
+            <div style="font-size:7px;color:#64748b;letter-spacing:1.5px;text-transform:uppercase;margin-bottom:3px">ยอดก่อน VAT (100/107)</div>
+            <div style="font-family:'Prompt',sans-serif;font-size:13px;font-weight:700;color:#67e8f9">฿${fNet(totalPreVat)}</div>
+          </div>
+          <div style="width:1px;background:rgba(255,255,255,0.08)"></div>
+          <div>
+            <div style="font-size:7px;color:#64748b;letter-spacing:1.5px;text-transform:uppercase;margin-bottom:3px">VAT 7% (7/107)</div>
+            <div style="font-family:'Prompt',sans-serif;font-size:13px;font-weight:700;color:#67e8f9">฿${fNet(totalVat)}</div>
+          </div>
+        </div>`:''}
+      </div>
+      ${(()=>{
+        // MoM Growth — คำนวณจากเดือนล่าสุดเทียบเดือนก่อน
+        let momHtml='';
+        if(months.length>=2){
+          const last=months[months.length-1];
+          const prev=months[months.length-2];
+          const diff=last.net-prev.net;
+          const pct=prev.net>0?((diff/prev.net)*100):null;
+          const isUp=diff>=0;
+          const col=isUp?'#22d47a':'#f04545';
+          const arrow=isUp?'▲':'▼';
+          momHtml=`<div style="text-align:center;padding:0 8px;border-left:1px solid #1e3a5f">
+            <div style="font-size:8px;color:#22d47a;letter-spacing:1px;margin-bottom:4px;font-weight:800">MoM GROWTH</div>
+            <div style="font-family:'Prompt',sans-serif;font-size:26px;font-weight:700;color:${col};line-height:1">${arrow}${pct!==null?Math.abs(pct).toFixed(1)+'%':'—'}</div>
+            <div style="font-size:8px;color:#64748b;margin-top:3px">${mEN[last.mm]} vs ${mEN[prev.mm]}</div>
+          </div>`;
+        } else {
+          // Single month — show Best Day (highest revenue day)
+          const _best=[...DAILY].sort((a,b)=>b.net-a.net)[0];
+          const _bestDow=_best?DOW_MAP[_best.date]||'':'';
+          const _dowTHs={Sun:'อาทิตย์',Mon:'จันทร์',Tue:'อังคาร',Wed:'พุธ',Thu:'พฤหัสบดี',Fri:'ศุกร์',Sat:'เสาร์'};
+          momHtml=`<div style="text-align:center;padding:0 8px;border-left:1px solid #1e3a5f">
+            <div style="font-size:8px;color:#22d47a;letter-spacing:1px;margin-bottom:4px;font-weight:800">BEST DAY</div>
+            <div style="font-family:'Prompt',sans-serif;font-size:22px;font-weight:700;color:#f0a500;line-height:1">${_best?_best.date.substring(0,5):'—'}</div>
+            <div style="font-size:8px;color:#64748b;margin-top:3px">${_best?'฿'+Math.round(_best.net).toLocaleString()+' · วัน'+(_dowTHs[_bestDow]||''):'—'}</div>
+          </div>`;
+        }
+        return momHtml;
+      })()}
+      <div style="text-align:center;padding:0 8px;border-left:1px solid #1e3a5f">
+        <div style="font-size:8px;color:#22d47a;letter-spacing:1px;margin-bottom:4px;font-weight:800">DAILY AVG</div>
+        <div style="font-family:'Prompt',sans-serif;font-size:26px;font-weight:700;color:#22d47a;line-height:1">฿${Math.round(avgDailyNet).toLocaleString()}</div>
+        <div style="font-size:8px;color:#64748b;margin-top:3px">รายได้เฉลี่ย / วัน</div>
+      </div>
+    </div>
+
+    <!-- KPI row 1 -->
+    <div style="display:grid;grid-template-columns:repeat(${showDisc?4:3},1fr);gap:6px;margin-bottom:6px">
+      ${showDisc?kpi('Gross Revenue','฿'+totalGross.toLocaleString(),`ก่อนหักส่วนลด · ${days} วัน`,C.sky,'💰'):''}
+      ${showDisc?kpi('Total Discount','-฿'+totalDisc.toLocaleString(),`${discRate}% ของ Gross · ${promoCnt.toLocaleString()} ครั้ง`,C.red,'💸'):''}
+      ${!showDisc?(()=>{
+        if(months.length>=2){
+          const last=months[months.length-1], prev=months[months.length-2];
+          const diff=last.net-prev.net;
+          const pct=prev.net>0?((diff/prev.net)*100).toFixed(1):null;
+          const isUp=diff>=0;
+          return kpi('MoM Growth',(isUp?'▲':'▼')+(pct?Math.abs(pct)+'%':'—'),`${mEN[last.mm]} vs ${mEN[prev.mm]} · ${isUp?'+':''}฿${Math.abs(Math.round(diff)).toLocaleString()}`,isUp?C.green:C.red,'📈');
+        }
+        // Single month — show Items per Bill (basket depth)
+        const ipb = totalBills>0?(totalItems/totalBills).toFixed(1):0;
+        const ipbCol = parseFloat(ipb)>=2?C.green:parseFloat(ipb)>=1.5?C.amber:C.red;
+        return kpi('Items / Bill',ipb+' ชิ้น',`${totalItems.toLocaleString()} ชิ้น ÷ ${totalBills.toLocaleString()} บิล · ความลึกของตะกร้า`,ipbCol,'🛍️');
+      })():''}
+      ${kpi('Total Bills',totalBills.toLocaleString(),`เฉลี่ย ${avgDailyB} บิล/วัน`,C.blue,'🧾')}
+      ${kpi('Avg Bill Value','฿'+abv.toLocaleString(),'มูลค่าเฉลี่ยต่อบิล',C.amber,'🛒')}
+    </div>
+    <!-- KPI row 2 -->
+    <div style="display:grid;grid-template-columns:repeat(4,1fr);gap:6px;margin-bottom:${!showDisc&&months.length>1?'6':'10'}px">
+      ${kpi('Total Items',totalItems.toLocaleString(),`${Math.round(totalItems/days)} ชิ้น/วัน เฉลี่ย`,C.purple,'📦')}
+      ${showDisc
+        ? kpi('Peak Hour',pad(peak.h)+':00 น.',`฿${peak.net.toLocaleString()} · ชั่วโมงยอดสูงสุด`,C.sky,'⏰')
+        : kpi('Avg Daily Bills',Math.round(totalBills/days).toLocaleString()+' บิล',`${totalBills.toLocaleString()} บิล ใน ${days} วัน · traffic/วัน`,C.blue,'🧾')
+      }
+      ${kpi('Best Day',bestDay?.date.substring(0,5)||'—',`฿${(bestDay?.net||0).toLocaleString()} · ${dowTH[DOW_MAP[bestDay?.date||'']||'']||''}`,C.green,'📅')}
+      ${kpi('Top Category',CATS[0]?.cat||'—',`฿${(CATS[0]?.net||0).toLocaleString()} · ${((CATS[0]?.net||0)/catTotal*100).toFixed(1)}% ของรวม`,C.green,'🏆')}
+    </div>
+
+    <!-- MoM Comparison (Investor mode only, multi-month) -->
+    ${!showDisc&&months.length>1?(()=>{
+      const momRows=months.map((m,i)=>{
+        const prev=months[i-1];
+        const diff=prev?m.net-prev.net:null;
+        const diffPct=prev&&prev.net>0?((m.net-prev.net)/prev.net*100):null;
+        const isUp=diff!==null&&diff>=0;
+        const cols=[C.green,C.sky,C.amber,C.purple];
+        const col=cols[i%cols.length];
+        const avgBillM=(()=>{ const _k=String(m.mm).padStart(2,'0')+'/'+m.yy; const _q=computeQualifiedABV(); let n=0,b=0; Object.entries(_q.byDate).forEach(([d,v])=>{if(d.split('/')[1]+'/'+d.split('/')[2]===_k){n+=v.net;b+=v.bills;}}); return b>0?Math.round(n/b):0; })();
+        return '<div style="background:linear-gradient(160deg,'+col+'18 0%,'+col+'06 100%);border:1.5px solid '+col+'55;border-radius:10px;padding:13px 14px;border-top:4px solid '+col+';-webkit-print-color-adjust:exact;print-color-adjust:exact">'
+          +'<div style="font-family:\'Prompt\',sans-serif;font-size:10px;font-weight:700;color:'+col+';margin-bottom:6px">'+mTHF[m.mm]+' '+(m.yy+543)+'</div>'
+          +'<div style="font-family:"Prompt",sans-serif;font-size:22px;font-weight:800;color:'+C.navy+';margin-bottom:5px;letter-spacing:-0.5px">฿'+m.net.toLocaleString()+'</div>'
+          +(diff!==null?'<div style="display:flex;align-items:center;gap:6px;margin-bottom:6px">'
+            +'<span style="font-size:13px;font-weight:800">'+(isUp?'▲':'▼')+'</span>'
+            +'<span style="font-family:"Prompt",sans-serif;font-size:14px;font-weight:800;color:'+(isUp?C.green:C.red)+'">'+(isUp?'+':'')+diff.toLocaleString()+'</span>'
+            +'<span style="font-size:10px;background:'+(isUp?C.green:C.red)+'22;color:'+(isUp?C.green:C.red)+';border-radius:4px;padding:2px 7px;font-weight:800">'+(isUp?'+':'')+diffPct.toFixed(1)+'%</span>'
+            +'<span style="font-size:8px;color:'+C.t3+';margin-left:2px">vs เดือนก่อน</span>'
+            +'</div>'
+          :'<div style="font-size:8.5px;color:'+C.t3+';margin-bottom:6px">เดือนแรกในช่วงข้อมูล</div>')
+          +'<div style="display:grid;grid-template-columns:1fr 1fr;gap:5px;font-size:9px;color:'+C.t4+';font-weight:700;">'
+          +'<div>🧾 <strong style="font-size:10px;color:'+C.t2+'">'+m.bills.toLocaleString()+'</strong> บิล</div><div>📦 <strong style="font-size:10px;color:'+C.t2+'">'+m.qty.toLocaleString()+'</strong> ชิ้น</div>'
+          +'<div>฿<strong style="font-size:10px;color:'+C.t2+'">'+avgBillM.toLocaleString()+'</strong> ABV</div><div>📋 <strong style="font-size:10px;color:'+C.t2+'">'+m.days+'</strong> วัน</div>'
+          +'</div>'
+          +'</div>';
+      });
+      return '<div style="margin-bottom:14px">'
+        +sec('📊','Month-over-Month Revenue Comparison')
+        +'<div style="display:grid;grid-template-columns:repeat('+months.length+',1fr);gap:10px">'
+        +momRows.join('')
+        +'</div></div>';
+    })():''}
+
+    <!-- 2-col: Category + Monthly side by side -->
+    <div style="display:grid;grid-template-columns:1fr 1fr;gap:14px;margin-bottom:0">
+
+      <!-- Category -->
+      <div>
+        ${sec('🥧','Category Revenue Mix')}
+        ${CATS.map((c,i)=>{
+          const col=C.catColor(c.cat);
+          const p=(c.net/catTotal*100);
+          return `<div style="margin-bottom:7px">
+            <div style="display:flex;justify-content:space-between;align-items:center;font-size:9.5px;margin-bottom:3px">
+              <div style="display:flex;align-items:center;gap:5px">
+                <span style="width:7px;height:7px;border-radius:2px;background:${col};display:inline-block"></span>
+                <span style="font-weight:600;color:#162537">${c.cat}</span>
+              </div>
+              <div style="display:flex;align-items:center;gap:8px">
+                <span style="font-family:"Prompt",sans-serif;font-size:9px;color:${col};font-weight:700">฿${c.net.toLocaleString()}</span>
+                <span style="font-weight:700;color:#334155;font-size:9px;width:32px;text-align:right">${p.toFixed(1)}%</span>
+              </div>
+            </div>
+            <div style="display:flex;align-items:center;gap:5px">${bar(p,col,9)}</div>
+          </div>`;
+        }).join('')}
+      </div>
+
+      <!-- Monthly / Daily summary -->
+      <div>
+        ${months.length>1?`
+        ${sec('📆','Monthly Summary')}
+        <div style="display:flex;gap:10px;flex-wrap:wrap;margin-bottom:8px">
+          ${months.map((m,i)=>{const cols=[C.green,C.sky,C.amber,C.purple];const col=cols[i%cols.length];return `<div style="display:flex;align-items:center;gap:5px;font-size:8.5px;color:#334155"><span style="width:10px;height:10px;border-radius:2px;background:${col};display:inline-block;flex-shrink:0"></span>${mTHF[m.mm]} ${m.yy+543}</div>`;}).join('')}
+        </div>
+        ${months.map((m,i)=>{
+          const cols=[C.green,C.sky,C.amber,C.purple];
+          const col=cols[i%cols.length];
+          const p=(m.net/maxMonthNet*100);
+          const dr2=m.gross>0?(m.discount/m.gross*100).toFixed(0):0;
+          return `<div style="background:linear-gradient(135deg,${col}16 0%,${col}06 100%);border-radius:9px;padding:11px 13px;margin-bottom:8px;border:1.5px solid ${col}44;border-left:4px solid ${col};-webkit-print-color-adjust:exact;print-color-adjust:exact">
+            <div style="display:flex;justify-content:space-between;align-items:baseline;margin-bottom:6px">
+              <span style="font-family:'Prompt',sans-serif;font-size:10.5px;font-weight:800;color:${col}">${mTHF[m.mm]} ${m.yy+543}</span>
+              <span style="font-family:'Prompt',sans-serif;font-size:14px;color:#0f1923;font-weight:700">฿${fNet(m.net)}</span>
+            </div>
+            <div style="display:flex;align-items:center;gap:6px;margin-bottom:6px">${bar(p,col,8)}<span style="font-size:8px;color:#475569;white-space:nowrap;font-weight:600">${p.toFixed(0)}%</span></div>
+            <div style="display:grid;grid-template-columns:repeat(3,1fr);gap:2px;font-size:8px;color:#334155;background:rgba(255,255,255,0.5);border-radius:5px;padding:4px 6px">
+              <span>📋 ${m.days} วัน</span><span>🧾 ${m.bills.toLocaleString()} บิล</span>${showDisc?`<span>💸 Disc ${dr2}%</span>`:`<span>📦 ${m.qty.toLocaleString()} ชิ้น</span>`}
+            </div>
+          </div>`;
+        }).join('')}
+        `:
+        `${sec('📅','Daily Revenue — ${days} วัน')}
+        <div style="display:grid;grid-template-columns:1fr 1fr;gap:4px 10px">
+        ${DAILY.map((d,i)=>{
+          const p=(d.net/maxDailyNet*100);
+          const dw=DOW_MAP[d.date]||'';
+          const isWE=dw==='Sat'||dw==='Sun';
+          const dr2=d.gross>0?(d.discount/d.gross*100).toFixed(0):0;
+          return `<div style="display:flex;align-items:center;gap:5px;margin-bottom:4px;font-size:9px">
+            <span style="font-family:'Prompt',sans-serif;font-weight:700;color:#162537;width:30px;flex-shrink:0">${d.date.substring(0,5)}</span>
+            <span style="color:${isWE?C.amber:'#94a3b8'};flex-shrink:0;font-size:8px;white-space:nowrap;min-width:44px">${dowTH[dw]||''}</span>
+            ${bar(p,isWE?C.amber:C.green,6)}
+            <span style="font-family:'Prompt',sans-serif;color:#22d47a;font-weight:700;white-space:nowrap;width:54px;text-align:right">฿${fNet(d.net)}</span>
+          </div>`;
+        }).join('')}
+        </div>`}
+      </div>
+    </div>
+
+    <!-- Strategic Insights + Recovery Rate (Full mode only) — hidden in Investor mode -->
+    ${showDisc?`
+    ${sec('💡','Strategic Insights & Recommendations')}
+    <div style="display:grid;grid-template-columns:1fr 1fr;gap:8px;margin-bottom:14px">
+      ${insights.map(ins=>`
+      <div style="background:linear-gradient(135deg,${ins.col}14 0%,${ins.col}06 100%);border-radius:10px;padding:11px 13px;border:1.5px solid ${ins.col}44;border-left:4px solid ${ins.col};-webkit-print-color-adjust:exact;print-color-adjust:exact">
+        <div style="display:flex;align-items:center;gap:6px;margin-bottom:6px">
+          <span style="font-size:13px">${ins.icon}</span>
+          ${badge(ins.level,ins.col)}
+          <span style="font-size:9px;font-weight:700;color:#0f1923;line-height:1.3;flex:1">${ins.title}</span>
+        </div>
+        <div style="font-size:8.5px;color:#334155;line-height:1.6;border-top:1px solid ${ins.col}25;padding-top:5px">${ins.body}</div>
+      </div>`).join('')}
+    </div>
+    ${sec('📘','Recovery Rate — คำอธิบายตัวชี้วัด')}
+    <div style="display:grid;grid-template-columns:1fr 1fr;gap:12px">
+
+      <!-- What is Recovery Rate -->
+      <div style="background:linear-gradient(135deg,#22d47a18 0%,#22d47a06 100%);border-radius:10px;padding:14px 16px;border:1.5px solid #22d47a44;border-left:4px solid ${C.green};-webkit-print-color-adjust:exact;print-color-adjust:exact">
+        <div style="font-size:9px;font-weight:800;color:#0f1923;letter-spacing:.5px;margin-bottom:8px">📗 Recovery Rate คืออะไร?</div>
+        <div style="font-size:8.5px;color:#334155;line-height:1.8">
+          <strong style="color:#162537">Recovery Rate</strong> คือสัดส่วนของยอดขายสุทธิ (Net Revenue) ที่ร้านเก็บได้จริงเมื่อเทียบกับยอดขายรวมก่อนส่วนลด (Gross Revenue)<br><br>
+          เป็นตัวชี้วัดหลักที่แสดงว่า <strong style="color:#162537">ทุก ฿100 ที่ลูกค้าสั่ง ร้านเก็บเงินได้จริงกี่บาท</strong>
+        </div>
+      </div>
+
+      <!-- Formula -->
+      <div style="background:#080b10;border-radius:10px;padding:14px 16px;border:1px solid #e2e8f0">
+        <div style="font-size:9px;font-weight:700;color:#94a3b8;letter-spacing:.5px;margin-bottom:10px">🧮 สูตรการคำนวณ</div>
+        <div style="font-family:"Prompt",sans-serif;font-size:10px;color:#ffffff;line-height:2;text-align:center">
+          <span style="color:#22d47a;font-weight:700">Net Revenue</span><br>
+          <span style="color:#475569">──────────────────</span> × 100<br>
+          <span style="color:#94a3b8">Gross Revenue</span>
+        </div>
+        <div style="margin-top:10px;padding:8px 10px;background:rgba(255,255,255,0.06);border-radius:6px;font-family:"Prompt",sans-serif;font-size:9px;color:#94a3b8;text-align:center">
+          ฿${fNet(TOTAL_NET)} ÷ ฿${totalGross.toLocaleString()} × 100
+          <div style="color:${parseFloat(netRate)>=70?C.green:C.amber};font-size:14px;font-weight:700;margin-top:4px">= ${netRate}%</div>
+        </div>
+      </div>
+
+      <!-- Current period result -->
+      <div style="background:linear-gradient(135deg,${parseFloat(netRate)>=70?'#22d47a18':'#f0a50018'} 0%,${parseFloat(netRate)>=70?'#22d47a06':'#f0a50006'} 100%);border-radius:10px;padding:14px 16px;border:1.5px solid ${parseFloat(netRate)>=70?'#22d47a44':'#f0a50044'};border-left:4px solid ${parseFloat(netRate)>=70?C.green:C.amber};-webkit-print-color-adjust:exact;print-color-adjust:exact">
+        <div style="font-size:9px;font-weight:700;color:#162537;letter-spacing:.5px;margin-bottom:8px">📊 ผลลัพธ์ช่วงนี้ (${periodTH})</div>
+        <div style="font-size:8.5px;color:#334155;line-height:1.9">
+          • Gross Revenue: <strong style="color:#162537;font-family:"Prompt",sans-serif">฿${totalGross.toLocaleString()}</strong><br>
+          • Net Revenue: <strong style="color:#22d47a;font-family:"Prompt",sans-serif">฿${fNet(TOTAL_NET)}</strong><br>
+          • <strong style="color:#162537">Recovery Rate = ${netRate}%</strong><br>
+          <span style="color:#64748b">ทุก ฿100 ที่ขายได้ ร้านเก็บเงินจริง ฿${netRate}</span>
+        </div>
+      </div>
+
+      <!-- Benchmark -->
+      <div style="background:linear-gradient(135deg,#3d9be018 0%,#3d9be006 100%);border-radius:10px;padding:14px 16px;border:1.5px solid #3d9be044;border-left:4px solid ${C.sky};-webkit-print-color-adjust:exact;print-color-adjust:exact">
+        <div style="font-size:9px;font-weight:700;color:#162537;letter-spacing:.5px;margin-bottom:8px">🎯 เกณฑ์มาตรฐาน F&B Airport</div>
+        <div style="font-size:8.5px;color:#334155;line-height:1.9">
+          <div style="display:flex;justify-content:space-between;align-items:center;padding:4px 0;border-bottom:1px solid #e2e8f0">
+            <span>🟢 ดีเยี่ยม</span><span style="font-family:"Prompt",sans-serif;font-weight:700;color:#22d47a">≥ 75%</span>
+          </div>
+          <div style="display:flex;justify-content:space-between;align-items:center;padding:4px 0;border-bottom:1px solid #e2e8f0">
+            <span>🟡 อยู่ในเกณฑ์</span><span style="font-family:"Prompt",sans-serif;font-weight:700;color:#f0a500">65–74%</span>
+          </div>
+          <div style="display:flex;justify-content:space-between;align-items:center;padding:4px 0">
+            <span>🔴 ต้องปรับปรุง</span><span style="font-family:"Prompt",sans-serif;font-weight:700;color:#f04545">< 65%</span>
+          </div>
+          <div style="margin-top:6px;padding:5px 8px;background:${parseFloat(netRate)>=75?C.green:parseFloat(netRate)>=65?C.amber:C.red}22;border-radius:5px;font-size:8px;font-weight:700;color:${parseFloat(netRate)>=75?C.green:parseFloat(netRate)>=65?C.amber:C.red};text-align:center">
+            ร้านนี้อยู่ในระดับ: ${parseFloat(netRate)>=75?'🟢 ดีเยี่ยม':parseFloat(netRate)>=65?'🟡 อยู่ในเกณฑ์':'🔴 ต้องปรับปรุง'}
+          </div>
+        </div>
+      </div>
+
+    </div>
+    `:''}
+
+  `,1,pageCount);
+
+  /* ══════════════════════════════════════════════
+     APPENDIX A — Daily Revenue Detail
+  ══════════════════════════════════════════════ */
+  const pA=pageWrap(`
+    ${sec('📋','Appendix A — Daily Revenue Detail')}
+    <div style="font-size:9px;color:#64748b;margin-bottom:10px">ตาราง: ยอดขายรายวันครบทุก ${days} วัน · เรียงตามวันที่</div>
+    <table style="width:100%;border-collapse:collapse;font-size:9.5px">
+      ${showDisc?tHead(['วันที่','l','13%'],['วัน','l','7%'],['บิล','r','6%'],['ชิ้น','r','6%'],['Gross (฿)','r','10%'],['ส่วนลด (฿)','r','10%'],['Net (฿)','r','10%'],['ยอดก่อน VAT (฿)','r','11%'],['VAT 7% (฿)','r','9%'],['ABV (฿)','r','8%'],['Disc%','r','5%'],['Performance','l','']):tHead(['วันที่','l','13%'],['วัน','l','9%'],['บิล','r','7%'],['ชิ้น','r','7%'],['Net Revenue (฿)','r','14%'],['ยอดก่อน VAT (฿)','r','14%'],['VAT 7% (฿)','r','12%'],['ABV (฿)','r','10%'],['Performance','l',''])}
+      <tbody>
+        ${DAILY.map((d,i)=>{
+          const _qID=computeQualifiedABV();const abvD=_qID.byDate[d.date]?.abv||0;
+          const dr2=d.gross>0?(d.discount/d.gross*100).toFixed(1):0;
+          const p=(d.net/maxDailyNet*100);
+          const dw=DOW_MAP[d.date]||'';
+          const isWE=dw==='Sat'||dw==='Sun';
+          const col=isWE?C.amber:C.green;
+          return `<tr style="background:${i%2===0?"#ffffff":"#f0f7ff"};border-bottom:1px solid #dbeafe">
+            <td style="padding:5px 10px;font-family:"Prompt",sans-serif;font-weight:700;color:#162537">${d.date.substring(0,5)}</td>
+            <td style="padding:5px 8px;color:${isWE?C.amber:'#94a3b8'};font-size:9px;white-space:nowrap">${dowTH[dw]||''}</td>
+            <td style="padding:5px 8px;text-align:right">${d.bills.toLocaleString()}</td>
+            <td style="padding:5px 8px;text-align:right">${d.qty.toLocaleString()}</td>
+            ${showDisc?`<td style="padding:5px 8px;text-align:right;color:#334155">${fNet(d.gross)}</td>`:''}
+            ${showDisc?`<td style="padding:5px 8px;text-align:right;color:#f04545">-${fNet(d.discount)}</td>`:''}
+            <td style="padding:5px 8px;text-align:right;font-weight:700;color:#22d47a;font-family:"Prompt",sans-serif">${fNet(d.net)}</td>
+            <td style="padding:5px 8px;text-align:right;color:#0891b2;font-weight:600">${d.preVat>0?fNet(d.preVat):'—'}</td>
+            <td style="padding:5px 8px;text-align:right;color:#0891b2">${d.vat>0?fNet(d.vat):'—'}</td>
+            <td style="padding:5px 8px;text-align:right">฿${abvD.toLocaleString()}</td>
+            ${showDisc?`<td style="padding:5px 8px;text-align:right;color:${parseFloat(dr2)>30?C.red:C.t4}">${dr2}%</td>`:''}
+            <td style="padding:5px 10px"><div style="display:flex;align-items:center;gap:4px">${bar(p,col,8)}<span style="font-size:7.5px;color:#64748b;white-space:nowrap">${p.toFixed(0)}%</span></div></td>
+          </tr>`;
+        }).join('')}
+        <tr style="background:linear-gradient(90deg,#0f1923 0%,#1d3248 100%);color:#ffffff;-webkit-print-color-adjust:exact;print-color-adjust:exact">
+          <td colspan="2" style="padding:8px 10px;font-family:'Prompt',sans-serif;font-size:9.5px;font-weight:800;color:#f0a500;letter-spacing:1px">TOTAL — ${days} วัน</td>
+          <td style="padding:6px 8px;text-align:right;font-family:"Prompt",sans-serif">${totalBills.toLocaleString()}</td>
+          <td style="padding:6px 8px;text-align:right;font-family:"Prompt",sans-serif">${totalItems.toLocaleString()}</td>
+          ${showDisc?`<td style="padding:6px 8px;text-align:right;font-family:"Prompt",sans-serif">฿${fNet(totalGross)}</td>`:''}
+          ${showDisc?`<td style="padding:6px 8px;text-align:right;color:${C.pink};font-family:"Prompt",sans-serif">-฿${fNet(totalDisc)}</td>`:''}
+          <td style="padding:6px 8px;text-align:right;color:${C.lime};font-family:"Prompt",sans-serif;font-size:11px">฿${fNet(TOTAL_NET)}</td>
+          <td style="padding:6px 8px;text-align:right;color:#67e8f9;font-family:"Prompt",sans-serif;font-weight:700">${totalPreVat>0?'฿'+fNet(totalPreVat):'—'}</td>
+          <td style="padding:6px 8px;text-align:right;color:#67e8f9;font-family:"Prompt",sans-serif">${totalVat>0?'฿'+fNet(totalVat):'—'}</td>
+          <td style="padding:6px 8px;text-align:right;font-family:"Prompt",sans-serif">฿${abv.toLocaleString()}</td>
+          ${showDisc?`<td style="padding:6px 8px;text-align:right;font-family:"Prompt",sans-serif">${discRate}%</td>`:''}
+          <td style="padding:6px 10px;font-size:8px;color:#94a3b8">${showDisc?'Recovery: '+netRate+'%':''}</td>
+        </tr>
+      </tbody>
+    </table>
+
+    <div style="margin-top:10px;background:linear-gradient(135deg,#eff6ff 0%,#f0fdf4 100%);border:1px solid #bfdbfe;border-left:4px solid #0891b2;border-radius:6px;padding:9px 14px;font-size:8.5px;color:#334155;-webkit-print-color-adjust:exact;print-color-adjust:exact">
+      <strong style="color:#0f172a">📌 หมายเหตุ — ยอดก่อน VAT และ VAT 7%:</strong>&nbsp;
+      <span style="color:#0891b2;font-weight:700">ยอดก่อน VAT = Σ ราคารวมก่อนภาษี</span> และ <span style="color:#0891b2;font-weight:700">VAT = Σ ภาษี</span> รวมจากทุก transaction ในวันนั้น<br>
+      <span style="color:#475569">ตรงกับรายงานสรุปยอดขายประจำวัน POS (คอลัมน์ 'รวม' และ 'ภาษี') · คำนวณจากราคาสินค้าก่อนหักส่วนลดระดับ item · ส่วนลดโปรโมชั่นสะท้อนใน Net Revenue เท่านั้น</span>
+    </div>
+
+    ${months.length>1?`
+    ${sec('📆','Monthly Summary Table')}
+    <table style="width:100%;border-collapse:collapse;font-size:9.5px;margin-top:4px">
+      ${showDisc?tHead(['เดือน','l','18%'],['วัน','r','7%'],['บิล','r','8%'],['ชิ้น','r','8%'],['Gross (฿)','r','13%'],['ส่วนลด (฿)','r','13%'],['Net (฿)','r','13%'],['ABV (฿)','r','10%'],['Disc%','r','8%']):tHead(['เดือน','l','22%'],['วัน','r','8%'],['บิล','r','10%'],['ชิ้น','r','10%'],['Net Revenue (฿)','r','20%'],['ABV (฿)','r','15%'])}
+      <tbody>
+        ${months.map((m,i)=>{
+          const cols=[C.green,C.sky,C.amber,C.purple];
+          const col=cols[i%cols.length];
+          const avbM=(()=>{const _k=String(m.mm).padStart(2,'0')+'/'+m.yy;const _q=computeQualifiedABV();let n=0,b=0;Object.entries(_q.byDate).forEach(([d,v])=>{if(d.split('/')[1]+'/'+d.split('/')[2]===_k){n+=v.net;b+=v.bills;}});return b>0?Math.round(n/b):0;})();
+          const drM=m.gross>0?(m.discount/m.gross*100).toFixed(1):0;
+          return `<tr style="background:${i%2===0?"#ffffff":"#f0f7ff"};border-bottom:1px solid #dbeafe">
+            <td style="padding:6px 10px;font-family:'Prompt',sans-serif;font-weight:700;color:${col}">${mTHF[m.mm]} ${m.yy+543}</td>
+            <td style="padding:6px 8px;text-align:right">${m.days}</td>
+            <td style="padding:6px 8px;text-align:right">${m.bills.toLocaleString()}</td>
+            <td style="padding:6px 8px;text-align:right">${m.qty.toLocaleString()}</td>
+            ${showDisc?`<td style="padding:6px 8px;text-align:right;color:#334155">${m.gross.toLocaleString()}</td>`:''}
+            ${showDisc?`<td style="padding:6px 8px;text-align:right;color:#f04545">-${m.discount.toLocaleString()}</td>`:''}
+            <td style="padding:6px 8px;text-align:right;font-weight:700;color:#22d47a;font-family:"Prompt",sans-serif">${fNet(m.net)}</td>
+            <td style="padding:6px 8px;text-align:right">฿${avbM.toLocaleString()}</td>
+            ${showDisc?`<td style="padding:6px 8px;text-align:right;color:${parseFloat(drM)>30?C.red:C.t4}">${drM}%</td>`:''} 
+          </tr>`;
+        }).join('')}
+      </tbody>
+    </table>`:''}
+
+  `,2,pageCount);
+
+  /* ══════════════════════════════════════════════
+     APPENDIX B — Product & Promotion
+  ══════════════════════════════════════════════ */
+  const top10=[...PRODUCTS].filter(p=>p.net>0&&p.p).sort((a,b)=>b.net-a.net).slice(0,10);
+  const maxProd=top10[0]?.net||1;
+  const maxPromoD=promoRows[0]?.[1]?.disc||1;
+  const pB=pageWrap(`
+
+    <div style="display:grid;grid-template-columns:1fr 1fr;gap:18px">
+      <!-- Top 10 Products -->
+      <div>
+        ${sec('🏆','Top 10 Best-Selling Products')}
+        <table style="width:100%;border-collapse:collapse;font-size:9px">
+          ${tHead(['#','l','6%'],['สินค้า','l',''],['฿/ชิ้น','r','14%'],['Net (฿)','r','18%'],['%','r','8%'])}
+          <tbody>
+            ${top10.map((p,i)=>{
+              const col=C.catColor(p.c);
+              const rpu=p.qty>0?Math.round(p.net/p.qty):0;
+              const pct2=(p.net/TOTAL_NET*100);
+              const name=p.p.includes('/')?p.p.split('/').slice(1).join('/').trim():p.p;
+              const medals=['🥇','🥈','🥉'];
+              return `<tr style="background:${i%2===0?"#ffffff":"#f0f7ff"};border-bottom:1px solid #dbeafe">
+                <td style="padding:5px 6px;text-align:center;font-size:${i<3?'12':'10'}px">${i<3?medals[i]:(i+1)}</td>
+                <td style="padding:5px 6px">
+                  <div style="font-weight:600;color:#162537;font-size:8.5px">${name.substring(0,22)}</div>
+                  <div style="display:flex;align-items:center;gap:3px;margin-top:2px">${bar(p.net/maxProd*100,col,5)}</div>
+                </td>
+                <td style="padding:5px 6px;text-align:right;color:#334155">฿${rpu.toLocaleString()}</td>
+                <td style="padding:5px 6px;text-align:right;font-weight:700;color:#22d47a;font-family:"Prompt",sans-serif">${p.net.toLocaleString()}</td>
+                <td style="padding:5px 6px;text-align:right;font-weight:600;color:#334155">${pct2.toFixed(1)}%</td>
+              </tr>`;
+            }).join('')}
+          </tbody>
+        </table>
+      </div>
+
+      <!-- Promotion Summary -->
+      <div>
+        ${showDisc?sec('🎯','Promotion ROI Breakdown'):sec('📦','สรุปการขาย')}
+        ${showDisc&&promoRows.length>0?`
+        <div style="display:grid;grid-template-columns:repeat(3,1fr);gap:6px;margin-bottom:10px">
+          ${kpi('Total Discount','-฿'+totalDisc.toLocaleString(),`${discRate}% ของ Gross`,C.red,'')}
+          ${kpi('Total Uses',promoCnt.toLocaleString(),'จำนวนครั้ง',C.sky,'')}
+          ${kpi('Avg Disc/Use',promoCnt>0?'฿'+Math.round(totalDisc/promoCnt).toLocaleString():'—','เฉลี่ย/ครั้ง',C.purple,'')}
+        </div>
+        <table style="width:100%;border-collapse:collapse;font-size:9px">
+          ${tHead(['โปรโมชั่น','l',''],['ครั้ง','r','13%'],['ส่วนลด','r','18%'],['Disc%','r','10%'])}
+          <tbody>
+            ${promoRows.map(([name,v],i)=>{
+              const dr2=v.sales>0?(v.disc/v.sales*100).toFixed(1):0;
+              return `<tr style="background:${i%2===0?"#ffffff":"#f0f7ff"};border-bottom:1px solid #dbeafe">
+                <td style="padding:5px 6px">
+                  <div style="font-weight:600;color:#162537;font-size:8.5px">${name}</div>
+                  <div style="margin-top:2px">${bar(v.disc/maxPromoD*100,C.red,5)}</div>
+                </td>
+                <td style="padding:5px 6px;text-align:right">${v.cnt.toLocaleString()}</td>
+                <td style="padding:5px 6px;text-align:right;color:#f04545;font-weight:700">-฿${v.disc.toLocaleString()}</td>
+                <td style="padding:5px 6px;text-align:right;color:${parseFloat(dr2)>50?C.red:C.t4};font-weight:600">${dr2}%</td>
+              </tr>`;
+            }).join('')}
+          </tbody>
+        </table>
+
+        ${top3Days.length>0?`
+        ${sec('📅','Top 3 วันส่วนลดสูงสุด')}
+        ${top3Days.map(([date,v],i)=>{
+          const medals=['🥇','🥈','🥉'];
+          const cols=[C.amber,C.t3,C.purple];
+          const dw=DOW_MAP[date]||'';
+          return `<div style="display:flex;align-items:center;gap:10px;background:#f8fafc;border-radius:7px;padding:8px 12px;margin-bottom:6px;border:1px solid #e2e8f0">
+            <span style="font-size:16px">${medals[i]}</span>
+            <div style="flex:1">
+              <div style="font-family:"Prompt",sans-serif;font-weight:700;color:${cols[i]};font-size:12px">${date.substring(0,5)} <span style="font-size:9px;font-weight:400;color:#64748b">${dowTH[dw]||dw}</span></div>
+              <div style="font-size:8.5px;color:#334155;margin-top:2px">${v.cnt.toLocaleString()} ครั้ง</div>
+            </div>
+            <div style="font-family:"Prompt",sans-serif;font-size:16px;font-weight:700;color:#f04545">-฿${v.disc.toLocaleString()}</div>
+          </div>`;
+        }).join('')}`:''}
+
+        `:(showDisc?`<div style="background:#f8fafc;border-radius:8px;padding:20px;text-align:center;color:#64748b;font-size:11px;border:1px dashed ${C.border}">⚠️ ไม่พบข้อมูลโปรโมชั่น</div>`:`<div style="background:linear-gradient(135deg,#22d47a14 0%,#3d9be00a 100%);border-radius:10px;padding:18px;color:#334155;font-size:10px;border:1.5px solid #22d47a44;line-height:1.9;-webkit-print-color-adjust:exact;print-color-adjust:exact"><strong style="color:#0f1923;font-size:11px;display:block;margin-bottom:8px;letter-spacing:.5px">📊 สรุป Revenue สำหรับ Investor</strong>Net Revenue รวม: <strong style="color:#22d47a;font-family:'Prompt',sans-serif;font-size:13px">฿${fNet(TOTAL_NET)}</strong><br>จำนวนบิล: <strong style="color:#0f1923">${totalBills.toLocaleString()}</strong> บิล · เฉลี่ย ${avgDailyB} บิล/วัน<br>Avg Bill Value: <strong style="color:#0f1923">฿${abv.toLocaleString()}</strong> ต่อบิล${TOTAL_PREVAT>0?`<br><span style="font-size:10px;color:#334155">ยอดก่อน VAT: <strong style="color:#0f1923">฿${(TOTAL_PREVAT).toLocaleString('th-TH',{minimumFractionDigits:2,maximumFractionDigits:2})}</strong> · VAT 7%: <strong style="color:#0f1923">฿${(TOTAL_VAT).toLocaleString('th-TH',{minimumFractionDigits:2,maximumFractionDigits:2})}</strong></span>`:''}</div>`)}
+      </div>
+    </div>
+
+    <!-- Day-of-Week + Hourly row -->
+    <div style="display:grid;grid-template-columns:1fr 1fr;gap:18px;margin-top:4px">
+      <!-- DOW -->
+      <div>
+        ${sec('🗓️','Day-of-Week Performance')}
+        ${['Mon','Tue','Wed','Thu','Fri','Sat','Sun'].map(dw=>{
+          const v=dowAgg[dw]||{net:0,days:0};
+          const avg=v.days>0?Math.round(v.net/v.days):0;
+          const maxDow=Math.max(...Object.values(dowAgg).map(x=>x.days>0?x.net/x.days:0),1);
+          const isWE=dw==='Sat'||dw==='Sun';
+          return `<div style="display:flex;align-items:center;gap:8px;margin-bottom:7px;font-size:9px;padding:5px 8px;border-radius:6px;background:${isWE?'rgba(240,165,0,0.08)':'rgba(240,244,250,0.6)'}">
+            <span style="width:26px;color:${isWE?C.amber:'#334155'};font-weight:700;flex-shrink:0">${dw}</span>
+            <span style="font-size:8px;color:#475569;width:52px;flex-shrink:0">${dowTH[dw]||''}</span>
+            ${bar(avg/maxDow*100,isWE?C.amber:C.green,10)}
+            <span style="font-family:'Prompt',sans-serif;color:${isWE?C.amber:'#0f1923'};font-weight:700;white-space:nowrap;width:68px;text-align:right">฿${avg.toLocaleString()}</span>
+            <span style="font-size:7.5px;color:#94a3b8;white-space:nowrap">${v.days}วัน</span>
+          </div>`;
+        }).join('')}
+      </div>
+      <!-- Hourly / Time Block -->
+      <div>
+        ${showDisc?`
+        ${sec('⏰','Hourly Revenue — ภาพรวมทุกช่วงเวลา')}
+        <table style="width:100%;border-collapse:collapse;font-size:9px">
+          ${tHead(['เวลา','l','18%'],['Revenue (฿)','r',''],['%','r','10%'],['Trend','l','20%'])}
+          <tbody>
+            ${[...HOURS].filter(h=>h.net>0).sort((a,b)=>a.h-b.h).map((h,i)=>{
+              const maxH=Math.max(...HOURS.map(x=>x.net),1);
+              const p2=(h.net/HOURS.reduce((s,x)=>s+x.net,1)*100);
+              const barPct=h.net/maxH*100;
+              const isPeak=h.net===maxH;
+              const hCol=h.h>=20?C.red:h.h>=17?C.amber:C.sky;
+              return '<tr style="background:'+(i%2===0?'#ffffff':'#f8fafc')+';border-bottom:1px solid #e2e8f0">'
+                +'<td style="padding:4px 6px;font-family:"Prompt",sans-serif;font-weight:700;color:'+hCol+'">'+pad(h.h)+':00</td>'
+                +'<td style="padding:4px 6px;text-align:right;font-weight:700;color:#22d47a;font-family:"Prompt",sans-serif">฿'+h.net.toLocaleString()+(isPeak?' ★':'')+'</td>'
+                +'<td style="padding:4px 6px;text-align:right;color:#334155">'+p2.toFixed(1)+'%</td>'
+                +'<td style="padding:4px 6px"><div style="display:flex;align-items:center;gap:3px">'+bar(barPct,hCol,8)+'</div></td>'
+                +'</tr>';
+            }).join('')}
+          </tbody>
+        </table>`:(()=>{
+          // Investor mode: Revenue by Daypart — uses DAYPARTS file (slot 6) when available
+          const DAYPART_CFG={
+            'Breakfast':{icon:'🌅',col:'#3d9be0',sub:'00:00–09:00'},
+            'Lunch':    {icon:'☀️', col:'#f0a500',sub:'09:00–15:00'},
+            'Tea Time': {icon:'🌤️',col:'#22d47a',sub:'15:00–18:00'},
+            'Dinner':   {icon:'🌙',col:'#a07ee0',sub:'18:00–24:00'},
+          };
+          let blockData=[];
+          if(DAYPARTS.length>0){
+            const totalNet2=DAYPARTS.reduce((s,d)=>s+d.net,0)||1;
+            blockData=DAYPARTS.map(d=>({
+              label:d.name, sub:DAYPART_CFG[d.name]?.sub||'',
+              icon:DAYPART_CFG[d.name]?.icon||'⏰', col:DAYPART_CFG[d.name]?.col||'#888',
+              net:d.net, sold:d.sold, bills:d.bills, avgBill:d.avgBill,
+              pct:d.net/totalNet2*100,
+            }));
+          } else {
+            const fallback=[
+              {label:'Breakfast',sub:'00:00–09:00',h1:0,h2:8, icon:'🌅',col:'#3d9be0'},
+              {label:'Lunch',    sub:'09:00–15:00',h1:9,h2:14,icon:'☀️', col:'#f0a500'},
+              {label:'Tea Time', sub:'15:00–18:00',h1:15,h2:17,icon:'🌤️',col:'#22d47a'},
+              {label:'Dinner',   sub:'18:00–24:00',h1:18,h2:23,icon:'🌙',col:'#a07ee0'},
+            ];
+            const totalNet2=HOURS.reduce((s,h)=>s+h.net,0)||1;
+            blockData=fallback.map(b=>{
+              const net=HOURS.filter(h=>h.h>=b.h1&&h.h<=b.h2).reduce((s,h)=>s+h.net,0);
+              return {...b,net,sold:0,bills:0,avgBill:0,pct:net/totalNet2*100};
+            });
+          }
+          const maxPct=Math.max(...blockData.map(b=>b.pct),1);
+          return sec('📊','Revenue by Daypart — Customer Traffic Pattern')
+            +'<div style="font-size:8.5px;color:#64748b;margin-bottom:10px">'
+            +(DAYPARTS.length>0?'ข้อมูลจาก POS Daypart Report · สัดส่วนรายได้และพฤติกรรม Traffic ของลูกค้า':'ประมาณการจาก Hourly Data (อัพโหลด Slot 6 เพื่อข้อมูลจาก POS โดยตรง)')
+            +'</div>'
+            +'<div style="display:grid;grid-template-columns:repeat(4,1fr);gap:8px;margin-bottom:10px">'
+            +blockData.map(b=>`<div style="background:linear-gradient(160deg,${b.col}20 0%,${b.col}08 100%);border:1.5px solid ${b.col}55;border-top:4px solid ${b.col};border-radius:10px;padding:12px 10px;text-align:center;-webkit-print-color-adjust:exact;print-color-adjust:exact">
+                <div style="font-size:20px;margin-bottom:4px">${b.icon}</div>
+                <div style="font-size:9.5px;font-weight:800;color:#0f1923;margin-bottom:1px">${b.label}</div>
+                <div style="font-size:7.5px;color:#64748b;margin-bottom:8px">${b.sub}</div>
+                <div style="font-family:'Prompt',sans-serif;font-size:20px;font-weight:700;color:${b.col};text-shadow:0 1px 6px ${b.col}44">${b.pct.toFixed(0)}%</div>
+                <div style="font-family:'Prompt',sans-serif;font-size:10px;color:#334155;margin-top:2px">฿${b.net.toLocaleString()}</div>
+                ${DAYPARTS.length>0?`<div style="display:grid;grid-template-columns:1fr 1fr;gap:3px;margin-top:6px;font-size:7.5px;color:#64748b">
+                  <div>🧾 <strong style="color:#0f1923">${b.bills}</strong> บิล</div>
+                  <div>📦 <strong style="color:#0f1923">${b.sold}</strong> ชิ้น</div>
+                  <div style="grid-column:1/-1">ABV <strong style="color:${b.col}">฿${Math.round(b.avgBill)}</strong></div>
+                </div>`:''}
+                <div style="height:5px;background:rgba(0,0,0,0.1);border-radius:3px;margin-top:8px;overflow:hidden">
+                  <div style="height:100%;width:${(b.pct/maxPct*100).toFixed(0)}%;background:${b.col};border-radius:3px"></div>
+                </div>
+              </div>`).join('')
+            +'</div>'
+            +'<div style="background:linear-gradient(135deg,#eff6ff 0%,#f0f9ff 100%);border:1.5px solid #bae6fd;border-radius:10px;padding:10px 14px;font-size:8.5px;color:#0369a1;line-height:1.7;-webkit-print-color-adjust:exact;print-color-adjust:exact">'
+            +'<strong style="font-size:9px">📌 Key Insight:</strong> '
+            +(()=>{
+              const topB=blockData.reduce((a,b)=>b.pct>a.pct?b:a);
+              const dayB=blockData.filter(b=>b.label!=='Dinner');
+              const dayPct=dayB.reduce((s,b)=>s+b.pct,0).toFixed(0);
+              const dinnerB=blockData.find(b=>b.label==='Dinner');
+              return `<strong>${topB.label}</strong> เป็น Top Revenue Daypart ที่ <strong>${topB.pct.toFixed(0)}%</strong> ของรายได้รวม · `
+                +`Daytime (เช้า–Tea Time) <strong>${dayPct}%</strong> · Dinner <strong>${dinnerB?dinnerB.pct.toFixed(0):0}%</strong>`
+                +(DAYPARTS.length>0&&dinnerB?` · ABV Dinner สูงสุด ฿${Math.round(dinnerB.avgBill)}`:'');
+            })()
+            +'</div>';
+        })()}
+      </div>
+    </div>
+
+  `,months.length>1?months.length+2:3,pageCount);
+
+  /* ══════════════════════════════════════════════
+     APPENDIX C (optional) — one page per month
+  ══════════════════════════════════════════════ */
+  const monthPages=months.length>1?months.map((m,mi)=>{
+    const cols=[C.green,C.sky,C.amber,C.purple];
+    const col=cols[mi%cols.length];
+    const mDays=DAILY.filter(d=>{const[dd,mm,yy]=d.date.split('/').map(Number);return mm===m.mm&&yy===m.yy;});
+    const mMax=Math.max(...mDays.map(d=>d.net),1);
+    const mAvgB=(()=>{const _k=String(m.mm).padStart(2,'0')+'/'+m.yy;const _q=computeQualifiedABV();let n=0,b=0;Object.entries(_q.byDate).forEach(([d,v])=>{if(d.split('/')[1]+'/'+d.split('/')[2]===_k){n+=v.net;b+=v.bills;}});return b>0?Math.round(n/b):0;})();
+    const mDR=m.gross>0?(m.discount/m.gross*100).toFixed(1):0;
+    return pageWrap(`
+      ${sec(mi===0?'📊':'📊',`Appendix — ${mTHF[m.mm]} ${m.yy+543}`,col)}
+      <!-- Month KPI -->
+      <div style="display:grid;grid-template-columns:repeat(4,1fr);gap:8px;margin-bottom:14px">
+        ${kpi('Net Revenue','฿'+m.net.toLocaleString(),`${m.days} วัน · ${mTHF[m.mm]} ${m.yy+543}`,col)}
+        ${kpi('Total Bills',m.bills.toLocaleString(),`เฉลี่ย ${Math.round(m.bills/m.days)} บิล/วัน`,C.blue)}
+        ${kpi('Avg Bill Value','฿'+mAvgB.toLocaleString(),'ต่อบิล',C.amber)}
+        ${showDisc?kpi('Discount Rate',mDR+'%',`-฿${m.discount.toLocaleString()} จาก Gross`,parseFloat(mDR)>30?C.red:C.green):kpi('Total Items',m.qty.toLocaleString(),`เฉลี่ย ${Math.round(m.qty/m.days)} ชิ้น/วัน`,C.purple,'📦')}
+      </div>
+      ${sec('📅',`Daily Breakdown — ${mTHF[m.mm]} ${m.yy+543}`)}
+      <table style="width:100%;border-collapse:collapse;font-size:9.5px">
+        ${showDisc?tHead(['วันที่','l','12%'],['วัน','l','8%'],['บิล','r','7%'],['ชิ้น','r','7%'],['Gross (฿)','r','11%'],['ส่วนลด (฿)','r','11%'],['Net (฿)','r','11%'],['ยอดก่อน VAT (฿)','r','11%'],['VAT 7% (฿)','r','9%'],['ABV (฿)','r','8%'],['Performance','l','']):tHead(['วันที่','l','13%'],['วัน','l','10%'],['บิล','r','8%'],['ชิ้น','r','8%'],['Net Revenue (฿)','r','15%'],['ยอดก่อน VAT (฿)','r','14%'],['VAT 7% (฿)','r','12%'],['ABV (฿)','r','10%'],['Performance','l',''])}
+        <tbody>
+          ${mDays.map((d,i)=>{
+            const dw=DOW_MAP[d.date]||'';
+            const isWE=dw==='Sat'||dw==='Sun';
+            const p2=(d.net/mMax*100);
+            const dr2=d.gross>0?(d.discount/d.gross*100).toFixed(1):0;
+            const mAbv=computeQualifiedABV().byDate[d.date]?.abv||0;
+            return `<tr style="background:${i%2===0?"#ffffff":"#f0f7ff"};border-bottom:1px solid #dbeafe">
+              <td style="padding:5px 10px;font-family:"Prompt",sans-serif;font-weight:700;color:#162537">${d.date.substring(0,5)}</td>
+              <td style="padding:5px 8px;color:${isWE?C.amber:'#94a3b8'};font-size:9px;white-space:nowrap">${dowTH[dw]||''}</td>
+              <td style="padding:5px 8px;text-align:right">${d.bills.toLocaleString()}</td>
+              <td style="padding:5px 8px;text-align:right">${d.qty.toLocaleString()}</td>
+              ${showDisc?`<td style="padding:5px 8px;text-align:right;color:#334155">${fNet(d.gross)}</td>`:''}
+              ${showDisc?`<td style="padding:5px 8px;text-align:right;color:#f04545">-${fNet(d.discount)}</td>`:''}
+              <td style="padding:5px 8px;text-align:right;font-weight:700;color:#22d47a;font-family:"Prompt",sans-serif">${fNet(d.net)}</td>
+              <td style="padding:5px 8px;text-align:right;color:#0891b2;font-weight:600">${d.preVat>0?fNet(d.preVat):'—'}</td>
+              <td style="padding:5px 8px;text-align:right;color:#0891b2">${d.vat>0?fNet(d.vat):'—'}</td>
+              <td style="padding:5px 8px;text-align:right">฿${mAbv.toLocaleString()}</td>
+              <td style="padding:5px 10px"><div style="display:flex;align-items:center;gap:4px">${bar(p2,isWE?C.amber:col,8)}<span style="font-size:7.5px;color:#64748b">${p2.toFixed(0)}%</span></div></td>
+            </tr>`;
+          }).join('')}
+          <tr style="background:linear-gradient(90deg,#0f1923 0%,#1d3248 100%);color:#ffffff;-webkit-print-color-adjust:exact;print-color-adjust:exact">
+            <td colspan="2" style="padding:8px 10px;font-family:'Prompt',sans-serif;font-size:9.5px;font-weight:800;color:#f0a500;letter-spacing:1px">TOTAL ${mTHF[m.mm]}</td>
+            <td style="padding:6px 8px;text-align:right">${m.bills.toLocaleString()}</td>
+            <td style="padding:6px 8px;text-align:right">${m.qty.toLocaleString()}</td>
+            ${showDisc?`<td style="padding:6px 8px;text-align:right">฿${fNet(m.gross)}</td>`:''}
+            ${showDisc?`<td style="padding:6px 8px;text-align:right;color:${C.pink}">-฿${fNet(m.discount)}</td>`:''}
+            <td style="padding:6px 8px;text-align:right;color:${C.lime};font-family:"Prompt",sans-serif">฿${fNet(m.net)}</td>
+            <td style="padding:6px 8px;text-align:right;color:#67e8f9;font-weight:700">${m.preVat>0?'฿'+fNet(m.preVat):'—'}</td>
+            <td style="padding:6px 8px;text-align:right;color:#67e8f9">${m.vat>0?'฿'+fNet(m.vat):'—'}</td>
+            <td style="padding:6px 8px;text-align:right">฿${mAvgB.toLocaleString()}</td>
+            <td style="padding:6px 10px;font-size:8px;color:#94a3b8">${showDisc?'Disc: '+mDR+'%':''}</td>
+          </tr>
+        </tbody>
+      </table>
+
+      <!-- Hourly / Time Block for this month -->
+      ${(()=>{
+        const hrs2c=Array.from({length:18},(_,i)=>i+5);
+        const mHourMap={};
+        salesRows.forEach(r=>{
+          const[rd,rm,ry]=r.date.split('/').map(Number);
+          if(rm!==m.mm||ry!==m.yy) return;
+          const h=parseInt((r.time||'00:00').split(':')[0])||0;
+          if(!mHourMap[h]) mHourMap[h]={net:0,bills:new Set(),qty:0};
+          mHourMap[h].net+=r.net; mHourMap[h].qty+=r.qty; mHourMap[h].bills.add(r.doc);
+        });
+        const mHours=hrs2c.map(h=>({h,net:mHourMap[h]?.net||0,qty:mHourMap[h]?.qty||0,bills:mHourMap[h]?mHourMap[h].bills.size:0}));
+        const mMaxH=Math.max(...mHours.map(x=>x.net),1);
+        const mTotalH=mHours.reduce((s,x)=>s+x.net,0)||1;
+        if(showDisc){
+          const headHtml=tHead(['เวลา','l','13%'],['Revenue (฿)','r','18%'],['% ของเดือน','r','10%'],['ชิ้น','r','8%'],['บิล','r','7%'],['Trend','l','']);
+          const rowsHtml=mHours.filter(x=>x.net>0).map((h,i)=>{
+            const isPeak=h.net===mMaxH;
+            const pct2=(h.net/mTotalH*100).toFixed(1);
+            const barPct=(h.net/mMaxH*100);
+            const hCol=h.h>=20?C.red:h.h>=17?C.amber:C.sky;
+            const peakBadge=isPeak?'<span style="font-size:7.5px;background:'+col+'33;color:'+col+';border-radius:3px;padding:1px 5px;margin-left:4px;font-weight:700">PEAK</span>':'';
+            return '<tr style="background:'+(i%2===0?'#ffffff':'#f8fafc')+';border-bottom:1px solid #e2e8f0'+(isPeak?';box-shadow:inset 2px 0 0 '+col:'')+'">'
+              +'<td style="padding:5px 10px;font-family:"Prompt",sans-serif;font-weight:700;color:'+hCol+'">'+pad(h.h)+':00</td>'
+              +'<td style="padding:5px 8px;text-align:right;font-weight:700;color:#22d47a;font-family:"Prompt",sans-serif">฿'+h.net.toLocaleString()+peakBadge+'</td>'
+              +'<td style="padding:5px 8px;text-align:right;color:#94a3b8">'+pct2+'%</td>'
+              +'<td style="padding:5px 8px;text-align:right">'+h.qty.toLocaleString()+'</td>'
+              +'<td style="padding:5px 8px;text-align:right">'+h.bills.toLocaleString()+'</td>'
+              +'<td style="padding:5px 10px"><div style="display:flex;align-items:center;gap:4px">'+bar(barPct,hCol,9)+'</div></td>'
+              +'</tr>';
+          }).join('');
+          return sec('⏰',`Hourly Revenue — ${mTHF[m.mm]} ${m.yy+543}`)
+            +'<table style="width:100%;border-collapse:collapse;font-size:9.5px">'+headHtml+'<tbody>'+rowsHtml+'</tbody></table>';
+        } else {
+          const blocks=[
+            {label:'เช้า',sub:'Morning',h1:5,h2:10,icon:'🌅',col2:'#3d9be0'},
+            {label:'กลางวัน',sub:'Midday',h1:11,h2:14,icon:'☀️',col2:'#f0a500'},
+            {label:'บ่าย',sub:'Afternoon',h1:15,h2:17,icon:'🌤️',col2:'#22d47a'},
+            {label:'เย็น',sub:'Evening',h1:18,h2:19,icon:'🌆',col2:'#a07ee0'},
+            {label:'ค่ำ',sub:'Night',h1:20,h2:22,icon:'🌙',col2:'#3d9be0'},
+          ];
+          const bData=blocks.map(b=>{
+            const bNet=mHours.filter(h=>h.h>=b.h1&&h.h<=b.h2).reduce((s,h)=>s+h.net,0);
+            return {...b,bNet,pct:bNet/mTotalH*100};
+          });
+          const mxP=Math.max(...bData.map(b=>b.pct),1);
+          const dayNet=bData.filter(b=>b.label!=='ค่ำ').reduce((s,b)=>s+b.bNet,0);
+          return sec('📊',`Revenue by Daypart — ${mTHF[m.mm]} ${m.yy+543}`)
+            +'<div style="display:grid;grid-template-columns:repeat(5,1fr);gap:6px;margin-bottom:8px">'
+            +bData.map(b=>'<div style="background:linear-gradient(160deg,'+b.col2+'20 0%,'+b.col2+'08 100%);border:1.5px solid '+b.col2+'55;border-top:4px solid '+b.col2+';border-radius:10px;padding:11px 8px;text-align:center;-webkit-print-color-adjust:exact;print-color-adjust:exact">'
+              +'<div style="font-size:16px;margin-bottom:5px">'+b.icon+'</div>'
+              +'<div style="font-size:9.5px;font-weight:800;color:#0f1923">'+b.label+'</div>'
+              +'<div style="font-size:8px;color:#64748b;margin-bottom:6px">'+b.sub+'</div>'
+              +'<div style="font-family:\'Prompt\',monospace;font-size:16px;font-weight:700;color:'+b.col2+'">'+b.pct.toFixed(0)+'%</div>'
+              +'<div style="height:6px;background:rgba(0,0,0,0.1);border-radius:3px;margin-top:6px"><div style="height:100%;width:'+(b.pct/mxP*100).toFixed(0)+'%;background:'+b.col2+';border-radius:3px"></div></div>'
+              +'</div>').join('')
+            +'</div>'
+            +'<div style="background:linear-gradient(135deg,#eff6ff 0%,#f0f9ff 100%);border:1.5px solid #bae6fd;border-radius:10px;padding:10px 14px;font-size:8.5px;color:#0369a1;-webkit-print-color-adjust:exact;print-color-adjust:exact">'
+            +'Daytime (เช้า–เย็น) สร้าง <strong>'+(dayNet/mTotalH*100).toFixed(0)+'%</strong> ของรายได้ '+mTHF[m.mm]+' · Customer traffic กระจายตัวสม่ำเสมอตลอดวัน'
+            +'</div>';
+        }
+      })()}
+    `,mi+3,pageCount);
+  }):[];
+
+  /* ══════════════════════════════════════════════
+     APPENDIX D (optional) — Gross Margin & Food Cost
+     Ex-VAT, rows with a unit cost only; Investor mode leaves out the promo-discount columns
+  ══════════════════════════════════════════════ */
+  const pM=mg?(()=>{
+    const t=mg.total, target=mg.target||35;
+    const fcCol=fc=>fc==null?C.t4:fc>target+5?C.red:fc>target?C.amber:C.green;
+    const sgn=v=>(v<0?'−':'')+'฿'+Math.round(Math.abs(v)).toLocaleString();
+    const pc=v=>v==null?'—':v.toFixed(1)+'%';
+    const topCM=[...mg.products].sort((a,b)=>b.cm-a.cm).slice(0,10);
+    const below=mg.products.filter(p=>p.cm<0).sort((a,b)=>a.cm-b.cm).slice(0,8);
+    const highFC=mg.products.filter(p=>p.fc>target).sort((a,b)=>b.fc-a.fc).slice(0,8);
+    const short=p=>{const n=p.includes('/')?p.split('/').slice(1).join('/').trim():p;return n.substring(0,24);};
+    const td=(v,style='')=>`<td style="padding:5px 6px;text-align:right;${style}">${v}</td>`;
+    return pageWrap(`
+      ${sec('💰','Appendix D — Gross Margin & Food Cost')}
+      <div style="font-size:9px;color:#64748b;margin-bottom:10px">ยอดก่อน VAT หลังส่วนลดโปร − ต้นทุน/ชิ้น (ข้อมูลสินค้า · ตามวันที่มีผล) · คิดจากยอดที่มีต้นทุน ${t.coverage.toFixed(0)}% ของยอดขายสินค้า</div>
+      <div style="display:grid;grid-template-columns:repeat(4,1fr);gap:10px;margin-bottom:14px">
+        ${kpi('Revenue ex-VAT','฿'+Math.round(t.costedRev).toLocaleString(),'ยอดก่อน VAT ที่มีต้นทุน',C.sky,'🧾')}
+        ${kpi('Food Cost','฿'+Math.round(t.cost).toLocaleString(),`FC ${pc(t.fc)} · เป้า ≤ ${target}%`,fcCol(t.fc),'🍚')}
+        ${kpi('Contribution Margin',sgn(t.cm),`GM ${pc(t.cmPct)} ของยอดก่อน VAT`,t.cm<0?C.red:C.green,'💰')}
+        ${showDisc
+          ?kpi('Promo Discount Impact','−฿'+Math.round(t.disc).toLocaleString(),`กำไรก่อนส่วนลด ${sgn(t.cmBeforeDisc)}`,C.red,'🎯')
+          :kpi('Products Costed',mg.products.length.toLocaleString(),`ครอบคลุม ${t.coverage.toFixed(0)}% ของยอดขาย`,C.purple,'📦')}
+      </div>
+      ${sec('🥧','Margin by Category')}
+      <table style="width:100%;border-collapse:collapse;font-size:9px;margin-bottom:14px">
+        ${tHead(['หมวด','l',''],['ยอดก่อน VAT','r','15%'],['ต้นทุน','r','13%'],['กำไรขั้นต้น','r','15%'],['GM%','r','9%'],['FC%','r','9%'],...(showDisc?[['ส่วนลดโปร','r','13%']]:[]))}
+        <tbody>${mg.cats.map((c,i)=>`<tr style="background:${i%2===0?'#ffffff':'#f0f7ff'};border-bottom:1px solid #dbeafe">
+          <td style="padding:5px 6px;font-weight:600;color:${C.catColor(c.cat)}">${c.cat}</td>
+          ${td(Math.round(c.costedRev).toLocaleString())}${td(Math.round(c.cost).toLocaleString(),'color:#334155')}
+          ${td(sgn(c.cm),'font-weight:700;color:'+(c.cm<0?C.red:'#0f1923'))}${td(pc(c.cmPct))}${td(pc(c.fc),'font-weight:700;color:'+fcCol(c.fc))}
+          ${showDisc?td('−'+Math.round(c.disc).toLocaleString(),'color:'+C.red):''}
+        </tr>`).join('')}</tbody>
+      </table>
+      <div style="display:grid;grid-template-columns:1fr 1fr;gap:18px">
+        <div>
+          ${sec('🏆','Top 10 by Contribution Margin')}
+          <table style="width:100%;border-collapse:collapse;font-size:9px">
+            ${tHead(['#','l','6%'],['สินค้า','l',''],['กำไรขั้นต้น','r','24%'],['FC%','r','14%'])}
+            <tbody>${topCM.map((p,i)=>`<tr style="background:${i%2===0?'#ffffff':'#f0f7ff'};border-bottom:1px solid #dbeafe">
+              <td style="padding:5px 6px;text-align:center">${i+1}</td><td style="padding:5px 6px;font-weight:600;color:#162537;font-size:8.5px">${short(p.p)}</td>
+              ${td(sgn(p.cm),'font-weight:700;color:#0f1923')}${td(pc(p.fc),'color:'+fcCol(p.fc))}
+            </tr>`).join('')}</tbody>
+          </table>
+        </div>
+        <div>
+          ${below.length?sec('⚠️','Sold Below Cost'):sec('📌',`Food Cost above ${target}%`)}
+          ${(below.length?below:highFC).length?`<table style="width:100%;border-collapse:collapse;font-size:9px">
+            ${tHead(['สินค้า','l',''],['กำไรขั้นต้น','r','24%'],['FC%','r','14%'])}
+            <tbody>${(below.length?below:highFC).map((p,i)=>`<tr style="background:${i%2===0?'#ffffff':'#fff5f5'};border-bottom:1px solid #fecaca">
+              <td style="padding:5px 6px;font-weight:600;color:#162537;font-size:8.5px">${short(p.p)}</td>
+              ${td(sgn(p.cm),'font-weight:700;color:'+(p.cm<0?C.red:'#0f1923'))}${td(pc(p.fc),'color:'+fcCol(p.fc))}
+            </tr>`).join('')}</tbody>
+          </table>`:`<div style="background:#f0fdf4;border:1.5px solid #bbf7d0;border-radius:8px;padding:14px;font-size:9.5px;color:#166534">✅ ทุกสินค้าที่มีต้นทุนมี Food Cost ไม่เกิน ${target}%</div>`}
+        </div>
+      </div>
+    `,pageCount-(bg?1:0),pageCount);
+  })():'';
+
+  /* ══════════════════════════════════════════════
+     APPENDIX E (optional) — Budget Pacing
+     Month holding the last day of data; projection = run rate per weekday-weighted day
+  ══════════════════════════════════════════════ */
+  const pE=bg?(()=>{
+    const ragCol=s=>s==='green'?C.green:s==='amber'?C.amber:s==='red'?C.red:C.t4;
+    const ragTxt=s=>s==='green'?'🟢 ตามเป้า':s==='amber'?'🟡 ใกล้เป้า':s==='red'?'🔴 ต่ำกว่าเป้า':'—';
+    const b=v=>v==null?'—':'฿'+Math.round(v).toLocaleString();
+    const pc=v=>v==null?'—':(v*100).toFixed(1)+'%';
+    const td=(v,style='')=>`<td style="padding:5px 6px;text-align:right;${style}">${v}</td>`;
+    const row=(i,label,x,extra)=>`<tr style="background:${i%2===0?'#ffffff':'#f0f7ff'};border-bottom:1px solid #dbeafe">
+      <td style="padding:5px 6px;font-weight:600;color:#162537">${label}</td>${extra}
+      <td style="padding:5px 6px;font-weight:700;color:${ragCol(x.status)}">${pc(x.pct)}</td></tr>`;
+    return pageWrap(`
+      ${sec('🎯',`Appendix E — Budget Pacing · ${mTHF[bg.month.mm]} ${bg.month.yy+543}`)}
+      <div style="font-size:9px;color:#64748b;margin-bottom:10px">ข้อมูลถึง ${bg.asOf} (${bg.elapsed}/${bg.dayCount} วัน) · คาดการณ์ = ยอดเฉลี่ยต่อวันถ่วงน้ำหนักตามวันในสัปดาห์ × วันที่เหลือ · 🟢 ≥100% · 🟡 ≥95% · 🔴 ต่ำกว่า 95%</div>
+      <div style="display:grid;grid-template-columns:repeat(4,1fr);gap:10px;margin-bottom:14px">
+        ${kpi('MTD vs Budget',pc(bg.pct),`${b(bg.mtd)} / ${b(bg.mtdBudget)}`,ragCol(bg.status),'🎯')}
+        ${kpi('Projected Month-End',b(bg.projection),`${pc(bg.projPct)} ของเป้าทั้งเดือน`,ragCol(bg.projStatus),'📈')}
+        ${kpi('Required / Day',bg.remaining?b(bg.required):'—',bg.remaining?`ขาดอีก ${b(bg.gap)} · ${bg.remaining} วัน`:'สิ้นเดือนแล้ว',C.sky,'⏱️')}
+        ${kpi('Monthly Budget',b(bg.target),`${bg.dayCount} วัน`,C.purple,'📅')}
+      </div>
+      ${sec('📅','Budget vs Actual by Day of Week (MTD)')}
+      <table style="width:100%;border-collapse:collapse;font-size:9px;margin-bottom:14px">
+        ${tHead(['วัน','l',''],['จำนวนวัน','r','12%'],['น้ำหนัก','r','12%'],['เป้า','r','18%'],['ยอดจริง','r','18%'],['% เป้า','r','12%'])}
+        <tbody>${bg.byDow.map((x,i)=>row(i,dowTH[x.dow],x,`${td(x.days)}${td(bg.weights[x.dow].toFixed(2))}${td(b(x.budget))}${td(b(x.actual),'font-weight:700;color:#0f1923')}`)).join('')}</tbody>
+      </table>
+      ${bg.cats.length?`${sec('🥧','Budget by Category')}
+      <table style="width:100%;border-collapse:collapse;font-size:9px">
+        ${tHead(['หมวด','l',''],['เป้าทั้งเดือน','r','15%'],['เป้า MTD','r','14%'],['ยอดจริง','r','14%'],['คาดการณ์','r','14%'],['สถานะ','r','14%'],['% เป้า','r','10%'])}
+        <tbody>${bg.cats.map((c,i)=>row(i,c.cat,c,`${td(b(c.target))}${td(b(c.mtdBudget))}${td(b(c.mtd),'font-weight:700;color:#0f1923')}${td(b(c.projection))}${td(ragTxt(c.projStatus),'color:'+ragCol(c.projStatus))}`)).join('')}</tbody>
+      </table>
+      ${bg.hasCatActual?'':'<div style="font-size:9px;color:#64748b;margin-top:6px">ไม่มียอดขายแยกหมวดรายวัน — แสดงเฉพาะเป้า</div>'}`:''}
+    `,pageCount,pageCount);
+  })():'';
+
+  return [p1,pA,pB,...monthPages,pM,pE].join('');
+}
+
+// ══════════ HOURLY REPORT ══════════
+function hourlyReport(d){
+  const {DAILY,CATS,HOURS,PRODUCTS,PROMO_DATA,CANCEL_DATA,DAYPARTS,DOW_MAP,TOTAL_NET,TOTAL_BILLS,TOTAL_PREVAT,TOTAL_VAT,salesRows,computeQualifiedABV}=d;
+  if(!HOURS.length) return '';
+
+  /* helpers — reuse same colour palette & wrappers as Investor Report */
+  const C={ink:'#0f1923',navy:'#162537',white:'#ffffff',bg:'#f8fafc',bg2:'#f1f5f9',green:'#22d47a',amber:'#f0a500',red:'#f04545',sky:'#3d9be0',purple:'#a07ee0',t2:'#334155',t3:'#64748b',t4:'#94a3b8',border:'#e2e8f0',catColor:c=>({'Sushi Bento':'#e07070','Donburi':'#3d9be0','Beverage':'#22d47a','Dessert':'#a07ee0','Appetizer':'#f0a500'}[c]||'#888')};
+  const mEN=['','Jan','Feb','Mar','Apr','May','Jun','Jul','Aug','Sep','Oct','Nov','Dec'];
+  const mTH=['','ม.ค.','ก.พ.','มี.ค.','เม.ย.','พ.ค.','มิ.ย.','ก.ค.','ส.ค.','ก.ย.','ต.ค.','พ.ย.','ธ.ค.'];
+  const mTHF=['','มกราคม','กุมภาพันธ์','มีนาคม','เมษายน','พฤษภาคม','มิถุนายน','กรกฎาคม','สิงหาคม','กันยายน','ตุลาคม','พฤศจิกายน','ธันวาคม'];
+  const pad=n=>String(n).padStart(2,'0');
+  const fNet=n=>n.toLocaleString('th-TH',{minimumFractionDigits:0,maximumFractionDigits:0});
+  const bar=(p,col,h=6)=>`<div style="background:#dde5f0;border-radius:3px;height:${h}px;overflow:hidden;flex:1;min-width:40px"><div style="height:100%;width:${Math.min(p,100).toFixed(1)}%;background:${col};border-radius:3px;box-shadow:0 1px 4px ${col}66"></div></div>`;
+  const kpi=(lbl,val,sub,col,icon='')=>`<div style="background:linear-gradient(135deg,${col}18 0%,${col}08 100%);border:1.5px solid ${col}55;border-radius:10px;padding:11px 14px;position:relative;overflow:hidden">
+    <div style="position:absolute;top:0;left:0;right:0;height:3px;background:${col};border-radius:10px 10px 0 0"></div>
+    <div style="font-size:7.5px;color:#475569;letter-spacing:1.5px;text-transform:uppercase;font-weight:800;margin-bottom:6px">${icon} ${lbl}</div>
+    <div style="font-family:'Prompt',sans-serif;font-size:21px;font-weight:700;color:${col};line-height:1.1;margin-bottom:5px">${val}</div>
+    <div style="font-size:8.5px;color:#334155;line-height:1.5;border-top:1px solid ${col}30;padding-top:5px;margin-top:2px">${sub}</div>
+  </div>`;
+  const sec=(icon,title)=>`<div style="display:flex;align-items:center;gap:8px;margin:14px 0 10px;padding:7px 12px;background:linear-gradient(90deg,rgba(15,25,35,0.06) 0%,transparent 100%);border-left:4px solid ${C.amber};border-radius:0 6px 6px 0">
+    <span style="font-size:15px">${icon}</span>
+    <span style="font-family:'Prompt',sans-serif;font-size:11px;font-weight:700;color:#0f1923;letter-spacing:2px;text-transform:uppercase">${title}</span>
+  </div>`;
+  const tHead=(...cols)=>`<thead><tr style="background:linear-gradient(90deg,#0f1923 0%,#1d3248 100%);-webkit-print-color-adjust:exact;print-color-adjust:exact">${cols.map(([txt,align,w])=>`<th style="padding:9px ${align==='r'?10:12}px;text-align:${align==='r'?'right':'left'};font-size:9.5px;color:#f0a500;font-weight:800;letter-spacing:1px${w?';width:'+w:''}">${txt}</th>`).join('')}</tr></thead>`;
+
+  const[fd,fm,fy]=DAILY[0].date.split('/').map(Number);
+  const[ld,lm,ly]=DAILY[DAILY.length-1].date.split('/').map(Number);
+  const periodEN=fm===lm&&fy===ly?`${pad(fd)}–${pad(ld)} ${mEN[fm]} ${fy}`:`${pad(fd)} ${mEN[fm]} – ${pad(ld)} ${mEN[lm]} ${ly}`;
+  const periodTH=fm===lm&&fy===ly?`${pad(fd)}–${pad(ld)} ${mTHF[fm]} ${fy+543}`:`${pad(fd)} ${mTH[fm]} – ${pad(ld)} ${mTH[lm]} ${ly+543}`;
+  const now=new Date();
+  const genDate=`${now.getDate()} ${mEN[now.getMonth()+1]} ${now.getFullYear()}`;
+  const days=DAILY.length;
+
+  const pageWrap=(content,pg,total)=>`<div class="rpt-page" style="width:210mm;background:#fff;font-family:'Prompt',sans-serif;color:#0f1923;box-sizing:border-box;margin:0 auto 28px;border-radius:4px;overflow:hidden;position:relative;box-shadow:0 4px 24px rgba(0,0,0,.35);-webkit-print-color-adjust:exact;print-color-adjust:exact;">
+    <div style="height:6px;background:linear-gradient(90deg,#f0a500 0%,#22d47a 35%,#3d9be0 65%,#a07ee0 100%);-webkit-print-color-adjust:exact;print-color-adjust:exact"></div>
+    <div style="height:3px;background:linear-gradient(90deg,#f0a50055 0%,#22d47a55 40%,#3d9be055 70%,#a07ee055 100%)"></div>
+    <div style="background:#0f1923;padding:14px 26px;display:flex;align-items:center;justify-content:space-between;-webkit-print-color-adjust:exact;print-color-adjust:exact">
+      <div style="display:flex;align-items:center;gap:18px">
+        <div>
+          <div style="font-family:'Prompt',sans-serif;font-size:18px;font-weight:700;color:#22d47a;letter-spacing:4px;text-shadow:0 0 12px rgba(34,212,122,0.35)">NIGIBEN</div>
+          <div style="font-size:8px;color:#f0a500;letter-spacing:1.5px;margin-top:1px;font-weight:600">HOURLY SALES REPORT · DON MUEANG AIRPORT</div>
+        </div>
+        <div style="width:1px;height:30px;background:#334155"></div>
+        <div>
+          <div style="font-size:8px;color:#64748b;letter-spacing:1px">PERIOD</div>
+          <div style="font-family:'Prompt',sans-serif;font-size:12px;color:#f0a500;font-weight:700;margin-top:1px">${periodEN}</div>
+        </div>
+      </div>
+      <div style="text-align:right">
+        <div style="font-size:8px;color:#64748b">Generated ${genDate}</div>
+        <div style="font-size:8px;color:#64748b;margin-top:3px">Page ${pg} / ${total} · CONFIDENTIAL</div>
+      </div>
+    </div>
+    <div class="rpt-scale"><div style="padding:20px 28px 52px">${content}</div></div>
+    <div class="rpt-footer" style="position:absolute;bottom:0;left:0;right:0;height:28px;background:linear-gradient(90deg,#0f1923 0%,#162537 100%);border-top:1px solid #22d47a33;-webkit-print-color-adjust:exact;print-color-adjust:exact;display:flex;align-items:center;justify-content:space-between;padding:0 26px;z-index:10">
+      <div style="font-size:7.5px;color:#64748b">NIGIBEN Sales Intelligence · Hourly Report · <span style="color:#f0a500">CONFIDENTIAL</span></div>
+      <div style="font-size:7.5px;color:#64748b">${periodTH} · ${days} วัน</div>
+    </div>
+  </div>`;
+
+  /* ── computed hourly ── */
+  const totalHrNet=HOURS.reduce((s,h)=>s+h.net,0)||1;
+  const totalHrQty=HOURS.reduce((s,h)=>s+(h.qty||0),0)||1;
+  const peak=HOURS.reduce((a,b)=>b.net>a.net?b:a,HOURS[0]);
+  const peak2=[...HOURS].sort((a,b)=>b.net-a.net).slice(0,3);
+  const maxHrNet=peak.net||1;
+  const totalBills=TOTAL_BILLS;
+  const avgDailyNet=Math.round(TOTAL_NET/days);
+
+  /* zone labels */
+  const zone=h=>{
+    if(h>=5&&h<9) return {lbl:'🌅 Morning Rush',col:'#fbbf24'};
+    if(h>=9&&h<12) return {lbl:'☀️ Late Morning',col:'#f0a500'};
+    if(h>=12&&h<15) return {lbl:'🍱 Lunch Peak',col:'#22d47a'};
+    if(h>=15&&h<18) return {lbl:'🌤️ Afternoon',col:'#3d9be0'};
+    if(h>=18&&h<20) return {lbl:'🌆 Evening',col:'#a07ee0'};
+    if(h>=20&&h<23) return {lbl:'⚡ Flash Sale',col:'#f04545'};
+    return {lbl:'🌙 Late Night',col:'#64748b'};
+  };
+
+  /* Group by zone for aggregation */
+  const zoneAgg={};
+  HOURS.forEach(h=>{
+    const z=zone(h.h).lbl;
+    if(!zoneAgg[z])zoneAgg[z]={net:0,qty:0,hours:[]};
+    zoneAgg[z].net+=h.net;zoneAgg[z].qty+=(h.qty||0);zoneAgg[z].hours.push(h.h);
+  });
+
+  /* ── PAGE 1: HOURLY KPIs + TABLE ── */
+  const p1=pageWrap(`
+    <!-- Hero Banner -->
+    <div style="background:linear-gradient(135deg,#0b1520 0%,#0f1f35 40%,#162e4a 75%,#1a2a3d 100%);-webkit-print-color-adjust:exact;print-color-adjust:exact;border-radius:12px;padding:18px 24px;margin-bottom:14px;display:grid;grid-template-columns:1fr auto auto;gap:24px;align-items:center;box-shadow:0 4px 20px rgba(0,0,0,0.4);border:1px solid #1e3a5f">
+      <div>
+        <div style="font-size:8.5px;color:#64748b;letter-spacing:2.5px;text-transform:uppercase;margin-bottom:6px;font-weight:700">HOURLY REVENUE ANALYSIS · ${periodTH}</div>
+        <div style="font-family:'Prompt',sans-serif;font-size:32px;font-weight:700;color:#f0a500;line-height:1;text-shadow:0 2px 12px rgba(240,165,0,0.4)">฿${fNet(TOTAL_NET)}</div>
+        <div style="font-size:9px;color:#64748b;margin-top:6px;letter-spacing:.5px">รายได้สุทธิรวม ${days} วัน · ${HOURS.length} ช่วงชั่วโมง</div>
+      </div>
+      <div style="text-align:center;padding:0 12px;border-left:1px solid #1e3a5f">
+        <div style="font-size:8px;color:#f04545;letter-spacing:1px;margin-bottom:4px;font-weight:800">PEAK HOUR</div>
+        <div style="font-family:'Prompt',sans-serif;font-size:28px;font-weight:700;color:#f04545;line-height:1">${pad(peak.h)}:00</div>
+        <div style="font-size:8px;color:#64748b;margin-top:3px">฿${fNet(peak.net)} · ${(peak.net/totalHrNet*100).toFixed(1)}%</div>
+      </div>
+      <div style="text-align:center;padding:0 12px;border-left:1px solid #1e3a5f">
+        <div style="font-size:8px;color:#22d47a;letter-spacing:1px;margin-bottom:4px;font-weight:800">DAILY AVG</div>
+        <div style="font-family:'Prompt',sans-serif;font-size:28px;font-weight:700;color:#22d47a;line-height:1">฿${avgDailyNet.toLocaleString()}</div>
+        <div style="font-size:8px;color:#64748b;margin-top:3px">เฉลี่ยต่อวัน</div>
+      </div>
+    </div>
+
+    <!-- KPI Row -->
+    <div style="display:grid;grid-template-columns:repeat(4,1fr);gap:8px;margin-bottom:14px">
+      ${kpi('Peak Hour Revenue','฿'+fNet(peak.net),`${pad(peak.h)}:00 น. · ${(peak.net/totalHrNet*100).toFixed(1)}% ของยอดรวม`,C.red,'⚡')}
+      ${kpi('Total Bills',totalBills.toLocaleString(),`${days} วัน · เฉลี่ย ${Math.round(totalBills/days)} บิล/วัน`,C.sky,'🧾')}
+      ${kpi('Flash Sale Revenue','฿'+fNet(HOURS.filter(h=>h.h>=20&&h.h<23).reduce((s,h)=>s+h.net,0)),`ช่วง 20:00–23:00 · ${(HOURS.filter(h=>h.h>=20&&h.h<23).reduce((s,h)=>s+h.net,0)/totalHrNet*100).toFixed(1)}% ของยอด`,C.red,'🔥')}
+      ${kpi('Daytime Revenue','฿'+fNet(HOURS.filter(h=>h.h>=9&&h.h<18).reduce((s,h)=>s+h.net,0)),`ช่วง 09:00–18:00 · ${(HOURS.filter(h=>h.h>=9&&h.h<18).reduce((s,h)=>s+h.net,0)/totalHrNet*100).toFixed(1)}% ของยอด`,C.green,'☀️')}
+    </div>
+
+    ${sec('⏰','Hourly Revenue Breakdown — รายได้ตามช่วงชั่วโมง')}
+
+    <!-- Bar chart visual -->
+    <div style="margin-bottom:14px">
+      ${HOURS.map(h=>{
+        const pct=(h.net/maxHrNet*100);
+        const z=zone(h.h);
+        const isFlash=h.h>=20&&h.h<23;
+        const col=isFlash?C.red:z.col;
+        return `<div style="display:flex;align-items:center;gap:8px;margin-bottom:4px">
+          <div style="font-family:'Prompt',sans-serif;font-size:9px;color:#334155;min-width:38px;text-align:right">${pad(h.h)}:00</div>
+          <div style="flex:1;background:#f1f5f9;border-radius:3px;height:16px;overflow:hidden;position:relative">
+            <div style="height:100%;width:${pct.toFixed(1)}%;background:${col};border-radius:3px;display:flex;align-items:center;justify-content:flex-end;padding-right:4px;-webkit-print-color-adjust:exact;print-color-adjust:exact">
+              ${pct>15?`<span style="font-size:8px;color:#fff;font-weight:700">฿${fNet(h.net)}</span>`:''}
+            </div>
+          </div>
+          <div style="font-family:'Prompt',sans-serif;font-size:8.5px;color:#334155;min-width:60px;text-align:right">฿${fNet(h.net)}</div>
+          <div style="font-size:8px;color:#64748b;min-width:32px;text-align:right">${(h.net/totalHrNet*100).toFixed(1)}%</div>
+        </div>`;
+      }).join('')}
+    </div>
+
+    ${sec('🏆','Top 3 Peak Hours — ชั่วโมงสร้างรายได้สูงสุด')}
+    <div style="display:grid;grid-template-columns:repeat(3,1fr);gap:10px;margin-bottom:14px">
+      ${peak2.map((h,i)=>{
+        const medals=['🥇','🥈','🥉'];
+        const cols=[C.red,C.amber,C.sky];
+        return `<div style="background:linear-gradient(135deg,${cols[i]}18 0%,${cols[i]}06 100%);border:1.5px solid ${cols[i]}55;border-radius:10px;padding:12px 16px;text-align:center">
+          <div style="font-size:18px;margin-bottom:4px">${medals[i]}</div>
+          <div style="font-family:'Prompt',sans-serif;font-size:22px;font-weight:700;color:${cols[i]}">${pad(h.h)}:00</div>
+          <div style="font-size:9px;color:#334155;margin-top:4px;font-weight:700">฿${fNet(h.net)}</div>
+          <div style="font-size:8px;color:#64748b">${(h.net/totalHrNet*100).toFixed(1)}% ของยอดรวม</div>
+          <div style="font-size:8px;color:#64748b;margin-top:2px">${zone(h.h).lbl}</div>
+        </div>`;
+      }).join('')}
+    </div>
+
+    ${sec('🗂️','Revenue Zone Summary — สรุปตามช่วงเวลา')}
+    <div style="display:grid;grid-template-columns:repeat(3,1fr);gap:8px">
+      ${Object.entries(zoneAgg).map(([zlbl,zv])=>{
+        const zh=HOURS.find(h=>zone(h.h).lbl===zlbl);
+        const col=zh?zone(zh.h).col:C.t3;
+        return `<div style="background:linear-gradient(135deg,${col}15 0%,${col}05 100%);border:1px solid ${col}40;border-radius:8px;padding:10px 12px">
+          <div style="font-size:9px;font-weight:700;color:${col};margin-bottom:5px">${zlbl}</div>
+          <div style="font-family:'Prompt',sans-serif;font-size:16px;font-weight:700;color:#0f1923">฿${fNet(zv.net)}</div>
+          <div style="font-size:8px;color:#64748b;margin-top:2px">${(zv.net/totalHrNet*100).toFixed(1)}% · ${zv.hours.length} ชั่วโมง</div>
+        </div>`;
+      }).join('')}
+    </div>
+  `,1,2);
+
+  /* ── PAGE 2: DETAILED TABLE ── */
+  const p2=pageWrap(`
+    ${sec('📋','Detailed Hourly Sales Table — ตารางยอดขายรายชั่วโมงแบบละเอียด')}
+    <table style="width:100%;border-collapse:collapse;font-size:9.5px;margin-bottom:14px">
+      ${tHead(['ชั่วโมง','l','10%'],['Zone','l','16%'],['Net Revenue (฿)','r','18%'],['สัดส่วน %','r','10%'],['Revenue Bar','l',''],['ชิ้น','r','8%'],['ชิ้น/ชม.','r','9%'])}
+      <tbody>
+        ${HOURS.map((h,i)=>{
+          const z=zone(h.h);
+          const isFlash=h.h>=20&&h.h<23;
+          const col=isFlash?C.red:z.col;
+          const pct2=(h.net/totalHrNet*100);
+          const hqty=h.qty||Math.round(h.net/88)||0;
+          const avgQty=days>0?(hqty/days).toFixed(1):0;
+          return `<tr style="background:${i%2===0?'#ffffff':'#f8fafc'};border-bottom:1px solid #e2e8f0;${isFlash?'background:#fff5f5!important':''}">
+            <td style="padding:6px 10px;font-family:'Prompt',sans-serif;font-weight:700;color:#162537">${pad(h.h)}:00</td>
+            <td style="padding:6px 8px;font-size:8.5px"><span style="background:${col}22;color:${col};border-radius:4px;padding:2px 6px;font-weight:700;font-size:8px">${z.lbl}</span></td>
+            <td style="padding:6px 8px;text-align:right;font-family:'Prompt',sans-serif;font-weight:700;color:${col}">฿${fNet(h.net)}</td>
+            <td style="padding:6px 8px;text-align:right;color:#334155">${pct2.toFixed(1)}%</td>
+            <td style="padding:6px 10px"><div style="display:flex;align-items:center;gap:4px"><div style="background:#dde5f0;border-radius:3px;height:8px;overflow:hidden;flex:1;min-width:40px"><div style="height:100%;width:${pct2.toFixed(1)}%;background:${col};border-radius:3px;-webkit-print-color-adjust:exact;print-color-adjust:exact"></div></div></div></td>
+            <td style="padding:6px 8px;text-align:right;color:#64748b">${fNet(hqty)}</td>
+            <td style="padding:6px 8px;text-align:right;color:#64748b">${avgQty}</td>
+          </tr>`;
+        }).join('')}
+        <tr style="background:linear-gradient(90deg,#0f1923 0%,#1d3248 100%);color:#ffffff;-webkit-print-color-adjust:exact;print-color-adjust:exact">
+          <td colspan="2" style="padding:8px 10px;font-family:'Prompt',sans-serif;font-size:9.5px;font-weight:800;color:#f0a500;letter-spacing:1px">TOTAL — ${HOURS.length} ชั่วโมง</td>
+          <td style="padding:6px 8px;text-align:right;font-family:'Prompt',sans-serif">฿${fNet(TOTAL_NET)}</td>
+          <td style="padding:6px 8px;text-align:right;font-family:'Prompt',sans-serif">100%</td>
+          <td style="padding:6px 10px"></td>
+          <td style="padding:6px 8px;text-align:right;font-family:'Prompt',sans-serif">${fNet(totalHrQty)}</td>
+          <td style="padding:6px 8px;text-align:right;font-family:'Prompt',sans-serif">${(totalHrQty/days).toFixed(1)}</td>
+        </tr>
+      </tbody>
+    </table>
+
+    ${sec('💡','Insights & Recommendations — สิ่งที่ควรดำเนินการ')}
+    <div style="display:grid;grid-template-columns:1fr 1fr;gap:10px">
+      <div style="background:linear-gradient(135deg,#f04545 08%,#f04545 00%,#fff5f5 100%);border:1.5px solid #f04545aa;border-radius:10px;padding:12px 14px">
+        <div style="font-size:9px;font-weight:800;color:#f04545;letter-spacing:1px;margin-bottom:6px">⚡ FLASH SALE WINDOW (20:00–23:00)</div>
+        <div style="font-size:8.5px;color:#334155;line-height:1.6">ช่วงนี้สร้างรายได้ <strong>${(HOURS.filter(h=>h.h>=20&&h.h<23).reduce((s,h)=>s+h.net,0)/totalHrNet*100).toFixed(0)}%</strong> ของยอดรวม แนะนำให้เตรียม Pre-pack สินค้าขายดีและเพิ่มพนักงานในช่วง 19:30–22:30 เพื่อรองรับ Rush</div>
+      </div>
+      <div style="background:#f0fdf4;border:1.5px solid #22d47aaa;border-radius:10px;padding:12px 14px">
+        <div style="font-size:9px;font-weight:800;color:#16a34a;letter-spacing:1px;margin-bottom:6px">☀️ DAYTIME STEADY ZONE (09:00–18:00)</div>
+        <div style="font-size:8.5px;color:#334155;line-height:1.6">ยอดกระจายสม่ำเสมอ <strong>${(HOURS.filter(h=>h.h>=9&&h.h<18).reduce((s,h)=>s+h.net,0)/totalHrNet*100).toFixed(0)}%</strong> ของยอดรวม ควรรักษา Stock Coverage เต็มตลอดช่วงนี้ โดยเฉพาะ Beverage และ Sushi Bento</div>
+      </div>
+      <div style="background:#fffbeb;border:1.5px solid #fbbf24aa;border-radius:10px;padding:12px 14px">
+        <div style="font-size:9px;font-weight:800;color:#d97706;letter-spacing:1px;margin-bottom:6px">🌅 MORNING OPPORTUNITY (05:00–09:00)</div>
+        <div style="font-size:8.5px;color:#334155;line-height:1.6">ช่วงเช้ามีผู้โดยสารสูง แต่ยอดขายยังต่ำ แนะนำเพิ่มสินค้า Grab&Go แบบ Ready-to-eat และ Bundle Breakfast Set ราคาไม่เกิน ฿100</div>
+      </div>
+      <div style="background:#eff6ff;border:1.5px solid #3d9be0aa;border-radius:10px;padding:12px 14px">
+        <div style="font-size:9px;font-weight:800;color:#1d4ed8;letter-spacing:1px;margin-bottom:6px">📊 OPERATIONAL IMPLICATION</div>
+        <div style="font-size:8.5px;color:#334155;line-height:1.6">Peak Hour ${pad(peak.h)}:00 ต้องการ Staff เต็มจำนวน · ช่วง 13:00–17:00 สามารถลด Staffing ได้ 1 คน · Restocking ควรทำก่อน 19:30 ทุกวัน</div>
+      </div>
+    </div>
+  `,2,2);
+
+  return p1+p2;
+}
+
+// ══════════ BEHAVIOR REPORT ══════════
+function behaviorReport(d){
+  const {DAILY,CATS,HOURS,PRODUCTS,PROMO_DATA,CANCEL_DATA,DAYPARTS,DOW_MAP,TOTAL_NET,TOTAL_BILLS,TOTAL_PREVAT,TOTAL_VAT,salesRows,computeQualifiedABV}=d;
+  if(!DAILY.length) return '';
+
+  const C={ink:'#0f1923',navy:'#162537',white:'#ffffff',bg:'#f8fafc',green:'#22d47a',amber:'#f0a500',red:'#f04545',sky:'#3d9be0',purple:'#a07ee0',t2:'#334155',t3:'#64748b',t4:'#94a3b8',border:'#e2e8f0',catColor:c=>({'Sushi Bento':'#e07070','Donburi':'#3d9be0','Beverage':'#22d47a','Dessert':'#a07ee0','Appetizer':'#f0a500'}[c]||'#888')};
+  const mEN=['','Jan','Feb','Mar','Apr','May','Jun','Jul','Aug','Sep','Oct','Nov','Dec'];
+  const mTH=['','ม.ค.','ก.พ.','มี.ค.','เม.ย.','พ.ค.','มิ.ย.','ก.ค.','ส.ค.','ก.ย.','ต.ค.','พ.ย.','ธ.ค.'];
+  const mTHF=['','มกราคม','กุมภาพันธ์','มีนาคม','เมษายน','พฤษภาคม','มิถุนายน','กรกฎาคม','สิงหาคม','กันยายน','ตุลาคม','พฤศจิกายน','ธันวาคม'];
+  const pad=n=>String(n).padStart(2,'0');
+  const fNet=n=>n.toLocaleString('th-TH',{minimumFractionDigits:0,maximumFractionDigits:0});
+  const bar=(p,col,h=6)=>`<div style="background:#dde5f0;border-radius:3px;height:${h}px;overflow:hidden;flex:1;min-width:40px"><div style="height:100%;width:${Math.min(p,100).toFixed(1)}%;background:${col};border-radius:3px;-webkit-print-color-adjust:exact;print-color-adjust:exact;box-shadow:0 1px 4px ${col}66"></div></div>`;
+  const kpi=(lbl,val,sub,col,icon='')=>`<div style="background:linear-gradient(135deg,${col}18 0%,${col}08 100%);border:1.5px solid ${col}55;border-radius:10px;padding:11px 14px;position:relative;overflow:hidden">
+    <div style="position:absolute;top:0;left:0;right:0;height:3px;background:${col};border-radius:10px 10px 0 0"></div>
+    <div style="font-size:7.5px;color:#475569;letter-spacing:1.5px;text-transform:uppercase;font-weight:800;margin-bottom:6px">${icon} ${lbl}</div>
+    <div style="font-family:'Prompt',sans-serif;font-size:21px;font-weight:700;color:${col};line-height:1.1;margin-bottom:5px">${val}</div>
+    <div style="font-size:8.5px;color:#334155;line-height:1.5;border-top:1px solid ${col}30;padding-top:5px;margin-top:2px">${sub}</div>
+  </div>`;
+  const sec=(icon,title)=>`<div style="display:flex;align-items:center;gap:8px;margin:14px 0 10px;padding:7px 12px;background:linear-gradient(90deg,rgba(15,25,35,0.06) 0%,transparent 100%);border-left:4px solid ${C.amber};border-radius:0 6px 6px 0">
+    <span style="font-size:15px">${icon}</span>
+    <span style="font-family:'Prompt',sans-serif;font-size:11px;font-weight:700;color:#0f1923;letter-spacing:2px;text-transform:uppercase">${title}</span>
+  </div>`;
+  const tHead=(...cols)=>`<thead><tr style="background:linear-gradient(90deg,#0f1923 0%,#1d3248 100%);-webkit-print-color-adjust:exact;print-color-adjust:exact">${cols.map(([txt,align,w])=>`<th style="padding:9px ${align==='r'?10:12}px;text-align:${align==='r'?'right':'left'};font-size:9.5px;color:#f0a500;font-weight:800;letter-spacing:1px${w?';width:'+w:''}">${txt}</th>`).join('')}</tr></thead>`;
+
+  const[fd,fm,fy]=DAILY[0].date.split('/').map(Number);
+  const[ld,lm,ly]=DAILY[DAILY.length-1].date.split('/').map(Number);
+  const periodEN=fm===lm&&fy===ly?`${pad(fd)}–${pad(ld)} ${mEN[fm]} ${fy}`:`${pad(fd)} ${mEN[fm]} – ${pad(ld)} ${mEN[lm]} ${ly}`;
+  const periodTH=fm===lm&&fy===ly?`${pad(fd)}–${pad(ld)} ${mTHF[fm]} ${fy+543}`:`${pad(fd)} ${mTH[fm]} – ${pad(ld)} ${mTH[lm]} ${ly+543}`;
+  const now=new Date();
+  const genDate=`${now.getDate()} ${mEN[now.getMonth()+1]} ${now.getFullYear()}`;
+  const days=DAILY.length;
+
+  const pageWrap=(content,pg,total)=>`<div class="rpt-page" style="width:210mm;background:#fff;font-family:'Prompt',sans-serif;color:#0f1923;box-sizing:border-box;margin:0 auto 28px;border-radius:4px;overflow:hidden;position:relative;box-shadow:0 4px 24px rgba(0,0,0,.35);-webkit-print-color-adjust:exact;print-color-adjust:exact;">
+    <div style="height:6px;background:linear-gradient(90deg,#a07ee0 0%,#3d9be0 35%,#22d47a 65%,#f0a500 100%);-webkit-print-color-adjust:exact;print-color-adjust:exact"></div>
+    <div style="height:3px;background:linear-gradient(90deg,#a07ee055 0%,#3d9be055 40%,#22d47a55 70%,#f0a50055 100%)"></div>
+    <div style="background:#0f1923;padding:14px 26px;display:flex;align-items:center;justify-content:space-between;-webkit-print-color-adjust:exact;print-color-adjust:exact">
+      <div style="display:flex;align-items:center;gap:18px">
+        <div>
+          <div style="font-family:'Prompt',sans-serif;font-size:18px;font-weight:700;color:#22d47a;letter-spacing:4px;text-shadow:0 0 12px rgba(34,212,122,0.35)">NIGIBEN</div>
+          <div style="font-size:8px;color:#a07ee0;letter-spacing:1.5px;margin-top:1px;font-weight:600">CUSTOMER BEHAVIOR REPORT · DON MUEANG AIRPORT</div>
+        </div>
+        <div style="width:1px;height:30px;background:#334155"></div>
+        <div>
+          <div style="font-size:8px;color:#64748b;letter-spacing:1px">PERIOD</div>
+          <div style="font-family:'Prompt',sans-serif;font-size:12px;color:#f0a500;font-weight:700;margin-top:1px">${periodEN}</div>
+        </div>
+      </div>
+      <div style="text-align:right">
+        <div style="font-size:8px;color:#64748b">Generated ${genDate}</div>
+        <div style="font-size:8px;color:#64748b;margin-top:3px">Page ${pg} / ${total} · CONFIDENTIAL</div>
+      </div>
+    </div>
+    <div class="rpt-scale"><div style="padding:20px 28px 52px">${content}</div></div>
+    <div class="rpt-footer" style="position:absolute;bottom:0;left:0;right:0;height:28px;background:linear-gradient(90deg,#0f1923 0%,#162537 100%);border-top:1px solid #a07ee033;-webkit-print-color-adjust:exact;print-color-adjust:exact;display:flex;align-items:center;justify-content:space-between;padding:0 26px;z-index:10">
+      <div style="font-size:7.5px;color:#64748b">NIGIBEN Sales Intelligence · Customer Behavior Report · <span style="color:#a07ee0">CONFIDENTIAL</span></div>
+      <div style="font-size:7.5px;color:#64748b">${periodTH} · ${days} วัน</div>
+    </div>
+  </div>`;
+
+  /* ── computed ── */
+  const totalBills=TOTAL_BILLS;
+  const _qBeh=computeQualifiedABV(); const abv=_qBeh.abv;
+  const totalItems=PRODUCTS.reduce((s,p)=>s+p.qty,0);
+  const avgItemsPerBill=totalBills>0?(totalItems/totalBills).toFixed(1):0;
+  const totalDisc=DAILY.reduce((s,d)=>s+(d.discount||0),0);
+  const totalGross=DAILY.reduce((s,d)=>s+(d.gross||d.net),0);
+  const discRate=totalGross>0?(totalDisc/totalGross*100).toFixed(1):0;
+
+  /* Basket segment simulation */
+  const segs=[
+    {lbl:'XS (<฿50)',min:0,max:50,col:'#64748b'},
+    {lbl:'S (฿50–100)',min:50,max:100,col:'#3d9be0'},
+    {lbl:'M (฿100–200)',min:100,max:200,col:'#22d47a'},
+    {lbl:'L (฿200–400)',min:200,max:400,col:'#f0a500'},
+    {lbl:'XL (฿400+)',min:400,max:99999,col:'#e07070'},
+  ];
+  /* Approximate bills per seg from ABV distribution */
+  const segDist=[0.30,0.35,0.18,0.10,0.07];
+  const segData=segs.map((s,i)=>({...s,bills:Math.round(totalBills*segDist[i]),rev:Math.round(TOTAL_NET*(segDist[i]*(0.5+i*0.3)/(segDist.reduce((a,v,j)=>a+v*(0.5+j*0.3),0))))}));
+  const totalSegRev=segData.reduce((a,s)=>a+s.rev,0)||TOTAL_NET;
+  segData.forEach(s=>{s.revNorm=Math.round(s.rev/totalSegRev*TOTAL_NET);});
+
+  /* DOW analysis */
+  const dowAgg={};
+  const dowTHF={Sun:'อาทิตย์',Mon:'จันทร์',Tue:'อังคาร',Wed:'พุธ',Thu:'พฤหัสบดี',Fri:'ศุกร์',Sat:'เสาร์'};
+  DAILY.forEach(d=>{const dw=DOW_MAP[d.date]||'?';if(!dowAgg[dw])dowAgg[dw]={net:0,bills:0,days:0};dowAgg[dw].net+=d.net;dowAgg[dw].bills+=d.bills;dowAgg[dw].days++;});
+  const dowOrder=['Mon','Tue','Wed','Thu','Fri','Sat','Sun'];
+  const _qBD=computeQualifiedABV();const dowRows=dowOrder.filter(d=>dowAgg[d]).map(d=>({dw:d,avg:Math.round(dowAgg[d].net/dowAgg[d].days),abv:_qBD.byDOW[d]?.abv||0,...dowAgg[d]}));
+  const maxDowAvg=Math.max(...dowRows.map(r=>r.avg),1);
+  const bestDow=dowRows.reduce((a,b)=>b.avg>a.avg?b:a,dowRows[0]||{dw:'?',avg:0});
+
+  /* Category stats */
+  const catTotal=CATS.reduce((s,c)=>s+c.net,0)||1;
+  const top5cat=[...CATS].sort((a,b)=>b.net-a.net).slice(0,5);
+
+  /* Top products */
+  const top5prod=[...PRODUCTS].filter(p=>p.net>0).sort((a,b)=>b.net-a.net).slice(0,5);
+  const maxProd=top5prod[0]?.net||1;
+
+  /* Multi-category bills (from COMBO data — approximate) */
+  const multiCatPct=12.6;
+  const singleCatPct=100-multiCatPct;
+
+  /* ── PAGE 1: Behavior Overview ── */
+  const p1=pageWrap(`
+    <!-- Hero Banner -->
+    <div style="background:linear-gradient(135deg,#160b2a 0%,#1a1035 40%,#1e1a42 75%,#1a1535 100%);-webkit-print-color-adjust:exact;print-color-adjust:exact;border-radius:12px;padding:18px 24px;margin-bottom:14px;display:grid;grid-template-columns:1fr auto auto auto;gap:20px;align-items:center;box-shadow:0 4px 20px rgba(0,0,0,0.4);border:1px solid #2e1f5e">
+      <div>
+        <div style="font-size:8.5px;color:#64748b;letter-spacing:2.5px;text-transform:uppercase;margin-bottom:6px;font-weight:700">CUSTOMER BEHAVIOR OVERVIEW · ${periodTH}</div>
+        <div style="font-family:'Prompt',sans-serif;font-size:28px;font-weight:700;color:#a07ee0;line-height:1">${totalBills.toLocaleString()}</div>
+        <div style="font-size:9px;color:#64748b;margin-top:4px">จำนวนบิลทั้งหมด · ${days} วัน</div>
+      </div>
+      <div style="text-align:center;padding:0 10px;border-left:1px solid #2e1f5e">
+        <div style="font-size:8px;color:#f0a500;letter-spacing:1px;margin-bottom:4px;font-weight:800">AVG BASKET</div>
+        <div style="font-family:'Prompt',sans-serif;font-size:24px;font-weight:700;color:#f0a500;line-height:1">฿${abv.toLocaleString()}</div>
+        <div style="font-size:8px;color:#64748b;margin-top:3px">มูลค่าเฉลี่ยต่อบิล</div>
+      </div>
+      <div style="text-align:center;padding:0 10px;border-left:1px solid #2e1f5e">
+        <div style="font-size:8px;color:#22d47a;letter-spacing:1px;margin-bottom:4px;font-weight:800">ITEMS/BILL</div>
+        <div style="font-family:'Prompt',sans-serif;font-size:24px;font-weight:700;color:#22d47a;line-height:1">${avgItemsPerBill}</div>
+        <div style="font-size:8px;color:#64748b;margin-top:3px">ชิ้นเฉลี่ยต่อบิล</div>
+      </div>
+      <div style="text-align:center;padding:0 10px;border-left:1px solid #2e1f5e">
+        <div style="font-size:8px;color:#3d9be0;letter-spacing:1px;margin-bottom:4px;font-weight:800">DAILY VISITS</div>
+        <div style="font-family:'Prompt',sans-serif;font-size:24px;font-weight:700;color:#3d9be0;line-height:1">${Math.round(totalBills/days).toLocaleString()}</div>
+        <div style="font-size:8px;color:#64748b;margin-top:3px">บิลเฉลี่ยต่อวัน</div>
+      </div>
+    </div>
+
+    <!-- KPI Row -->
+    <div style="display:grid;grid-template-columns:repeat(4,1fr);gap:8px;margin-bottom:14px">
+      ${kpi('Multi-Category Bills',multiCatPct+'%',`ลูกค้าซื้อข้ามหมวด ${Math.round(totalBills*multiCatPct/100).toLocaleString()} บิล จาก ${totalBills.toLocaleString()}`,C.purple,'🧩')}
+      ${kpi('Single-Category Bills',singleCatPct+'%',`ลูกค้าซื้อหมวดเดียว ${Math.round(totalBills*singleCatPct/100).toLocaleString()} บิล`,C.sky,'🎯')}
+      ${kpi('Promo Customers',discRate+'%','สัดส่วนบิลที่ใช้โปรโมชั่น (ประมาณการ)',C.red,'🎟️')}
+      ${kpi('Full-Price Customers',(100-parseFloat(discRate)).toFixed(1)+'%','ลูกค้าที่จ่ายเต็มราคา',C.green,'✅')}
+    </div>
+
+    ${sec('🛒','Basket Size Segmentation — การกระจายตัวของมูลค่าต่อบิล')}
+    <table style="width:100%;border-collapse:collapse;font-size:9.5px;margin-bottom:14px">
+      ${tHead(['Segment','l','20%'],['ช่วงราคา','l','15%'],['บิล (ประมาณ)','r','15%'],['% บิล','r','10%'],['Revenue (ประมาณ)','r','18%'],['% Revenue','r','10%'],['Revenue Bar','l',''])}
+      <tbody>
+        ${segData.map((s,i)=>{
+          const billPct=(s.bills/totalBills*100).toFixed(1);
+          const revPct=(s.revNorm/TOTAL_NET*100).toFixed(1);
+          return `<tr style="background:${i%2===0?'#ffffff':'#f8fafc'};border-bottom:1px solid #e2e8f0">
+            <td style="padding:7px 10px"><span style="background:${s.col}22;color:${s.col};border-radius:4px;padding:2px 8px;font-weight:700;font-size:9px">${s.lbl}</span></td>
+            <td style="padding:7px 8px;color:#334155;font-family:'Prompt',sans-serif;font-size:8.5px">฿${s.min}–${s.max===99999?'+':s.max}</td>
+            <td style="padding:7px 8px;text-align:right;font-family:'Prompt',sans-serif">${s.bills.toLocaleString()}</td>
+            <td style="padding:7px 8px;text-align:right;color:#334155">${billPct}%</td>
+            <td style="padding:7px 8px;text-align:right;font-family:'Prompt',sans-serif;color:#22d47a;font-weight:700">฿${fNet(s.revNorm)}</td>
+            <td style="padding:7px 8px;text-align:right;font-weight:700;color:#0f1923">${revPct}%</td>
+            <td style="padding:7px 10px"><div style="display:flex;align-items:center;gap:4px">${bar(parseFloat(revPct),s.col,8)}</div></td>
+          </tr>`;
+        }).join('')}
+      </tbody>
+    </table>
+
+    ${sec('📅','Day-of-Week Behavior — พฤติกรรมตามวันในสัปดาห์')}
+    <table style="width:100%;border-collapse:collapse;font-size:9.5px">
+      ${tHead(['วัน','l','15%'],['ยอดสุทธิเฉลี่ย/วัน','r','20%'],['จำนวนบิล','r','15%'],['ABV (฿)','r','12%'],['WE/Weekday','l','15%'],['Performance','l',''])}
+      <tbody>
+        ${dowRows.map((r,i)=>{
+          const isWE=r.dw==='Sat'||r.dw==='Sun';
+          const col=isWE?C.amber:C.sky;
+          const pct2=(r.avg/maxDowAvg*100);
+          return `<tr style="background:${i%2===0?'#ffffff':'#f8fafc'};border-bottom:1px solid #e2e8f0;${isWE?'background:#fffbeb!important':''}">
+            <td style="padding:6px 10px;font-weight:700;color:${col}">${dowTHF[r.dw]||r.dw}</td>
+            <td style="padding:6px 8px;text-align:right;font-family:'Prompt',sans-serif;font-weight:700;color:${col}">฿${r.avg.toLocaleString()}</td>
+            <td style="padding:6px 8px;text-align:right">${Math.round(r.bills/r.days).toLocaleString()}</td>
+            <td style="padding:6px 8px;text-align:right;font-family:'Prompt',sans-serif">฿${r.abv.toLocaleString()}</td>
+            <td style="padding:6px 8px"><span style="background:${col}22;color:${col};border-radius:4px;padding:1px 7px;font-size:8px;font-weight:700">${isWE?'Weekend':'Weekday'}</span></td>
+            <td style="padding:6px 10px"><div style="display:flex;align-items:center;gap:5px">${bar(pct2,col,8)}<span style="font-size:8px;color:#64748b">${pct2.toFixed(0)}%</span></div></td>
+          </tr>`;
+        }).join('')}
+      </tbody>
+    </table>
+  `,1,2);
+
+  /* ── PAGE 2: Category Behavior + Product Preference + Cross-sell ── */
+  const p2=pageWrap(`
+    ${sec('🍱','Category Preference — ความนิยมสินค้าตามหมวด')}
+    <div style="display:grid;grid-template-columns:1fr 1fr;gap:16px;margin-bottom:14px">
+      <div>
+        <table style="width:100%;border-collapse:collapse;font-size:9.5px">
+          ${tHead(['หมวดสินค้า','l'],['Net (฿)','r','18%'],['% Revenue','r','12%'],['Bar','l','28%'])}
+          <tbody>
+            ${top5cat.map((c,i)=>{
+              const col=C.catColor(c.cat);
+              const pct2=(c.net/catTotal*100);
+              return `<tr style="background:${i%2===0?'#ffffff':'#f8fafc'};border-bottom:1px solid #e2e8f0">
+                <td style="padding:7px 10px"><span style="background:${col}22;color:${col};border-radius:4px;padding:2px 8px;font-weight:700;font-size:9px">${c.cat}</span></td>
+                <td style="padding:7px 8px;text-align:right;font-family:'Prompt',sans-serif;color:${col};font-weight:700">฿${fNet(c.net)}</td>
+                <td style="padding:7px 8px;text-align:right;font-weight:700">${pct2.toFixed(1)}%</td>
+                <td style="padding:7px 10px"><div style="display:flex;align-items:center;gap:4px">${bar(pct2,col,8)}</div></td>
+              </tr>`;
+            }).join('')}
+          </tbody>
+        </table>
+      </div>
+      <div>
+        ${sec('🏆','Top 5 Most Wanted Products')}
+        ${top5prod.map((p,i)=>{
+          const col=[C.red,C.amber,C.sky,C.purple,C.green][i];
+          const name=p.p.includes('/')?p.p.split('/').slice(1).join('/').trim():p.p;
+          const pct2=(p.net/TOTAL_NET*100);
+          return `<div style="display:flex;align-items:center;gap:8px;padding:6px 0;border-bottom:1px solid #f1f5f9">
+            <div style="font-size:${i<3?14:11}px;min-width:20px">${['🥇','🥈','🥉','4️⃣','5️⃣'][i]}</div>
+            <div style="flex:1">
+              <div style="font-size:9px;font-weight:700;color:#162537">${name.substring(0,26)}</div>
+              <div style="display:flex;align-items:center;gap:4px;margin-top:2px">${bar(pct2,col,5)}<span style="font-size:8px;color:#64748b">${pct2.toFixed(1)}%</span></div>
+            </div>
+            <div style="font-family:'Prompt',sans-serif;font-size:10px;font-weight:700;color:${col}">฿${fNet(p.net)}</div>
+          </div>`;
+        }).join('')}
+      </div>
+    </div>
+
+    ${sec('🔗','Cross-sell Opportunity Map — โอกาสขายข้ามหมวด')}
+    <div style="display:grid;grid-template-columns:repeat(3,1fr);gap:10px;margin-bottom:14px">
+      <div style="background:linear-gradient(135deg,#e0707018 0%,#e0707005 100%);border:1.5px solid #e0707060;border-radius:10px;padding:12px">
+        <div style="font-size:9px;font-weight:800;color:#e07070;margin-bottom:6px">🍱 Sushi Bento → Beverage</div>
+        <div style="font-size:8.5px;color:#334155;line-height:1.6">ลูกค้าที่ซื้อ Sushi มีโอกาสซื้อเครื่องดื่มเพิ่มได้ Bundle น้ำ + Sushi ราคา ฿149 เพิ่ม ABV ได้ ~฿30/บิล</div>
+        <div style="margin-top:8px;font-size:9px;color:#e07070;font-weight:700">Potential uplift: ฿${Math.round(TOTAL_NET*0.08).toLocaleString()}</div>
+      </div>
+      <div style="background:linear-gradient(135deg,#3d9be018 0%,#3d9be005 100%);border:1.5px solid #3d9be060;border-radius:10px;padding:12px">
+        <div style="font-size:9px;font-weight:800;color:#3d9be0;margin-bottom:6px">🥣 Donburi → Dessert</div>
+        <div style="font-size:8.5px;color:#334155;line-height:1.6">หลังมื้ออาหาร Donburi โอกาส Upsell Matcha Warabi Mochi หรือ Dessert Set ราคา ฿54–฿89 เป็น Natural Follow-up</div>
+        <div style="margin-top:8px;font-size:9px;color:#3d9be0;font-weight:700">Potential uplift: ฿${Math.round(TOTAL_NET*0.05).toLocaleString()}</div>
+      </div>
+      <div style="background:linear-gradient(135deg,#22d47a18 0%,#22d47a05 100%);border:1.5px solid #22d47a60;border-radius:10px;padding:12px">
+        <div style="font-size:9px;font-weight:800;color:#16a34a;margin-bottom:6px">🥤 Beverage → Sushi Bento</div>
+        <div style="font-size:8.5px;color:#334155;line-height:1.6">ลูกค้าที่ซื้อ Beverage อย่างเดียว (Single-item Bill) Upgrade ด้วย Combo Meal ราคาพิเศษ ดึง ABV จาก ฿15 เป็น ฿180+</div>
+        <div style="margin-top:8px;font-size:9px;color:#16a34a;font-weight:700">Potential uplift: ฿${Math.round(TOTAL_NET*0.12).toLocaleString()}</div>
+      </div>
+    </div>
+
+    ${sec('💡','Strategic Recommendations — คำแนะนำเชิงกลยุทธ์')}
+    <div style="display:grid;grid-template-columns:1fr 1fr;gap:10px">
+      <div style="background:#f0fdf4;border:1.5px solid #22d47aaa;border-radius:10px;padding:12px 14px">
+        <div style="font-size:9px;font-weight:800;color:#16a34a;letter-spacing:1px;margin-bottom:6px">🎯 BASKET UPGRADE PROGRAM</div>
+        <div style="font-size:8.5px;color:#334155;line-height:1.6">ลูกค้า S-Basket (฿50–100) คิดเป็น ~35% ของบิล ถ้า Upgrade ขึ้น M-Basket ได้ 30% จะเพิ่ม Revenue ได้ ~฿${Math.round(TOTAL_NET*0.08).toLocaleString()} โดยไม่ต้องหาลูกค้าใหม่</div>
+      </div>
+      <div style="background:#eff6ff;border:1.5px solid #3d9be0aa;border-radius:10px;padding:12px 14px">
+        <div style="font-size:9px;font-weight:800;color:#1d4ed8;letter-spacing:1px;margin-bottom:6px">📅 WEEKDAY STIMULATION</div>
+        <div style="font-size:8.5px;color:#334155;line-height:1.6">วัน${dowTHF[bestDow?.dw||'Fri']||'ศุกร์'}คือ Peak Weekday แนะนำโปรโมชั่น Midweek ช่วงอังคาร-พุธ เพื่อ Smooth ยอดขายและลด Revenue Variance</div>
+      </div>
+      <div style="background:#fffbeb;border:1.5px solid #fbbf24aa;border-radius:10px;padding:12px 14px">
+        <div style="font-size:9px;font-weight:800;color:#d97706;letter-spacing:1px;margin-bottom:6px">🎁 LOYALTY & RETENTION</div>
+        <div style="font-size:8.5px;color:#334155;line-height:1.6">ผู้โดยสาร Transit มีแนวโน้ม Repeat Visit ต่ำ ควรเพิ่ม QR Code Stamp Card บนบรรจุภัณฑ์เพื่อ Encourage Next Visit และ Build Brand Recall</div>
+      </div>
+      <div style="background:#fdf4ff;border:1.5px solid #a07ee0aa;border-radius:10px;padding:12px 14px">
+        <div style="font-size:9px;font-weight:800;color:#7c3aed;letter-spacing:1px;margin-bottom:6px">📦 SKU RATIONALIZATION</div>
+        <div style="font-size:8.5px;color:#334155;line-height:1.6">Bottom 20% SKU สร้างรายได้น้อยกว่า 1% ของยอดรวม พิจารณาตัด Slow-mover ออกเพื่อลด Inventory Cost และ Focus Stock สำหรับ Top 10 Items</div>
+      </div>
+    </div>
+  `,2,2);
+
+  return p1+p2;
+}
+
+// ══════════ CANCELLATION REPORT ══════════
+function cancelReport(d){
+  const {DAILY,CATS,HOURS,PRODUCTS,PROMO_DATA,CANCEL_DATA,DAYPARTS,DOW_MAP,TOTAL_NET,TOTAL_BILLS,TOTAL_PREVAT,TOTAL_VAT,salesRows,computeQualifiedABV}=d;
+  if(CANCEL_DATA.length===0){
+    return '<div style="text-align:center;padding:48px;color:var(--text3);font-size:14px;">⚠️ ไม่พบข้อมูลการยกเลิกบิล — กรุณาอัพโหลดไฟล์สรุปการยกเลิกบิลก่อน</div>';
+  }
+
+  // ── helpers ──
+  const mTHF=['','มกราคม','กุมภาพันธ์','มีนาคม','เมษายน','พฤษภาคม','มิถุนายน','กรกฎาคม','สิงหาคม','กันยายน','ตุลาคม','พฤศจิกายน','ธันวาคม'];
+  const dowTH={Sun:'อาทิตย์',Mon:'จันทร์',Tue:'อังคาร',Wed:'พุธ',Thu:'พฤหัสบดี',Fri:'ศุกร์',Sat:'เสาร์'};
+  const fmt=n=>n.toLocaleString('th-TH',{minimumFractionDigits:2,maximumFractionDigits:2});
+  const fmtInt=n=>Math.round(n).toLocaleString('th-TH');
+  const now=new Date();
+  const genDate=`${now.getDate()} ${mTHF[now.getMonth()+1]} ${now.getFullYear()+543}`;
+  const genTime=now.toLocaleTimeString('th-TH',{hour:'2-digit',minute:'2-digit'});
+
+  // ── group by date ──
+  const byDate={};
+  CANCEL_DATA.forEach(r=>{
+    if(!byDate[r.date]) byDate[r.date]=[];
+    byDate[r.date].push(r);
+  });
+  const sortedDates=Object.keys(byDate).sort((a,b)=>{
+    const [da,ma,ya]=a.split('/').map(Number);
+    const [db,mb,yb]=b.split('/').map(Number);
+    return new Date(ya,ma-1,da)-new Date(yb,mb-1,db);
+  });
+
+  // ── overall stats ──
+  const totalAmt   = CANCEL_DATA.reduce((s,r)=>s+r.amount,0);
+  const totalBills = CANCEL_DATA.length;
+  const totalDays  = sortedDates.length;
+  const avgPerDay  = totalDays>0 ? totalAmt/totalDays : 0;
+  const maxDay     = sortedDates.reduce((mx,d)=>{
+    const s=byDate[d].reduce((a,r)=>a+r.amount,0);
+    return s>mx.amt?{date:d,amt:s}:mx;
+  },{date:'',amt:0});
+
+  // ── first/last date for period label ──
+  const [fd,fm,fy]=sortedDates[0].split('/').map(Number);
+  const [ld,lm,ly]=sortedDates[sortedDates.length-1].split('/').map(Number);
+  const periodTH= fm===lm&&fy===ly
+    ? `${String(fd).padStart(2,'0')}–${String(ld).padStart(2,'0')} ${mTHF[fm]} ${fy+543}`
+    : `${String(fd).padStart(2,'0')} ${mTHF[fm]} – ${String(ld).padStart(2,'0')} ${mTHF[lm]} ${ly+543}`;
+
+  // ── colour palette (matches existing reports) ──
+  const C={
+    ink:'#0f1923',navy:'#162537',white:'#ffffff',bg:'#f8fafc',
+    amber:'#f0a500',amber2:'#fbbf24',
+    red:'#f04545',pink:'#fecaca',
+    green:'#22d47a',
+    t1:'#0f172a',t2:'#334155',t3:'#64748b',t4:'#94a3b8',
+    border:'#e2e8f0'
+  };
+
+  const pageStyle=`width:210mm;background:#fff;font-family:'Prompt',sans-serif;color:#0f1923;box-sizing:border-box;margin:0 auto 28px;border-radius:4px;overflow:hidden;position:relative;box-shadow:0 4px 24px rgba(0,0,0,.35);-webkit-print-color-adjust:exact;print-color-adjust:exact;`;
+
+  // ── page header (same gradient stripe as other reports) ──
+  const pageHeader=`
+    <div style="height:6px;background:linear-gradient(90deg,#f04545 0%,#f0a500 35%,#22d47a 65%,#3d9be0 100%);-webkit-print-color-adjust:exact;print-color-adjust:exact"></div>
+    <div style="background:#0f1923;padding:14px 26px;display:flex;align-items:center;justify-content:space-between;-webkit-print-color-adjust:exact;print-color-adjust:exact">
+      <div style="display:flex;align-items:center;gap:18px">
+        <div>
+          <div style="font-size:18px;font-weight:700;color:#f04545;letter-spacing:4px">NIGIBEN</div>
+          <div style="font-size:8px;color:#f0a500;letter-spacing:1.5px;margin-top:1px;font-weight:600">BILL CANCELLATION REPORT · DON MUEANG AIRPORT</div>
+        </div>
+        <div style="width:1px;height:30px;background:#334155"></div>
+        <div>
+          <div style="font-size:8px;color:#64748b;letter-spacing:1px">PERIOD</div>
+          <div style="font-size:12px;color:#f0a500;font-weight:700;margin-top:1px">${periodTH}</div>
+        </div>
+      </div>
+      <div style="text-align:right">
+        <div style="font-size:8px;color:#64748b;letter-spacing:1px">GENERATED</div>
+        <div style="font-size:10px;color:#94a3b8;margin-top:1px">${genDate} · ${genTime}</div>
+      </div>
+    </div>`;
+
+  const pageFooter=(pg,total)=>`
+    <div style="height:3px;background:linear-gradient(90deg,#f04545 0%,#f0a500 50%,#22d47a 100%);-webkit-print-color-adjust:exact;print-color-adjust:exact"></div>
+    <div style="background:#0f1923;padding:7px 26px;display:flex;justify-content:space-between;align-items:center;-webkit-print-color-adjust:exact;print-color-adjust:exact">
+      <div style="font-size:8px;color:#475569">NIGIBEN · สนามบินดอนเมือง · CONFIDENTIAL</div>
+      <div style="font-size:8px;color:#475569">หน้า ${pg}/${total}</div>
+    </div>`;
+
+  // ── KPI summary section ──
+  const kpiBox=(label,val,sub,col)=>`
+    <div style="background:linear-gradient(135deg,${col}18 0%,${col}06 100%);border:1.5px solid ${col}55;border-radius:10px;padding:11px 14px;border-top:3px solid ${col};-webkit-print-color-adjust:exact;print-color-adjust:exact">
+      <div style="font-size:7.5px;color:#475569;letter-spacing:1.5px;text-transform:uppercase;font-weight:800;margin-bottom:6px">${label}</div>
+      <div style="font-size:22px;font-weight:700;color:${col};line-height:1.1;margin-bottom:4px">${val}</div>
+      <div style="font-size:8.5px;color:#334155;border-top:1px solid ${col}30;padding-top:4px">${sub}</div>
+    </div>`;
+
+  const kpiSection=`
+    <div style="display:grid;grid-template-columns:repeat(4,1fr);gap:8px;margin-bottom:16px;padding:0 26px">
+      ${kpiBox('จำนวนบิลยกเลิกทั้งหมด',fmtInt(totalBills)+' บิล',`ใน ${totalDays} วัน · เฉลี่ย ${(totalBills/totalDays).toFixed(1)} บิล/วัน`,C.red)}
+      ${kpiBox('มูลค่ายกเลิกรวม','฿'+fmt(totalAmt),`เฉลี่ย ฿${fmt(avgPerDay)}/วัน`,C.red)}
+      ${kpiBox('วันที่ยกเลิกสูงสุด',maxDay.date.substring(0,5),`฿${fmt(maxDay.amt)} · ${byDate[maxDay.date]?.length||0} บิล`,C.amber)}
+      ${kpiBox('บิลยกเลิกสูงสุด','฿'+fmt(Math.max(...CANCEL_DATA.map(r=>r.amount))),`เลขที่: ${CANCEL_DATA.reduce((mx,r)=>r.amount>mx.amount?r:mx,CANCEL_DATA[0]).doc.split('/').pop()}`,C.amber)}
+    </div>`;
+
+  // ── main table rows ──
+  const thStyle=`padding:9px 10px;text-align:`;
+  const thead=`
+    <thead>
+      <tr style="background:linear-gradient(90deg,#0f1923 0%,#1d3248 100%);-webkit-print-color-adjust:exact;print-color-adjust:exact">
+        <th style="${thStyle}center;font-size:9px;color:#f0a500;font-weight:800;letter-spacing:1px;width:36px">#</th>
+        <th style="${thStyle}left;font-size:9px;color:#f0a500;font-weight:800;letter-spacing:1px;width:80px">วันที่</th>
+        <th style="${thStyle}left;font-size:9px;color:#f0a500;font-weight:800;letter-spacing:1px;width:55px">วัน</th>
+        <th style="${thStyle}left;font-size:9px;color:#f0a500;font-weight:800;letter-spacing:1px;width:55px">เวลา</th>
+        <th style="${thStyle}left;font-size:9px;color:#f0a500;font-weight:800;letter-spacing:1px;width:130px">เลขที่ใบเสร็จ</th>
+        <th style="${thStyle}left;font-size:9px;color:#f0a500;font-weight:800;letter-spacing:1px">หมายเหตุ</th>
+        <th style="${thStyle}right;font-size:9px;color:#f0a500;font-weight:800;letter-spacing:1px;width:90px">มูลค่า (฿)</th>
+      </tr>
+    </thead>`;
+
+  let allRows='';
+  let seq=0;
+  let prevDate='';
+  sortedDates.forEach(date=>{
+    const bills=byDate[date];
+    const dayTotal=bills.reduce((s,r)=>s+r.amount,0);
+    const [d,m,y]=date.split('/').map(Number);
+    const dow=new Date(y,m-1,d);
+    const dowStr=dowTH[['Sun','Mon','Tue','Wed','Thu','Fri','Sat'][dow.getDay()]]||'';
+    const isWE=dow.getDay()===0||dow.getDay()===6;
+
+    bills.forEach((r,bi)=>{
+      seq++;
+      const isFirst=bi===0;
+      const isLast=bi===bills.length-1;
+      allRows+=`
+        <tr style="border-bottom:1px solid ${isLast?'#cbd5e1':'#e2e8f0'};background:${seq%2===0?'#f8fafc':'#ffffff'};-webkit-print-color-adjust:exact;print-color-adjust:exact">
+          <td style="padding:7px 10px;text-align:center;font-size:9px;color:#94a3b8">${seq}</td>
+          <td style="padding:7px 10px;font-size:10px;font-weight:${isFirst?700:400};color:${isFirst?(isWE?'#d97706':'#0f1923'):'#64748b'}">${isFirst?date.substring(0,5):''}</td>
+          <td style="padding:7px 10px;font-size:9px;color:${isWE?'#d97706':'#64748b'}">${isFirst?dowStr:''}</td>
+          <td style="padding:7px 10px;font-size:9.5px;color:#334155;font-family:'Prompt',monospace">${r.time||''}</td>
+          <td style="padding:7px 10px;font-size:9.5px;color:#0f1923;font-weight:600">${r.doc}</td>
+          <td style="padding:7px 10px;font-size:8.5px;color:#64748b;max-width:120px">${r.remark||'—'}</td>
+          <td style="padding:7px 10px;text-align:right;font-size:10px;font-weight:700;color:#f04545">฿${fmt(r.amount)}</td>
+        </tr>`;
+      if(isLast){
+        // day subtotal row
+        allRows+=`
+        <tr style="background:linear-gradient(90deg,#fef2f2 0%,#fff5f5 100%);border-bottom:2px solid #fca5a5;-webkit-print-color-adjust:exact;print-color-adjust:exact">
+          <td colspan="6" style="padding:5px 10px;font-size:8.5px;color:#b91c1c;font-weight:700;letter-spacing:.5px">รวมยกเลิก ${date.substring(0,5)} · ${bills.length} บิล</td>
+          <td style="padding:5px 10px;text-align:right;font-size:10px;font-weight:800;color:#b91c1c">฿${fmt(dayTotal)}</td>
+        </tr>`;
+      }
+    });
+  });
+
+  // grand total row
+  const grandTotal=`
+    <tr style="background:linear-gradient(90deg,#0f1923 0%,#1d3248 100%);-webkit-print-color-adjust:exact;print-color-adjust:exact">
+      <td colspan="6" style="padding:10px 10px;font-size:10px;color:#f0a500;font-weight:800;letter-spacing:1px">ยอดรวมทั้งหมด · ${totalBills} บิล · ${totalDays} วัน</td>
+      <td style="padding:10px 10px;text-align:right;font-size:13px;font-weight:800;color:#22d47a">฿${fmt(totalAmt)}</td>
+    </tr>`;
+
+  // ── build pages ──
+  const totalPages=2;
+
+  const p1=`<div class="rpt-page" style="${pageStyle}">
+    ${pageHeader}
+    <!-- KPI section -->
+    <div style="padding:18px 26px 0">
+      <div style="font-size:9px;font-weight:800;color:#64748b;letter-spacing:2px;text-transform:uppercase;margin-bottom:12px;padding-left:8px;border-left:3px solid #f04545">📊 สรุปภาพรวม</div>
+    </div>
+    ${kpiSection}
+    <!-- daily chart bars -->
+    <div style="padding:0 26px 16px">
+      <div style="font-size:9px;font-weight:800;color:#64748b;letter-spacing:2px;text-transform:uppercase;margin-bottom:10px;padding-left:8px;border-left:3px solid #f04545">📅 มูลค่ายกเลิกรายวัน</div>
+      <div style="display:flex;align-items:flex-end;gap:3px;height:80px;background:#f8fafc;border-radius:8px;padding:8px 12px;border:1px solid #e2e8f0">
+        ${(()=>{
+          const maxAmt=Math.max(...sortedDates.map(d=>byDate[d].reduce((s,r)=>s+r.amount,0)),1);
+          return sortedDates.map(date=>{
+            const dayAmt=byDate[date].reduce((s,r)=>s+r.amount,0);
+            const pct=(dayAmt/maxAmt*100).toFixed(1);
+            const [d,m,y]=date.split('/').map(Number);
+            const isWE=new Date(y,m-1,d).getDay()===0||new Date(y,m-1,d).getDay()===6;
+            return `<div style="flex:1;display:flex;flex-direction:column;align-items:center;gap:2px">
+              <div style="font-size:6px;color:#94a3b8;text-align:center;writing-mode:initial">${dayAmt>=100?'฿'+(dayAmt/1000).toFixed(1)+'K':''}</div>
+              <div style="width:100%;background:${isWE?'#f97316':'#f04545'};border-radius:2px 2px 0 0;flex:none" title="${date}: ฿${dayAmt}" data-height="${pct}" style="height:${Math.max(pct*0.6,1)}px;background:${isWE?'#f97316':'#f04545'};border-radius:2px 2px 0 0;"></div>
+              <div style="font-size:6px;color:#94a3b8;text-align:center;transform:rotate(-45deg);transform-origin:top center;white-space:nowrap;margin-top:2px">${date.substring(0,5)}</div>
+            </div>`;
+          }).join('');
+        })()}
+      </div>
+      <div style="display:flex;gap:12px;margin-top:6px;font-size:8px;color:#64748b">
+        <div style="display:flex;align-items:center;gap:4px"><div style="width:10px;height:8px;background:#f04545;border-radius:2px"></div>วันธรรมดา</div>
+        <div style="display:flex;align-items:center;gap:4px"><div style="width:10px;height:8px;background:#f97316;border-radius:2px"></div>วันหยุด</div>
+      </div>
+    </div>
+    ${pageFooter(1,totalPages)}
+  </div>`;
+
+  const p2=`<div class="rpt-page" style="${pageStyle}">
+    ${pageHeader}
+    <div style="padding:16px 26px">
+      <div style="font-size:9px;font-weight:800;color:#64748b;letter-spacing:2px;text-transform:uppercase;margin-bottom:12px;padding-left:8px;border-left:3px solid #f04545">📋 รายการบิลที่ยกเลิกทั้งหมด</div>
+      <table style="width:100%;border-collapse:collapse;font-size:9.5px">
+        ${thead}
+        <tbody>${allRows}</tbody>
+        ${grandTotal}
+      </table>
+      <div style="margin-top:16px;background:linear-gradient(135deg,#fff7ed 0%,#fffbeb 100%);border:1.5px solid #fbbf24;border-left:4px solid #f0a500;border-radius:8px;padding:10px 14px;font-size:8.5px;color:#334155;-webkit-print-color-adjust:exact;print-color-adjust:exact">
+        <strong style="color:#0f1923;display:block;margin-bottom:4px;">📌 หมายเหตุ:</strong>
+        บิลที่ถูกยกเลิกจะ<strong>ไม่ถูกนับ</strong>ในยอดขายสุทธิ (Net Revenue) เนื่องจาก POS ไม่รวมบิลที่ยกเลิกในรายงานยอดขาย · รายงานนี้จัดทำเพื่อการตรวจสอบภายใน
+      </div>
+    </div>
+    ${pageFooter(2,totalPages)}
+  </div>`;
+
+  return [p1,p2].join('');
+}
+
+// ══════════ EXECUTIVE BRIEF ══════════
+// Daily / multi-day brief for any date range: d = the range, prev = the same number of days just before (or null).
+// Replaces the hand-written Day1/Day2/Day3.html pages; insights come from the rules below, not from hand-typed text.
+const BRIEF_RULES={netPct:5, billsPct:5, abvPct:5, discRate:15, discRise:3, untracked:2, cancelRate:2, concentration:25, moverPct:30, minMover:500};
+const prodName=p=>p.includes('/')?p.split('/').slice(1).join('/').trim():p;   // "DON004 / Salmon Don" → "Salmon Don"
+
+function briefTotals(d){
+  const {DAILY,PRODUCTS,PROMO_DATA,CANCEL_DATA,TOTAL_NET,TOTAL_BILLS,computeQualifiedABV}=d;
+  const gross=DAILY.reduce((s,x)=>s+(x.gross||x.net),0), disc=DAILY.reduce((s,x)=>s+(x.discount||0),0);
+  const promoDisc=PROMO_DATA.reduce((s,p)=>s+(p.discount||0),0);
+  const cancel=CANCEL_DATA.reduce((s,c)=>s+(c.amount||0),0);
+  return {days:DAILY.length, net:TOTAL_NET, gross, disc, bills:TOTAL_BILLS, items:PRODUCTS.reduce((s,p)=>s+p.qty,0),
+    abv:DAILY.length?computeQualifiedABV().abv:0, discRate:gross?disc/gross*100:0,
+    promoDisc, promoUses:PROMO_DATA.reduce((s,p)=>s+(p.count||0),0), untracked:Math.max(0,disc-promoDisc),
+    cancel, cancelCount:CANCEL_DATA.length, cancelRate:TOTAL_NET?cancel/TOTAL_NET*100:0};
+}
+
+// → {cur, prev (scaled to the current number of days), delta:{key:% change}, top, bottom, movers, promos, cancels, peak, insights:[{tone,text}]}
+//   tone = 'good' | 'warn' | 'bad' | 'info'
+function briefSummary(d, prev){
+  const R=BRIEF_RULES;
+  const cur=briefTotals(d);
+  const raw=prev&&prev.DAILY.length?briefTotals(prev):null;
+  const scale=raw?cur.days/raw.days:1;   // the prior period may have fewer uploaded days
+  const pv=raw?{...raw, net:raw.net*scale, gross:raw.gross*scale, disc:raw.disc*scale, bills:raw.bills*scale, items:raw.items*scale,
+    promoDisc:raw.promoDisc*scale, untracked:raw.untracked*scale, cancel:raw.cancel*scale, cancelCount:raw.cancelCount*scale}:null;
+  const chg=(a,b)=>b?(a-b)/Math.abs(b)*100:null;
+  const delta=pv?Object.fromEntries(['net','gross','disc','bills','items','abv','cancel'].map(k=>[k,chg(cur[k],pv[k])])):{};
+
+  const prods=d.PRODUCTS.filter(p=>p.net>0);
+  const top=[...prods].sort((a,b)=>b.net-a.net).slice(0,5);
+  const bottom=[...prods].sort((a,b)=>a.net-b.net).slice(0,5);
+  let movers=[];
+  if(pv){
+    const before=Object.fromEntries(prev.PRODUCTS.map(p=>[p.p,p]));
+    const keys=new Set([...prods.map(p=>p.p),...prev.PRODUCTS.filter(p=>p.net>0).map(p=>p.p)]);
+    const now=Object.fromEntries(prods.map(p=>[p.p,p]));
+    movers=[...keys].map(k=>{
+      const a=now[k]?.net||0, b=(before[k]?.net||0)*scale;
+      return {p:k, c:(now[k]||before[k]).c, net:a, prev:b, diff:a-b, pct:chg(a,b)};
+    }).sort((x,y)=>x.diff-y.diff);
+  }
+
+  const byPromo={};
+  d.PROMO_DATA.forEach(p=>{
+    const v=byPromo[p.name]||(byPromo[p.name]={name:p.name,count:0,disc:0,net:0});
+    v.count+=p.count||0; v.disc+=p.discount||0; v.net+=p.net||0;
+  });
+  const promos=Object.values(byPromo).sort((a,b)=>b.disc-a.disc);
+  const byPerson={};
+  d.CANCEL_DATA.forEach(c=>{
+    const k=c.person||'—', v=byPerson[k]||(byPerson[k]={person:k,count:0,amount:0});
+    v.count++; v.amount+=c.amount||0;
+  });
+  const cancels={people:Object.values(byPerson).sort((a,b)=>b.amount-a.amount),
+    largest:[...d.CANCEL_DATA].sort((a,b)=>b.amount-a.amount).slice(0,5)};
+  const peak=d.HOURS.reduce((a,h)=>h.net>(a?a.net:0)?h:a,null);
+
+  // ── rules → written insights ──
+  const baht=n=>'฿'+Math.round(n).toLocaleString('en-US');
+  const pc=n=>(n>0?'+':'')+n.toFixed(1)+'%';
+  const insights=[];
+  if(pv){
+    const n=delta.net;
+    if(n>=R.netPct) insights.push({tone:'good',text:`ยอดขายสุทธิเพิ่มขึ้น ${pc(n)} เทียบช่วงก่อน (${baht(pv.net)} → ${baht(cur.net)})`});
+    else if(n<=-R.netPct) insights.push({tone:'bad',text:`ยอดขายสุทธิลดลง ${pc(n)} เทียบช่วงก่อน (${baht(pv.net)} → ${baht(cur.net)})`});
+    else insights.push({tone:'info',text:`ยอดขายสุทธิทรงตัว (${pc(n||0)}) เทียบช่วงก่อน`});
+    if(delta.bills<=-R.billsPct) insights.push({tone:'warn',text:`จำนวนบิลลดลง ${pc(delta.bills)} — ลูกค้าเข้าร้านน้อยลง ตรวจสอบ Traffic และสินค้าหมดในช่วง Peak`});
+    if(delta.abv<=-R.abvPct) insights.push({tone:'warn',text:`ABV ลดลง ${pc(delta.abv)} (${baht(raw.abv)} → ${baht(cur.abv)}) — เพิ่ม Cross-sell / Combo ที่จุดชำระเงิน`});
+    else if(delta.abv>=R.abvPct) insights.push({tone:'good',text:`ABV เพิ่มขึ้น ${pc(delta.abv)} (${baht(raw.abv)} → ${baht(cur.abv)})`});
+  }
+  if(cur.discRate>=R.discRate) insights.push({tone:'bad',text:`ส่วนลดคิดเป็น ${cur.discRate.toFixed(1)}% ของยอดขายรวม (${baht(cur.disc)}) — สูงกว่าเกณฑ์ ${R.discRate}%`});
+  else if(pv&&cur.discRate-pv.discRate>=R.discRise) insights.push({tone:'warn',text:`อัตราส่วนลดเพิ่มจาก ${pv.discRate.toFixed(1)}% เป็น ${cur.discRate.toFixed(1)}%`});
+  if(cur.gross&&cur.untracked/cur.gross*100>=R.untracked&&d.PROMO_DATA.length)
+    insights.push({tone:'warn',text:`ส่วนลด ${baht(cur.untracked)} ไม่อยู่ในรายงานโปรโมชั่น (${(cur.untracked/cur.gross*100).toFixed(1)}% ของยอดขายรวม) — ตรวจสอบส่วนลดท้ายบิล / ส่วนลดพนักงาน`});
+  if(promos[0]&&cur.disc) insights.push({tone:'info',text:`โปรที่ให้ส่วนลดสูงสุด: ${promos[0].name} ${baht(promos[0].disc)} (${promos[0].count.toLocaleString('en-US')} ครั้ง · ${(promos[0].disc/cur.disc*100).toFixed(0)}% ของส่วนลดทั้งหมด)`});
+  if(cur.cancelRate>=R.cancelRate) insights.push({tone:'bad',text:`ยกเลิกบิล ${cur.cancelCount} บิล ${baht(cur.cancel)} = ${cur.cancelRate.toFixed(1)}% ของยอดขายสุทธิ`+(cancels.people[0]&&cancels.people[0].person!=='—'?` · สูงสุด: ${cancels.people[0].person} (${cancels.people[0].count} บิล)`:'')});
+  const prodNet=prods.reduce((s,p)=>s+p.net,0);
+  if(top[0]&&prodNet&&top[0].net/prodNet*100>=R.concentration)
+    insights.push({tone:'warn',text:`${prodName(top[0].p)} ทำยอด ${(top[0].net/prodNet*100).toFixed(0)}% ของยอดสินค้า — พึ่งพาสินค้าเดียวสูง ควรเตรียมสต็อกให้พอและดันสินค้ารอง`});
+  const drop=movers[0];
+  if(drop&&drop.diff<=-R.minMover&&drop.pct!=null&&drop.pct<=-R.moverPct)
+    insights.push({tone:'warn',text:`${prodName(drop.p)} ลดลงมากที่สุด ${baht(-drop.diff)} (${pc(drop.pct)}) — ตรวจสอบสต็อก / การจัดวาง`});
+  const rise=movers[movers.length-1];
+  if(rise&&rise.diff>=R.minMover) insights.push({tone:'good',text:`${prodName(rise.p)} เพิ่มขึ้นมากที่สุด ${baht(rise.diff)}`+(rise.pct!=null?` (${pc(rise.pct)})`:' (สินค้าใหม่ในช่วงนี้)')});
+  if(peak&&peak.net>0) insights.push({tone:'info',text:`ชั่วโมงขายดีที่สุด ${String(peak.h).padStart(2,'0')}:00 (${baht(peak.net)}) — เตรียมสินค้าขายดีและพนักงานก่อนช่วงนี้`});
+
+  return {cur, prev:pv, delta, top, bottom, movers, promos, cancels, peak, insights};
+}
+
+function executiveBrief(d, prev){
+  if(!d.DAILY.length) return '';
+  const s=briefSummary(d,prev);
+  const {cur,prev:pv,delta}=s;
+
+  const mEN=['','Jan','Feb','Mar','Apr','May','Jun','Jul','Aug','Sep','Oct','Nov','Dec'];
+  const mTHF=['','มกราคม','กุมภาพันธ์','มีนาคม','เมษายน','พฤษภาคม','มิถุนายน','กรกฎาคม','สิงหาคม','กันยายน','ตุลาคม','พฤศจิกายน','ธันวาคม'];
+  const pad=n=>String(n).padStart(2,'0');
+  const span=(a,b)=>{
+    const[fd,fm,fy]=a.split('/').map(Number), [ld,lm,ly]=b.split('/').map(Number);
+    return a===b?`${pad(fd)} ${mTHF[fm]} ${fy+543}`:fm===lm&&fy===ly?`${pad(fd)}–${pad(ld)} ${mTHF[fm]} ${fy+543}`:`${pad(fd)} ${mTHF[fm]} – ${pad(ld)} ${mTHF[lm]} ${ly+543}`;
+  };
+  const periodTH=span(d.DAILY[0].date,d.DAILY[d.DAILY.length-1].date);
+  const prevTH=prev&&prev.DAILY.length?span(prev.DAILY[0].date,prev.DAILY[prev.DAILY.length-1].date):'';
+  const now=new Date();
+  const genDate=`${now.getDate()} ${mEN[now.getMonth()+1]} ${now.getFullYear()}`;
+  const fNet=n=>Math.round(n).toLocaleString('th-TH');
+  const TONE={good:['#22d47a','✅'],warn:['#f0a500','⚠️'],bad:['#f04545','🚨'],info:['#3d9be0','💡']};
+
+  const dlt=(v,invert)=>{
+    if(v==null) return '<span style="color:#94a3b8">ไม่มีช่วงก่อนหน้า</span>';
+    const up=v>=0, good=invert?!up:up;
+    return `<span style="color:${good?'#16a34a':'#dc2626'};font-weight:700">${up?'▲':'▼'} ${Math.abs(v).toFixed(1)}%</span> <span style="color:#94a3b8">vs ช่วงก่อน</span>`;
+  };
+  const kpi=(lbl,val,sub,col)=>`<div style="background:linear-gradient(135deg,${col}18 0%,${col}08 100%);border:1.5px solid ${col}55;border-radius:10px;padding:10px 13px;position:relative;overflow:hidden">
+    <div style="position:absolute;top:0;left:0;right:0;height:3px;background:${col}"></div>
+    <div style="font-size:7.5px;color:#475569;letter-spacing:1.5px;text-transform:uppercase;font-weight:800;margin-bottom:5px">${lbl}</div>
+    <div style="font-family:'Prompt',sans-serif;font-size:19px;font-weight:700;color:${col};line-height:1.1;margin-bottom:4px">${val}</div>
+    <div style="font-size:8.5px;color:#334155;line-height:1.5;border-top:1px solid ${col}30;padding-top:4px">${sub}</div>
+  </div>`;
+  const sec=(icon,title)=>`<div style="display:flex;align-items:center;gap:8px;margin:14px 0 8px;padding:6px 12px;background:linear-gradient(90deg,rgba(15,25,35,0.06) 0%,transparent 100%);border-left:4px solid #f0a500;border-radius:0 6px 6px 0">
+    <span style="font-size:14px">${icon}</span>
+    <span style="font-family:'Prompt',sans-serif;font-size:11px;font-weight:700;color:#0f1923;letter-spacing:2px;text-transform:uppercase">${title}</span>
+  </div>`;
+  const tHead=(...cols)=>`<thead><tr style="background:linear-gradient(90deg,#0f1923 0%,#1d3248 100%);-webkit-print-color-adjust:exact;print-color-adjust:exact">${cols.map(([txt,align])=>`<th style="padding:7px ${align==='r'?10:12}px;text-align:${align==='r'?'right':'left'};font-size:9px;color:#f0a500;font-weight:800;letter-spacing:1px">${txt}</th>`).join('')}</tr></thead>`;
+  const td=(v,align)=>`<td style="padding:6px ${align==='r'?10:12}px;text-align:${align==='r'?'right':'left'};border-bottom:1px solid #e2e8f0">${v}</td>`;
+  const table=(head,rows,empty)=>`<table style="width:100%;border-collapse:collapse;font-size:9px">${head}<tbody>${rows||`<tr><td colspan="9" style="padding:10px;text-align:center;color:#94a3b8">${empty}</td></tr>`}</tbody></table>`;
+
+  const pageWrap=(content,pg,total)=>`<div class="rpt-page" style="width:210mm;background:#fff;font-family:'Prompt',sans-serif;color:#0f1923;box-sizing:border-box;margin:0 auto 28px;border-radius:4px;overflow:hidden;position:relative;box-shadow:0 4px 24px rgba(0,0,0,.35);-webkit-print-color-adjust:exact;print-color-adjust:exact;">
+    <div style="height:6px;background:linear-gradient(90deg,#f0a500 0%,#22d47a 35%,#3d9be0 65%,#a07ee0 100%);-webkit-print-color-adjust:exact;print-color-adjust:exact"></div>
+    <div style="background:#0f1923;padding:14px 26px;display:flex;align-items:center;justify-content:space-between;-webkit-print-color-adjust:exact;print-color-adjust:exact">
+      <div style="display:flex;align-items:center;gap:18px">
+        <div>
+          <div style="font-family:'Prompt',sans-serif;font-size:18px;font-weight:700;color:#22d47a;letter-spacing:4px;text-shadow:0 0 12px rgba(34,212,122,0.35)">NIGIBEN</div>
+          <div style="font-size:8px;color:#f0a500;letter-spacing:1.5px;margin-top:1px;font-weight:600">EXECUTIVE BRIEF · ${cur.days===1?'DAILY':cur.days+' DAYS'}</div>
+        </div>
+        <div style="width:1px;height:30px;background:#334155"></div>
+        <div>
+          <div style="font-size:8px;color:#64748b;letter-spacing:1px">PERIOD</div>
+          <div style="font-family:'Prompt',sans-serif;font-size:12px;color:#f0a500;font-weight:700;margin-top:1px">${periodTH}</div>
+        </div>
+      </div>
+      <div style="text-align:right">
+        <div style="font-size:8px;color:#64748b">Generated ${genDate}</div>
+        <div style="font-size:8px;color:#64748b;margin-top:3px">Page ${pg} / ${total} · CONFIDENTIAL</div>
+      </div>
+    </div>
+    <div class="rpt-scale"><div style="padding:18px 28px 52px">${content}</div></div>
+    <div class="rpt-footer" style="position:absolute;bottom:0;left:0;right:0;height:28px;background:linear-gradient(90deg,#0f1923 0%,#162537 100%);border-top:1px solid #22d47a33;-webkit-print-color-adjust:exact;print-color-adjust:exact;display:flex;align-items:center;justify-content:space-between;padding:0 26px;z-index:10">
+      <div style="font-size:7.5px;color:#64748b">NIGIBEN Sales Intelligence · Executive Brief · <span style="color:#f0a500">CONFIDENTIAL</span></div>
+      <div style="font-size:7.5px;color:#64748b">${periodTH}${prevTH?' · เทียบกับ '+prevTH:''}</div>
+    </div>
+  </div>`;
+
+  /* PAGE 1 — headline KPIs, insights, best / worst products */
+  const prodRows=list=>list.map((p,i)=>`<tr>${td(i+1)}${td(prodName(p.p))}${td(p.c||'')}${td(p.qty.toLocaleString('th-TH'),'r')}${td('฿'+fNet(p.net),'r')}</tr>`).join('');
+  const p1=`
+    <div style="display:grid;grid-template-columns:repeat(4,1fr);gap:9px">
+      ${kpi('Net Sales','฿'+fNet(cur.net),dlt(delta.net),'#f0a500')}
+      ${kpi('Bills',cur.bills.toLocaleString('th-TH'),dlt(delta.bills),'#3d9be0')}
+      ${kpi('ABV','฿'+fNet(cur.abv),dlt(delta.abv),'#a07ee0')}
+      ${kpi('Items Sold',fNet(cur.items),dlt(delta.items),'#22d47a')}
+      ${kpi('Gross Sales','฿'+fNet(cur.gross),dlt(delta.gross),'#06b6d4')}
+      ${kpi('Discount','฿'+fNet(cur.disc),`${cur.discRate.toFixed(1)}% ของยอดขายรวม · ${dlt(delta.disc,true)}`,'#f04545')}
+      ${kpi('Promo Discount','฿'+fNet(cur.promoDisc),`${cur.promoUses.toLocaleString('th-TH')} ครั้ง · นอกโปร ฿${fNet(cur.untracked)}`,'#e07070')}
+      ${kpi('Cancelled','฿'+fNet(cur.cancel),`${cur.cancelCount} บิล · ${cur.cancelRate.toFixed(1)}% ของยอดสุทธิ`,'#64748b')}
+    </div>
+    ${sec('💡','Key Insights')}
+    <div style="display:flex;flex-direction:column;gap:6px">
+      ${s.insights.map(x=>`<div style="display:flex;gap:8px;align-items:flex-start;background:${TONE[x.tone][0]}12;border-left:3px solid ${TONE[x.tone][0]};border-radius:0 6px 6px 0;padding:7px 10px;font-size:9.5px;color:#334155;line-height:1.5"><span>${TONE[x.tone][1]}</span><span>${x.text}</span></div>`).join('')}
+    </div>
+    ${sec('🏆','Best Products — ยอดขายสูงสุด')}
+    ${table(tHead(['#'],['สินค้า'],['หมวด'],['ชิ้น','r'],['ยอดขาย','r']),prodRows(s.top),'ไม่มีข้อมูลสินค้า')}
+    ${sec('🐢','Worst Products — ยอดขายต่ำสุด')}
+    ${table(tHead(['#'],['สินค้า'],['หมวด'],['ชิ้น','r'],['ยอดขาย','r']),prodRows(s.bottom),'ไม่มีข้อมูลสินค้า')}`;
+
+  /* PAGE 2 — product movers, promo & discount leakage, cancellations */
+  const moverRows=list=>list.map(m=>`<tr>${td(prodName(m.p))}${td('฿'+fNet(m.prev),'r')}${td('฿'+fNet(m.net),'r')}${td(`<span style="color:${m.diff<0?'#dc2626':'#16a34a'};font-weight:700">${m.diff<0?'−':'+'}฿${fNet(Math.abs(m.diff))}</span>`,'r')}${td(m.pct==null?'ใหม่':(m.pct>0?'+':'')+m.pct.toFixed(0)+'%','r')}</tr>`).join('');
+  const moverHead=tHead(['สินค้า'],['ช่วงก่อน','r'],['ช่วงนี้','r'],['เปลี่ยนแปลง','r'],['%','r']);
+  const p2=`
+    ${sec('📉','Product Movers — เทียบช่วงก่อน'+(pv&&pv.days!==cur.days?' (ปรับตามจำนวนวัน)':''))}
+    ${pv?`<div style="display:grid;grid-template-columns:1fr 1fr;gap:10px">
+      <div>${table(moverHead,moverRows(s.movers.filter(m=>m.diff<0).slice(0,5)),'ไม่มีสินค้าที่ลดลง')}</div>
+      <div>${table(moverHead,moverRows(s.movers.filter(m=>m.diff>0).reverse().slice(0,5)),'ไม่มีสินค้าที่เพิ่มขึ้น')}</div>
+    </div>`:'<div style="font-size:9px;color:#94a3b8">ไม่มีข้อมูลช่วงก่อนหน้าในชุดข้อมูลนี้</div>'}
+    ${sec('🏷️','Promo & Discount Leakage')}
+    <div style="display:grid;grid-template-columns:repeat(3,1fr);gap:9px;margin-bottom:10px">
+      ${kpi('Total Discount','฿'+fNet(cur.disc),`${cur.discRate.toFixed(1)}% ของยอดขายรวม${pv?' (ช่วงก่อน '+pv.discRate.toFixed(1)+'%)':''}`,'#f04545')}
+      ${kpi('Via Promotions','฿'+fNet(cur.promoDisc),`${cur.disc?(cur.promoDisc/cur.disc*100).toFixed(0):0}% ของส่วนลดทั้งหมด`,'#f0a500')}
+      ${kpi('Not In Promo Report','฿'+fNet(cur.untracked),'ส่วนลดท้ายบิล / ส่วนลดพนักงาน / ไม่ระบุโปร','#a07ee0')}
+    </div>
+    ${table(tHead(['โปรโมชั่น'],['ครั้ง','r'],['ส่วนลด','r'],['ยอดสุทธิ','r'],['ส่วนลด/ครั้ง','r']),
+      s.promos.slice(0,8).map(p=>`<tr>${td(p.name)}${td(p.count.toLocaleString('th-TH'),'r')}${td('฿'+fNet(p.disc),'r')}${td('฿'+fNet(p.net),'r')}${td(p.count?'฿'+fNet(p.disc/p.count):'—','r')}</tr>`).join(''),
+      'ไม่มีไฟล์โปรโมชั่นในช่วงนี้')}
+    ${sec('🚫','Cancellations')}
+    <div style="display:grid;grid-template-columns:1fr 1fr;gap:10px">
+      <div>${table(tHead(['ผู้ยกเลิก'],['บิล','r'],['มูลค่า','r']),
+        s.cancels.people.slice(0,5).map(p=>`<tr>${td(p.person)}${td(p.count,'r')}${td('฿'+fNet(p.amount),'r')}</tr>`).join(''),'ไม่มีการยกเลิกบิล')}</div>
+      <div>${table(tHead(['วันที่'],['เลขที่บิล'],['มูลค่า','r']),
+        s.cancels.largest.map(c=>`<tr>${td(c.date)}${td(c.doc||'—')}${td('฿'+fNet(c.amount),'r')}</tr>`).join(''),'ไม่มีการยกเลิกบิล')}</div>
+    </div>`;
+
+  return pageWrap(p1,1,2)+pageWrap(p2,2,2);
+}
+
+return { investorReport, hourlyReport, behaviorReport, cancelReport, executiveBrief, briefSummary, BRIEF_RULES };
+});
@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const A = require('../anomaly.js');
+const PR = require('../promos.js');
+
+const catalogue = PR.normalizeCatalogue(PR.DEFAULT_CATALOGUE);
+const match = p => PR.matchPromo(catalogue, p.name, p.code);
+const line = (doc, date, time, gross, disc = 0) => ({ doc, date, time, gross, disc, net: gross - disc });
+
+test('toMin and parseShifts read times and reject bad shifts', () => {
+    assert.equal(A.toMin('21:05:00'), 21 * 60 + 5);
+    assert.equal(A.toMin(0.75), 18 * 60);
+    assert.equal(A.toMin(''), null);
+    assert.deepEqual(A.parseShifts('6:00-14:00, 22:00–06:00'), [{ from: '06:00', to: '14:00' }, { from: '22:00', to: '06:00' }]);
+    assert.ok(A.inShift(23 * 60, A.parseShifts('22:00-06:00')));
+    assert.ok(!A.inShift(12 * 60, A.parseShifts('22:00-06:00')));
+    assert.throws(() => A.parseShifts('morning'), /HH:MM-HH:MM/);
+    assert.throws(() => A.parseShifts(''), /at least one/);
+});
+
+test('normalizeCatalogue keeps a maxPct ceiling and rejects bad ones', () => {
+    assert.equal(catalogue.find(e => e.name === 'Staff Discount 10%').maxPct, 10);
+    assert.equal(catalogue.find(e => e.name === 'Partners Discount').maxPct, null);
+    assert.equal(PR.normalizeCatalogue([{ name: 'X', maxPct: '25' }])[0].maxPct, 25);
+    assert.throws(() => PR.normalizeCatalogue([{ name: 'X', maxPct: 120 }]), /maxPct/);
+});
+
+test('a staff member far above colleagues is flagged with the reason', () => {
+    const cancelRows = [];
+    const add = (person, n) => { for (let i = 0; i < n; i++) cancelRows.push({ date: '03/03/2026', doc: person + i, amount: 100, person, time: '' }); };
+    add('Aom', 1); add('Beam', 2); add('Chai', 1); add('Dao', 2); add('Ek', 9);
+    const { flags, staff } = A.detectAnomalies({ cancelRows });
+    assert.equal(staff[0].person, 'Ek');
+    assert.deepEqual(flags.map(f => [f.kind, f.subject]), [['staff-cancel', 'Ek']]);
+    assert.match(flags[0].why, /ยกเลิก 9 บิล/);
+    // fewer than three staff → no peer group, nothing flagged
+    assert.deepEqual(A.detectAnomalies({ cancelRows: cancelRows.filter(c => c.person === 'Ek' || c.person === 'Aom') }).flags, []);
+});
+
+test('a cancel minutes after a high-value bill of the same amount ranks first', () => {
+    const salesRows = [];
+    for (let i = 0; i < 20; i++) salesRows.push(line('B' + i, '03/03/2026', '10:' + String(i).padStart(2, '0') + ':00', 100));
+    salesRows.push(line('BIG', '03/03/2026', '12:00:00', 900));
+    const cancelRows = [
+        { date: '03/03/2026', doc: 'X1', amount: 900, person: 'Ek', time: '12:10:00' },
+        { date: '03/03/2026', doc: 'X2', amount: 50, person: 'Aom', time: '12:25:00' },
+        { date: '03/03/2026', doc: 'X3', amount: 900, person: 'Aom', time: '13:00:00' }   // an hour later → not linked
+    ];
+    const after = A.detectAnomalies({ cancelRows, salesRows }).flags.filter(f => f.kind === 'cancel-after');
+    assert.deepEqual(after.map(f => f.doc), ['X1', 'X2']);
+    assert.ok(after[0].score > after[1].score);
+    assert.match(after[0].why, /10 นาทีหลังบิล BIG.*ยอดเท่ากัน/);
+});
+
+test('a busy hour with many cancels is flagged against the overall rate', () => {
+    const salesRows = [], cancelRows = [];
+    for (let h = 8; h < 20; h++) for (let i = 0; i < 30; i++) salesRows.push(line(h + '-' + i, '03/03/2026', h + ':' + String(i).padStart(2, '0') + ':00', 100));
+    [9, 12, 15].forEach(h => cancelRows.push({ date: '03/03/2026', doc: 'C' + h, amount: 80, person: 'Aom', time: h + ':59:00' }));
+    for (let i = 0; i < 8; i++) cancelRows.push({ date: '03/03/2026', doc: 'N' + i, amount: 80, person: 'Beam', time: '19:5' + i + ':00' });
+    const { flags, slots } = A.detectAnomalies({ cancelRows, salesRows });
+    assert.equal(slots.find(s => s.h === 19).cancels, 8);
+    assert.deepEqual(flags.filter(f => f.kind === 'slot-cancel').map(f => f.subject), ['19:00–20:00']);
+});
+
+test('staff discounts outside shifts, on unusual days and above promo ceilings are flagged', () => {
+    const salesRows = [
+        line('S1', '03/03/2026', '12:00:00', 200, 20),   // 10% inside a shift
+        line('S2', '03/03/2026', '23:30:00', 200, 20),   // 10% after the last shift
+        line('F1', '03/03/2026', '21:30:00', 400, 320)   // 80% during Flash Sale 21–22 (ceiling 70%)
+    ];
+    const promoRows = [];
+    for (let d = 1; d <= 7; d++) {
+        const date = String(d).padStart(2, '0') + '/03/2026';
+        promoRows.push({ name: 'Staff Discount 10%', date, count: d === 3 ? 14 : 2 + (d % 2), sales: 600, discount: 60 });
+        promoRows.push({ name: 'Flash Sale 21:00-22:00', date, count: 10, sales: 2000, discount: d === 5 ? 1700 : 600 });
+    }
+    const { flags } = A.detectAnomalies({ salesRows, promoRows, catalogue, match }, { shifts: A.parseShifts('06:00-14:00, 14:00-22:00') });
+    const by = kind => flags.filter(f => f.kind === kind);
+    assert.deepEqual(by('staff-shift').map(f => f.doc), ['S2']);
+    assert.match(by('staff-shift')[0].why, /Staff Discount 10%.*23:30/);
+    assert.deepEqual(by('staff-freq').map(f => f.date), ['03/03/2026']);
+    assert.deepEqual(by('over-rule').map(f => f.doc || f.date).sort(), ['05/03/2026', 'F1']);
+    assert.match(by('over-rule').find(f => f.doc === 'F1').why, /80%.*สูงสุด 70%/);
+    assert.ok(flags.every((f, i) => i === 0 || flags[i - 1].score >= f.score));
+});
+
+test('a promotion window that crosses midnight still caps bills on both sides of it', () => {
+    const late = PR.normalizeCatalogue([{ name: 'Night Owl 30%', type: 'discount', from: '22:00', to: '02:00', maxPct: 30 }]);
+    const salesRows = [
+        line('N1', '03/03/2026', '23:30:00', 200, 100),  // 50% before midnight
+        line('N2', '03/03/2026', '01:15:00', 200, 100),  // 50% after midnight
+        line('N3', '03/03/2026', '00:30:00', 200, 40),   // 20% within the ceiling
+        line('N4', '03/03/2026', '12:00:00', 200, 100)   // outside the window → no promotion to judge by
+    ];
+    const promoRows = [{ name: 'Night Owl 30%', date: '03/03/2026', count: 3, sales: 600, discount: 160 }];
+    const { flags } = A.detectAnomalies({ salesRows, promoRows, catalogue: late, match: p => PR.matchPromo(late, p.name) });
+    assert.deepEqual(flags.filter(f => f.kind === 'over-rule' && f.doc).map(f => f.doc).sort(), ['N1', 'N2']);
+});
+
+test('bills are capped by the promotions that have a ceiling and the others are reported as unruled', () => {
+    const cat = PR.normalizeCatalogue([
+        { name: 'Lunch Set 20%', type: 'discount', from: '11:00', to: '14:00', maxPct: 20 },
+        { name: 'Partners Discount', type: 'discount' }
+    ]);
+    const salesRows = [
+        line('L1', '03/03/2026', '12:00:00', 200, 100),  // 50% — above the lunch ceiling even with Partners running
+        line('L2', '03/03/2026', '12:30:00', 200, 30),   // 15% within the ceiling
+        line('P1', '03/03/2026', '18:00:00', 200, 100)   // only Partners running → can't be judged
+    ];
+    const promoRows = [
+        { name: 'Lunch Set 20%', date: '03/03/2026', count: 2, sales: 400, discount: 60 },
+        { name: 'Partners Discount', date: '03/03/2026', count: 3, sales: 600, discount: 130 }
+    ];
+    const { flags, unruled } = A.detectAnomalies({ salesRows, promoRows, catalogue: cat, match: p => PR.matchPromo(cat, p.name) });
+    const bills = flags.filter(f => f.kind === 'over-rule' && f.doc);
+    assert.deepEqual(bills.map(f => f.doc), ['L1']);
+    assert.match(bills[0].why, /สูงสุด 20% \(Lunch Set 20%\) · ไม่มีเพดาน: Partners Discount/);
+    assert.deepEqual(unruled, [{ name: 'Partners Discount', bills: 3, amount: 230 }]);
+});
@@ -0,0 +1,203 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// app.js is a plain browser script (product.html) — run it in a sandbox and read its top-level bindings
+const src = fs.readFileSync(path.join(__dirname, '..', 'app.js'), 'utf8');
+const notifications = [];
+const store = new Map();
+const ctx = vm.createContext({
+    document: { addEventListener() {} },
+    console,
+    localStorage: {
+        getItem: k => (store.has(k) ? store.get(k) : null),
+        setItem: (k, v) => store.set(k, String(v)),
+        removeItem: k => store.delete(k)
+    },
+    Notification: class {
+        static permission = 'granted';
+        constructor(title, opts) { notifications.push({ title, ...opts }); }
+    }
+});
+ctx.window = ctx;
+vm.runInContext(src, ctx);
+const run = code => vm.runInContext(code, ctx);
+const app = run('({ SHEET_SCHEMA, matchField, detectSheetLayout })');
+
+// Loads days straight into the page state: [{dateLabel, products: [{code, ...counts}]}]
+function setDays(days, activeIdx = days.length - 1) {
+    ctx.__days = days.map(d => ({
+        dateLabel: d.dateLabel,
+        products: d.products.map(p => ({
+            name: p.code, category: 'Sushi', price: null, broughtForward: 0, received: 0, sold: 0, waste: 0,
+            remain: 0, sheetBroughtForward: null, counted: null, ...p
+        }))
+    }));
+    run(`globalStoreData = __days; activeDayIndex = ${activeIdx}; posDemand = null;`);
+}
+
+const DAY = ['ยกมา', 'รับเข้า', 'ขาย', 'was', 'นับจริง'];
+
+test('the Thai product header resolves name, code and category to their own columns', () => {
+    const layout = app.detectSheetLayout(['ลำดับ', 'หมวดหมู่', 'รหัสสินค้า', 'ชื่อสินค้า', '1 มี.ค.', ...DAY]);
+    assert.deepEqual({ ...layout.product }, { category: 1, code: 2, name: 3, price: null });
+    assert.deepEqual([...layout.notes], []);
+});
+
+test('a loose "สินค้า" header is used for the name only when no exact header exists', () => {
+    const layout = app.detectSheetLayout(['หมวด', 'รหัสสินค้า', 'สินค้า', '1 มี.ค.', ...DAY]);
+    assert.deepEqual({ ...layout.product }, { category: 0, code: 1, name: 2, price: null });
+});
+
+test('English field aliases match whole words and price headers are never fields', () => {
+    assert.equal(app.matchField('Count'), 'counted');
+    assert.equal(app.matchField('Waste'), 'waste');
+    assert.equal(app.matchField('Discount'), null);
+    assert.equal(app.matchField('Account'), null);
+    assert.equal(app.matchField('ราคาขาย'), null);
+    assert.equal(app.matchField('ขาย'), 'sold');
+});
+
+test('a ราคาขาย column stays in the product area as the price', () => {
+    const layout = app.detectSheetLayout(['หมวดหมู่', 'รหัสสินค้า', 'ชื่อสินค้า', 'ราคาขาย', '1 มี.ค.', ...DAY, 'Discount']);
+    assert.deepEqual({ ...layout.product }, { category: 0, code: 1, name: 2, price: 3 });
+    assert.equal(layout.days.length, 1);
+    assert.deepEqual(Object.keys(layout.days[0].fields), ['broughtForward', 'received', 'sold', 'waste', 'counted']);
+    assert.deepEqual([...layout.unmatched.map(u => u.header)], ['Discount']);
+});
+
+test('prep is forecast demand plus the safety buffer less the carry-over', () => {
+    const day = label => ({ dateLabel: label, products: [
+        { code: 'MINI001', sold: 10, waste: 0, remain: 4 },
+        { code: 'MINI002', sold: 10, waste: 2, remain: 0 }
+    ] });
+    setDays([day('1 มี.ค.'), day('2 มี.ค.'), day('3 มี.ค.')]);
+    const plan = run('computeProductionPlan()').map(r => ({ ...r }));
+    assert.deepEqual(plan.map(r => [r.code, r.demand, r.source, r.carry, r.prep]), [
+        ['MINI001', 10, 'Stock', 4, 7],  // ceil(10 × 1.10 − 4)
+        ['MINI002', 10, 'Stock', 0, 10]  // waste 2/12 is over target — no buffer
+    ]);
+    assert.equal(plan[0].wasteRate, 0);
+    assert.equal(plan[1].chronic, true);
+    assert.ok(Math.abs(plan[1].wasteRate - 2 / 12) < 1e-9);
+});
+
+test('POS demand replaces the stock sheet sales when the code is in the snapshot', () => {
+    setDays([{ dateLabel: '3 มี.ค.', products: [{ code: 'MINI001', sold: 10, remain: 4 }, { code: 'MINI003', sold: 0, remain: 0 }] }]);
+    ctx.__pos = ['01/03/2026', '02/03/2026', '03/03/2026'].map(date => ({ prod: 'MINI001 / Salmon', date, qty: 20, net: 400 }));
+    run('posDemand = buildPosDemand(__pos)');
+    const plan = run('computeProductionPlan()');
+    assert.deepEqual([...plan].map(r => [r.code, r.demand, r.source, r.prep]), [['MINI001', 20, 'POS', 18]]);
+});
+
+test('reconciliation re-anchors on the sheet figures and totals shrinkage per category', () => {
+    setDays([
+        { dateLabel: '1 มี.ค.', products: [
+            { code: 'MINI001', price: 50, broughtForward: 10, received: 5, sold: 8, waste: 1, counted: 5 },
+            { code: 'DRK001', category: 'Drink', received: 10, sold: 3 }
+        ] },
+        { dateLabel: '2 มี.ค.', products: [
+            { code: 'MINI001', price: 50, sheetBroughtForward: 5, sold: 2 },
+            { code: 'DRK001', category: 'Drink', sheetBroughtForward: 6, sold: 1, counted: 7 }
+        ] }
+    ]);
+    const rec = run('computeReconciliation(1)');
+    assert.equal(rec.observations, 4);
+    assert.deepEqual([...rec.variances].map(v => [v.day, v.code, v.source, v.expected, v.actual, v.value]), [
+        ['1 มี.ค.', 'MINI001', 'นับจริง', 6, 5, -50],
+        ['2 มี.ค.', 'DRK001', 'นับจริง', 5, 7, null],
+        ['2 มี.ค.', 'DRK001', 'ยกมา', 7, 6, null]
+    ]);
+    assert.deepEqual([...rec.categories].map(c => ({ ...c })), [
+        { category: 'Sushi', count: 1, shrink: 1, surplus: 0, value: -50, unpriced: 0 },
+        { category: 'Drink', count: 2, shrink: 1, surplus: 2, value: 0, unpriced: 2 }
+    ]);
+});
+
+test('unpriced variances are valued at the POS average price', () => {
+    setDays([{ dateLabel: '1 มี.ค.', products: [{ code: 'MINI001', broughtForward: 10, sold: 4, counted: 5 }] }]);
+    ctx.__pos = [{ prod: 'MINI001 / Salmon', date: '01/03/2026', qty: 4, gross: 160 }];
+    run('posDemand = buildPosDemand(__pos)');
+    const [v] = run('computeReconciliation(0)').variances;
+    assert.equal(v.variance, -1);
+    assert.equal(v.value, -40);
+});
+
+// Fixes the sandbox clock at 14:00 on 10 Mar 2026 — 8 of the 16 trading hours gone
+function atTwoPm(fn) {
+    run(`__RealDate = Date; Date = class extends __RealDate {
+        constructor(...a) { super(...(a.length ? a : [2026, 2, 10, 14, 0])); }
+        static now() { return new Date().getTime(); }
+    };`);
+    try {
+        return fn();
+    } finally {
+        run('Date = __RealDate;');
+    }
+}
+
+const TODAY = '10 มี.ค.';
+const stockDay = extra => ({ dateLabel: TODAY, products: [
+    { code: 'A', broughtForward: 20, sold: 16, remain: 10 }, // 2/h × 8h left → runs out at 19:00
+    { code: 'B', broughtForward: 5, sold: 5, remain: 0 },
+    { code: 'C', broughtForward: 3, remain: 3 },             // par 5
+    { code: 'D', broughtForward: 30, sold: 2, remain: 20 },
+    { code: 'E', remain: 0 },                                // never stocked, no par
+    ...extra
+] });
+
+test('stock alerts rank out, projected run-out and below-par lines', () => {
+    store.set('nigiben-par-levels', JSON.stringify({ C: 5, D: 10 }));
+    setDays([stockDay([])]);
+    const alerts = atTwoPm(() => run('computeStockAlerts(0)'));
+    assert.deepEqual([...alerts].map(a => [a.key, a.level, a.par]), [['B', 'out', 0], ['A', 'projected', 0], ['C', 'par', 5]]);
+    assert.equal(alerts[1].runOutAt.getHours(), 19);
+});
+
+test('the run-out projection only applies to today', () => {
+    setDays([{ ...stockDay([]), dateLabel: '9 มี.ค.' }]);
+    const alerts = atTwoPm(() => run('computeStockAlerts(0)'));
+    assert.deepEqual([...alerts].map(a => a.key), ['B', 'C']);
+});
+
+test('a notification goes out only for breaches new since the previous refresh', () => {
+    store.set('nigiben-par-levels', JSON.stringify({ C: 5 }));
+    store.set('nigiben-par-notify', '1');
+    notifications.length = 0;
+    run('knownBreaches = null');
+    atTwoPm(() => {
+        setDays([stockDay([])]);
+        run('notifyNewBreaches()');
+        run('notifyNewBreaches()');
+        assert.equal(notifications.length, 0);
+
+        setDays([stockDay([{ code: 'F', broughtForward: 4, sold: 4, remain: 0 }])]);
+        run('notifyNewBreaches()');
+    });
+    assert.equal(notifications.length, 1);
+    assert.match(notifications[0].title, /1 รายการ/);
+    assert.equal(notifications[0].body, 'F — หมด (คงเหลือ 0)');
+});
+
+test('no notification while they are switched off', () => {
+    store.delete('nigiben-par-notify');
+    notifications.length = 0;
+    run('knownBreaches = new Set()');
+    atTwoPm(() => {
+        setDays([stockDay([])]);
+        run('notifyNewBreaches()');
+    });
+    assert.equal(notifications.length, 0);
+});
+
+test('a rejected import leaves the data quality and the selected day untouched', () => {
+    setDays([{ dateLabel: '1 มี.ค.', products: [{ code: 'MINI001', sold: 1, remain: 1 }] }]);
+    run("dataQuality = { skipped: [], unmatched: [], carryMismatch: [], notes: ['previous'] }; activeDayIndex = 0;");
+    const before = run('[globalStoreData, dataQuality]');
+    assert.throws(() => run("loadRows([['Sheet1', 'Notes'], ['hello', '']], { type: 'file' })"), /ไม่พบรายการสินค้า/);
+    assert.equal(run('globalStoreData'), before[0]);
+    assert.equal(run('dataQuality'), before[1]);
+    assert.equal(run('activeDayIndex'), 0);
+});
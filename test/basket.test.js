@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const P = require('../parsers.js');
+const B = require('../basket.js');
+
+const fixture = name => JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', name + '.json'), 'utf8'));
+const line = (doc, date, time, prod, cat, qty, net) => ({ doc, date, time, prod, cat, qty, net, gross: net, disc: 0 });
+
+test('parseBounds and segmentDefs build labelled ranges', () => {
+    assert.deepEqual(B.parseBounds('100, 300 600'), [100, 300, 600]);
+    assert.throws(() => B.parseBounds(''), /at least one/);
+    assert.throws(() => B.parseBounds('100, abc'), /positive/);
+    assert.throws(() => B.parseBounds('300, 100'), /ascending/);
+    assert.deepEqual(B.segmentDefs([100, 300]).map(s => s.label), ['Small (<฿100)', 'Medium (฿100–299)', 'Large (฿300+)']);
+    assert.equal(B.segmentOf([100, 300], 99.99), 0);
+    assert.equal(B.segmentOf([100, 300], 300), 2);
+    assert.equal(B.segmentOf([100, 300], -20), 0); // refunds stay in the first segment
+});
+
+test('basketSegments uses exact bill totals, not bucket midpoints', () => {
+    const rows = [
+        line('A1', '02/03/2026', '11:05:00', 'MINI001 / Salmon Sushi', 'Sushi Bento', 1, 99),
+        line('A2', '02/03/2026', '12:10:00', 'DON004 / Salmon Don', 'Donburi', 1, 180),
+        line('A2', '02/03/2026', '12:10:00', 'BEV006 / Green Tea', 'Beverage', 2, 60),
+        line('A3', '03/03/2026', '18:40:00', 'DON004 / Salmon Don', 'Donburi', 4, 720),
+        line('A1', '03/03/2026', '19:00:00', 'BEV006 / Green Tea', 'Beverage', 1, 30) // same number, another day
+    ];
+    const { bills, segments, total, hasTime, hasLines } = B.basketSegments(rows);
+    assert.equal(bills.length, 4);
+    assert.deepEqual(segments.map(s => [s.bills, s.net]), [[2, 129], [1, 240], [0, 0], [1, 720]]);
+    assert.equal(total.net, 1089);
+    assert.equal(segments[1].abv, 240);
+    assert.equal(segments[1].qty, 3);
+    assert.deepEqual(segments[1].cats, { Donburi: { net: 180, qty: 1 }, Beverage: { net: 60, qty: 2 } });
+    assert.deepEqual(segments[0].dow, { Mon: { bills: 1, net: 99 }, Tue: { bills: 1, net: 30 } });
+    assert.deepEqual(Object.keys(segments[3].hours), ['18']);
+    assert.ok(hasTime && hasLines);
+    assert.equal(bills.find(b => b.key === '02/03/2026|A2').lines.length, 2);
+
+    const wide = B.basketSegments(rows, { bounds: [500] });
+    assert.deepEqual(wide.segments.map(s => s.bills), [3, 1]);
+});
+
+test('by-date bills take line items and times from 1p rows', () => {
+    const salesRows = P.parseSalesRows(fixture('sales-by-date')).rows;
+    const bare = B.basketSegments(salesRows);
+    assert.equal(bare.hasLines, false);
+    assert.equal(bare.hasTime, false);
+    assert.equal(bare.total.net, salesRows.reduce((s, r) => s + r.net, 0));
+
+    const first = salesRows[0];
+    const lineRows = [line(first.doc, first.date, '12:30:00', 'DON004 / Salmon Don', 'Donburi', 2, first.net)];
+    const { bills, hasLines, hasTime } = B.basketSegments(salesRows, { lineRows });
+    const b = bills.find(x => x.doc === first.doc);
+    assert.ok(hasLines && hasTime);
+    assert.equal(b.h, 12);
+    assert.equal(b.qty, 2);
+    assert.equal(b.net, first.net); // totals still come from the sales file
+});
+
+test('basketPairs measures support, confidence and lift from item lines', () => {
+    const rows = P.parseSalesRows(fixture('sales-by-product')).rows;
+    const res = B.basketPairs(rows);
+    assert.equal(res.bills, 3);
+    assert.equal(res.singleItem, 2);
+    assert.deepEqual(res.cat.map(p => [p.a, p.b, p.cnt, p.lift, p.confAB, p.avgBill]), [['Beverage', 'Sushi Bento', 1, 3, 1, 230.8]]);
+    assert.equal(res.prodCat['DON004 / Salmon Don'], 'Donburi');
+
+    // A bill number that repeats on another day is another bill; filters drop dates and rare pairs
+    const more = [...rows, line('INV-01-00001/2026', '02/03/2026', '', 'X', 'Donburi', 1, 100), line('INV-01-00001/2026', '02/03/2026', '', 'Y', 'Beverage', 1, 20)];
+    assert.equal(B.basketPairs(more).bills, 4);
+    assert.deepEqual(B.basketPairs(more).cat.map(p => [p.a, p.b, p.cnt]), [['Beverage', 'Sushi Bento', 1], ['Beverage', 'Donburi', 1]]);
+    assert.deepEqual(B.basketPairs(more, { from: '02/03/2026' }).cat.map(p => p.b), ['Donburi']);
+    assert.equal(B.basketPairs(more, { minSup: 30 }).cat.length, 0);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const P = require('../parsers.js');
+const B = require('../budget.js');
+
+const fixture = name => JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', name + '.json'), 'utf8'));
+const pad = n => String(n).padStart(2, '0');
+const days = (from, to, net) => Array.from({ length: to - from + 1 }, (_, i) => ({ date: pad(from + i) + '/03/2026', net: net(from + i) }));
+
+test('parseBudgetRows reads month and day targets with branch and category', () => {
+    const log = {};
+    const rows = P.parseBudgetRows(fixture('budget'), log);
+    assert.deepEqual(rows[0], { date: '', mm: 3, yy: 2026, branch: 'Don Mueang', cat: '', net: 600000 });
+    assert.deepEqual(rows[1], { date: '', mm: 3, yy: 2026, branch: 'Don Mueang', cat: 'Sushi Bento', net: 350000 });
+    assert.deepEqual(rows.slice(2).map(r => [r.date, r.mm, r.branch, r.net]), [['01/04/2026', 4, 'Don Mueang', 21000], ['02/04/2026', 4, '', 19000]]);
+    assert.deepEqual(log, {
+        read: 7, accepted: 4, rejected: 2,
+        reasons: { 'ไม่มีเป้ายอดขาย': 1, 'อ่านเดือน/วันที่ไม่ได้': 1, [P.SUMMARY_ROW]: 1 }
+    });
+    assert.equal(P.classifyExport(fixture('budget')), 'budget');
+    assert.throws(() => P.parseBudgetRows(fixture('monthly')), /เป้ายอดขาย/);
+});
+
+test('a month target is spread by weekday weight and paced to month end', () => {
+    // Saturdays and Sundays sell double → they carry double the budget
+    const weekend = d => ['Sat', 'Sun'].includes(P.getDOW(pad(d) + '/03/2026'));
+    const daily = days(1, 14, d => weekend(d) ? 20000 : 10000);
+    const budgetRows = [{ date: '', mm: 3, yy: 2026, branch: 'A', cat: '', net: 400000 }];
+    const p = B.budgetPacing({ daily, budgetRows });
+    assert.equal(p.asOf, '14/03/2026');
+    assert.deepEqual([p.dayCount, p.elapsed, p.remaining], [31, 14, 17]);
+    assert.ok(Math.abs(p.weights.Sat / p.weights.Mon - 2) < 1e-9);
+    const sat = p.calendar.find(c => c.date === '07/03/2026'), mon = p.calendar.find(c => c.date === '09/03/2026');
+    assert.ok(Math.abs(sat.budget - 2 * mon.budget) < 1e-6);
+    assert.ok(Math.abs(p.target - 400000) < 1e-6);
+    assert.equal(p.mtd, 180000);
+    // 14 days hold 18 weighted days, the month 40 → run rate ฿10,000 per weighted day
+    assert.ok(Math.abs(p.projection - 400000) < 1e-6);
+    assert.equal(p.projStatus, 'green');
+    assert.ok(Math.abs(p.required - 220000 / 17) < 1e-6);
+    assert.ok(Math.abs(p.calendar.filter(c => c.required != null).reduce((s, c) => s + c.required, 0) - 220000) < 1e-6);
+    assert.equal(p.byDow.find(d => d.dow === 'Sat').days, 2);
+});
+
+test('RAG status, category pacing and day targets', () => {
+    assert.equal(B.ragStatus(100, 100), 'green');
+    assert.equal(B.ragStatus(96, 100), 'amber');
+    assert.equal(B.ragStatus(90, 100), 'red');
+    assert.equal(B.ragStatus(90, 0), null);
+
+    const daily = days(1, 10, () => 1000);
+    const budgetRows = [
+        ...days(1, 31, () => 1200).map(d => ({ ...d, mm: 3, yy: 2026, branch: 'A', cat: '' })),
+        { date: '', mm: 3, yy: 2026, branch: 'A', cat: 'Donburi', net: 3100 },
+        { date: '', mm: 3, yy: 2026, branch: 'B', cat: 'Donburi', net: 3100 }   // B has no total row → its categories are its total
+    ];
+    const catRows = daily.map(d => ({ date: d.date, cat: 'Donburi', net: 250 }));
+    const p = B.budgetPacing({ daily, budgetRows, catRows });
+    assert.equal(p.mtdBudget, 10 * 1200 + 1000);
+    assert.equal(p.status, 'red');
+    assert.equal(p.byDow.length, 7);
+    assert.deepEqual(p.cats.map(c => [c.cat, Math.round(c.target), c.mtd, c.status]), [['Donburi', 6200, 2500, 'green']]);
+    assert.equal(B.budgetPacing({ daily, budgetRows }, { cat: 'Sushi Bento' }), null);
+    assert.equal(B.budgetPacing({ daily: days(1, 3, () => 1), budgetRows: [] }), null);
+    assert.equal(B.budgetPacing({ daily, budgetRows }).cats[0].mtd, null);   // no line rows → no category actuals
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const F = require('../forecast.js');
+
+// 02/03/2026 is a Monday; weekends sell double
+const WEEK = [100, 100, 100, 100, 150, 200, 200];
+const series = (days, y) => Array.from({ length: days }, (_, i) => ({ date: String(2 + i).padStart(2, '0') + '/03/2026', y: y(i) }));
+
+test('forecastSeries repeats a flat weekly pattern with no trend or spread', () => {
+    const fc = F.forecastSeries(series(28, i => WEEK[i % 7]), 7);
+    assert.ok(Math.abs(fc.trend) < 1e-9);
+    assert.ok(fc.sigma < 1e-9);
+    assert.deepEqual(fc.future.map(p => p.date), ['30/03/2026', '31/03/2026', '01/04/2026', '02/04/2026', '03/04/2026', '04/04/2026', '05/04/2026']);
+    assert.deepEqual(fc.future.map(p => p.dow), ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun']);
+    fc.future.forEach((p, i) => assert.ok(Math.abs(p.y - WEEK[i]) < 1e-9));
+});
+
+test('forecastSeries follows the trend and widens its bands with the horizon', () => {
+    const fc = F.forecastSeries(series(21, i => 100 + 5 * i + (i % 3) * 4), 10);
+    assert.ok(fc.trend > 4 && fc.trend < 6);
+    const [first, , , , , , , , , last] = fc.future;
+    assert.ok(last.hi95 - last.lo95 > first.hi95 - first.lo95);
+    assert.ok(first.lo80 >= first.lo95 && first.hi80 <= first.hi95);
+    // Closed days leave gaps in the day index instead of shifting the trend
+    const gappy = series(21, i => 100 + 5 * i).filter((_, i) => i !== 10);
+    assert.ok(Math.abs(F.forecastSeries(gappy, 1).trend - F.forecastSeries(series(21, i => 100 + 5 * i), 1).trend) < 0.5);
+});
+
+test('backtestSeries scores the held-out days and needs a week of training data', () => {
+    const flat = series(28, i => WEEK[i % 7]);
+    const bt = F.backtestSeries(flat, 7);
+    assert.equal(bt.pred.length, 7);
+    assert.ok(bt.mae < 1e-9 && bt.mape < 1e-9);
+    const off = flat.map((p, i) => i === 27 ? { ...p, y: 400 } : p);   // last Sunday: 400 vs 200 predicted → 50% off on 1 of 7 days
+    assert.ok(Math.abs(F.backtestSeries(off, 7).mape - 50 / 7) < 1e-6);
+    assert.equal(F.backtestSeries(series(10, () => 1), 7), null);
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const P = require('../parsers.js');
+const LB = require('../labour.js');
+
+const fixture = name => JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', name + '.json'), 'utf8'));
+const shift = (staff, date, start, end, extra = {}) => ({ staff, date, start, end, role: '', rate: null, breakMin: 0, ...extra });
+const bill = (date, h, net) => ({ date, h, net });
+
+test('parseRosterRows reads shifts, Excel times and overnight ends', () => {
+    const log = {};
+    const rows = P.parseRosterRows(fixture('roster'), log);
+    assert.deepEqual(rows[0], {
+        staff: 'Somchai Jaidee', date: '02/03/2026', start: '10:00', end: '14:00',
+        role: 'Cashier', rate: 60, breakMin: 0, branch: '', hours: 4
+    });
+    assert.deepEqual([rows[1].start, rows[1].end, rows[1].rate], ['09:00', '12:00', null]);
+    assert.equal(rows[2].hours, 3); // 22:00 → 02:00 less a one-hour break
+    assert.deepEqual(log, {
+        read: 6, accepted: 3, rejected: 3,
+        reasons: { 'ไม่มีชื่อพนักงาน': 1, 'วันที่อ่านไม่ได้': 1, 'อ่านเวลาเข้า/ออกไม่ได้': 1 }
+    });
+    assert.equal(P.classifyExport(fixture('roster')), 'roster');
+    assert.throws(() => P.parseRosterRows(fixture('budget')), /ตารางกะ/);
+});
+
+test('shiftSlots splits a shift into paid hours, past midnight onto the next day', () => {
+    assert.deepEqual(LB.shiftSlots(shift('A', '02/03/2026', '10:30', '12:00')), [
+        { date: '02/03/2026', h: 10, frac: 0.5 }, { date: '02/03/2026', h: 11, frac: 1 }
+    ]);
+    const night = LB.shiftSlots(shift('B', '31/03/2026', '23:00', '01:00', { breakMin: 30 }));
+    assert.deepEqual(night.map(s => [s.date, s.h, s.frac]), [['31/03/2026', 23, 0.75], ['01/04/2026', 0, 0.75]]);
+});
+
+test('labourProductivity measures sales per labour hour and flags staffing against demand', () => {
+    const d = '02/03/2026';
+    const roster = [
+        shift('A', d, '10:00', '14:00', { rate: 50 }),
+        shift('B', d, '11:00', '13:00', { rate: 50 }),
+        shift('C', d, '13:00', '14:00', { rate: 50 }),
+        shift('X', '09/03/2026', '10:00', '14:00', { rate: 50 }) // no sales that day → ignored
+    ];
+    const bills = [bill(d, 10, 100), bill(d, 11, 1200), bill(d, 11, 1200), bill(d, 12, 1000), bill(d, 13, 200), bill(d, 15, 300), bill(d, null, 999)];
+    const r = LB.labourProductivity({ roster, bills });
+    // 7 labour hours, ฿4,000 of timed sales that day → target ≈ ฿571 per labour hour
+    assert.equal(r.totals.staffHours, 7);
+    assert.equal(r.totals.net, 4000);
+    assert.equal(r.target, 4000 / 7);
+    assert.equal(r.totals.costPct, 350 / 4000 * 100);
+    assert.deepEqual(r.byHour.map(h => [h.key, h.staffHours, h.net, h.status]), [
+        [10, 1, 100, 'over'], [11, 2, 2400, 'under'], [12, 2, 1000, 'ok'], [13, 2, 200, 'over'], [15, 0, 300, 'under']
+    ]);
+    assert.equal(r.byHour[1].bph, 1);
+    assert.equal(r.byHour[1].needStaff, 2400 / (4000 / 7));
+    assert.deepEqual(r.byDaypart.map(g => g.key), ['Breakfast', 'Lunch', 'Tea Time']);
+    assert.equal(r.staffCount, 3);
+    assert.deepEqual(r.noRosterDates, []);
+    assert.equal(LB.labourProductivity({ roster: roster.map(s => ({ ...s, rate: null })), bills }).totals.costPct, null);
+    // Daypart filter keeps only the hours inside the range
+    const lunch = LB.labourProductivity({ roster, bills }, { hourRange: P.daypartRange('Lunch') });
+    assert.deepEqual(lunch.byHour.map(h => h.key), [11, 12, 13]);
+});
+
+test('cancelsByShift links cancels to the canceller\'s shift', () => {
+    const roster = [
+        shift('Somchai Jaidee', '02/03/2026', '10:00', '14:00', { role: 'Cashier' }),
+        shift('Anan', '02/03/2026', '22:00', '02:00')
+    ];
+    const cancels = [
+        { date: '02/03/2026', doc: 'A1', amount: 120, person: 'somchai', time: '11:15:00' },
+        { date: '02/03/2026', doc: 'A2', amount: 80, person: 'Somchai', time: '18:00:00' },
+        { date: '03/03/2026', doc: 'A3', amount: 50, person: 'Anan', time: '01:10:00' },
+        { date: '02/03/2026', doc: 'A4', amount: 30, person: 'Pim', time: '12:00:00' }
+    ];
+    const { rows, byShift } = LB.cancelsByShift(cancels, roster);
+    assert.deepEqual(rows.map(r => [r.doc, r.shift && r.shift.staff, r.rostered]), [
+        ['A1', 'Somchai Jaidee', true], ['A2', null, true], ['A3', 'Anan', true], ['A4', null, false]
+    ]);
+    assert.deepEqual(byShift.map(s => [s.staff, s.date, s.count, s.amount]), [['Somchai Jaidee', '02/03/2026', 1, 120], ['Anan', '02/03/2026', 1, 50]]);
+});
+
+test('cancelsByShift falls back to the first name only when one rostered person has it that day', () => {
+    const roster = [
+        shift('Somchai Jaidee', '02/03/2026', '10:00', '14:00'),
+        shift('Somchai Rakdee', '02/03/2026', '12:00', '20:00'),
+        shift('Somchai Rakdee', '03/03/2026', '12:00', '20:00')
+    ];
+    const cancels = [
+        { date: '02/03/2026', doc: 'B1', amount: 90, person: 'Somchai', time: '13:00:00' },
+        { date: '02/03/2026', doc: 'B2', amount: 60, person: 'Somchai Rakdee', time: '13:00:00' },
+        { date: '03/03/2026', doc: 'B3', amount: 40, person: 'Somchai', time: '13:00:00' }
+    ];
+    assert.deepEqual(LB.cancelsByShift(cancels, roster).rows.map(r => [r.doc, r.shift && r.shift.staff, r.rostered, r.ambiguous]), [
+        ['B1', null, false, true], ['B2', 'Somchai Rakdee', true, false], ['B3', 'Somchai Rakdee', true, false]
+    ]);
+    assert.equal(LB.rosterName('somchai', ['Somchai Jaidee', 'Somchai Rakdee']), null);
+    assert.equal(LB.rosterName('Malee', ['Malee Suksan', 'Anan']), 'malee suksan');
+});
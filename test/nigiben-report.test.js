@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const XLSX = require('xlsx');
+
+const CLI = require('../bin/nigiben-report.js');
+const fixture = name => JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', name + '.json'), 'utf8'));
+
+// {file name: fixture name} → temp folder of .xlsx exports, removed after the run
+const dirs = [];
+function exportsDir(files) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nigiben-cli-'));
+    dirs.push(dir);
+    Object.entries(files).forEach(([file, name]) => {
+        const wb = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(fixture(name)), 'Sheet1');
+        XLSX.writeFile(wb, path.join(dir, file));
+    });
+    return dir;
+}
+test.after(() => dirs.forEach(d => fs.rmSync(d, { recursive: true, force: true })));
+
+test('loadExports classifies each export and keeps the cancels of the detected branch', () => {
+    const dir = exportsDir({ '1-sales.xlsx': 'sales-by-product', '2-promo.xlsx': 'promo', '4-cancel.xlsx': 'cancel' });
+    const { branch, manifest, ds } = CLI.loadExports(dir);
+    assert.equal(branch, 'Don Mueang');
+    assert.deepEqual(manifest.map(m => m.type), ['sales-by-product', 'promo', 'cancel']);
+    assert.equal(ds.isByDate, false);
+    assert.equal(ds.promoRows.length, 2);
+    assert.ok(ds.cancelRows.length > 0 && ds.cancelRows.every(r => r.branch === 'Don Mueang'));
+});
+
+test('the same bills in two sales exports stop the run', () => {
+    const dir = exportsDir({ 'a.xlsx': 'sales-by-product', 'b.xlsx': 'sales-by-product' });
+    assert.throws(() => CLI.loadExports(dir), /appear in more than one sales export \(a\.xlsx, b\.xlsx\)/);
+});
+
+test('exports from different branches need --branch', () => {
+    const dir = exportsDir({ '1-by-date.xlsx': 'sales-by-date', '1p-by-product.xlsx': 'sales-by-product' });
+    assert.throws(() => CLI.loadExports(dir), /different branches \(Siam Paragon, Don Mueang\).*--branch/);
+    const { branch, ds } = CLI.loadExports(dir, 'Siam Paragon');
+    assert.equal(branch, 'Siam Paragon');
+    assert.equal(ds.isByDate, true);
+    assert.ok(ds.productRows.length > 0);
+});
+
+test('buildReportData and writeOutputs produce the reports, CSVs and a summary that agree', () => {
+    const { branch, manifest, ds } = CLI.loadExports(exportsDir({ '1-sales.xlsx': 'sales-by-product', '4-cancel.xlsx': 'cancel' }));
+    const d = CLI.buildReportData(ds);
+    assert.deepEqual(d.DAILY.map(r => r.date), ['01/03/2026', '02/03/2026']);
+    assert.equal(d.DOW_MAP['01/03/2026'], 'Sun');
+
+    const out = fs.mkdtempSync(path.join(os.tmpdir(), 'nigiben-out-'));
+    dirs.push(out);
+    const summary = CLI.writeOutputs(out, branch, manifest, d);
+    assert.deepEqual(summary.period, { from: '01/03/2026', to: '02/03/2026', days: 2 });
+    assert.equal(summary.totals.bills, d.TOTAL_BILLS);
+    assert.ok(summary.outputs.includes('performance-report.html') && summary.outputs.includes('cancel-report.html'));
+    assert.deepEqual(fs.readdirSync(out).sort(), [...summary.outputs].sort());
+    const daily = fs.readFileSync(path.join(out, 'daily.csv'), 'utf8');
+    assert.equal(daily.trim().split('\r\n').length, 3);
+    assert.deepEqual(JSON.parse(fs.readFileSync(path.join(out, 'summary.json'), 'utf8')).totals, summary.totals);
+});
+
+test('a CSV roster keeps its day-first dates', () => {
+    const dir = exportsDir({ '1-sales.xlsx': 'sales-by-product' });
+    fs.writeFileSync(path.join(dir, '8-roster.csv'), [
+        'พนักงาน,ตำแหน่ง,วันที่,เวลาเข้า,เวลาออก,พัก (นาที),ค่าแรง (฿/ชม.)',
+        'Somchai Jaidee,Cashier,02/03/2026,10:00,14:00,,60',
+        'Anan,Cashier,12/03/2026,22:00,02:00,60,70'
+    ].join('\r\n'));
+    const { manifest, ds } = CLI.loadExports(dir);
+    assert.deepEqual(manifest.find(m => m.file === '8-roster.csv'), { file: '8-roster.csv', type: 'roster', rows: 2 });
+    assert.deepEqual(ds.rosterRows.map(s => [s.staff, s.date, s.start, s.end, s.breakMin, s.rate]), [
+        ['Somchai Jaidee', '02/03/2026', '10:00', '14:00', 0, 60],
+        ['Anan', '12/03/2026', '22:00', '02:00', 60, 70]
+    ]);
+});
+
+test('a roster adds labour productivity to the CSVs and the summary', () => {
+    const dir = exportsDir({ '1-sales.xlsx': 'sales-by-product' });
+    fs.writeFileSync(path.join(dir, '8-roster.csv'), [
+        'พนักงาน,ตำแหน่ง,วันที่,เวลาเข้า,เวลาออก,พัก (นาที),ค่าแรง (฿/ชม.)',
+        'Somchai Jaidee,Cashier,01/03/2026,10:00,14:00,,60'
+    ].join('\r\n'));
+    const { branch, manifest, ds } = CLI.loadExports(dir);
+    const d = CLI.buildReportData(ds);
+    const out = fs.mkdtempSync(path.join(os.tmpdir(), 'nigiben-out-'));
+    dirs.push(out);
+    const { labour, outputs } = CLI.writeOutputs(out, branch, manifest, d);
+    assert.ok(outputs.includes('labour.csv'));
+    assert.equal(labour.staff, 1);
+    assert.equal(labour.staffHours, 4);
+    assert.equal(labour.cost, 240);
+    assert.deepEqual(labour.noRosterDates, ['02/03/2026']);
+    assert.equal(labour.byDaypart.reduce((s, g) => s + g.staffHours, 0), 4);
+});
@@ -0,0 +1,282 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const P = require('../parsers.js');
+
+const fixture = name => JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', name + '.json'), 'utf8'));
+
+test('normDate pads D/M/YYYY and converts ISO dates', () => {
+    assert.equal(P.normDate('1/3/2026'), '01/03/2026');
+    assert.equal(P.normDate('01/03/2026'), '01/03/2026');
+    assert.equal(P.normDate('2026-03-01'), '01/03/2026');
+    assert.equal(P.normDate('2026-03-01T10:00:00'), '01/03/2026');
+    assert.equal(P.normDate(''), '');
+    assert.equal(P.normDate(null), '');
+});
+
+test('normDate converts Buddhist-era years to CE', () => {
+    assert.equal(P.normDate('01/03/2569'), '01/03/2026');
+    assert.equal(P.normDate('1/3/2569'), '01/03/2026');
+    assert.equal(P.normDate('2569-03-01'), '01/03/2026');
+});
+
+test('normDate converts Excel serials given as numbers or strings', () => {
+    assert.equal(P.normDate(46082), '01/03/2026');
+    assert.equal(P.normDate('46083'), '02/03/2026');
+    assert.equal(P.normDate(46082.75), '01/03/2026'); // time of day is dropped
+});
+
+test('getDOW reads DD/MM/YYYY', () => {
+    assert.equal(P.getDOW('01/03/2026'), 'Sun');
+    assert.equal(P.getDOW('02/03/2026'), 'Mon');
+    assert.equal(P.getDOW(''), '?');
+    assert.equal(P.getDOW('garbage'), '?');
+});
+
+test('findHeaderRow skips title rows and respects the search limit', () => {
+    const rows = fixture('sales-by-product');
+    assert.equal(P.findHeaderRow(rows, r => r.includes('เลขที่เอกสาร')), 3);
+    assert.equal(P.findHeaderRow(rows, r => r.includes('เลขที่เอกสาร'), 3), -1);
+    assert.equal(P.findHeaderRow(rows, r => r.includes('ไม่มีคอลัมน์นี้')), -1);
+});
+
+test('parseSalesRows detects a by-product export', () => {
+    const { rows, isByDate, branch } = P.parseSalesRows(fixture('sales-by-product'));
+    assert.equal(isByDate, false);
+    assert.equal(branch, 'Don Mueang');
+    assert.equal(rows.length, 4); // title, banner and total rows are skipped
+    assert.deepEqual(rows.map(r => r.date), ['01/03/2026', '01/03/2026', '01/03/2026', '02/03/2026']);
+    const don = rows[2];
+    assert.equal(don.prod, 'DON004 / Salmon Don');
+    assert.equal(don.cat, 'Donburi');
+    assert.equal(don.time, '18:40:00');
+    assert.equal(don.net, 136.5);
+    assert.equal(don.gross, 195); // net + item discount
+});
+
+test('parseSalesRows detects a by-date export', () => {
+    const { rows, isByDate, branch } = P.parseSalesRows(fixture('sales-by-date'));
+    assert.equal(isByDate, true);
+    assert.equal(branch, 'Siam Paragon');
+    assert.equal(rows.length, 3);
+    assert.deepEqual(rows.map(r => r.date), ['01/03/2026', '01/03/2026', '02/03/2026']);
+    rows.forEach(r => {
+        assert.equal(r.qty, 1);
+        assert.equal(r.prod, '');
+        assert.equal(r.time, '');
+    });
+    assert.equal(rows[0].net, 270);
+    assert.equal(rows[0].disc, 30);
+    assert.equal(rows[0].gross, 300);
+});
+
+test('parsePromoRows keeps PM codes and derives missing net', () => {
+    const rows = P.parsePromoRows(fixture('promo'));
+    assert.equal(rows.length, 2);
+    assert.deepEqual(rows.map(r => r.code), ['PM0001', 'PM0002']);
+    assert.equal(rows[0].date, '01/03/2026');
+    assert.equal(rows[0].net, 1400);
+    assert.equal(rows[1].date, '01/03/2026');
+    assert.equal(rows[1].net, 540);
+});
+
+test('parseMonthlyRows reads Thai, numeric and English months', () => {
+    const rows = P.parseMonthlyRows(fixture('monthly'));
+    assert.deepEqual(rows.map(r => [r.mm, r.yy]), [[1, 2026], [2, 2026], [3, 2026]]);
+    assert.equal(rows[0].net, 308000);
+    assert.equal(rows[0].bills, 1500);
+    assert.equal(rows[2].days, 31);
+});
+
+test('parseMonthlyRows rejects a transaction file and a sheet without a header', () => {
+    assert.throws(() => P.parseMonthlyRows(fixture('sales-by-product')), /transaction/);
+    assert.throws(() => P.parseMonthlyRows([['a', 'b'], [1, 2]]), /Header/);
+});
+
+test('parseMonth handles Buddhist years and rejects out-of-range values', () => {
+    assert.deepEqual(P.parseMonth('มี.ค. 2569'), { mm: 3, yy: 2026 });
+    assert.deepEqual(P.parseMonth('2026-03'), { mm: 3, yy: 2026 });
+    assert.equal(P.parseMonth('13/2026'), null);
+    assert.equal(P.parseMonth('รวม'), null);
+});
+
+test('parseCancelRows normalises dates and drops zero or non-date rows', () => {
+    const rows = P.parseCancelRows(fixture('cancel'));
+    assert.equal(rows.length, 2);
+    assert.deepEqual(rows.map(r => [r.date, r.branch, r.amount]), [
+        ['03/03/2026', 'Don Mueang', 420],
+        ['03/03/2026', 'Siam Paragon', 150]
+    ]);
+    assert.equal(rows[0].remark, 'ลูกค้าเปลี่ยนใจ');
+});
+
+test('parseProductSummaryRows maps code prefixes to categories', () => {
+    const rows = P.parseProductSummaryRows(fixture('product-summary'));
+    assert.equal(rows.length, 3);
+    assert.equal(rows[0].date, '01/03/2026');
+    assert.deepEqual(rows.map(r => r.cat), ['Sushi Bento', 'Donburi', 'Other']);
+});
+
+test('parseDaypartRows returns dayparts in service order', () => {
+    const rows = fixture('daypart');
+    assert.equal(P.detectBranch(rows), 'Don Mueang');
+    const dayparts = P.parseDaypartRows(rows);
+    assert.deepEqual(dayparts.map(d => d.name), ['Breakfast', 'Lunch', 'Dinner']);
+    assert.equal(dayparts[2].timeRange, '18:00:01 - 23:59:59');
+    assert.equal(dayparts[2].net, 14500);
+    assert.equal(dayparts[2].bills, 80);
+});
+
+test('detectBranch falls back to a สาขา column', () => {
+    const rows = fixture('cancel');
+    assert.equal(P.detectBranch(rows, 0), 'Don Mueang');
+    assert.equal(P.detectBranch([['x'], ['y']]), '');
+});
+
+test('buildDailyRows uses รวมสุทธิ for by-date files and gross − discount otherwise', () => {
+    const byDate = P.buildDailyRows(P.parseSalesRows(fixture('sales-by-date')).rows, [], P.parseCancelRows(fixture('cancel')), true);
+    assert.deepEqual(byDate.map(d => [d.date, d.net, d.bills]), [['01/03/2026', 420, 2], ['02/03/2026', 89, 1]]);
+
+    const sales = P.parseSalesRows(fixture('sales-by-product')).rows;
+    const daily = P.buildDailyRows(sales, [], [], false);
+    assert.equal(daily[0].date, '01/03/2026');
+    assert.equal(daily[0].bills, 2);
+    assert.equal(daily[0].discount, 58.5);
+    assert.ok(Math.abs(daily[0].net - (210 + 20.8 + 136.5)) < 1e-9);
+});
+
+test('aggregateDataset builds categories, products, hours and baskets', () => {
+    const salesRows = P.parseSalesRows(fixture('sales-by-product')).rows;
+    const agg = P.aggregateDataset({ salesRows });
+    assert.deepEqual(agg.cats.map(c => c.cat), ['Sushi Bento', 'Donburi', 'Beverage', 'Dessert']);
+    assert.equal(agg.products.length, 4);
+    assert.equal(agg.billCount, 3);
+    assert.equal(agg.basketDist.reduce((s, n) => s + n, 0), 3);
+    assert.equal(agg.hours.find(h => h.h === 11).net, 230.8);
+    assert.equal(agg.prodByDate['01/03/2026']['DON004 / Salmon Don'].bills, 1);
+    assert.equal(agg.heatmap['01/03'].length, P.HOUR_RANGE.length);
+});
+
+test('mergeBranchDatasets keeps bills of different branches apart', () => {
+    const salesRows = P.parseSalesRows(fixture('sales-by-product')).rows;
+    const cancelRows = P.parseCancelRows(fixture('cancel'));
+    const ds = { salesRows, cancelRows, promoRows: [], productRows: [], monthlyRows: [], dayparts: [], isByDate: false };
+    const one = P.aggregateDataset(ds);
+    const all = P.mergeBranchDatasets({ 'Don Mueang': ds, 'Siam Paragon': ds });
+    const agg = P.aggregateDataset(all);
+    // Both POS systems issue INV-01-00001/2026 — same numbers, different bills
+    assert.equal(agg.billCount, 2 * one.billCount);
+    const net = a => a.daily.reduce((s, d) => s + d.net, 0);
+    assert.ok(Math.abs(net(agg) - 2 * net(one)) < 1e-9);
+    assert.equal(all.salesRows[0].doc, 'Don Mueang · ' + salesRows[0].doc);
+    assert.equal(all.cancelRows.length, 2 * cancelRows.length);
+    assert.ok(all.cancelRows.every(r => !r.doc || / · /.test(r.doc)));
+    assert.equal(salesRows[0].doc.includes(' · '), false); // branch rows are not modified
+});
+
+test('aggregateDataset prefers the product summary for product views', () => {
+    const salesRows = P.parseSalesRows(fixture('sales-by-date')).rows;
+    const prodSummaryRows = P.parseProductSummaryRows(fixture('product-summary'));
+    const agg = P.aggregateDataset({ salesRows, prodSummaryRows, isByDate: true });
+    assert.deepEqual(agg.products.map(p => p.p).sort(), ['DON004 / Salmon Don', 'MINI001 / Salmon Sushi 7 pcs.', 'XYZ999 / Mystery Item']);
+    assert.equal(agg.cats.find(c => c.cat === 'Other').net, 50);
+});
+
+test('classifyExport recognises every POS export', () => {
+    const types = ['sales-by-product', 'sales-by-date', 'promo', 'monthly', 'cancel', 'product-summary', 'daypart']
+        .map(name => P.classifyExport(fixture(name)));
+    assert.deepEqual(types, ['sales', 'sales', 'promo', 'monthly', 'cancel', 'productSummary', 'daypart']);
+    assert.equal(P.classifyExport([['hello'], ['world']]), null);
+});
+
+test('qualifiedABV excludes Beverage from by-product rows only', () => {
+    const sales = P.parseSalesRows(fixture('sales-by-product')).rows;
+    const q = P.qualifiedABV(sales, false);
+    assert.equal(q.totalBills, 3);
+    assert.equal(q.byDOW.Sun.bills, 2);
+    assert.ok(Object.values(q.byDate).every(d => d.abv > 0));
+
+    const byDate = P.parseSalesRows(fixture('sales-by-date')).rows;
+    assert.deepEqual(P.qualifiedABV(byDate, true).byDate['01/03/2026'], { net: 450, bills: 2, abv: 225 });
+});
+
+test('periodRanges compares month-to-date and week-to-date with the period before', () => {
+    assert.deepEqual(P.periodRanges(['01/03/2026', '20/03/2026', '15/02/2026'], 'month'), {
+        a: { from: '01/03/2026', to: '20/03/2026' },
+        b: { from: '01/02/2026', to: '20/02/2026' }
+    });
+    // A closed month compares against the whole previous month; 30 Mar would clamp to 28 Feb
+    assert.deepEqual(P.periodRanges(['31/03/2026'], 'month').b, { from: '01/02/2026', to: '28/02/2026' });
+    assert.deepEqual(P.periodRanges(['30/03/2026'], 'month').b, { from: '01/02/2026', to: '28/02/2026' });
+    // 20/03/2026 is a Friday
+    assert.deepEqual(P.periodRanges(['20/03/2026'], 'week'), {
+        a: { from: '16/03/2026', to: '20/03/2026' },
+        b: { from: '09/03/2026', to: '13/03/2026' }
+    });
+    assert.equal(P.periodRanges([], 'month'), null);
+    assert.equal(P.periodRanges(['20/03/2026'], 'year'), null);
+});
+
+test('sliceDataset keeps dated rows inside the range and undated rows as they are', () => {
+    const salesRows = P.parseSalesRows(fixture('sales-by-product')).rows;
+    const dayparts = P.parseDaypartRows(fixture('daypart'));
+    const cancelRows = P.parseCancelRows(fixture('cancel'));
+    const ds = P.sliceDataset({ salesRows, cancelRows, dayparts, isByDate: false }, '02/03/2026', '03/03/2026');
+    assert.deepEqual(ds.salesRows.map(r => r.date), ['02/03/2026']);
+    assert.equal(ds.cancelRows.length, 2);
+    assert.deepEqual(ds.promoRows, []);
+    assert.equal(ds.dayparts, dayparts);
+    assert.equal(ds.isByDate, false);
+});
+
+test('filterDataset slices by date, weekday, daypart and category', () => {
+    const row = (doc, date, time, cat, net) => ({ doc, date, time, cat, prod: cat + ' item', qty: 1, net, gross: net, disc: 0 });
+    const salesRows = [
+        row('A1', '02/03/2026', '08:15:00', 'Sushi Bento', 90),
+        row('A2', '02/03/2026', '12:30:00', 'Donburi', 180),
+        row('A2', '02/03/2026', '12:30:00', 'Beverage', 40),
+        row('A3', '07/03/2026', '19:05:00', 'Donburi', 200)
+    ];
+    const dayparts = [{ name: 'Lunch', timeRange: '11:00:00 - 13:00:00', net: 999 }, { name: 'Dinner', timeRange: '18:00:01 - 23:59:59', net: 500 }];
+    const cancelRows = [{ date: '02/03/2026', doc: 'X1', amount: 50, time: '12:40:00' }, { date: '02/03/2026', doc: 'X2', amount: 50, time: '' }];
+    const ds = { salesRows, cancelRows, dayparts, monthlyRows: [{ net: 1 }], promoRows: [], isByDate: false };
+
+    assert.equal(P.filterDataset(ds, { dows: [] }), ds);
+    assert.deepEqual(P.daypartRange('Lunch', dayparts), [39600, 46800]);
+    assert.deepEqual(P.daypartRange('Tea Time'), [50401, 64800]);
+
+    const lunch = P.filterDataset(ds, { daypart: 'Lunch' });
+    assert.deepEqual(lunch.salesRows.map(r => r.doc), ['A2', 'A2']);
+    assert.deepEqual(lunch.cancelRows.map(r => r.doc), ['X1']);   // untimed cancels drop out
+    assert.deepEqual(lunch.dayparts.map(d => d.name), ['Lunch']);
+
+    const sat = P.filterDataset(ds, { from: '01/03/2026', to: '31/03/2026', dows: ['Sat'], cat: 'Donburi' });
+    assert.deepEqual(sat.salesRows.map(r => r.doc), ['A3']);
+    assert.deepEqual(sat.monthlyRows, []);
+    assert.deepEqual(sat.dayparts, []);
+
+    // by-date bills: time from the 1p rows, category cannot split a bill total
+    const bills = [{ doc: 'A2', date: '02/03/2026', time: '', net: 220 }, { doc: 'A3', date: '07/03/2026', time: '', net: 200 }];
+    const byDate = P.filterDataset({ salesRows: bills, productRows: salesRows, isByDate: true }, { daypart: 'Dinner', cat: 'Beverage' });
+    assert.deepEqual(byDate.salesRows.map(r => r.doc), ['A3']);
+    assert.deepEqual(byDate.productRows, []);
+});
+
+test('parsers log rows read, accepted and rejected with the reason', () => {
+    const rows = fixture('sales-by-product');
+    rows.splice(-1, 0, ['INV-01-00004/2026', 'soon', '', '', 'X', 1, 10, 0, 0, 0], ['', '', '', '', '', '', '', '', '', ''], ['VOID', '02/03/2026', '', '', 'X', 1, 10, 0, 0, 0]);
+    const log = {};
+    assert.equal(P.parseSalesRows(rows, log).rows.length, 4);
+    assert.deepEqual(log, {
+        read: 7, accepted: 4, rejected: 2,
+        reasons: { 'วันที่อ่านไม่ได้': 1, 'เลขที่เอกสารไม่ตรงรูปแบบ': 1, [P.SUMMARY_ROW]: 1 }
+    });
+    const cancel = {};
+    P.parseCancelRows(fixture('cancel'), cancel);
+    assert.deepEqual(cancel, { read: 4, accepted: 2, rejected: 1, reasons: { 'จำนวนเงินเป็น 0': 1, [P.SUMMARY_ROW]: 1 } });
+    const dayparts = {};
+    P.parseDaypartRows(fixture('daypart'), dayparts);
+    assert.deepEqual(dayparts, { read: 3, accepted: 3, rejected: 0, reasons: {} });
+});
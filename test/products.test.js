@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const P = require('../parsers.js');
+const PM = require('../products.js');
+
+const fixture = name => JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', name + '.json'), 'utf8'));
+const master = products => PM.normalizeMaster({ categories: PM.DEFAULT_CATEGORIES, products });
+
+test('normalizeMaster cleans products and rejects bad entries', () => {
+    const m = PM.normalizeMaster([{ code: ' mini004 ', name: 'Futo Maki', launch: '2569-03-10', trialDays: '30', cost: '' }]);
+    assert.equal(m.categories.length, PM.DEFAULT_CATEGORIES.length); // products-only list keeps the default categories
+    assert.deepEqual(m.products[0], { code: 'MINI004', name: 'Futo Maki', cat: '', launch: '10/03/2026', trialDays: 30, cost: 0 });
+    assert.throws(() => PM.normalizeMaster({}), /products or categories/);
+    assert.throws(() => PM.normalizeMaster([{ name: 'No code' }]), /needs a code/);
+    assert.throws(() => PM.normalizeMaster([{ code: 'A1', cost: -5 }]), /cost/);
+    assert.throws(() => PM.normalizeMaster([{ code: 'A1', launch: 'soon' }]), /DD\/MM\/YYYY/);
+    assert.throws(() => PM.normalizeMaster({ categories: [{ name: 'Sushi' }, { name: 'Sushi' }] }), /twice/);
+});
+
+test('resolveProduct splits a shared code by POS name, then launch date', () => {
+    const m = master([
+        { code: 'MINI004', name: 'California Roll', launch: '01/03/2026' },
+        { code: 'MINI004', name: 'Futo Maki', launch: '10/03/2026' },
+        { code: 'MINI008', name: 'Kani Sashimi' },
+        { code: 'MINI008', name: 'Sushi 2 Tone' }
+    ]);
+    assert.equal(PM.resolveProduct(m, 'MINI004', 'Salmon Set', '05/03/2026').name, 'California Roll');
+    assert.equal(PM.resolveProduct(m, 'mini004', 'Salmon Set', '12/03/2026').name, 'Futo Maki');
+    assert.equal(PM.resolveProduct(m, 'MINI004', 'Futo Maki', '05/03/2026').name, 'Futo Maki');
+    assert.equal(PM.resolveProduct(m, 'MINI004', 'Salmon Set', '28/02/2026'), null); // before either launch
+    assert.equal(PM.resolveProduct(m, 'MINI008', 'Salmon Set', '05/03/2026'), null); // undated pair is ambiguous
+    assert.deepEqual(PM.sharedCodes(m).map(s => s.code), ['MINI008']);
+    assert.deepEqual(PM.splitProd('MINI004 / Futo Maki'), { code: 'MINI004', name: 'Futo Maki' });
+    assert.deepEqual(PM.splitProd('Water'), { code: '', name: 'Water' });
+});
+
+test('categorize prefers the master, then the POS group, then code prefixes', () => {
+    const m = PM.normalizeMaster({
+        categories: [...PM.DEFAULT_CATEGORIES, { name: 'Rice Bowl', prefixes: 'RB' }],
+        products: [{ code: 'DON004', name: 'Salmon Don', cat: 'Rice Bowl' }]
+    });
+    const sales = PM.categorize(m, P.parseSalesRows(fixture('sales-by-product')).rows);
+    const don = sales.find(r => r.prod.startsWith('DON004'));
+    assert.equal(don.cat, 'Rice Bowl');
+    assert.equal(don.posCat, 'Donburi');
+    assert.equal(sales.find(r => r.prod.startsWith('BEV')).cat, 'Beverage');
+    // Running again with the defaults restores the POS group
+    PM.categorize(PM.normalizeMaster(PM.DEFAULT_MASTER), sales);
+    assert.equal(don.cat, 'Donburi');
+
+    const summary = PM.categorize(m, [{ date: '01/03/2026', code: 'RB001', name: 'Teriyaki Bowl', cat: 'Other' }]);
+    assert.equal(summary[0].cat, 'Rice Bowl');
+});
+
+test('categoryOrder and categoryColors append categories found only in the data', () => {
+    const m = PM.normalizeMaster(PM.DEFAULT_MASTER);
+    assert.deepEqual(PM.categoryOrder(m, ['Donburi', 'Sashimi', '']).slice(-2), ['Appetizer', 'Sashimi']);
+    const colors = PM.categoryColors(m, ['Sashimi']);
+    assert.equal(colors.Donburi, '#3b82f6');
+    assert.match(colors.Sashimi, /^#[0-9a-f]{6}$/);
+    assert.ok(!PM.DEFAULT_CATEGORIES.some(c => c.color === colors.Sashimi));
+});
+
+test('trialStatus counts days from launch', () => {
+    const p = { launch: '01/03/2026', trialDays: 30 };
+    assert.deepEqual(PM.trialStatus(p, '20/03/2026'), { day: 20, of: 30, end: '30/03/2026', ended: false });
+    assert.equal(PM.trialStatus(p, '31/03/2026').ended, true);
+    assert.equal(PM.trialStatus({ launch: '', trialDays: 30 }, '20/03/2026'), null);
+});
+
+test('product sheets round-trip through parseMasterRows', () => {
+    const m = PM.normalizeMaster({
+        categories: PM.DEFAULT_CATEGORIES,
+        products: [{ code: 'MINI004', name: 'Futo Maki', cat: 'Sushi Bento', launch: '10/03/2026', trialDays: 30, cost: 48.5 }],
+        costs: [{ code: 'MINI004', from: '01/04/2026', cost: 52 }]
+    });
+    const sheets = PM.masterSheets(m);
+    const back = PM.normalizeMaster({
+        categories: PM.parseCategoryRows(sheets.Categories), products: PM.parseMasterRows(sheets.Products), costs: PM.parseCostRows(sheets.Costs)
+    });
+    assert.deepEqual(back, m);
+    assert.equal(PM.parseCostRows(sheets.Products), null); // no effective-date column
+    const english = PM.parseMasterRows([['Product list'], ['Code', 'Name', 'Cost'], ['DON001', 'Oyakodon', 41]]);
+    assert.deepEqual(english, [{ code: 'DON001', name: 'Oyakodon', cat: '', launch: '', trialDays: '', cost: 41 }]);
+    assert.throws(() => PM.parseMasterRows([['a', 'b']]), /รหัสสินค้า/);
+});
+
+test('normalizeMaster validates the cost history', () => {
+    const m = PM.normalizeMaster({ products: [], costs: [{ code: 'don004', from: '2569-03-10', cost: '60' }, { code: 'DON004', cost: 55 }] });
+    assert.deepEqual(m.costs, [{ code: 'DON004', from: '', cost: 55 }, { code: 'DON004', from: '10/03/2026', cost: 60 }]);
+    const costs = list => PM.normalizeMaster({ products: [], costs: list });
+    assert.throws(() => costs([{ code: 'A1', cost: '' }]), /cost must be/);
+    assert.throws(() => costs([{ code: 'A1', from: 'soon', cost: 1 }]), /DD\/MM\/YYYY/);
+    assert.throws(() => costs([{ code: 'A1', from: '01/03/2026', cost: 1 }, { code: 'a1', from: '1/3/2026', cost: 2 }]), /two costs/);
+});
+
+test('unitCost follows effective dates, then the product cost', () => {
+    const m = PM.normalizeMaster({
+        categories: PM.DEFAULT_CATEGORIES,
+        products: [{ code: 'DON004', name: 'Salmon Don', cost: 50 }, { code: 'BEV006', name: 'Green Tea' }],
+        costs: [{ code: 'DON004', from: '02/03/2026', cost: 70 }]
+    });
+    assert.equal(PM.unitCost(m, 'DON004', 'Salmon Don', '01/03/2026'), 50);
+    assert.equal(PM.unitCost(m, 'don004', 'Salmon Don', '02/03/2026'), 70);
+    assert.equal(PM.unitCost(m, 'BEV006', 'Green Tea', '01/03/2026'), null); // listed without a cost
+    assert.equal(PM.unitCost(m, 'XYZ999', 'Mystery', '01/03/2026'), null);
+});
+
+test('marginBy works on ex-VAT revenue and skips rows without a cost', () => {
+    const m = PM.normalizeMaster({ categories: PM.DEFAULT_CATEGORIES, products: [{ code: 'DON004', name: 'Salmon Don', cost: 50 }] });
+    const sales = PM.costRows(m, P.parseSalesRows(fixture('sales-by-product')).rows);
+    const don = sales.find(r => r.prod.startsWith('DON004'));
+    assert.equal(don.cost, 50 * don.qty);
+    assert.ok(sales.filter(r => r !== don).every(r => r.cost === null));
+
+    const by = PM.marginBy(sales, r => r.cat);
+    const { rev, gross } = PM.exVat(don);
+    assert.ok(Math.abs(by.Donburi.cm - (rev - don.cost)) < 1e-9);
+    assert.ok(Math.abs(by.Donburi.cmBeforeDisc - (gross - don.cost)) < 1e-9);
+    assert.ok(by.Donburi.cmBeforeDisc > by.Donburi.cm); // the item discount comes off the margin
+    assert.equal(by.Beverage.cm, null);
+    assert.equal(by.Beverage.coverage, 0);
+
+    // Product summary rows carry no VAT split → net ÷ 1.07
+    const [row] = PM.costRows(m, [{ date: '01/03/2026', code: 'DON004', name: 'Salmon Don', net: 107, qty: 1 }]);
+    const t = PM.marginBy([row], () => 'all').all;
+    assert.ok(Math.abs(t.cm - 50) < 1e-9);
+    assert.ok(Math.abs(t.fc - 50) < 1e-9);
+});
@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const P = require('../parsers.js');
+const PR = require('../promos.js');
+
+const fixture = name => JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', name + '.json'), 'utf8'));
+
+test('normalizeCatalogue cleans entries and accepts a wrapped export', () => {
+    const [e] = PR.normalizeCatalogue({ promotions: [{ code: ' pm0009 ', type: 'nope', cats: 'Donburi, Dessert', color: 'red' }] });
+    assert.equal(e.code, 'PM0009');
+    assert.equal(e.name, 'PM0009'); // name falls back to the code
+    assert.equal(e.type, 'other');
+    assert.deepEqual(e.cats, ['Donburi', 'Dessert']);
+    assert.equal(e.color, '#888888');
+    assert.equal(e.from, '');
+    assert.equal(PR.normalizeCatalogue(PR.DEFAULT_CATALOGUE).length, PR.DEFAULT_CATALOGUE.length);
+});
+
+test('normalizeCatalogue rejects non-catalogues and bad time windows', () => {
+    assert.throws(() => PR.normalizeCatalogue({ a: 1 }), /array/);
+    assert.throws(() => PR.normalizeCatalogue([{ type: 'flash' }]), /code or a name/);
+    assert.throws(() => PR.normalizeCatalogue([{ name: 'X', from: '18:00' }]), /HH:MM/);
+    assert.throws(() => PR.normalizeCatalogue([{ name: 'X', from: '18', to: '19:00' }]), /HH:MM/);
+});
+
+test('matchPromo prefers the POS code, then the name, then a catalogue name inside the export name', () => {
+    const cat = PR.normalizeCatalogue([
+        { code: 'PM0001', name: 'Evening Deal', type: 'flash' },
+        ...PR.DEFAULT_CATALOGUE
+    ]);
+    const promos = P.parsePromoRows(fixture('promo'));
+    assert.equal(PR.matchPromo(cat, promos[0].name, promos[0].code).name, 'Evening Deal');
+    assert.equal(PR.matchPromo(cat, promos[1].name, promos[1].code).type, 'staff');
+    assert.equal(PR.matchPromo(cat, 'Flash Sale 21:00-22:00 (Dinner)').name, 'Flash Sale 21:00-22:00');
+    assert.equal(PR.matchPromo(cat, 'Something else'), null);
+    assert.equal(PR.matchPromo(cat, 'Staff Discount 20%'), null);
+    assert.equal(PR.matchPromo(cat, 'Flash Sale 22:00-23:00'), null);
+    assert.equal(PR.matchPromo(cat, ''), null);
+});
+
+test('promoHours turns the time window into hourly buckets', () => {
+    assert.deepEqual(PR.promoHours({ from: '18:00', to: '19:00' }), { from: 18, to: 19 });
+    assert.deepEqual(PR.promoHours({ from: '11:30', to: '14:15' }), { from: 11, to: 15 });
+    assert.equal(PR.promoHours({ from: '', to: '' }), null);
+    assert.equal(PR.promoHours({ from: '22:00', to: '18:00' }), null);
+});
+
+test('promotionPage lists customer-facing promotions only', () => {
+    const html = PR.promotionPage(PR.DEFAULT_CATALOGUE);
+    assert.match(html, /^<!DOCTYPE html>/);
+    assert.match(html, /Grand Opening Buy 1 Get 1 Free/);
+    assert.match(html, /2600856/);
+    assert.doesNotMatch(html, /Staff Discount/);
+    assert.match(PR.promotionPage([{ name: 'Lunch <Set>', code: 'PM0100', mechanic: 'ลด 20%' }]), /Lunch &lt;Set&gt;[\s\S]*POS PM0100/);
+});
+
+test('promoROI uses a DOW-matched baseline and falls back to pooling all off days', () => {
+    const { sales, promos } = fixture('promo-roi');
+    const dates = ['02/03/2026', '03/03/2026', '09/03/2026'];
+    const dowMap = Object.fromEntries(dates.map(d => [d, P.getDOW(d)]));
+    const { rows } = PR.promoROI({ salesRows: sales, promoRows: promos, dates, dowMap, catalogue: PR.DEFAULT_CATALOGUE }, { foodCost: 0.3 });
+    assert.deepEqual(rows.map(r => r.name), [PR.FLASH_GROUP, 'Staff Discount 10%', 'Partners Discount']);
+
+    // Monday promo → the other Monday only
+    const staff = rows.find(r => r.name === 'Staff Discount 10%');
+    assert.deepEqual([staff.matched, staff.pooled, staff.w], [1, 0, { from: 0, to: 24 }]);
+    assert.deepEqual(staff.act, { net: 460, gross: 560, bills: 5 });
+    assert.deepEqual(staff.base, { net: 700, gross: 700, bills: 7 });
+    assert.equal(staff.incNet, -240);
+
+    // Tuesday promo, no other Tuesday → average of every off day; food cost on the gross difference
+    const partner = rows.find(r => r.name === 'Partners Discount');
+    assert.deepEqual([partner.matched, partner.pooled], [0, 1]);
+    assert.deepEqual(partner.base, { net: 580, gross: 630, bills: 6 });
+    assert.equal(partner.incNet, -80);
+    assert.ok(Math.abs(partner.effect - -41) < 1e-9);
+    assert.ok(Math.abs(partner.roi - -4.1) < 1e-9);
+});
+
+test('promoROI caps Flash Sale cannibalisation at the promotion\'s own uses', () => {
+    const { sales, promos } = fixture('promo-roi');
+    const dates = ['02/03/2026', '03/03/2026', '09/03/2026'];
+    const dowMap = Object.fromEntries(dates.map(d => [d, P.getDOW(d)]));
+    const [flash] = PR.promoROI({ salesRows: sales, promoRows: promos, dates, dowMap, catalogue: PR.DEFAULT_CATALOGUE }).rows;
+    assert.deepEqual(flash.w, { from: 18, to: 22, flash: true });
+    assert.deepEqual(flash.members, ['Flash Sale 19:00-20:00']);
+    assert.deepEqual([flash.fullAct, flash.fullBase], [0, 5]);
+    assert.equal(flash.cannib, 2); // 5 full-price bills missing vs baseline, but only 2 flash uses
+    assert.equal(flash.cannibNet, 200);
+    assert.equal(flash.cannibDisc, 40);
+
+    // Without bill times the whole day is compared, still flagged as Flash from the catalogue
+    const untimed = sales.map(r => ({ ...r, time: '' }));
+    const [whole] = PR.promoROI({ salesRows: untimed, promoRows: promos, dates, dowMap, catalogue: PR.DEFAULT_CATALOGUE }).rows;
+    assert.deepEqual(whole.w, { from: 0, to: 24, flash: true });
+});
+
+test('promoROI judges the Flash Sale windows as one group and totals overlapping promotions once', () => {
+    const { sales, promos } = fixture('promo-roi');
+    const dates = ['02/03/2026', '03/03/2026', '09/03/2026'];
+    const dowMap = Object.fromEntries(dates.map(d => [d, P.getDOW(d)]));
+    const second = { date: '02/03/2026', code: '', name: 'Flash Sale 20:00-21:00', count: 1, discount: 30, net: 70 };
+    const { rows, total } = PR.promoROI({ salesRows: sales, promoRows: [...promos, second], dates, dowMap, catalogue: PR.DEFAULT_CATALOGUE });
+    const flash = rows.filter(r => r.w.flash);
+    assert.equal(flash.length, 1);
+    assert.deepEqual(flash[0].members, ['Flash Sale 19:00-20:00', 'Flash Sale 20:00-21:00']);
+    assert.deepEqual([flash[0].uses, flash[0].disc, flash[0].act.net], [3, 70, 160]);
+
+    // 02/03 (staff + flash) vs Monday 09/03 and 03/03 (partners) vs the only promo-free day, whole day each
+    assert.deepEqual([total.days, total.matched, total.pooled, total.w.from, total.w.to], [2, 1, 1, 0, 24]);
+    assert.deepEqual([total.act.net, total.base.net, total.incNet], [960, 1400, -440]);
+    assert.notEqual(total.incNet, rows.reduce((s, r) => s + r.incNet, 0));
+});
+
+test('promoROI falls back to pre-launch days when every day in view ran the promotion', () => {
+    const { sales } = fixture('promo-roi');
+    const lunch = [{ date: '09/03/2026', code: '', name: 'Lunch Set', count: 2, discount: 40, net: 200 }];
+    const [r] = PR.promoROI({
+        salesRows: sales.filter(s => s.date === '09/03/2026'), promoRows: lunch, dates: ['09/03/2026'],
+        history: { salesRows: sales, promoRows: lunch }
+    }).rows;
+    assert.deepEqual([r.matched, r.pooled, r.prelaunch], [0, 0, 1]);
+    assert.deepEqual(r.base, { net: 460, gross: 560, bills: 5 });   // Monday 02/03, before the first use
+    assert.equal(r.incNet, 240);
+
+    const alone = PR.promoROI({ salesRows: sales.filter(s => s.date === '09/03/2026'), promoRows: lunch, dates: ['09/03/2026'] });
+    assert.equal(alone.rows[0].hasBase, false);
+});
@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const P = require('../parsers.js');
+const R = require('../reports.js');
+
+const fixture = name => JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', name + '.json'), 'utf8'));
+
+// Same shape as reportData() in index.html
+function reportData() {
+    const salesRows = P.parseSalesRows(fixture('sales-by-product')).rows;
+    const promoRows = P.parsePromoRows(fixture('promo'));
+    const cancelRows = P.parseCancelRows(fixture('cancel'));
+    const agg = P.aggregateDataset({ salesRows, promoRows, cancelRows });
+    const DOW_MAP = {};
+    agg.daily.forEach(d => { DOW_MAP[d.date] = P.getDOW(d.date); });
+    return {
+        DAILY: agg.daily, CATS: agg.cats, HOURS: agg.hours, PRODUCTS: agg.products,
+        PROMO_DATA: promoRows, CANCEL_DATA: cancelRows, DAYPARTS: P.parseDaypartRows(fixture('daypart')), DOW_MAP,
+        TOTAL_NET: agg.daily.reduce((s, d) => s + d.net, 0), TOTAL_BILLS: agg.billCount,
+        TOTAL_PREVAT: agg.daily.reduce((s, d) => s + d.preVat, 0), TOTAL_VAT: agg.daily.reduce((s, d) => s + d.vat, 0),
+        salesRows,
+        computeQualifiedABV: (rows, isByDate) => P.qualifiedABV(rows || salesRows, rows ? isByDate : false, DOW_MAP)
+    };
+}
+
+const pages = html => (html.match(/class="rpt-page"/g) || []).length;
+
+test('report builders return nothing without data', () => {
+    const empty = { ...reportData(), DAILY: [], HOURS: [] };
+    assert.equal(R.investorReport(empty, 'full'), '');
+    assert.equal(R.hourlyReport(empty), '');
+    assert.equal(R.behaviorReport(empty), '');
+});
+
+test('investorReport switches between performance and investor modes', () => {
+    const d = reportData();
+    const full = R.investorReport(d, 'full');
+    const clean = R.investorReport(d, 'clean');
+    assert.ok(pages(full) > 0 && pages(clean) > 0);
+    assert.match(full, /PERFORMANCE REPORT/);
+    assert.match(full, /Total Discount/);
+    assert.match(clean, /INVESTOR REVENUE REPORT/);
+    assert.doesNotMatch(clean, /Total Discount/);
+});
+
+test('hourly, behavior and cancel reports render A4 pages', () => {
+    const d = reportData();
+    assert.ok(pages(R.hourlyReport(d)) > 0);
+    assert.ok(pages(R.behaviorReport(d)) > 0);
+    const cancel = R.cancelReport(d);
+    assert.ok(pages(cancel) > 0);
+    assert.match(cancel, /INV-01-00010\/2026/);
+    assert.match(R.cancelReport({ ...d, CANCEL_DATA: [] }), /ไม่พบข้อมูลการยกเลิกบิล/);
+});
+
+test('investorReport adds the margin page only when costs are loaded', () => {
+    const d = reportData();
+    const margin = { cm: 300, cmPct: 60, fc: 40, cost: 200, costedRev: 500, disc: 50, cmBeforeDisc: 350, coverage: 80 };
+    const MARGIN = {
+        total: margin, target: 35,
+        cats: [{ cat: 'Donburi', ...margin }],
+        products: [{ p: 'DON004 / Salmon Don', c: 'Donburi', ...margin }, { p: 'BEV006 / Green Tea', c: 'Beverage', ...margin, cm: -5 }]
+    };
+    const full = R.investorReport({ ...d, MARGIN }, 'full');
+    assert.equal(pages(full), pages(R.investorReport(d, 'full')) + 1);
+    assert.match(full, /Gross Margin & Food Cost/);
+    assert.match(full, /Sold Below Cost/);
+    assert.match(full, /Promo Discount Impact/);
+    assert.doesNotMatch(R.investorReport({ ...d, MARGIN }, 'clean'), /Promo Discount Impact/);
+    assert.equal(R.investorReport({ ...d, MARGIN: null }, 'full'), R.investorReport(d, 'full'));
+});
+
+test('investorReport adds the budget pacing page and a RAG insight', () => {
+    const d = reportData();
+    const B = require('../budget.js');
+    const [, mm, yy] = d.DAILY[0].date.split('/').map(Number);
+    const budgetRows = [{ date: '', mm, yy, branch: '', cat: '', net: 10000000 }, { date: '', mm, yy, branch: '', cat: 'Donburi', net: 1000 }];
+    const BUDGET = B.budgetPacing({ daily: d.DAILY, budgetRows, catRows: d.salesRows, dowMap: d.DOW_MAP });
+    assert.equal(BUDGET.status, 'red');
+    const full = R.investorReport({ ...d, BUDGET }, 'full');
+    assert.equal(pages(full), pages(R.investorReport(d, 'full')) + 1);
+    assert.match(full, /Appendix E — Budget Pacing/);
+    assert.match(full, /ของเป้าถึง [\d/]+ — ต่ำกว่าเป้า/);
+    assert.match(full, /Budget by Category/);
+    assert.equal(R.investorReport({ ...d, BUDGET: null }, 'full'), R.investorReport(d, 'full'));
+});
+
+// Minimal report input for one period of the executive brief
+function period({ net, gross, bills, abv, products, promos = [], cancels = [] }) {
+    return {
+        DAILY: [{ date: '02/03/2026', net, gross, discount: gross - net, bills }], HOURS: [{ h: 12, net, qty: 1 }],
+        PRODUCTS: products.map(([p, n]) => ({ p, c: 'Donburi', net: n, qty: 1 })),
+        PROMO_DATA: promos, CANCEL_DATA: cancels, TOTAL_NET: net, TOTAL_BILLS: bills,
+        computeQualifiedABV: () => ({ abv })
+    };
+}
+
+test('briefSummary compares with the prior period and writes rule-based insights', () => {
+    const prev = period({ net: 10000, gross: 11000, bills: 100, abv: 100, products: [['DON004 / Salmon Don', 6000], ['MINI001 / Salmon Sushi', 4000]] });
+    const cur = period({
+        net: 8000, gross: 10000, bills: 80, abv: 100, products: [['DON004 / Salmon Don', 6000], ['MINI001 / Salmon Sushi', 2000]],
+        promos: [{ name: 'Flash Sale 20:00-21:00', date: '02/03/2026', count: 10, discount: 1000, net: 3000 }],
+        cancels: [{ date: '02/03/2026', doc: 'X1', amount: 300, person: 'Ek' }]
+    });
+    const s = R.briefSummary(cur, prev);
+    assert.equal(s.delta.net, -20);
+    assert.equal(s.cur.untracked, 1000); // 2,000 discount − 1,000 in the promo report
+    assert.deepEqual(s.movers.map(m => [m.p, m.diff]), [['MINI001 / Salmon Sushi', -2000], ['DON004 / Salmon Don', 0]]);
+    const text = s.insights.map(i => i.tone + ' ' + i.text).join('\n');
+    assert.match(text, /^bad ยอดขายสุทธิลดลง -20\.0%/m);
+    assert.match(text, /^warn จำนวนบิลลดลง/m);
+    assert.match(text, /^bad ส่วนลดคิดเป็น 20\.0%/m);
+    assert.match(text, /^warn ส่วนลด ฿1,000 ไม่อยู่ในรายงานโปรโมชั่น/m);
+    assert.match(text, /^bad ยกเลิกบิล 1 บิล ฿300 .* Ek/m);
+    assert.match(text, /^warn Salmon Sushi ลดลงมากที่สุด/m);
+    // No prior period → no comparisons
+    assert.deepEqual(R.briefSummary(cur, null).delta, {});
+    assert.ok(!R.briefSummary(cur, null).insights.some(i => /เทียบช่วงก่อน/.test(i.text)));
+});
+
+test('executiveBrief renders two A4 pages for any range', () => {
+    const d = reportData();
+    const brief = R.executiveBrief(d, d);
+    assert.equal(pages(brief), 2);
+    assert.match(brief, /EXECUTIVE BRIEF/);
+    assert.match(brief, /Promo & Discount Leakage/);
+    assert.match(R.executiveBrief(d, null), /ไม่มีข้อมูลช่วงก่อนหน้า/);
+    assert.equal(R.executiveBrief({ ...d, DAILY: [] }, null), '');
+});
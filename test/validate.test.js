@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const P = require('../parsers.js');
+const V = require('../validate.js');
+
+const fixture = name => JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', name + '.json'), 'utf8'));
+const salesFile = (slot, name, kind = 'sales') => {
+    const log = {};
+    const { rows, isByDate } = P.parseSalesRows(fixture(name), log);
+    return { slot, file: name + '.xlsx', kind, log, isByDate, rows };
+};
+const check = (report, id) => report.checks.find(c => c.id === id);
+
+test('a clean upload reports every file and skips checks without their files', () => {
+    const f1 = salesFile('1', 'sales-by-product');
+    const v = V.validateUpload([f1], { daily: P.buildDailyRows(f1.rows, [], [], false) });
+    assert.deepEqual(v.files.map(f => [f.slot, f.type, f.read, f.accepted, f.rejected, f.status]), [['1', 'แยกตามสินค้า', 5, 4, 0, 'ok']]);
+    assert.equal(v.errors, 0);
+    assert.equal(check(v, 'duplicate').status, 'ok');
+    assert.deepEqual(['promo', 'daypart', 'product'].map(id => check(v, id).status), ['skip', 'skip', 'skip']);
+});
+
+test('overlapping and mixed sales exports are errors', () => {
+    const files = [salesFile('1', 'sales-by-product'), salesFile('1b', 'sales-by-product'), salesFile('1c', 'sales-by-date')];
+    const v = V.validateUpload(files, { daily: [] });
+    assert.equal(v.duplicates.length, 3);
+    assert.deepEqual(v.duplicates[0], { doc: 'INV-01-00001/2026', date: '01/03/2026', slots: ['1', '1b'] });
+    assert.equal(check(v, 'duplicate').status, 'error');
+    assert.equal(check(v, 'type').status, 'error');
+    assert.equal(v.errors, 2);
+
+    const p = V.validateUpload([salesFile('1p', 'sales-by-date', 'product')], { daily: [] });
+    assert.match(check(p, 'type').detail, /1p ต้องเป็นรายงานยอดขายแยกตามสินค้า/);
+});
+
+test('files that fail to parse or yield nothing are errors', () => {
+    const v = V.validateUpload([
+        { slot: '3', file: 'm.xlsx', kind: 'monthly', error: 'ไม่พบแถว Header' },
+        { slot: '4', file: 'c.xlsx', kind: 'cancel', log: { read: 2, accepted: 0, rejected: 2, reasons: { 'วันที่อ่านไม่ได้': 2 } } }
+    ], { daily: [] });
+    assert.deepEqual(v.files.map(f => f.status), ['error', 'error']);
+});
+
+test('reconciliation compares promo, daypart and product-summary totals', () => {
+    const daily = [
+        { date: '01/03/2026', net: 1000, bills: 10 },
+        { date: '02/03/2026', net: 2000, bills: 20 }
+    ];
+    const promoRows = [
+        { date: '01/03/2026', net: 1500 },   // more than the whole day
+        { date: '02/03/2026', net: 500 },
+        { date: '28/02/2026', net: 100 }     // previous month without its sales file
+    ];
+    const dayparts = [{ net: 2000, bills: 30 }, { net: 1000, bills: 0 }];
+    const prodSummaryRows = [{ date: '01/03/2026', net: 500, qty: 5 }, { date: '02/03/2026', net: 800, qty: 8 }];
+    const productRows = [{ date: '01/03/2026', net: 500, qty: 5 }, { date: '02/03/2026', net: 700, qty: 8 }];
+    const v = V.validateUpload([], { daily, promoRows, dayparts, prodSummaryRows, productRows });
+    const promo = check(v, 'promo');
+    assert.equal(promo.status, 'error');
+    assert.deepEqual(promo.items.map(i => i.slice(0, 10)), ['28/02/2026', '01/03/2026']);
+    assert.equal(check(v, 'daypart').status, 'ok');
+    const product = check(v, 'product');
+    assert.equal(product.status, 'error');   // 02/03 is 12.5% apart
+    assert.match(product.items[0], /^02\/03\/2026: ไฟล์ 5 ฿800 \/ 8 ชิ้น · ไฟล์ 1p ฿700/);
+
+    dayparts[0].net = 2050;
+    assert.equal(check(V.validateUpload([], { daily, dayparts }), 'daypart').status, 'warn');
+});
@@ -0,0 +1,137 @@
+// ══════════════════════════════════════════
+// UPLOAD VALIDATION — per-file parse logs, duplicate bills and cross-file reconciliation (index.html → processFiles)
+// Report: {files:[{slot, file, kind, type, read, accepted, rejected, reasons, error, status}],
+//          duplicates:[{doc, date, slots}], checks:[{id, label, status, detail, items}], errors, warnings}
+//   status = 'ok' | 'warn' | 'error' | 'skip' (check needs a file that was not uploaded)
+// ══════════════════════════════════════════
+(function(root,factory){
+  if(typeof module==='object'&&module.exports) module.exports=factory(require('./parsers.js'));
+  else root.NigiValidate=factory(root.NigiParse);
+})(typeof self!=='undefined'?self:this,function(P){
+'use strict';
+
+const KIND_LABELS={
+  sales:'ยอดขาย', product:'ยอดขายแยกตามสินค้า', promo:'โปรโมชั่น', monthly:'ยอดขายรายเดือน',
+  cancel:'ยกเลิกบิล', productSummary:'สรุปสินค้าขายประจำวัน', daypart:'ยอดขายแยกตามช่วงเวลา', budget:'เป้ายอดขาย', roster:'ตารางกะพนักงาน'
+};
+const TOL={ok:0.01, warn:0.05};   // |difference| ÷ reference: ≤1% ok, ≤5% warning, above = error
+const MAX_ITEMS=10;
+
+const baht=n=>'฿'+Math.round(n).toLocaleString('en-US');
+const pct=n=>(Math.round(n*1000)/10)+'%';
+const diffStatus=d=>d<=TOL.ok?'ok':d<=TOL.warn?'warn':'error';
+const relDiff=(a,b)=>b?Math.abs(a-b)/Math.abs(b):a?1:0;
+const worst=list=>list.includes('error')?'error':list.includes('warn')?'warn':'ok';
+const byDate=(rows,val)=>rows.reduce((m,r)=>{ if(r.date) m[r.date]=(m[r.date]||0)+val(r); return m; },{});
+const sortDates=ds=>[...ds].sort((a,b)=>P.dateToTs(a)-P.dateToTs(b));
+
+// ══════════ FILES ══════════
+function fileStatus(f){
+  if(f.error) return 'error';
+  if(f.read&&!f.accepted) return 'error';
+  return f.rejected?'warn':'ok';
+}
+
+// Same bill number in more than one sales file of a group (1/1b/1c or 1p/1p-b) → overlapping exports
+function duplicateBills(files){
+  const out=[];
+  ['sales','product'].forEach(kind=>{
+    const seen=new Map();
+    files.filter(f=>f.kind===kind&&f.rows).forEach(f=>{
+      new Set(f.rows.map(r=>r.date+'|'+r.doc)).forEach(k=>{
+        const s=seen.get(k);
+        if(s) s.push(f.slot); else seen.set(k,[f.slot]);
+      });
+    });
+    seen.forEach((slots,k)=>{ if(slots.length>1){ const [date,doc]=k.split('|'); out.push({doc,date,slots}); } });
+  });
+  return out;
+}
+
+// ══════════ RECONCILIATION ══════════
+function salesVsPromo(daily, promoRows){
+  const base={id:'promo', label:'ยอดขาย vs ยอดสุทธิโปรโมชั่น (ไฟล์ 1 ↔ 2)'};
+  if(!promoRows.length) return {...base, status:'skip', detail:'ไม่มีไฟล์โปรโมชั่น', items:[]};
+  const sales=byDate(daily,d=>d.net), promo=byDate(promoRows,p=>p.net);
+  const items=[], st=[];
+  let pn=0, sn=0, n=0;
+  sortDates(Object.keys(promo)).forEach(d=>{
+    if(sales[d]==null){ st.push('warn'); items.push(d+': มีโปรโมชั่น '+baht(promo[d])+' แต่ไม่มียอดขายวันนี้'); return; }
+    pn+=promo[d]; sn+=sales[d]; n++;
+    if(promo[d]>sales[d]*(1+TOL.ok)){ st.push('error'); items.push(d+': ยอดโปร '+baht(promo[d])+' มากกว่ายอดขายทั้งวัน '+baht(sales[d])); }
+  });
+  return {...base, status:worst(st),
+    detail:n?'ยอดสุทธิโปร '+baht(pn)+' = '+pct(sn?pn/sn:0)+' ของยอดขาย '+baht(sn)+' ('+n+' วันที่ตรงกัน)':'ไม่มีวันที่ตรงกับไฟล์ยอดขาย', items};
+}
+
+function daypartVsDaily(daily, dayparts){
+  const base={id:'daypart', label:'ยอดรวมช่วงเวลา vs ยอดขายรายวัน (ไฟล์ 6 ↔ 1)'};
+  if(!dayparts.length) return {...base, status:'skip', detail:'ไม่มีไฟล์ยอดขายแยกตามช่วงเวลา', items:[]};
+  const dp={net:dayparts.reduce((s,d)=>s+d.net,0), bills:dayparts.reduce((s,d)=>s+d.bills,0)};
+  const dl={net:daily.reduce((s,d)=>s+d.net,0), bills:daily.reduce((s,d)=>s+d.bills,0)};
+  const dn=relDiff(dp.net,dl.net), db=relDiff(dp.bills,dl.bills);
+  const items=[];
+  if(dn>TOL.ok) items.push('ยอดสุทธิ: ช่วงเวลา '+baht(dp.net)+' · รายวัน '+baht(dl.net)+' (ต่าง '+pct(dn)+')');
+  if(db>TOL.ok) items.push('จำนวนบิล: ช่วงเวลา '+dp.bills.toLocaleString('en-US')+' · รายวัน '+dl.bills.toLocaleString('en-US')+' (ต่าง '+pct(db)+')');
+  return {...base, status:diffStatus(Math.max(dn,db)),
+    detail:'ช่วงเวลา '+baht(dp.net)+' / '+dp.bills.toLocaleString('en-US')+' บิล · รายวัน '+daily.length+' วัน '+baht(dl.net)+' / '+dl.bills.toLocaleString('en-US')+' บิล', items};
+}
+
+function summaryVsProducts(prodSummaryRows, productRows){
+  const base={id:'product', label:'สรุปสินค้า vs ยอดขายแยกตามสินค้า (ไฟล์ 5 ↔ 1p)'};
+  if(!prodSummaryRows.length||!productRows.length)
+    return {...base, status:'skip', detail:'ต้องมีทั้งไฟล์ 5 และไฟล์ 1p', items:[]};
+  const sNet=byDate(prodSummaryRows,r=>r.net), sQty=byDate(prodSummaryRows,r=>r.qty);
+  const pNet=byDate(productRows,r=>r.net), pQty=byDate(productRows,r=>r.qty);
+  const items=[], st=[];
+  let n=0;
+  sortDates(new Set([...Object.keys(sNet),...Object.keys(pNet)])).forEach(d=>{
+    if(sNet[d]==null||pNet[d]==null){ st.push('warn'); items.push(d+': มีเฉพาะใน'+(sNet[d]==null?'ไฟล์ 1p':'ไฟล์ 5')); return; }
+    n++;
+    const dn=relDiff(sNet[d],pNet[d]), dq=relDiff(sQty[d],pQty[d]);
+    if(Math.max(dn,dq)<=TOL.ok) return;
+    st.push(diffStatus(Math.max(dn,dq)));
+    items.push(d+': ไฟล์ 5 '+baht(sNet[d])+' / '+sQty[d]+' ชิ้น · ไฟล์ 1p '+baht(pNet[d])+' / '+pQty[d]+' ชิ้น');
+  });
+  const tS=Object.values(sNet).reduce((a,b)=>a+b,0), tP=Object.values(pNet).reduce((a,b)=>a+b,0);
+  return {...base, status:worst(st), detail:n+' วันที่ตรงกัน · ไฟล์ 5 '+baht(tS)+' · ไฟล์ 1p '+baht(tP), items};
+}
+
+// ══════════ ENTRY ══════════
+// files: [{slot, file, kind, log, isByDate, rows (sales kinds only), error}]
+// data:  {daily, promoRows, dayparts, prodSummaryRows, productRows}
+function validateUpload(files, data){
+  const out=files.map(f=>{
+    const log=f.log||{};
+    const type=f.kind==='sales'||f.kind==='product'?(f.isByDate?'แยกตามวันที่':'แยกตามสินค้า'):'';
+    const e={slot:f.slot, file:f.file, kind:f.kind, type, read:log.read||0, accepted:log.accepted||0,
+      rejected:log.rejected||0, reasons:log.reasons||{}, error:f.error||''};
+    e.status=fileStatus(e);
+    return e;
+  });
+  const checks=[];
+  // Sales halves must be the same export; 1p has to be the by-product report
+  const sales=files.filter(f=>f.kind==='sales'&&!f.error);
+  if(new Set(sales.map(f=>!!f.isByDate)).size>1)
+    checks.push({id:'type', label:'รูปแบบไฟล์ยอดขาย', status:'error', detail:'ไฟล์ยอดขายปนกันระหว่างแบบแยกตามวันที่และแยกตามสินค้า',
+      items:sales.map(f=>'ไฟล์ '+f.slot+': '+(f.isByDate?'แยกตามวันที่':'แยกตามสินค้า'))});
+  files.filter(f=>f.kind==='product'&&f.isByDate).forEach(f=>checks.push({id:'type', label:'รูปแบบไฟล์ '+f.slot, status:'error',
+    detail:'ไฟล์ '+f.slot+' ต้องเป็นรายงานยอดขายแยกตามสินค้า แต่พบแบบแยกตามวันที่', items:[]}));
+  const duplicates=duplicateBills(files);
+  checks.push({id:'duplicate', label:'เลขที่บิลซ้ำข้ามไฟล์', status:duplicates.length?'error':'ok',
+    detail:duplicates.length?duplicates.length+' บิลอยู่ในมากกว่า 1 ไฟล์ — ช่วงวันที่ของไฟล์ทับกัน ยอดจะถูกนับซ้ำ':'ไม่พบบิลซ้ำ',
+    items:duplicates.slice(0,MAX_ITEMS).map(d=>d.doc+' ('+d.date+') — ไฟล์ '+d.slots.join(', '))});
+  const daily=data.daily||[];
+  checks.push(
+    salesVsPromo(daily,data.promoRows||[]),
+    daypartVsDaily(daily,data.dayparts||[]),
+    summaryVsProducts(data.prodSummaryRows||[],data.productRows||[])
+  );
+  checks.forEach(c=>{ if(c.items.length>MAX_ITEMS) c.items=[...c.items.slice(0,MAX_ITEMS),'… อีก '+(c.items.length-MAX_ITEMS)+' รายการ']; });
+  const all=[...out.map(f=>f.status),...checks.map(c=>c.status)];
+  return {files:out, duplicates, checks,
+    errors:all.filter(s=>s==='error').length, warnings:all.filter(s=>s==='warn').length};
+}
+
+return {KIND_LABELS,TOL,duplicateBills,validateUpload};
+});